@@ -4,59 +4,51 @@
  */
 
 // ============================================================================
-// STEP 1: Add to smithery-client.js
+// STEP 1: Add to mcp-servers.json
 // ============================================================================
 
-// Add this to the TOOL_CONFIGS object in src/utils/smithery-client.js:
+// Add this entry to the "servers" array in mcp-servers.json:
 const WEATHER_TOOL_CONFIG = {
-  'weather-forecast': 'https://server.smithery.ai/@weather/forecast'
+  source: 'weather',
+  label: 'Weather Forecast',
+  description: 'Current weather and forecasts',
+  url: 'https://server.smithery.ai/@weather/forecast',
+  requiredEnv: ['SMITHERY_API_KEY', 'SMITHERY_PROFILE'],
+  prefix: 'weather_',
+  nameFormat: 'underscore', // Accept weather-forecast for weather_forecast
+  resultFormat: 'weather'
 };
 
 // ============================================================================
-// STEP 2: Add to server.js
+// STEP 2: Add a result formatter to src/utils/response-parsers.js
 // ============================================================================
 
-// Add this case to the switch statement in src/server.js:
-const WEATHER_TOOL_CASE = `
-case 'weather-forecast':
-case 'weather_forecast':
-  if (smitheryConnected || await initializeSmithery()) {
-    console.log(\`Executing Smithery weather forecast for location: \${params.location}\`);
-    try {
-      const smitheryResult = await smitheryClient.callTool('weather_forecast', params);
-      
-      // Parse weather data from Smithery response
-      let weatherData = {};
-      if (smitheryResult.content && smitheryResult.content[0] && smitheryResult.content[0].text) {
-        const text = smitheryResult.content[0].text;
-        
-        // Parse weather response format
-        const lines = text.split('\\n');
-        weatherData = {
-          location: params.location,
-          temperature: extractTemperature(lines),
-          conditions: extractConditions(lines),
-          forecast: extractForecast(lines),
-          humidity: extractHumidity(lines),
-          windSpeed: extractWindSpeed(lines)
-        };
-      }
-      
-      result = {
-        location: params.location,
-        weather: weatherData,
-        days: params.days || 5,
-        source: 'smithery'
-      };
-    } catch (error) {
-      console.error('Error in Smithery weather forecast:', error);
-      smitheryConnected = false;
-      throw new Error(\`Smithery Weather Forecast failed: \${error.message}\`);
-    }
-  } else {
-    throw new Error('Weather Forecast not available - no Smithery connection');
+// Add this formatter and register it in RESULT_FORMATTERS as 'weather':
+const WEATHER_RESULT_FORMATTER = `
+export function formatWeatherResult(toolName, mcpResult, params, source) {
+  const text = getResultText(mcpResult);
+
+  // Parse weather response format
+  let weatherData = {};
+  if (text) {
+    const lines = text.split('\\n');
+    weatherData = {
+      location: params.location,
+      temperature: extractTemperature(lines),
+      conditions: extractConditions(lines),
+      forecast: extractForecast(lines),
+      humidity: extractHumidity(lines),
+      windSpeed: extractWindSpeed(lines)
+    };
   }
-  break;
+
+  return {
+    location: params.location,
+    weather: weatherData,
+    days: params.days || 5,
+    source
+  };
+}
 `;
 
 // ============================================================================
@@ -161,10 +153,12 @@ testWeatherTool();
 // STEP 5: CLI Integration (Optional)
 // ============================================================================
 
-// Add to src/cli.js if you want different CLI naming:
-const WEATHER_CLI_MAPPING = {
-  'weather': 'weather-forecast',
-  'forecast': 'weather-forecast'
+// The CLI resolves tool names through the aliases advertised by
+// /api/tools/list, so extra names only need to be declared in the config:
+const WEATHER_ALIASES = {
+  aliases: {
+    weather_forecast: ['weather', 'forecast']
+  }
 };
 
 // ============================================================================
@@ -186,20 +180,22 @@ WEATHER_LANGUAGE=en
 /**
  * Here's what your files should look like after integration:
  * 
- * 1. src/utils/smithery-client.js:
- * ```javascript
- * const TOOL_CONFIGS = {
- *   'brave-search': 'https://server.smithery.ai/@smithery-ai/brave-search',
- *   'weather-forecast': 'https://server.smithery.ai/@weather/forecast', // Added
- * };
+ * 1. mcp-servers.json:
+ * ```json
+ * {
+ *   "servers": [
+ *     // ... existing servers
+ *     { "source": "weather", "url": "https://server.smithery.ai/@weather/forecast", ... } // Added
+ *   ]
+ * }
  * ```
  * 
- * 2. src/server.js (in the switch statement):
+ * 2. src/utils/response-parsers.js:
  * ```javascript
- * case 'weather-forecast':
- * case 'weather_forecast':
- *   // ... implementation from WEATHER_TOOL_CASE above
- *   break;
+ * export const RESULT_FORMATTERS = {
+ *   // ... existing formatters
+ *   weather: formatWeatherResult // Added
+ * };
  * ```
  * 
  * 3. test-weather.js:
@@ -210,7 +206,8 @@ WEATHER_LANGUAGE=en
 
 export {
   WEATHER_TOOL_CONFIG,
-  WEATHER_TOOL_CASE,
+  WEATHER_RESULT_FORMATTER,
+  WEATHER_ALIASES,
   extractTemperature,
   extractConditions,
   extractForecast,
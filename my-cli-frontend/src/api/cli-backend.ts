@@ -91,24 +91,37 @@ export const sendCLIChatMessage = async (
   }
 }
 
+// Last tool listing per endpoint, revalidated with its ETag
+const toolListCache = new Map<string, { etag: string; tools: unknown[] }>()
+
 /**
  * Get available tools from the CLI backend
  */
 export const getCLIBackendTools = async (endpoint: string) => {
   try {
+    const cached = toolListCache.get(endpoint)
     const response = await fetch(`${endpoint}/api/tools/list`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(cached ? { 'If-None-Match': cached.etag } : {}),
       },
       body: JSON.stringify({}),
     })
 
+    if (response.status === 304 && cached) {
+      return cached.tools
+    }
+
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`)
     }
 
     const data = await response.json()
+    const etag = response.headers.get('ETag')
+    if (etag) {
+      toolListCache.set(endpoint, { etag, tools: data.tools || [] })
+    }
     return data.tools || []
   } catch (error) {
     console.error('Error fetching CLI backend tools:', error)
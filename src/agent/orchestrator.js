@@ -0,0 +1,276 @@
+// Agentic tool loop: ask Agent Hustle, execute the tools it calls, send the results back
+import { randomUUID } from 'crypto';
+import { parseToolCallBlocks, stripToolCallBlocks } from '../utils/tool-call-parser.js';
+import { withTimeout, mapWithConcurrency, TimeoutError } from '../utils/concurrency.js';
+import { describeError } from '../utils/errors.js';
+import { streamChat } from '../utils/hustle-stream.js';
+
+/**
+ * Format the duration of a tool call for the follow-up prompt
+ * @private
+ */
+function formatTime(result) {
+  return typeof result.time === 'number' ? ` (${result.time.toFixed(1)}s)` : '';
+}
+
+/**
+ * Serialize a tool result for the follow-up prompt. The chat model cannot see
+ * attachments, so their base64 data is replaced by a short description.
+ * @private
+ */
+function formatResult(result) {
+  return JSON.stringify(result, (key, value) => {
+    if (key === 'attachments' && Array.isArray(value)) {
+      return value.map(({ data, ...attachment }) => ({
+        ...attachment,
+        size: typeof data === 'string' ? `${Buffer.byteLength(data, 'base64')} bytes` : undefined
+      }));
+    }
+    return value;
+  }, 2);
+}
+
+/**
+ * Build the prompt asking Agent Hustle to summarize tool results
+ * @param {Array<{toolName: string, success: boolean, result?: any, error?: string, time?: number}>} toolResults - Executed tools
+ * @param {boolean} hasErrors - Whether some of the tools failed
+ * @param {Object} [options] - Prompt options
+ * @param {boolean} [options.allowMoreTools] - Let the agent call further tools instead of answering
+ * @returns {string} Follow-up prompt
+ */
+export function buildFollowUpPrompt(toolResults, hasErrors, options = {}) {
+  let followUpPrompt;
+  if (hasErrors) {
+    // Handle mixed success/error results
+    const successfulResults = toolResults.filter(r => r.success);
+    const failedResults = toolResults.filter(r => !r.success);
+
+    followUpPrompt = `I executed ${toolResults.length} tool(s) with the following results:
+
+SUCCESSFUL TOOLS (${successfulResults.length}):
+${successfulResults.map(r => `- ${r.toolName}${formatTime(r)}: ${formatResult(r.result)}`).join('\n')}
+
+FAILED TOOLS (${failedResults.length}):
+${failedResults.map(r => `- ${r.toolName}${formatTime(r)}: ${r.error}`).join('\n')}
+
+Please summarize the successful results for the user, acknowledge any failures, and ask if they would like to do anything further with the data or try alternative approaches for the failed tools.`;
+  } else {
+    // All tools succeeded
+    const resultsString = toolResults.map(r =>
+      `${r.toolName} results${formatTime(r)}: ${formatResult(r.result)}`
+    ).join('\n\n');
+
+    followUpPrompt = `I successfully executed ${toolResults.length} tool(s) and got the following results:
+
+${resultsString}
+
+Please summarize this data for the user and then ask if they would like to do anything further with it.`;
+  }
+
+  if (options.allowMoreTools) {
+    followUpPrompt += '\n\nIf these results are not enough to answer, call further tools with <tool>name({...})</tool> instead of summarizing.';
+  }
+
+  return followUpPrompt;
+}
+
+/**
+ * Runs the tool loop for a conversation.
+ *
+ * Each iteration sends the conversation to Agent Hustle and executes the
+ * <tool> calls of the answer concurrently, each within its own time limit;
+ * their results are sent back and may trigger further tool calls, until the
+ * agent answers without calling tools or the iteration limit is reached.
+ * The exchanged messages are returned in the CLI backend message format
+ * the Agent UI converts with `convertCLIMessagesToAgentUI` (assistant messages with `tool_calls`,
+ * then one `tool` message per result).
+ */
+export class AgentOrchestrator {
+  /**
+   * @param {Object} options - Orchestrator options
+   * @param {HustleIncognitoClient} options.client - Agent Hustle client
+   * @param {Function} options.executeTool - Async function (name, args, { signal, apiKey }) returning the tool result
+   * @param {string} [options.vaultId] - Vault identifier
+   * @param {number} [options.maxIterations] - Maximum number of tool rounds per run
+   * @param {number} [options.concurrency] - Maximum number of tools running at once
+   * @param {Function} [options.timeoutFor] - Time limit in milliseconds for a tool name
+   */
+  constructor(options) {
+    this.client = options.client;
+    this.executeTool = options.executeTool;
+    this.vaultId = options.vaultId;
+    this.maxIterations = options.maxIterations || 5;
+    this.concurrency = options.concurrency || 4;
+    this.timeoutFor = options.timeoutFor || (() => 30000);
+  }
+
+  /**
+   * Run the loop on a conversation
+   * @param {Array<{role: string, content: string}>} messages - Conversation, ending with the user's message
+   * @param {Object} [options] - Run options
+   * @param {Function} [options.onToolCall] - Called with each tool call before it runs
+   * @param {Function} [options.onToolResult] - Called with each tool call once it completed
+   * @param {Function} [options.onResponse] - Called with the content of each agent response, before its tools run
+   * @param {Function} [options.onStreamEvent] - Streams the agent responses: called with each streamChat
+   *   event (text deltas, Agent Hustle's own tool calls, finish)
+   * @param {AbortSignal} [options.signal] - Cancels the run and its running tools
+   * @param {Object} [options.apiKey] - Key the run was requested with, passed on to executeTool
+   * @returns {Promise<{content: string, messages: Array, transcript: Array, toolCalls: Array, iterations: number, usage: Object|null, messageId: string|null}>}
+   *   Final answer, exchanged messages, chat messages added to the conversation (agent responses and
+   *   follow-up prompts), executed tool calls and loop statistics
+   */
+  async run(messages, options = {}) {
+    const conversation = [...messages];
+    const output = [];
+    const toolCalls = [];
+    let iterations = 0;
+
+    while (true) {
+      const limitReached = iterations >= this.maxIterations;
+      if (limitReached) {
+        // Ask for an answer with the results gathered so far
+        conversation.push({
+          role: 'user',
+          content: `The tool limit of ${this.maxIterations} round(s) was reached. Answer with the information gathered so far, without calling tools.`
+        });
+      }
+
+      const response = await this.chat(conversation, options);
+      const content = response.content || '';
+      if (options.onResponse) {
+        options.onResponse(content);
+      }
+      const { calls, errors } = limitReached ? { calls: [], errors: [] } : parseToolCallBlocks(content);
+
+      if (calls.length === 0 && errors.length === 0) {
+        output.push({ role: 'assistant', content: stripToolCallBlocks(content), created_at: Date.now() });
+        conversation.push({ role: 'assistant', content });
+        return {
+          content: stripToolCallBlocks(content),
+          messages: output,
+          transcript: conversation.slice(messages.length),
+          toolCalls,
+          iterations,
+          usage: response.usage || null,
+          messageId: response.messageId || null
+        };
+      }
+
+      iterations++;
+      console.log(`[Orchestrator] Round ${iterations}: ${calls.length} tool call(s)${errors.length ? `, ${errors.length} malformed` : ''}`);
+
+      const round = calls.map(call => ({
+        id: randomUUID(),
+        name: call.name,
+        args: call.arguments,
+        result: null,
+        error: null,
+        code: null,
+        timedOut: false,
+        time: 0,
+        created_at: Date.now()
+      }));
+
+      output.push({
+        role: 'assistant',
+        content: stripToolCallBlocks(content),
+        tool_calls: round.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args) }
+        })),
+        created_at: Date.now()
+      });
+
+      // Independent calls run side by side, within the concurrency cap
+      await mapWithConcurrency(round, this.concurrency, call => this.runTool(call, options));
+      if (options.signal && options.signal.aborted) {
+        throw new Error('Run cancelled');
+      }
+      console.log(`[Orchestrator] Round ${iterations} timings: ${round.map(call => `${call.name} ${call.time.toFixed(1)}s${call.timedOut ? ' (timed out)' : ''}`).join(', ')}`);
+
+      const toolResults = [];
+      for (const call of round) {
+        toolCalls.push(call);
+        output.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          tool_name: call.name,
+          content: call.error ? `Error: ${call.error}` : JSON.stringify(call.result, null, 2),
+          created_at: Date.now()
+        });
+        toolResults.push(call.error
+          ? { toolName: call.name, success: false, error: call.error, time: call.time }
+          : { toolName: call.name, success: true, result: call.result, time: call.time });
+      }
+
+      // Malformed calls are reported back so the agent can correct them
+      errors.forEach(error => {
+        toolResults.push({ toolName: error.raw, success: false, error: error.message });
+      });
+
+      conversation.push({ role: 'assistant', content });
+      conversation.push({
+        role: 'user',
+        content: buildFollowUpPrompt(toolResults, toolResults.some(r => !r.success), { allowMoreTools: true })
+      });
+    }
+  }
+
+  /**
+   * Ask Agent Hustle for the next response, streaming it when the run has an onStreamEvent callback
+   * @private
+   */
+  async chat(conversation, options) {
+    if (!options.onStreamEvent) {
+      return this.client.chat(conversation, { vaultId: this.vaultId });
+    }
+
+    const response = { content: '', usage: null, messageId: null };
+    for await (const event of streamChat(this.client, conversation, { vaultId: this.vaultId, signal: options.signal })) {
+      if (event.type === 'text') {
+        response.content += event.delta;
+      } else if (event.type === 'finish') {
+        response.usage = event.usage;
+        response.messageId = event.messageId || null;
+      }
+      options.onStreamEvent(event);
+    }
+    if (options.signal && options.signal.aborted) {
+      throw new Error('Run cancelled');
+    }
+    return response;
+  }
+
+  /**
+   * Execute one tool call within its time limit, recording its result or error and its duration.
+   * A call that runs out of time is aborted rather than left running.
+   * @private
+   */
+  async runTool(call, options) {
+    if (options.onToolCall) {
+      options.onToolCall(call);
+    }
+
+    const startedAt = Date.now();
+    try {
+      call.result = await withTimeout(
+        signal => this.executeTool(call.name, call.args, { signal, apiKey: options.apiKey }),
+        this.timeoutFor(call.name),
+        { signal: options.signal, label: call.name }
+      );
+    } catch (error) {
+      const { code, retryable } = describeError(error);
+      console.error(`[Orchestrator] Tool ${call.name} failed [${code}]:`, error.message);
+      // The code tells the agent whether trying again is worthwhile
+      call.error = `[${code}] ${error.message}${retryable ? ' (retryable)' : ''}`;
+      call.code = code;
+      call.timedOut = error instanceof TimeoutError;
+    }
+    call.time = (Date.now() - startedAt) / 1000;
+
+    if (options.onToolResult) {
+      options.onToolResult(call);
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import { jest } from '@jest/globals';
+import { AgentOrchestrator, buildFollowUpPrompt } from './orchestrator.js';
+
+/**
+ * Agent Hustle client answering with the given responses in turn. The
+ * conversation is copied at each call since the orchestrator keeps extending it.
+ */
+function scriptedClient(...contents) {
+  const conversations = [];
+  const chat = jest.fn(async messages => {
+    conversations.push([...messages]);
+    return { content: contents[conversations.length - 1], messageId: `message-${conversations.length}` };
+  });
+  return { chat, conversations };
+}
+
+const lastMessage = conversation => conversation[conversation.length - 1].content;
+
+describe('AgentOrchestrator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('chains tool rounds until the agent answers without tools', async () => {
+    const client = scriptedClient(
+      'Looking it up <tool>wallet-balance({"address": "abc"})</tool>',
+      'Now the price <tool>token-price({"symbol": "SOL"})</tool>',
+      'You hold 2 SOL worth $300.'
+    );
+    const executeTool = jest.fn(async name => (name === 'wallet-balance' ? { sol: 2 } : { price: 150 }));
+    const orchestrator = new AgentOrchestrator({ client, executeTool });
+
+    const run = await orchestrator.run([{ role: 'user', content: 'What is my wallet worth?' }], { apiKey: { name: 'cli' } });
+
+    expect(run.content).toBe('You hold 2 SOL worth $300.');
+    expect(run.iterations).toBe(2);
+    expect(run.messageId).toBe('message-3');
+    expect(run.toolCalls.map(call => [call.name, call.result])).toEqual([
+      ['wallet-balance', { sol: 2 }],
+      ['token-price', { price: 150 }]
+    ]);
+    expect(executeTool).toHaveBeenCalledWith('wallet-balance', { address: 'abc' }, { signal: expect.any(AbortSignal), apiKey: { name: 'cli' } });
+    expect(run.messages.map(message => message.role)).toEqual(['assistant', 'tool', 'assistant', 'tool', 'assistant']);
+    expect(run.messages[0]).toMatchObject({
+      content: 'Looking it up',
+      tool_calls: [{ type: 'function', function: { name: 'wallet-balance', arguments: '{"address":"abc"}' } }]
+    });
+
+    // The second round sees the results of the first
+    expect(lastMessage(client.conversations[1])).toContain('"sol": 2');
+  });
+
+  test('returns the chat messages it added to the conversation', async () => {
+    const client = scriptedClient('<tool>ping({})</tool>', 'pong');
+    const orchestrator = new AgentOrchestrator({ client, executeTool: async () => 'ok' });
+
+    const run = await orchestrator.run([{ role: 'user', content: 'ping?' }]);
+
+    expect(run.transcript).toEqual([
+      { role: 'assistant', content: '<tool>ping({})</tool>' },
+      { role: 'user', content: expect.stringContaining('ping results') },
+      { role: 'assistant', content: 'pong' }
+    ]);
+  });
+
+  test('asks for an answer once the iteration limit is reached', async () => {
+    const client = scriptedClient('<tool>ping({})</tool>', '<tool>ping({})</tool>', '<tool>ping({})</tool> Done');
+    const executeTool = jest.fn(async () => 'pong');
+    const orchestrator = new AgentOrchestrator({ client, executeTool, maxIterations: 2 });
+
+    const run = await orchestrator.run([{ role: 'user', content: 'ping forever' }]);
+
+    expect(executeTool).toHaveBeenCalledTimes(2);
+    expect(run.content).toBe('Done');
+    expect(lastMessage(client.conversations[2])).toContain('The tool limit of 2 round(s) was reached');
+  });
+
+  test('reports failed, timed out and malformed calls back to the agent', async () => {
+    const client = scriptedClient('<tool>slow({})</tool> <tool>broken({})</tool> <tool>bad(1)</tool>', 'Sorry');
+    const executeTool = jest.fn((name, args, { signal }) => {
+      if (name === 'broken') {
+        return Promise.reject(new Error('boom'));
+      }
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+    const orchestrator = new AgentOrchestrator({ client, executeTool, timeoutFor: () => 10 });
+
+    const run = await orchestrator.run([{ role: 'user', content: 'go' }]);
+
+    const [slow, broken] = run.toolCalls;
+    expect(slow).toMatchObject({ timedOut: true, code: 'UPSTREAM_TIMEOUT', error: '[UPSTREAM_TIMEOUT] slow timed out after 0.01s (retryable)' });
+    expect(broken).toMatchObject({ timedOut: false, code: 'INTERNAL_ERROR', error: '[INTERNAL_ERROR] boom', result: null });
+    expect(run.messages[2]).toMatchObject({ role: 'tool', tool_name: 'broken', content: 'Error: [INTERNAL_ERROR] boom' });
+    const followUp = lastMessage(client.conversations[1]);
+    expect(followUp).toContain('FAILED TOOLS (3)');
+    expect(followUp).toContain('bad(1)');
+  });
+
+  test('runs the calls of a round side by side', async () => {
+    const client = scriptedClient('<tool>a({})</tool> <tool>b({})</tool> <tool>c({})</tool>', 'Done');
+    let running = 0;
+    let peak = 0;
+    const executeTool = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return 'ok';
+    };
+    const orchestrator = new AgentOrchestrator({ client, executeTool, concurrency: 2 });
+
+    const run = await orchestrator.run([{ role: 'user', content: 'go' }]);
+
+    expect(peak).toBe(2);
+    expect(run.toolCalls.map(call => call.name)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('reports progress through the run callbacks', async () => {
+    const client = scriptedClient('<tool>ping({})</tool>', 'pong');
+    const events = [];
+    const orchestrator = new AgentOrchestrator({ client, executeTool: async () => 'ok' });
+
+    await orchestrator.run([{ role: 'user', content: 'ping?' }], {
+      onResponse: content => events.push(`response ${content}`),
+      onToolCall: call => events.push(`call ${call.name}`),
+      onToolResult: call => events.push(`result ${call.name} ${call.result}`)
+    });
+
+    expect(events).toEqual(['response <tool>ping({})</tool>', 'call ping', 'result ping ok', 'response pong']);
+  });
+
+  test('streams the responses when the run has an onStreamEvent callback', async () => {
+    const client = scriptedClient('<tool>ping({})</tool>', 'pong, all good');
+    const streamed = [];
+    const orchestrator = new AgentOrchestrator({ client, executeTool: async () => 'ok' });
+
+    const run = await orchestrator.run([{ role: 'user', content: 'ping?' }], {
+      onStreamEvent: event => streamed.push(event)
+    });
+
+    expect(run.content).toBe('pong, all good');
+    expect(streamed.filter(event => event.type === 'finish')).toHaveLength(2);
+    expect(streamed.filter(event => event.type === 'text').map(event => event.delta).join('')).toBe('<tool>ping({})</tool>pong, all good');
+  });
+
+  test('stops a cancelled run', async () => {
+    const controller = new AbortController();
+    const client = scriptedClient('<tool>ping({})</tool>', 'pong');
+    const orchestrator = new AgentOrchestrator({
+      client,
+      executeTool: async () => {
+        controller.abort();
+        return 'ok';
+      }
+    });
+
+    await expect(orchestrator.run([{ role: 'user', content: 'ping?' }], { signal: controller.signal })).rejects.toThrow('Run cancelled');
+    expect(client.chat).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('buildFollowUpPrompt', () => {
+  test('lists successful and failed tools with their timings', () => {
+    const prompt = buildFollowUpPrompt([
+      { toolName: 'price', success: true, result: { price: 1 }, time: 0.25 },
+      { toolName: 'search', success: false, error: 'slow down', time: 1 }
+    ], true);
+
+    expect(prompt).toContain('SUCCESSFUL TOOLS (1):\n- price (0.3s)');
+    expect(prompt).toContain('FAILED TOOLS (1):\n- search (1.0s): slow down');
+  });
+
+  test('lets the agent call further tools when asked', () => {
+    const prompt = buildFollowUpPrompt([{ toolName: 'price', success: true, result: 1 }], false, { allowMoreTools: true });
+
+    expect(prompt).toContain('price results: 1');
+    expect(prompt).toContain('call further tools');
+  });
+
+  test('describes attachments instead of sending their data', () => {
+    const prompt = buildFollowUpPrompt([
+      { toolName: 'chart', success: true, result: { attachments: [{ mimeType: 'image/png', data: 'aGVsbG8=' }] } }
+    ], false);
+
+    expect(prompt).toContain('"size": "5 bytes"');
+    expect(prompt).not.toContain('aGVsbG8=');
+  });
+});
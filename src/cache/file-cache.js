@@ -0,0 +1,79 @@
+// Tool result cache persisted to disk, one JSON file per entry
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Result cache writing each entry to `<directory>/<sha256 of the key>.json`,
+ * so cached results survive restarts. Writes go through a temporary file and
+ * a rename, and expired entries are removed when read.
+ */
+export class FileResultCache {
+  /**
+   * @param {string} directory - Directory holding the entries
+   */
+  constructor(directory) {
+    this.type = 'file';
+    this.directory = directory;
+  }
+
+  /**
+   * Create the cache directory
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * @private
+   */
+  filePath(key) {
+    return path.join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    const filePath = this.filePath(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      // Unreadable entry (e.g. truncated by a crash): drop it
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+
+    if (entry.key !== key) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+    return { value: entry.value, storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+  }
+
+  async set(key, value, ttlMs) {
+    const storedAt = Date.now();
+    const entry = { key, value, storedAt, expiresAt: ttlMs ? storedAt + ttlMs : null };
+
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry));
+    await fs.rename(tempPath, filePath);
+    return { value, storedAt, expiresAt: entry.expiresAt };
+  }
+
+  async clear() {
+    const files = await fs.readdir(this.directory);
+    await Promise.all(files.map(file => fs.rm(path.join(this.directory, file), { force: true })));
+  }
+
+  async size() {
+    const files = await fs.readdir(this.directory);
+    return files.filter(file => file.endsWith('.json')).length;
+  }
+}
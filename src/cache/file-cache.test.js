@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileResultCache } from './file-cache.js';
+import { createResultCache } from './index.js';
+
+describe('FileResultCache', () => {
+  let directory;
+  let cache;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tool-results-'));
+    cache = new FileResultCache(directory);
+    await cache.init();
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('keeps entries on disk across cache instances', async () => {
+    const stored = await cache.set('ordiscan:inscription:{"id":"1"}', { number: 1 }, null);
+
+    const reopened = new FileResultCache(directory);
+    expect(await reopened.get('ordiscan:inscription:{"id":"1"}')).toEqual(stored);
+    expect(await reopened.size()).toBe(1);
+  });
+
+  test('drops expired entries when they are read', async () => {
+    await cache.set('key', 'value', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await cache.get('key')).toBeNull();
+    expect(await cache.size()).toBe(0);
+  });
+
+  test('treats unreadable entries as misses and removes them', async () => {
+    await cache.set('key', 'value', null);
+    const [file] = await fs.readdir(directory);
+    await fs.writeFile(path.join(directory, file), '{"key": "key", "val');
+
+    expect(await cache.get('key')).toBeNull();
+    expect(await fs.readdir(directory)).toEqual([]);
+  });
+
+  test('returns null for missing keys and clears every entry', async () => {
+    await cache.set('a', 1, null);
+    await cache.set('b', 2, null);
+
+    expect(await cache.get('c')).toBeNull();
+    await cache.clear();
+    expect(await cache.size()).toBe(0);
+  });
+});
+
+describe('createResultCache', () => {
+  test('creates the configured backend', async () => {
+    expect(await createResultCache({ type: 'off' })).toBeNull();
+    expect((await createResultCache()).type).toBe('memory');
+    await expect(createResultCache({ type: 'redis' })).rejects.toThrow('Unknown result cache "redis"');
+  });
+});
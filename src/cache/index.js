@@ -0,0 +1,37 @@
+// Tool result caches backing /api/tools/call
+import { MemoryResultCache } from './memory-cache.js';
+import { FileResultCache } from './file-cache.js';
+
+export { MemoryResultCache, FileResultCache };
+export { normalizeCachePolicy, isCacheable, canonicalJson, cacheKey } from './policy.js';
+
+const DEFAULT_PATH = '.cache/tool-results';
+
+/**
+ * Create and initialize the result cache selected by the configuration
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.type] - "memory", "file" or "off"
+ * @param {string} [options.path] - Directory used by the file cache
+ * @param {number} [options.maxEntries] - Maximum number of entries of the memory cache
+ * @returns {Promise<Object|null>} Initialized cache, or null when caching is off
+ */
+export async function createResultCache(options = {}) {
+  const type = options.type || 'memory';
+
+  let cache;
+  switch (type) {
+    case 'off':
+      return null;
+    case 'memory':
+      cache = new MemoryResultCache({ maxEntries: options.maxEntries });
+      break;
+    case 'file':
+      cache = new FileResultCache(options.path || DEFAULT_PATH);
+      break;
+    default:
+      throw new Error(`Unknown result cache "${type}" (expected memory, file or off)`);
+  }
+
+  await cache.init();
+  return cache;
+}
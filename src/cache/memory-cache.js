@@ -0,0 +1,82 @@
+// In-memory tool result cache (entries are lost when the server restarts)
+
+/**
+ * Result cache keeping entries in a Map, evicting the least recently used
+ * entry once `maxEntries` is reached.
+ *
+ * Entries are `{ value, storedAt, expiresAt }` with timestamps in milliseconds
+ * (`expiresAt` is null for entries that never expire).
+ */
+export class MemoryResultCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxEntries] - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  /**
+   * Prepare the cache for use
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Get a live entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry, or null when missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the end of the Map: most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return { ...entry, value: structuredClone(entry.value) };
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {any} value - Value to store
+   * @param {number|null} ttlMs - Time to live, null to keep the entry until evicted
+   * @returns {Promise<Object>} Stored entry
+   */
+  async set(key, value, ttlMs) {
+    const storedAt = Date.now();
+    const entry = { value: structuredClone(value), storedAt, expiresAt: ttlMs ? storedAt + ttlMs : null };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {Promise<number>} Entry count
+   */
+  async size() {
+    return this.entries.size;
+  }
+}
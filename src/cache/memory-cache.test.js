@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import { MemoryResultCache } from './memory-cache.js';
+
+describe('MemoryResultCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('returns stored values until they expire', async () => {
+    jest.useFakeTimers();
+    const cache = new MemoryResultCache();
+    const stored = await cache.set('local:search:{}', { results: [1] }, 1000);
+
+    expect(stored.expiresAt).toBe(stored.storedAt + 1000);
+    expect(await cache.get('local:search:{}')).toEqual({ ...stored, value: { results: [1] } });
+
+    jest.advanceTimersByTime(1000);
+    expect(await cache.get('local:search:{}')).toBeNull();
+    expect(await cache.size()).toBe(0);
+  });
+
+  test('keeps entries without a time to live until evicted', async () => {
+    jest.useFakeTimers();
+    const cache = new MemoryResultCache();
+    await cache.set('key', 'value', null);
+
+    jest.advanceTimersByTime(365 * 24 * 3600 * 1000);
+    expect((await cache.get('key')).value).toBe('value');
+  });
+
+  test('evicts the least recently used entry', async () => {
+    const cache = new MemoryResultCache({ maxEntries: 2 });
+    await cache.set('a', 1, null);
+    await cache.set('b', 2, null);
+    await cache.get('a');
+    await cache.set('c', 3, null);
+
+    expect(await cache.get('b')).toBeNull();
+    expect((await cache.get('a')).value).toBe(1);
+    expect((await cache.get('c')).value).toBe(3);
+  });
+
+  test('hands out copies, so callers cannot change stored values', async () => {
+    const cache = new MemoryResultCache();
+    const value = { results: ['first'] };
+    await cache.set('key', value, null);
+    value.results.push('changed');
+
+    const entry = await cache.get('key');
+    entry.value.results.push('changed again');
+
+    expect((await cache.get('key')).value).toEqual({ results: ['first'] });
+  });
+
+  test('clears every entry', async () => {
+    const cache = new MemoryResultCache();
+    await cache.set('a', 1, null);
+    await cache.clear();
+
+    expect(await cache.size()).toBe(0);
+  });
+});
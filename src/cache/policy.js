@@ -0,0 +1,82 @@
+// Cache policies and keys for tool results
+
+/**
+ * Normalize the cache policy declared for a tool.
+ *
+ * A policy is either a number of milliseconds, `"immutable"` for results that
+ * never change, or `{ ttlMs, immutable, cacheable }` where `cacheable(result)`
+ * rejects results that must not be stored (e.g. "unable to fetch" placeholders).
+ *
+ * @param {number|string|Object|null} policy - Declared policy
+ * @returns {{ttlMs: number|null, cacheable: Function}|null} Normalized policy (`ttlMs` null never expires), or null when not cached
+ */
+export function normalizeCachePolicy(policy) {
+  if (policy === undefined || policy === null || policy === false) {
+    return null;
+  }
+  if (policy === 'immutable') {
+    return { ttlMs: null, cacheable: () => true };
+  }
+  if (typeof policy === 'number') {
+    return policy > 0 ? { ttlMs: policy, cacheable: () => true } : null;
+  }
+  if (typeof policy === 'object') {
+    if (!policy.immutable && !(policy.ttlMs > 0)) {
+      return null;
+    }
+    return {
+      ttlMs: policy.immutable ? null : policy.ttlMs,
+      cacheable: typeof policy.cacheable === 'function' ? policy.cacheable : () => true
+    };
+  }
+  throw new Error(`Invalid cache policy: ${JSON.stringify(policy)}`);
+}
+
+/**
+ * Check whether a tool result may be stored
+ * @param {Object} policy - Normalized policy
+ * @param {any} result - Tool result
+ * @returns {boolean} True for successful results accepted by the policy
+ */
+export function isCacheable(policy, result) {
+  if (result === undefined || result === null) {
+    return false;
+  }
+  if (typeof result === 'object') {
+    // Failures and results served by a local fallback instead of the cached tool
+    if (result.isError || result.success === false || result.error || result.source === 'local-fallback') {
+      return false;
+    }
+  }
+  return Boolean(policy.cacheable(result));
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal params give equal keys
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Build the cache key of a tool call
+ * @param {string} source - Source label of the tool ("local", "ordiscan", ...)
+ * @param {string} toolName - Canonical tool name
+ * @param {Object} params - Validated tool arguments
+ * @returns {string} Cache key
+ */
+export function cacheKey(source, toolName, params) {
+  return `${source}:${toolName}:${canonicalJson(params || {})}`;
+}
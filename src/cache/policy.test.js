@@ -0,0 +1,61 @@
+import { normalizeCachePolicy, isCacheable, canonicalJson, cacheKey } from './policy.js';
+
+describe('normalizeCachePolicy', () => {
+  test('leaves tools without a policy uncached', () => {
+    expect(normalizeCachePolicy(undefined)).toBeNull();
+    expect(normalizeCachePolicy(null)).toBeNull();
+    expect(normalizeCachePolicy(false)).toBeNull();
+    expect(normalizeCachePolicy(0)).toBeNull();
+    expect(normalizeCachePolicy({ ttlMs: 0 })).toBeNull();
+  });
+
+  test('accepts milliseconds, "immutable" and objects', () => {
+    expect(normalizeCachePolicy(60000)).toMatchObject({ ttlMs: 60000 });
+    expect(normalizeCachePolicy('immutable')).toMatchObject({ ttlMs: null });
+    expect(normalizeCachePolicy({ immutable: true, ttlMs: 1000 })).toMatchObject({ ttlMs: null });
+
+    const cacheable = result => result.ok;
+    expect(normalizeCachePolicy({ ttlMs: 1000, cacheable })).toEqual({ ttlMs: 1000, cacheable });
+  });
+
+  test('rejects unknown policies', () => {
+    expect(() => normalizeCachePolicy('forever')).toThrow('Invalid cache policy: "forever"');
+  });
+});
+
+describe('isCacheable', () => {
+  const policy = normalizeCachePolicy(1000);
+
+  test('stores successful results', () => {
+    expect(isCacheable(policy, { results: [] })).toBe(true);
+    expect(isCacheable(policy, 'text')).toBe(true);
+  });
+
+  test('never stores failures, empty results or fallback results', () => {
+    expect(isCacheable(policy, null)).toBe(false);
+    expect(isCacheable(policy, undefined)).toBe(false);
+    expect(isCacheable(policy, { isError: true })).toBe(false);
+    expect(isCacheable(policy, { success: false })).toBe(false);
+    expect(isCacheable(policy, { error: 'rate limited' })).toBe(false);
+    expect(isCacheable(policy, { results: [], source: 'local-fallback' })).toBe(false);
+  });
+
+  test('asks the policy about other results', () => {
+    const partial = normalizeCachePolicy({ ttlMs: 1000, cacheable: result => result.complete });
+
+    expect(isCacheable(partial, { complete: true })).toBe(true);
+    expect(isCacheable(partial, { complete: false })).toBe(false);
+  });
+});
+
+describe('cacheKey', () => {
+  test('does not depend on the order of the params', () => {
+    expect(cacheKey('local', 'search', { query: 'sol', count: 5 })).toBe(cacheKey('local', 'search', { count: 5, query: 'sol' }));
+    expect(cacheKey('local', 'search', { query: 'sol' })).not.toBe(cacheKey('ordiscan', 'search', { query: 'sol' }));
+  });
+
+  test('serializes nested values canonically and skips undefined properties', () => {
+    expect(canonicalJson({ b: [2, undefined, { d: 1, c: 2 }], a: undefined })).toBe('{"b":[2,null,{"c":2,"d":1}]}');
+    expect(cacheKey('local', 'search')).toBe('local:search:{}');
+  });
+});
@@ -0,0 +1,211 @@
+// EVM holdings (Ethereum, BNB Chain, ...) through the Ethereum JSON-RPC API
+import { JsonRpcClient, JsonRpcError, formatUnits } from './json-rpc.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+// Function selectors of the ERC-20 / ERC-721 calls used below
+const SELECTORS = {
+  balanceOf: '0x70a08231',
+  decimals: '0x313ce567',
+  symbol: '0x95d89b41',
+  name: '0x06fdde03',
+  tokenOfOwnerByIndex: '0x2f745c59'
+};
+
+/**
+ * ABI-encode a static argument (address or uint256) as a 32 byte word
+ * @private
+ */
+function encodeWord(value) {
+  const hex = typeof value === 'bigint' || typeof value === 'number'
+    ? BigInt(value).toString(16)
+    : value.replace(/^0x/, '').toLowerCase();
+  return hex.padStart(64, '0');
+}
+
+/**
+ * Decode a uint256 return value
+ * @private
+ */
+function decodeUint(data) {
+  return data && data !== '0x' ? BigInt(data.slice(0, 66)) : 0n;
+}
+
+/**
+ * Decode a string return value, accepting the bytes32 strings of older tokens
+ * @private
+ */
+function decodeString(data) {
+  const hex = (data || '').replace(/^0x/, '');
+  if (!hex) {
+    return null;
+  }
+  if (hex.length === 64) {
+    return Buffer.from(hex, 'hex').toString('utf8').replace(/\0+$/, '') || null;
+  }
+  const offset = Number(BigInt(`0x${hex.slice(0, 64)}`)) * 2;
+  const length = Number(BigInt(`0x${hex.slice(offset, offset + 64)}`)) * 2;
+  return Buffer.from(hex.slice(offset + 64, offset + 64 + length), 'hex').toString('utf8') || null;
+}
+
+/**
+ * Check whether a call failed in the contract (revert, invalid opcode, no such
+ * function) rather than on the way to the node
+ * @private
+ */
+function isExecutionError(error) {
+  return error instanceof JsonRpcError && (error.code === 3 || /revert|execution|invalid opcode/i.test(error.message));
+}
+
+/**
+ * Reads the native balance and the balances of listed ERC-20 tokens and
+ * ERC-721 collections of an address.
+ *
+ * JSON-RPC cannot enumerate the tokens an address holds, so only the tokens of
+ * the token list (plus any contract passed with the request) are checked. Token
+ * metadata missing from the list is read from the contract and remembered.
+ */
+export class EvmProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.chain - Chain name ("ethereum", "binance", ...)
+   * @param {string} options.rpcUrl - JSON-RPC URL (public endpoint or local anvil node)
+   * @param {Object} options.native - Native asset ({ symbol, name, decimals, coingeckoId })
+   * @param {Array<Object>} [options.tokens] - Tokens and collections to check
+   * @param {number} [options.maxNftsPerCollection] - Token ids listed per collection
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options) {
+    this.chain = options.chain;
+    this.rpc = new JsonRpcClient(options.rpcUrl, { timeout: options.timeout });
+    this.native = options.native;
+    this.tokens = options.tokens || [];
+    this.maxNftsPerCollection = options.maxNftsPerCollection || 10;
+    this.metadata = new Map();
+  }
+
+  /**
+   * Get the holdings of an address
+   * @param {string} address - 0x prefixed address
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @param {string[]} [options.contracts] - Extra ERC-20 contracts to check
+   * @returns {Promise<Object>} Native balance, token balances and NFTs
+   */
+  async getPortfolio(address, options = {}) {
+    const contracts = [
+      ...this.tokens,
+      ...(options.contracts || [])
+        .filter(contract => !this.tokens.some(token => token.address.toLowerCase() === contract.toLowerCase()))
+        .map(contract => ({ address: contract }))
+    ];
+
+    const [balance, holdings] = await Promise.all([
+      this.rpc.request('eth_getBalance', [address, 'latest'], options),
+      mapWithConcurrency(contracts, 8, async token => {
+        try {
+          return { token, raw: decodeUint(await this.call(token.address, SELECTORS.balanceOf + encodeWord(address), options)) };
+        } catch (error) {
+          // Contract missing on this node (e.g. a local anvil chain) or not a token
+          if (isExecutionError(error)) {
+            return { token, raw: 0n };
+          }
+          throw error;
+        }
+      })
+    ]);
+
+    const tokens = [];
+    const nfts = [];
+    for (const { token, raw } of holdings.filter(holding => holding.raw > 0n)) {
+      if (token.standard === 'erc721') {
+        nfts.push(...await this.listNfts(token, address, raw, options));
+        continue;
+      }
+
+      const meta = await this.resolveMetadata(token, options);
+      tokens.push({
+        address: token.address,
+        symbol: meta.symbol,
+        name: meta.name,
+        decimals: meta.decimals,
+        raw: raw.toString(),
+        amount: formatUnits(raw, meta.decimals),
+        coingeckoId: token.coingeckoId || null
+      });
+    }
+
+    return {
+      chain: this.chain,
+      address,
+      native: {
+        ...this.native,
+        raw: BigInt(balance).toString(),
+        amount: formatUnits(BigInt(balance), this.native.decimals)
+      },
+      tokens,
+      nfts
+    };
+  }
+
+  /**
+   * Run a read-only contract call
+   * @private
+   */
+  call(to, data, options) {
+    return this.rpc.request('eth_call', [{ to, data }, 'latest'], options);
+  }
+
+  /**
+   * Fill in the decimals, symbol and name of a token from its contract
+   * @private
+   */
+  async resolveMetadata(token, options) {
+    const key = token.address.toLowerCase();
+    if (!this.metadata.has(key)) {
+      const read = async (selector, decode) => {
+        try {
+          return decode(await this.call(token.address, selector, options));
+        } catch (error) {
+          if (isExecutionError(error)) {
+            return null;
+          }
+          throw error;
+        }
+      };
+      const [decimals, symbol, name] = await Promise.all([
+        token.decimals !== undefined ? token.decimals : read(SELECTORS.decimals, data => Number(decodeUint(data))),
+        token.symbol || read(SELECTORS.symbol, decodeString),
+        token.name || read(SELECTORS.name, decodeString)
+      ]);
+      this.metadata.set(key, { decimals: decimals === null ? 18 : decimals, symbol, name });
+    }
+    return this.metadata.get(key);
+  }
+
+  /**
+   * List the token ids held in a collection (requires ERC721Enumerable, otherwise only the count is known)
+   * @private
+   */
+  async listNfts(collection, address, count, options) {
+    const nft = { address: collection.address, collection: collection.name || collection.symbol || null };
+    const limit = Math.min(Number(count), this.maxNftsPerCollection);
+    const tokenIds = [];
+
+    for (let index = 0; index < limit; index++) {
+      try {
+        const data = await this.call(collection.address, SELECTORS.tokenOfOwnerByIndex + encodeWord(address) + encodeWord(index), options);
+        tokenIds.push(decodeUint(data).toString());
+      } catch (error) {
+        if (!isExecutionError(error)) {
+          throw error;
+        }
+        break;
+      }
+    }
+
+    if (tokenIds.length === 0) {
+      return [{ ...nft, tokenId: null, count: Number(count) }];
+    }
+    return tokenIds.map(tokenId => ({ ...nft, tokenId }));
+  }
+}
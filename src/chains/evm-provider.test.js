@@ -0,0 +1,168 @@
+import { EvmProvider } from './evm-provider.js';
+import { NATIVE_ASSETS } from './token-lists.js';
+import { startJsonRpcServer } from './fixtures/json-rpc-server.js';
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const APES = '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D';
+const UNLISTED = '0x2222222222222222222222222222222222222222';
+const NOT_A_TOKEN = '0x3333333333333333333333333333333333333333';
+
+/**
+ * ABI-encode a uint256 return value
+ */
+const uint = value => `0x${BigInt(value).toString(16).padStart(64, '0')}`;
+
+/**
+ * ABI-encode a string return value
+ */
+function abiString(text) {
+  const hex = Buffer.from(text, 'utf8').toString('hex');
+  return `0x${uint(32).slice(2)}${uint(text.length).slice(2)}${hex.padEnd(64, '0')}`;
+}
+
+const revert = () => {
+  throw { code: 3, message: 'execution reverted', data: '0x' };
+};
+
+/**
+ * eth_call answers per contract and function selector
+ */
+const CONTRACTS = {
+  [USDC.toLowerCase()]: { '0x70a08231': () => uint(2500000) },
+  [APES.toLowerCase()]: {
+    '0x70a08231': () => uint(2),
+    '0x2f745c59': data => uint(BigInt(`0x${data.slice(-64)}`) + 100n)
+  },
+  [UNLISTED]: {
+    '0x70a08231': () => uint(10n ** 18n),
+    '0x313ce567': () => uint(18),
+    '0x95d89b41': () => abiString('PEPE'),
+    '0x06fdde03': () => abiString('Pepe')
+  }
+};
+
+function ethCall([{ to, data }]) {
+  const contract = CONTRACTS[to.toLowerCase()];
+  const answer = contract && contract[data.slice(0, 10)];
+  return answer ? answer(data) : revert();
+}
+
+describe('EvmProvider', () => {
+  let node;
+
+  afterEach(async () => {
+    await node.close();
+  });
+
+  function createProvider() {
+    return new EvmProvider({
+      chain: 'ethereum',
+      rpcUrl: node.url,
+      native: NATIVE_ASSETS.ethereum,
+      tokens: [
+        { address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6, coingeckoId: 'usd-coin' },
+        { address: APES, symbol: 'BAYC', name: 'Bored Ape Yacht Club', standard: 'erc721' },
+        { address: NOT_A_TOKEN, symbol: 'GONE', decimals: 18 }
+      ]
+    });
+  }
+
+  test('reads the native balance, listed tokens and NFTs of an address', async () => {
+    node = await startJsonRpcServer({ eth_getBalance: () => '0x14d1120d7b160000', eth_call: ethCall });
+
+    const portfolio = await createProvider().getPortfolio(OWNER);
+
+    expect(portfolio).toEqual({
+      chain: 'ethereum',
+      address: OWNER,
+      native: { ...NATIVE_ASSETS.ethereum, raw: '1500000000000000000', amount: '1.5' },
+      tokens: [
+        { address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6, raw: '2500000', amount: '2.5', coingeckoId: 'usd-coin' }
+      ],
+      nfts: [
+        { address: APES, collection: 'Bored Ape Yacht Club', tokenId: '100' },
+        { address: APES, collection: 'Bored Ape Yacht Club', tokenId: '101' }
+      ]
+    });
+    expect(node.calls('eth_getBalance')).toEqual([[OWNER, 'latest']]);
+  });
+
+  test('reads the metadata of unlisted contracts once', async () => {
+    node = await startJsonRpcServer({ eth_getBalance: () => '0x0', eth_call: ethCall });
+    const provider = createProvider();
+
+    const first = await provider.getPortfolio(OWNER, { contracts: [UNLISTED, USDC.toLowerCase()] });
+    await provider.getPortfolio(OWNER, { contracts: [UNLISTED] });
+
+    expect(first.tokens).toContainEqual({
+      address: UNLISTED, symbol: 'PEPE', name: 'Pepe', decimals: 18, raw: '1000000000000000000', amount: '1', coingeckoId: null
+    });
+    expect(first.tokens.filter(token => token.symbol === 'USDC')).toHaveLength(1);
+    const metadataCalls = node.calls('eth_call').filter(([call]) => call.to === UNLISTED && !call.data.startsWith('0x70a08231'));
+    expect(metadataCalls).toHaveLength(3);
+  });
+
+  test('treats a reverting balanceOf as holding none of the token', async () => {
+    node = await startJsonRpcServer({ eth_getBalance: () => '0x0', eth_call: ethCall });
+
+    const portfolio = await createProvider().getPortfolio(OWNER);
+
+    expect(portfolio.tokens.map(token => token.address)).not.toContain(NOT_A_TOKEN);
+  });
+
+  test('also treats a revert reported as a server error as holding none of the token', async () => {
+    node = await startJsonRpcServer({
+      eth_getBalance: () => '0x0',
+      eth_call: ([call]) => {
+        if (call.to === NOT_A_TOKEN) {
+          throw { code: -32000, message: 'execution reverted' };
+        }
+        return ethCall([call]);
+      }
+    });
+
+    const portfolio = await createProvider().getPortfolio(OWNER);
+
+    expect(portfolio.tokens.map(token => token.symbol)).toEqual(['USDC']);
+  });
+
+  test('fails when the node cannot be reached for a token balance', async () => {
+    node = await startJsonRpcServer({
+      eth_getBalance: () => '0x0',
+      eth_call: ([call]) => (call.to === USDC ? null : ethCall([call]))
+    });
+
+    await expect(createProvider().getPortfolio(OWNER)).rejects.toThrow('socket hang up');
+  });
+
+  test('fails on node errors other than a revert', async () => {
+    node = await startJsonRpcServer({
+      eth_getBalance: () => '0x0',
+      eth_call: () => {
+        throw { code: -32005, message: 'limit exceeded' };
+      }
+    });
+
+    await expect(createProvider().getPortfolio(OWNER)).rejects.toMatchObject({ name: 'JsonRpcError', code: -32005 });
+  });
+
+  test('fails when cancelled instead of reporting empty balances', async () => {
+    node = await startJsonRpcServer({ eth_getBalance: () => '0x0', eth_call: ethCall });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(createProvider().getPortfolio(OWNER, { signal: controller.signal })).rejects.toThrow('canceled');
+  });
+
+  test('lists the count of a collection that cannot enumerate its token ids', async () => {
+    node = await startJsonRpcServer({
+      eth_getBalance: () => '0x0',
+      eth_call: ([call]) => (call.to === APES && call.data.startsWith('0x70a08231') ? uint(3) : revert())
+    });
+
+    const portfolio = await createProvider().getPortfolio(OWNER);
+
+    expect(portfolio.nfts).toEqual([{ address: APES, collection: 'Bored Ape Yacht Club', tokenId: null, count: 3 }]);
+  });
+});
@@ -0,0 +1,76 @@
+// Local HTTP server standing in for JSON-RPC nodes and price APIs in the chain provider tests
+import http from 'http';
+
+/**
+ * Start a server answering JSON requests
+ * @param {Function} handler - Receives `{ method, path, query, body }` and returns the
+ *   response body, `{ status, body, headers }` for another status, or null to drop the connection
+ * @returns {Promise<Object>} `{ url, requests, close() }`
+ */
+export function startJsonServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body: raw ? JSON.parse(raw) : null
+      };
+      requests.push(request);
+
+      const answer = await handler(request);
+      if (answer === null) {
+        req.socket.destroy();
+        return;
+      }
+      const { status, body, headers } = answer && answer.status ? answer : { status: 200, body: answer };
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Start a JSON-RPC node serving the given methods. A method throwing an object
+ * with a code answers with that JSON-RPC error; a method returning null drops the connection.
+ * @param {Object<string, Function>} methods - Handler per method, called with the params
+ * @returns {Promise<Object>} `{ url, requests, calls(method), close() }`
+ */
+export async function startJsonRpcServer(methods) {
+  const node = await startJsonServer(async ({ body }) => {
+    const method = methods[body.method];
+    if (!method) {
+      return { jsonrpc: '2.0', id: body.id, error: { code: -32601, message: 'Method not found' } };
+    }
+    try {
+      const result = await method(body.params);
+      return result === null ? null : { jsonrpc: '2.0', id: body.id, result };
+    } catch (error) {
+      if (error.code === undefined) {
+        throw error;
+      }
+      return { jsonrpc: '2.0', id: body.id, error: { code: error.code, message: error.message, data: error.data } };
+    }
+  });
+  node.calls = method => node.requests.filter(request => request.body.method === method).map(request => request.body.params);
+  return node;
+}
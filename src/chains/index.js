@@ -0,0 +1,146 @@
+// Chain, price, trending and security providers backing the wallet-balance, trending-tokens and rugcheck tools
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SolanaProvider } from './solana-provider.js';
+import { EvmProvider } from './evm-provider.js';
+import { CoinGeckoPriceProvider, StaticPriceProvider } from './price-providers.js';
+import { NATIVE_ASSETS, loadTokenList } from './token-lists.js';
+import {
+  BirdeyeTrendingProvider,
+  DexScreenerTrendingProvider,
+  CoinGeckoTrendingProvider,
+  FixtureTrendingProvider
+} from './trending-providers.js';
+import { SolanaSecurityProvider, GoPlusSecurityProvider } from './security-providers.js';
+
+export { SolanaProvider, EvmProvider, CoinGeckoPriceProvider, StaticPriceProvider };
+export { JsonRpcClient, JsonRpcError, formatUnits } from './json-rpc.js';
+export { NATIVE_ASSETS, DEFAULT_TOKENS, loadTokenList } from './token-lists.js';
+export {
+  BirdeyeTrendingProvider,
+  DexScreenerTrendingProvider,
+  CoinGeckoTrendingProvider,
+  FixtureTrendingProvider,
+  TRENDING_TIMEFRAMES,
+  trendingScore,
+  rankTrendingTokens
+} from './trending-providers.js';
+export { SolanaSecurityProvider, GoPlusSecurityProvider } from './security-providers.js';
+export { RISK_FACTORS, RISK_LEVELS, scoreRiskReport } from './risk-score.js';
+
+/**
+ * Sample trending data bundled for offline use
+ */
+export const DEFAULT_TRENDING_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'trending-tokens.json');
+
+const DEFAULT_RPC_URLS = {
+  solana: 'https://api.mainnet-beta.solana.com',
+  ethereum: 'https://ethereum-rpc.publicnode.com',
+  binance: 'https://bsc-dataseed.bnb.org'
+};
+
+/**
+ * Create the chain providers from the environment
+ * (SOLANA_RPC_URL, ETHEREUM_RPC_URL and BSC_RPC_URL point them at other nodes,
+ * e.g. a local solana-test-validator or anvil)
+ * @param {Object} [env] - Environment variables
+ * @returns {Object<string, Object>} Provider per chain name
+ */
+export function createChainProviders(env = process.env) {
+  const tokens = loadTokenList(env.WALLET_TOKEN_LIST);
+  const timeout = parseInt(env.CHAIN_RPC_TIMEOUT_MS, 10) || undefined;
+
+  return {
+    solana: new SolanaProvider({
+      rpcUrl: env.SOLANA_RPC_URL || DEFAULT_RPC_URLS.solana,
+      tokens: tokens.solana,
+      das: env.SOLANA_DAS === 'true',
+      timeout
+    }),
+    ethereum: new EvmProvider({
+      chain: 'ethereum',
+      rpcUrl: env.ETHEREUM_RPC_URL || DEFAULT_RPC_URLS.ethereum,
+      native: NATIVE_ASSETS.ethereum,
+      tokens: tokens.ethereum,
+      timeout
+    }),
+    binance: new EvmProvider({
+      chain: 'binance',
+      rpcUrl: env.BSC_RPC_URL || DEFAULT_RPC_URLS.binance,
+      native: NATIVE_ASSETS.binance,
+      tokens: tokens.binance,
+      timeout
+    })
+  };
+}
+
+/**
+ * Create the price provider from the environment
+ * (PRICE_PROVIDER=coingecko by default, "static" with STATIC_PRICES='{"solana": 150}', or "none")
+ * @param {Object} [env] - Environment variables
+ * @returns {Object|null} Price provider, or null to skip USD valuation
+ */
+export function createPriceProvider(env = process.env) {
+  switch (env.PRICE_PROVIDER || 'coingecko') {
+    case 'none':
+      return null;
+    case 'static':
+      try {
+        return new StaticPriceProvider(JSON.parse(env.STATIC_PRICES || '{}'));
+      } catch (error) {
+        throw new Error(`Invalid STATIC_PRICES: ${error.message}`);
+      }
+    case 'coingecko':
+      return new CoinGeckoPriceProvider({ apiUrl: env.COINGECKO_API_URL, apiKey: env.COINGECKO_API_KEY });
+    default:
+      throw new Error(`Unknown price provider "${env.PRICE_PROVIDER}" (expected coingecko, static or none)`);
+  }
+}
+
+/**
+ * Create the trending token provider from the environment
+ * (TRENDING_PROVIDER=birdeye when BIRDEYE_API_KEY is set, dexscreener otherwise;
+ * "coingecko", or "fixture" with TRENDING_FIXTURES pointing to a JSON file)
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Trending provider
+ */
+export function createTrendingProvider(env = process.env) {
+  const name = env.TRENDING_PROVIDER || (env.BIRDEYE_API_KEY ? 'birdeye' : 'dexscreener');
+  switch (name) {
+    case 'birdeye':
+      if (!env.BIRDEYE_API_KEY) {
+        throw new Error('BIRDEYE_API_KEY is required for the birdeye trending provider');
+      }
+      return new BirdeyeTrendingProvider({ apiKey: env.BIRDEYE_API_KEY, apiUrl: env.BIRDEYE_API_URL });
+    case 'dexscreener':
+      return new DexScreenerTrendingProvider({ apiUrl: env.DEXSCREENER_API_URL });
+    case 'coingecko':
+      return new CoinGeckoTrendingProvider({ apiUrl: env.COINGECKO_API_URL, apiKey: env.COINGECKO_API_KEY });
+    case 'fixture':
+      return new FixtureTrendingProvider(env.TRENDING_FIXTURES || DEFAULT_TRENDING_FIXTURES);
+    default:
+      throw new Error(`Unknown trending provider "${name}" (expected birdeye, dexscreener, coingecko or fixture)`);
+  }
+}
+
+/**
+ * Create the token security providers from the environment
+ * (Solana reads SOLANA_RPC_URL and RUGCHECK_API_URL; EVM chains use GoPlus,
+ * with an optional GOPLUS_ACCESS_TOKEN)
+ * @param {Object} [env] - Environment variables
+ * @returns {Object<string, Object>} Security provider per chain name
+ */
+export function createSecurityProviders(env = process.env) {
+  const timeout = parseInt(env.CHAIN_RPC_TIMEOUT_MS, 10) || undefined;
+  const goplus = { apiUrl: env.GOPLUS_API_URL, accessToken: env.GOPLUS_ACCESS_TOKEN, timeout };
+
+  return {
+    solana: new SolanaSecurityProvider({
+      rpcUrl: env.SOLANA_RPC_URL || DEFAULT_RPC_URLS.solana,
+      rugcheckApiUrl: env.RUGCHECK_API_URL,
+      timeout
+    }),
+    ethereum: new GoPlusSecurityProvider({ ...goplus, chain: 'ethereum', chainId: 1 }),
+    binance: new GoPlusSecurityProvider({ ...goplus, chain: 'binance', chainId: 56 })
+  };
+}
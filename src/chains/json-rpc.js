@@ -0,0 +1,76 @@
+// Minimal JSON-RPC 2.0 client used by the chain providers
+import axios from 'axios';
+
+/**
+ * Error returned by a JSON-RPC node
+ */
+export class JsonRpcError extends Error {
+  /**
+   * @param {string} method - Method that failed
+   * @param {Object} error - JSON-RPC error object ({ code, message, data })
+   */
+  constructor(method, error) {
+    super(`${method} failed: ${error.message || 'JSON-RPC error'}`);
+    this.name = 'JsonRpcError';
+    this.code = error.code;
+    this.data = error.data;
+  }
+}
+
+/**
+ * JSON-RPC client for a single node URL (mainnet endpoint, local validator, anvil, ...)
+ */
+export class JsonRpcClient {
+  /**
+   * @param {string} url - Node URL
+   * @param {Object} [options] - Client options
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.timeout = options.timeout || 15000;
+    this.nextId = 1;
+  }
+
+  /**
+   * Call a method
+   * @param {string} method - JSON-RPC method
+   * @param {Array|Object} [params] - Method parameters
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<any>} Method result
+   * @throws {JsonRpcError} If the node returns an error
+   */
+  async request(method, params = [], options = {}) {
+    const response = await axios.post(this.url, {
+      jsonrpc: '2.0',
+      id: this.nextId++,
+      method,
+      params
+    }, {
+      timeout: this.timeout,
+      signal: options.signal,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (response.data.error) {
+      throw new JsonRpcError(method, response.data.error);
+    }
+    return response.data.result;
+  }
+}
+
+/**
+ * Format an integer amount in base units as a decimal string
+ * @param {bigint|string|number} amount - Amount in base units (wei, lamports, ...)
+ * @param {number} decimals - Number of decimals of the asset
+ * @returns {string} Decimal amount without trailing zeros
+ */
+export function formatUnits(amount, decimals) {
+  const value = BigInt(amount);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
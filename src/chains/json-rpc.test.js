@@ -0,0 +1,60 @@
+import { JsonRpcClient, JsonRpcError, formatUnits } from './json-rpc.js';
+import { startJsonRpcServer } from './fixtures/json-rpc-server.js';
+
+describe('JsonRpcClient', () => {
+  let node;
+
+  beforeEach(async () => {
+    node = await startJsonRpcServer({
+      eth_blockNumber: () => '0x10',
+      eth_call: () => {
+        throw { code: 3, message: 'execution reverted', data: '0x' };
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await node.close();
+  });
+
+  test('posts JSON-RPC 2.0 requests and resolves to the result', async () => {
+    const rpc = new JsonRpcClient(node.url);
+
+    expect(await rpc.request('eth_blockNumber')).toBe('0x10');
+    expect(await rpc.request('eth_blockNumber', ['latest'])).toBe('0x10');
+    expect(node.requests.map(request => request.body)).toEqual([
+      { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] },
+      { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: ['latest'] }
+    ]);
+  });
+
+  test('throws node errors as JsonRpcError with their code and data', async () => {
+    const rpc = new JsonRpcClient(node.url);
+
+    const error = await rpc.request('eth_call', [{ to: '0x1', data: '0x' }, 'latest']).catch(error => error);
+
+    expect(error).toBeInstanceOf(JsonRpcError);
+    expect(error).toMatchObject({ message: 'eth_call failed: execution reverted', code: 3, data: '0x' });
+    await expect(rpc.request('eth_unknown')).rejects.toMatchObject({ code: -32601 });
+  });
+
+  test('cancels the request when the signal aborts', async () => {
+    const rpc = new JsonRpcClient(node.url);
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(rpc.request('eth_blockNumber', [], { signal: controller.signal })).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+  });
+});
+
+describe('formatUnits', () => {
+  test.each([
+    [1500000000000000000n, 18, '1.5'],
+    ['1000000', 6, '1'],
+    [42, 9, '0.000000042'],
+    [0n, 18, '0'],
+    [-2500n, 3, '-2.5']
+  ])('formats %s with %i decimals as %s', (amount, decimals, expected) => {
+    expect(formatUnits(amount, decimals)).toBe(expected);
+  });
+});
@@ -0,0 +1,97 @@
+// USD price providers used to value wallet holdings
+import axios from 'axios';
+
+// CoinGecko asset platform of each chain, for prices by contract address
+const COINGECKO_PLATFORMS = {
+  solana: 'solana',
+  ethereum: 'ethereum',
+  binance: 'binance-smart-chain'
+};
+
+/**
+ * Price provider interface: `getUsdPrices(chain, assets)` receives assets
+ * `{ key, coingeckoId?, address? }` and resolves to `{ [key]: usdPrice }`,
+ * leaving out the assets it cannot price.
+ */
+
+/**
+ * Prices from the CoinGecko API, by CoinGecko id or by contract address
+ */
+export class CoinGeckoPriceProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.apiUrl] - API base URL
+   * @param {string} [options.apiKey] - Demo or Pro API key
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.apiKey = options.apiKey;
+    this.http = axios.create({
+      baseURL: options.apiUrl || 'https://api.coingecko.com/api/v3',
+      timeout: options.timeout || 10000,
+      headers: options.apiKey ? { 'x-cg-demo-api-key': options.apiKey } : {}
+    });
+  }
+
+  async getUsdPrices(chain, assets, options = {}) {
+    const prices = {};
+    const byId = assets.filter(asset => asset.coingeckoId);
+    const byAddress = assets.filter(asset => !asset.coingeckoId && asset.address);
+
+    if (byId.length > 0) {
+      const response = await this.http.get('/simple/price', {
+        params: { ids: [...new Set(byId.map(asset => asset.coingeckoId))].join(','), vs_currencies: 'usd' },
+        signal: options.signal
+      });
+      byId.forEach(asset => {
+        const price = response.data[asset.coingeckoId];
+        if (price && typeof price.usd === 'number') {
+          prices[asset.key] = price.usd;
+        }
+      });
+    }
+
+    const platform = COINGECKO_PLATFORMS[chain];
+    if (platform && byAddress.length > 0) {
+      const response = await this.http.get(`/simple/token_price/${platform}`, {
+        params: { contract_addresses: byAddress.map(asset => asset.address).join(','), vs_currencies: 'usd' },
+        signal: options.signal
+      });
+      // EVM addresses come back lowercased
+      const lookup = new Map(Object.entries(response.data).map(([address, price]) => [address.toLowerCase(), price]));
+      byAddress.forEach(asset => {
+        const price = lookup.get(asset.address.toLowerCase());
+        if (price && typeof price.usd === 'number') {
+          prices[asset.key] = price.usd;
+        }
+      });
+    }
+
+    return prices;
+  }
+}
+
+/**
+ * Fixed prices keyed by CoinGecko id or address, for local chains and offline use
+ */
+export class StaticPriceProvider {
+  /**
+   * @param {Object<string, number>} prices - USD price per CoinGecko id or token address
+   */
+  constructor(prices = {}) {
+    this.name = 'static';
+    this.prices = new Map(Object.entries(prices).map(([key, price]) => [key.toLowerCase(), price]));
+  }
+
+  async getUsdPrices(chain, assets) {
+    const prices = {};
+    assets.forEach(asset => {
+      const price = this.prices.get((asset.coingeckoId || '').toLowerCase()) ?? this.prices.get((asset.address || '').toLowerCase());
+      if (typeof price === 'number') {
+        prices[asset.key] = price;
+      }
+    });
+    return prices;
+  }
+}
@@ -0,0 +1,77 @@
+import { CoinGeckoPriceProvider, StaticPriceProvider } from './price-providers.js';
+import { createPriceProvider } from './index.js';
+import { startJsonServer } from './fixtures/json-rpc-server.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+describe('CoinGeckoPriceProvider', () => {
+  let api;
+
+  beforeEach(async () => {
+    api = await startJsonServer(({ path }) => {
+      if (path === '/simple/price') {
+        return { ethereum: { usd: 3000 }, 'usd-coin': { usd: 1 } };
+      }
+      if (path === '/simple/token_price/ethereum') {
+        return { [USDC.toLowerCase()]: { usd: 0.999 } };
+      }
+      return { status: 404, body: { error: 'not found' } };
+    });
+  });
+
+  afterEach(async () => {
+    await api.close();
+  });
+
+  test('prices assets by CoinGecko id and by contract address', async () => {
+    const provider = new CoinGeckoPriceProvider({ apiUrl: api.url, apiKey: 'demo-key' });
+
+    const prices = await provider.getUsdPrices('ethereum', [
+      { key: 'native', coingeckoId: 'ethereum' },
+      { key: 'stable', coingeckoId: 'usd-coin' },
+      { key: 'usdc', address: USDC },
+      { key: 'unknown', coingeckoId: 'unknown-coin' }
+    ]);
+
+    expect(prices).toEqual({ native: 3000, stable: 1, usdc: 0.999 });
+    expect(api.requests.map(request => [request.path, request.query])).toEqual([
+      ['/simple/price', { ids: 'ethereum,usd-coin,unknown-coin', vs_currencies: 'usd' }],
+      ['/simple/token_price/ethereum', { contract_addresses: USDC, vs_currencies: 'usd' }]
+    ]);
+  });
+
+  test('skips address lookups on chains CoinGecko has no platform for', async () => {
+    const provider = new CoinGeckoPriceProvider({ apiUrl: api.url });
+
+    expect(await provider.getUsdPrices('localnet', [{ key: 'token', address: USDC }])).toEqual({});
+    expect(api.requests).toEqual([]);
+  });
+
+  test('fails when the API answers with an error', async () => {
+    const provider = new CoinGeckoPriceProvider({ apiUrl: `${api.url}/missing` });
+
+    await expect(provider.getUsdPrices('ethereum', [{ key: 'native', coingeckoId: 'ethereum' }])).rejects.toThrow('status code 404');
+  });
+});
+
+describe('StaticPriceProvider', () => {
+  test('prices assets by CoinGecko id, then by address, ignoring case', async () => {
+    const provider = new StaticPriceProvider({ solana: 150, [USDC.toLowerCase()]: 1 });
+
+    expect(await provider.getUsdPrices('ethereum', [
+      { key: 'sol', coingeckoId: 'SOLANA' },
+      { key: 'usdc', address: USDC },
+      { key: 'other', coingeckoId: 'other' }
+    ])).toEqual({ sol: 150, usdc: 1 });
+  });
+});
+
+describe('createPriceProvider', () => {
+  test('creates the provider named by PRICE_PROVIDER', () => {
+    expect(createPriceProvider({})).toBeInstanceOf(CoinGeckoPriceProvider);
+    expect(createPriceProvider({ PRICE_PROVIDER: 'none' })).toBeNull();
+    expect(createPriceProvider({ PRICE_PROVIDER: 'static', STATIC_PRICES: '{"solana": 150}' })).toBeInstanceOf(StaticPriceProvider);
+    expect(() => createPriceProvider({ PRICE_PROVIDER: 'static', STATIC_PRICES: '{' })).toThrow('Invalid STATIC_PRICES');
+    expect(() => createPriceProvider({ PRICE_PROVIDER: 'oracle' })).toThrow('Unknown price provider "oracle"');
+  });
+});
@@ -0,0 +1,123 @@
+// Weighted, explainable risk score of a token security report
+
+/**
+ * Scale a value linearly from 0 at `low` to 1 at `high`, clamped
+ * @private
+ */
+function ramp(value, low, high) {
+  return Math.min(Math.max((value - low) / (high - low), 0), 1);
+}
+
+/**
+ * Risk factors and their weights (out of 100). Each `severity(report)` returns
+ * 0 (no risk) to 1 (full weight), or null when the report lacks the data.
+ * The same factors apply to every chain; the report fields behind them are
+ * filled in per chain by the security providers.
+ */
+export const RISK_FACTORS = [
+  {
+    id: 'mint_authority',
+    label: 'Supply can be increased',
+    weight: 20,
+    severity: report => report.authorities.mint.enabled === null ? null : Number(report.authorities.mint.enabled)
+  },
+  {
+    id: 'freeze_authority',
+    label: 'Holders can be frozen or blocked',
+    weight: 15,
+    severity: report => report.authorities.freeze.enabled === null ? null : Number(report.authorities.freeze.enabled)
+  },
+  {
+    id: 'lp_unlocked',
+    label: 'Liquidity can be withdrawn',
+    weight: 20,
+    // Fully unlocked LP is full risk; burned LP counts as locked
+    severity: report => report.liquidity.lpLockedPct === null ? null : 1 - report.liquidity.lpLockedPct / 100
+  },
+  {
+    id: 'top_holder',
+    label: 'Largest holder share',
+    weight: 10,
+    // 5% or less is normal, 30% or more can crash the price alone
+    severity: report => report.holders.topHolderPct === null ? null : ramp(report.holders.topHolderPct, 5, 30)
+  },
+  {
+    id: 'holder_concentration',
+    label: 'Top 10 holders share',
+    weight: 15,
+    severity: report => report.holders.top10Pct === null ? null : ramp(report.holders.top10Pct, 20, 80)
+  },
+  {
+    id: 'low_liquidity',
+    label: 'Thin liquidity',
+    weight: 10,
+    // Log scale from $1k (full risk) to $250k (none)
+    severity: report => report.liquidity.usd === null ? null : 1 - ramp(Math.log10(Math.max(report.liquidity.usd, 1)), 3, Math.log10(250000))
+  },
+  {
+    id: 'honeypot',
+    label: 'Selling is blocked or taxed',
+    weight: 10,
+    critical: true,
+    // A detected honeypot is full risk; otherwise a 50% sell tax or transfer fee is
+    severity: report => {
+      if (report.honeypot.detected === null) {
+        return null;
+      }
+      return report.honeypot.detected ? 1 : ramp(report.honeypot.sellTax || 0, 0, 50);
+    }
+  }
+];
+
+/**
+ * Risk levels by score, checked in order
+ */
+export const RISK_LEVELS = [
+  { risk: 'low', below: 20 },
+  { risk: 'medium', below: 45 },
+  { risk: 'high', below: 70 },
+  { risk: 'critical', below: Infinity }
+];
+
+/**
+ * Score a token security report.
+ *
+ * The score runs from 0 (no risk found) to 100. It is the weighted sum of the
+ * factor severities, rescaled to the weight of the factors that had data, so a
+ * missing data source does not lower the score; `coverage` is that share of the
+ * total weight. Factor contributions add up to the score. A critical factor at
+ * full severity (a honeypot) makes the risk "critical" whatever the score.
+ * @param {Object} report - Normalized report from a security provider
+ * @returns {{ score: number|null, risk: string, coverage: number, factors: Array<Object> }} Score and its breakdown
+ */
+export function scoreRiskReport(report) {
+  const evaluated = RISK_FACTORS.map(factor => {
+    const severity = factor.severity(report);
+    return { factor, severity: severity === null || Number.isNaN(severity) ? null : severity };
+  });
+  const knownWeight = evaluated
+    .filter(({ severity }) => severity !== null)
+    .reduce((total, { factor }) => total + factor.weight, 0);
+  const totalWeight = RISK_FACTORS.reduce((total, factor) => total + factor.weight, 0);
+
+  const factors = evaluated.map(({ factor, severity }) => ({
+    id: factor.id,
+    label: factor.label,
+    weight: factor.weight,
+    severity: severity === null ? null : Math.round(severity * 100) / 100,
+    contribution: severity === null ? 0 : Math.round(factor.weight * severity * 1000 / knownWeight) / 10
+  }));
+
+  if (knownWeight === 0) {
+    return { score: null, risk: 'unknown', coverage: 0, factors };
+  }
+
+  const score = Math.round(evaluated.reduce((total, { factor, severity }) => total + factor.weight * (severity || 0), 0) * 100 / knownWeight);
+  const critical = evaluated.some(({ factor, severity }) => factor.critical && severity === 1);
+  return {
+    score,
+    risk: critical ? 'critical' : RISK_LEVELS.find(level => score < level.below).risk,
+    coverage: Math.round(knownWeight * 100 / totalWeight) / 100,
+    factors
+  };
+}
@@ -0,0 +1,70 @@
+import { scoreRiskReport, RISK_FACTORS } from './risk-score.js';
+
+/**
+ * Security report with no data, overridden per test
+ */
+function report(overrides = {}) {
+  return {
+    authorities: { mint: { enabled: null }, freeze: { enabled: null }, ...overrides.authorities },
+    liquidity: { lpLockedPct: null, usd: null, ...overrides.liquidity },
+    holders: { topHolderPct: null, top10Pct: null, ...overrides.holders },
+    honeypot: { detected: null, sellTax: null, ...overrides.honeypot }
+  };
+}
+
+const SAFE = {
+  authorities: { mint: { enabled: false }, freeze: { enabled: false } },
+  liquidity: { lpLockedPct: 100, usd: 250000 },
+  holders: { topHolderPct: 5, top10Pct: 20 },
+  honeypot: { detected: false, sellTax: 0 }
+};
+
+describe('scoreRiskReport', () => {
+  test('scores a token without risk factors as low risk', () => {
+    const result = scoreRiskReport(report(SAFE));
+
+    expect(result).toMatchObject({ score: 0, risk: 'low', coverage: 1 });
+    expect(result.factors.map(factor => factor.id)).toEqual(RISK_FACTORS.map(factor => factor.id));
+  });
+
+  test('breaks the score down into factor contributions', () => {
+    const result = scoreRiskReport(report({
+      authorities: { mint: { enabled: true }, freeze: { enabled: false } },
+      liquidity: { lpLockedPct: 50, usd: 1000 },
+      holders: { topHolderPct: 17.5, top10Pct: 50 },
+      honeypot: { detected: false, sellTax: 25 }
+    }));
+
+    expect(result.risk).toBe('high');
+    expect(result.score).toBe(58);
+    expect(Object.fromEntries(result.factors.map(factor => [factor.id, factor.contribution]))).toEqual({
+      mint_authority: 20,
+      freeze_authority: 0,
+      lp_unlocked: 10,
+      top_holder: 5,
+      holder_concentration: 7.5,
+      low_liquidity: 10,
+      honeypot: 5
+    });
+  });
+
+  test('rescales the score to the factors that had data', () => {
+    const result = scoreRiskReport(report({
+      authorities: { mint: { enabled: true }, freeze: { enabled: false } }
+    }));
+
+    // Only the authorities are known: 20 of their 35 points
+    expect(result).toMatchObject({ score: 57, risk: 'high', coverage: 0.35 });
+    expect(result.factors.find(factor => factor.id === 'top_holder')).toMatchObject({ severity: null, contribution: 0 });
+  });
+
+  test('rates a detected honeypot critical whatever the score', () => {
+    const result = scoreRiskReport(report({ ...SAFE, honeypot: { detected: true } }));
+
+    expect(result).toMatchObject({ score: 10, risk: 'critical' });
+  });
+
+  test('cannot score a report without data', () => {
+    expect(scoreRiskReport(report())).toMatchObject({ score: null, risk: 'unknown', coverage: 0 });
+  });
+});
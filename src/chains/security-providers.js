@@ -0,0 +1,336 @@
+// Token security providers backing the rugcheck tool
+import axios from 'axios';
+import { JsonRpcClient, formatUnits } from './json-rpc.js';
+
+/**
+ * Security provider interface: `getTokenReport(address, options)` resolves to a
+ * normalized report, with null for anything the sources do not cover:
+ *
+ *   token       { address, chain, symbol, name, decimals, supply }
+ *   authorities { mint: { enabled, address }, freeze: { enabled, address } }
+ *   liquidity   { usd, lpLockedPct }
+ *   holders     { count, topHolderPct, top10Pct, top: [{ address, pct, label, excluded }] }
+ *   honeypot    { detected, buyTax, sellTax, indicators: [string] }
+ *   sources     [string]
+ *
+ * Percentages are 0-100. Holders that are pools, lockers or burn addresses are
+ * listed with `excluded: true` and left out of the concentration figures.
+ */
+
+// Token accounts of these owners hold burned supply
+const SOLANA_BURN_ADDRESSES = ['1nc1nerator11111111111111111111111111111111'];
+const EVM_BURN_ADDRESSES = ['0x0000000000000000000000000000000000000000', '0x000000000000000000000000000000000000dead'];
+
+/**
+ * Parse an optional number from an API response
+ * @private
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Round a percentage to two decimals
+ * @private
+ */
+function roundPct(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Holder concentration figures, leaving out excluded holders
+ * @private
+ */
+function summarizeHolders(top, count = null) {
+  const counted = top.filter(holder => !holder.excluded);
+  return {
+    count,
+    topHolderPct: counted.length > 0 ? roundPct(counted[0].pct) : null,
+    top10Pct: counted.length > 0 ? roundPct(counted.slice(0, 10).reduce((total, holder) => total + holder.pct, 0)) : null,
+    top: top.map(holder => ({ ...holder, pct: roundPct(holder.pct) }))
+  };
+}
+
+/**
+ * Solana token checks. Authorities, Token-2022 extensions and the largest
+ * holders are read on-chain over JSON-RPC. Liquidity, LP locks and the pool
+ * and locker accounts among the holders come from the RugCheck.xyz API; when
+ * it is unreachable those fields stay null.
+ */
+export class SolanaSecurityProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.rpcUrl - JSON-RPC URL
+   * @param {string} [options.rugcheckApiUrl] - RugCheck.xyz API base URL
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options) {
+    this.chain = 'solana';
+    this.rpc = new JsonRpcClient(options.rpcUrl, { timeout: options.timeout });
+    this.http = axios.create({
+      baseURL: options.rugcheckApiUrl || 'https://api.rugcheck.xyz/v1',
+      timeout: options.timeout || 10000
+    });
+  }
+
+  async getTokenReport(mint, options = {}) {
+    const [account, largest, market] = await Promise.all([
+      this.rpc.request('getAccountInfo', [mint, { encoding: 'jsonParsed', commitment: 'confirmed' }], options),
+      this.rpc.request('getTokenLargestAccounts', [mint, { commitment: 'confirmed' }], options),
+      this.getMarketReport(mint, options)
+    ]);
+
+    const parsed = account.value && account.value.data && account.value.data.parsed;
+    if (!parsed || parsed.type !== 'mint') {
+      throw new Error(`${mint} is not a token mint`);
+    }
+    const info = parsed.info;
+    const extensions = new Map((info.extensions || []).map(extension => [extension.extension, extension.state || {}]));
+    const metadata = extensions.get('tokenMetadata') || {};
+    const tokenMeta = market && market.tokenMeta || {};
+
+    return {
+      token: {
+        address: mint,
+        chain: this.chain,
+        symbol: metadata.symbol || tokenMeta.symbol || null,
+        name: metadata.name || tokenMeta.name || null,
+        decimals: info.decimals,
+        supply: formatUnits(info.supply, info.decimals)
+      },
+      authorities: {
+        mint: { enabled: Boolean(info.mintAuthority), address: info.mintAuthority || null },
+        freeze: { enabled: Boolean(info.freezeAuthority), address: info.freezeAuthority || null }
+      },
+      liquidity: market ? this.summarizeMarkets(market) : { usd: null, lpLockedPct: null },
+      holders: summarizeHolders(await this.resolveHolders(largest.value || [], BigInt(info.supply), market, options)),
+      honeypot: this.checkExtensions(extensions),
+      sources: market ? ['solana-rpc', 'rugcheck.xyz'] : ['solana-rpc']
+    };
+  }
+
+  /**
+   * Fetch the RugCheck.xyz report of a mint, or null when unavailable
+   * @private
+   */
+  async getMarketReport(mint, options) {
+    try {
+      const response = await this.http.get(`/tokens/${mint}/report`, { signal: options.signal });
+      return response.data || null;
+    } catch (error) {
+      console.error('Error fetching RugCheck.xyz market data:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Total liquidity and the share of LP tokens locked or burned, weighted by market liquidity
+   * @private
+   */
+  summarizeMarkets(market) {
+    const markets = (market.markets || []).filter(entry => entry.lp);
+    const sizes = markets.map(entry => (toNumber(entry.lp.baseUSD) || 0) + (toNumber(entry.lp.quoteUSD) || 0));
+    const totalSize = sizes.reduce((total, size) => total + size, 0);
+
+    let lpLockedPct = null;
+    if (markets.length > 0) {
+      lpLockedPct = totalSize > 0
+        ? markets.reduce((total, entry, index) => total + (toNumber(entry.lp.lpLockedPct) || 0) * sizes[index], 0) / totalSize
+        : markets.reduce((total, entry) => total + (toNumber(entry.lp.lpLockedPct) || 0), 0) / markets.length;
+    }
+
+    return {
+      usd: toNumber(market.totalMarketLiquidity) ?? (markets.length > 0 ? totalSize : null),
+      lpLockedPct: roundPct(lpLockedPct)
+    };
+  }
+
+  /**
+   * Group the largest token accounts by owner and label pools, lockers and burn addresses
+   * @private
+   */
+  async resolveHolders(accounts, supply, market, options) {
+    if (accounts.length === 0 || supply === 0n) {
+      return [];
+    }
+
+    const owners = await this.rpc.request('getMultipleAccounts', [
+      accounts.map(account => account.address),
+      { encoding: 'jsonParsed', commitment: 'confirmed' }
+    ], options);
+    const known = market && market.knownAccounts || {};
+
+    const holders = new Map();
+    accounts.forEach((account, index) => {
+      const entry = owners.value && owners.value[index];
+      const owner = entry && entry.data && entry.data.parsed && entry.data.parsed.info.owner || account.address;
+      const holder = holders.get(owner) || { address: owner, raw: 0n };
+      holder.raw += BigInt(account.amount);
+      holders.set(owner, holder);
+    });
+
+    return [...holders.values()]
+      .sort((a, b) => (b.raw > a.raw ? 1 : b.raw < a.raw ? -1 : 0))
+      .map(holder => {
+        const label = known[holder.address] || null;
+        const burned = SOLANA_BURN_ADDRESSES.includes(holder.address);
+        return {
+          address: holder.address,
+          pct: Number(holder.raw * 1000000n / supply) / 10000,
+          label: burned ? 'burn' : label ? `${label.name} (${label.type})` : null,
+          excluded: burned || Boolean(label && ['AMM', 'LOCKER'].includes(label.type))
+        };
+      });
+  }
+
+  /**
+   * Token-2022 extensions that can block or tax selling
+   * @private
+   */
+  checkExtensions(extensions) {
+    const blocking = [];
+    if (extensions.has('permanentDelegate')) {
+      blocking.push('permanent delegate can move or burn any holder\'s tokens');
+    }
+    if (extensions.has('nonTransferable')) {
+      blocking.push('token is non-transferable');
+    }
+    if ((extensions.get('defaultAccountState') || {}).accountState === 'frozen') {
+      blocking.push('new token accounts start frozen');
+    }
+
+    // Reported, but not a honeypot by themselves: hooks can be harmless and fees are scored as a tax
+    const notes = [];
+    if (extensions.has('transferHook')) {
+      notes.push('transfers run a custom transfer hook program');
+    }
+    const fee = extensions.get('transferFeeConfig');
+    const feePct = fee ? (toNumber((fee.newerTransferFee || fee.olderTransferFee || {}).transferFeeBasisPoints) || 0) / 100 : 0;
+    if (feePct > 0) {
+      notes.push(`${feePct}% transfer fee`);
+    }
+
+    return {
+      detected: blocking.length > 0,
+      buyTax: feePct,
+      sellTax: feePct,
+      indicators: [...blocking, ...notes]
+    };
+  }
+}
+
+/**
+ * EVM token checks through the GoPlus token security API, which simulates
+ * trades for honeypot and tax detection and lists the top holders and LP holders.
+ */
+export class GoPlusSecurityProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.chain - Chain name ("ethereum", "binance", ...)
+   * @param {string|number} options.chainId - EVM chain id used by GoPlus
+   * @param {string} [options.apiUrl] - API base URL
+   * @param {string} [options.accessToken] - GoPlus access token, for higher rate limits
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options) {
+    this.chain = options.chain;
+    this.chainId = String(options.chainId);
+    this.http = axios.create({
+      baseURL: options.apiUrl || 'https://api.gopluslabs.io/api/v1',
+      timeout: options.timeout || 15000,
+      headers: options.accessToken ? { Authorization: options.accessToken } : {}
+    });
+  }
+
+  async getTokenReport(address, options = {}) {
+    const response = await this.http.get(`/token_security/${this.chainId}`, {
+      params: { contract_addresses: address },
+      signal: options.signal
+    });
+    if (response.data.code !== 1) {
+      throw new Error(`GoPlus error: ${response.data.message || response.data.code}`);
+    }
+    const data = (response.data.result || {})[address.toLowerCase()];
+    if (!data) {
+      throw new Error(`GoPlus has no data for ${address} on ${this.chain}`);
+    }
+
+    // GoPlus flags are "1", "0" or missing
+    const flag = name => (data[name] === undefined || data[name] === null || data[name] === '' ? null : String(data[name]) === '1');
+    const anyFlag = (...names) => {
+      const values = names.map(flag);
+      return values.every(value => value === null) ? null : values.some(Boolean);
+    };
+
+    // Owner-only functions are harmless once ownership is renounced, unless it can be taken back
+    const owner = (data.owner_address || '').toLowerCase();
+    const renounced = !owner || EVM_BURN_ADDRESSES.includes(owner);
+    const ownerControl = !renounced || Boolean(anyFlag('hidden_owner', 'can_take_back_ownership'));
+    const mintable = anyFlag('is_mintable', 'owner_change_balance');
+    const pausable = anyFlag('transfer_pausable', 'is_blacklisted');
+    const honeypot = flag('is_honeypot');
+
+    const lpHolders = data.lp_holders || [];
+    const isLocked = holder => String(holder.is_locked) === '1' || EVM_BURN_ADDRESSES.includes((holder.address || '').toLowerCase());
+    const pairs = new Set((data.dex || []).map(dex => (dex.pair || '').toLowerCase()));
+
+    const top = (data.holders || []).map(holder => {
+      const holderAddress = (holder.address || '').toLowerCase();
+      const pool = pairs.has(holderAddress);
+      return {
+        address: holder.address,
+        pct: (toNumber(holder.percent) || 0) * 100,
+        label: holder.tag || (pool ? 'liquidity pool' : null),
+        excluded: pool || isLocked(holder)
+      };
+    });
+
+    const indicators = [
+      ['is_honeypot', 'honeypot: sells fail in simulation'],
+      ['cannot_sell_all', 'holders cannot sell their whole balance'],
+      ['cannot_buy', 'token cannot be bought'],
+      ['transfer_pausable', 'owner can pause transfers'],
+      ['is_blacklisted', 'contract has a blacklist'],
+      ['slippage_modifiable', 'owner can change the trading tax'],
+      ['owner_change_balance', 'owner can change balances'],
+      ['hidden_owner', 'contract has a hidden owner'],
+      ['is_proxy', 'contract is upgradeable (proxy)']
+    ].filter(([name]) => flag(name)).map(([, text]) => text);
+    if (flag('is_open_source') === false) {
+      indicators.push('contract source is not verified');
+    }
+
+    return {
+      token: {
+        address,
+        chain: this.chain,
+        symbol: data.token_symbol || null,
+        name: data.token_name || null,
+        decimals: toNumber(data.decimals),
+        supply: data.total_supply || null
+      },
+      authorities: {
+        mint: { enabled: mintable === null ? null : mintable && ownerControl, address: renounced ? null : data.owner_address },
+        freeze: { enabled: pausable === null ? null : pausable && ownerControl, address: renounced ? null : data.owner_address }
+      },
+      liquidity: {
+        usd: data.dex ? data.dex.reduce((total, dex) => total + (toNumber(dex.liquidity) || 0), 0) : null,
+        lpLockedPct: lpHolders.length > 0
+          ? roundPct(lpHolders.filter(isLocked).reduce((total, holder) => total + (toNumber(holder.percent) || 0), 0) * 100)
+          : null
+      },
+      holders: summarizeHolders(top, toNumber(data.holder_count)),
+      honeypot: {
+        detected: honeypot === null ? null : honeypot || flag('cannot_sell_all') === true,
+        buyTax: toNumber(data.buy_tax) === null ? null : roundPct(toNumber(data.buy_tax) * 100),
+        sellTax: toNumber(data.sell_tax) === null ? null : roundPct(toNumber(data.sell_tax) * 100),
+        indicators
+      },
+      sources: ['goplus']
+    };
+  }
+}
@@ -0,0 +1,131 @@
+// Solana holdings through the Solana JSON-RPC API
+import { JsonRpcClient, formatUnits } from './json-rpc.js';
+import { NATIVE_ASSETS } from './token-lists.js';
+
+const TOKEN_PROGRAMS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // SPL Token
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb' // Token-2022
+];
+
+/**
+ * Reads SOL, SPL token and NFT holdings of an address.
+ *
+ * Token accounts of both token programs are read with `getTokenAccountsByOwner`;
+ * mints holding exactly one indivisible token are reported as NFTs. Mints are
+ * named from the token list, and through the DAS `getAssetBatch` method when
+ * the node supports it (`das` option, e.g. Helius or Triton endpoints).
+ */
+export class SolanaProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.rpcUrl - JSON-RPC URL (mainnet endpoint or local validator)
+   * @param {Array<Object>} [options.tokens] - Known tokens used for metadata
+   * @param {boolean} [options.das] - Resolve unknown mints with the DAS API
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options) {
+    this.chain = 'solana';
+    this.rpc = new JsonRpcClient(options.rpcUrl, { timeout: options.timeout });
+    this.tokens = new Map((options.tokens || []).map(token => [token.address, token]));
+    this.das = Boolean(options.das);
+  }
+
+  /**
+   * Get the holdings of an address
+   * @param {string} address - Base58 account address
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @returns {Promise<Object>} Native balance, token balances and NFTs
+   */
+  async getPortfolio(address, options = {}) {
+    const [balance, ...accountLists] = await Promise.all([
+      this.rpc.request('getBalance', [address, { commitment: 'confirmed' }], options),
+      ...TOKEN_PROGRAMS.map(programId => this.rpc.request('getTokenAccountsByOwner', [
+        address,
+        { programId },
+        { encoding: 'jsonParsed', commitment: 'confirmed' }
+      ], options))
+    ]);
+
+    // An owner may hold several accounts of the same mint
+    const holdings = new Map();
+    accountLists.flatMap(list => list.value || []).forEach(({ account }) => {
+      const info = account.data && account.data.parsed && account.data.parsed.info;
+      if (!info || !info.tokenAmount) {
+        return;
+      }
+      const current = holdings.get(info.mint) || { raw: 0n, decimals: info.tokenAmount.decimals };
+      current.raw += BigInt(info.tokenAmount.amount);
+      holdings.set(info.mint, current);
+    });
+
+    const held = [...holdings.entries()].filter(([, holding]) => holding.raw > 0n);
+    const metadata = await this.resolveMetadata(held.map(([mint]) => mint), options);
+
+    const tokens = [];
+    const nfts = [];
+    held.forEach(([mint, holding]) => {
+      const meta = metadata.get(mint) || {};
+      if (holding.decimals === 0 && holding.raw === 1n) {
+        nfts.push({ address: mint, name: meta.name || null, symbol: meta.symbol || null, collection: meta.collection || null });
+        return;
+      }
+      tokens.push({
+        address: mint,
+        symbol: meta.symbol || null,
+        name: meta.name || null,
+        decimals: holding.decimals,
+        raw: holding.raw.toString(),
+        amount: formatUnits(holding.raw, holding.decimals),
+        coingeckoId: meta.coingeckoId || null
+      });
+    });
+
+    return {
+      chain: this.chain,
+      address,
+      native: {
+        ...NATIVE_ASSETS.solana,
+        raw: String(balance.value),
+        amount: formatUnits(balance.value, NATIVE_ASSETS.solana.decimals)
+      },
+      tokens,
+      nfts
+    };
+  }
+
+  /**
+   * Resolve the name, symbol and collection of mints
+   * @private
+   */
+  async resolveMetadata(mints, options) {
+    const metadata = new Map();
+    const unknown = [];
+    mints.forEach(mint => {
+      if (this.tokens.has(mint)) {
+        metadata.set(mint, this.tokens.get(mint));
+      } else {
+        unknown.push(mint);
+      }
+    });
+
+    if (this.das && unknown.length > 0) {
+      try {
+        const assets = await this.rpc.request('getAssetBatch', { ids: unknown }, options);
+        (assets || []).filter(Boolean).forEach(asset => {
+          const content = asset.content && asset.content.metadata || {};
+          const collection = (asset.grouping || []).find(group => group.group_key === 'collection');
+          metadata.set(asset.id, {
+            name: content.name || null,
+            symbol: content.symbol || (asset.token_info && asset.token_info.symbol) || null,
+            collection: collection ? collection.group_value : null
+          });
+        });
+      } catch (error) {
+        // Nodes without the DAS API: mints stay unnamed
+        console.error('Error resolving Solana token metadata:', error.message);
+      }
+    }
+    return metadata;
+  }
+}
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { SolanaProvider } from './solana-provider.js';
+import { startJsonRpcServer } from './fixtures/json-rpc-server.js';
+
+const OWNER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const MEME = 'MeMe1111111111111111111111111111111111111111';
+const NFT = 'NfT11111111111111111111111111111111111111111';
+const EMPTY = 'EmPty111111111111111111111111111111111111111';
+
+/**
+ * Parsed token account as returned by getTokenAccountsByOwner
+ */
+function tokenAccount(mint, amount, decimals) {
+  return { pubkey: `${mint}-account`, account: { data: { parsed: { info: { mint, tokenAmount: { amount: String(amount), decimals } } } } } };
+}
+
+const TOKEN_ACCOUNTS = {
+  TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: [
+    tokenAccount(USDC, 1500000, 6),
+    tokenAccount(USDC, 500000, 6),
+    tokenAccount(NFT, 1, 0),
+    tokenAccount(EMPTY, 0, 6)
+  ],
+  TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb: [tokenAccount(MEME, 4200, 2)]
+};
+
+const methods = {
+  getBalance: () => ({ context: { slot: 1 }, value: 2500000000 }),
+  getTokenAccountsByOwner: ([, { programId }]) => ({ context: { slot: 1 }, value: TOKEN_ACCOUNTS[programId] })
+};
+
+describe('SolanaProvider', () => {
+  let node;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await node.close();
+    jest.restoreAllMocks();
+  });
+
+  test('adds up the token accounts of both token programs and reports single indivisible tokens as NFTs', async () => {
+    node = await startJsonRpcServer(methods);
+    const provider = new SolanaProvider({ rpcUrl: node.url, tokens: [{ address: USDC, symbol: 'USDC', name: 'USD Coin', coingeckoId: 'usd-coin' }] });
+
+    const portfolio = await provider.getPortfolio(OWNER);
+
+    expect(portfolio.native).toMatchObject({ symbol: 'SOL', raw: '2500000000', amount: '2.5' });
+    expect(portfolio.tokens).toEqual([
+      { address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6, raw: '2000000', amount: '2', coingeckoId: 'usd-coin' },
+      { address: MEME, symbol: null, name: null, decimals: 2, raw: '4200', amount: '42', coingeckoId: null }
+    ]);
+    expect(portfolio.nfts).toEqual([{ address: NFT, name: null, symbol: null, collection: null }]);
+    expect(node.calls('getAssetBatch')).toEqual([]);
+  });
+
+  test('names unknown mints through the DAS API when enabled', async () => {
+    node = await startJsonRpcServer({
+      ...methods,
+      getAssetBatch: ({ ids }) => ids.map(id => (id === NFT
+        ? { id, content: { metadata: { name: 'Mad Lad #1', symbol: 'MAD' } }, grouping: [{ group_key: 'collection', group_value: 'MADcollection' }] }
+        : { id, content: { metadata: { name: 'Meme Coin' } }, token_info: { symbol: 'MEME' } }))
+    });
+    const provider = new SolanaProvider({ rpcUrl: node.url, das: true });
+
+    const portfolio = await provider.getPortfolio(OWNER);
+
+    expect(portfolio.tokens.find(token => token.address === MEME)).toMatchObject({ symbol: 'MEME', name: 'Meme Coin' });
+    expect(portfolio.nfts).toEqual([{ address: NFT, name: 'Mad Lad #1', symbol: 'MAD', collection: 'MADcollection' }]);
+  });
+
+  test('leaves mints unnamed when the node has no DAS API', async () => {
+    node = await startJsonRpcServer(methods);
+    const provider = new SolanaProvider({ rpcUrl: node.url, das: true });
+
+    const portfolio = await provider.getPortfolio(OWNER);
+
+    expect(portfolio.tokens.map(token => token.symbol)).toEqual([null, null]);
+    expect(console.error).toHaveBeenCalledWith('Error resolving Solana token metadata:', 'getAssetBatch failed: Method not found');
+  });
+
+  test('fails when the node cannot be reached', async () => {
+    node = await startJsonRpcServer({ ...methods, getBalance: () => null });
+    const provider = new SolanaProvider({ rpcUrl: node.url });
+
+    await expect(provider.getPortfolio(OWNER)).rejects.toThrow('socket hang up');
+  });
+});
@@ -0,0 +1,71 @@
+// Native assets and well-known tokens of the supported chains
+import fs from 'fs';
+
+/**
+ * Native asset of each chain, with the CoinGecko id used for pricing
+ */
+export const NATIVE_ASSETS = {
+  solana: { symbol: 'SOL', name: 'Solana', decimals: 9, coingeckoId: 'solana' },
+  ethereum: { symbol: 'ETH', name: 'Ether', decimals: 18, coingeckoId: 'ethereum' },
+  binance: { symbol: 'BNB', name: 'BNB', decimals: 18, coingeckoId: 'binancecoin' }
+};
+
+/**
+ * Tokens resolved by name and checked on EVM chains, where JSON-RPC cannot
+ * enumerate the tokens an address holds. `standard` is "erc20" (default) or "erc721".
+ */
+export const DEFAULT_TOKENS = {
+  solana: [
+    { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', name: 'USD Coin', decimals: 6, coingeckoId: 'usd-coin' },
+    { address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', name: 'Tether USD', decimals: 6, coingeckoId: 'tether' },
+    { address: 'So11111111111111111111111111111111111111112', symbol: 'WSOL', name: 'Wrapped SOL', decimals: 9, coingeckoId: 'wrapped-solana' },
+    { address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'BONK', name: 'Bonk', decimals: 5, coingeckoId: 'bonk' },
+    { address: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', symbol: 'JUP', name: 'Jupiter', decimals: 6, coingeckoId: 'jupiter-exchange-solana' }
+  ],
+  ethereum: [
+    { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', name: 'USD Coin', decimals: 6, coingeckoId: 'usd-coin' },
+    { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', name: 'Tether USD', decimals: 6, coingeckoId: 'tether' },
+    { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18, coingeckoId: 'weth' },
+    { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18, coingeckoId: 'dai' },
+    { address: '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D', symbol: 'BAYC', name: 'Bored Ape Yacht Club', standard: 'erc721' },
+    { address: '0xBd3531dA5CF5857e7CfAA92426877b022e612cf8', symbol: 'PPG', name: 'Pudgy Penguins', standard: 'erc721' }
+  ],
+  binance: [
+    { address: '0x55d398326f99059fF775485246999027B3197955', symbol: 'USDT', name: 'Tether USD', decimals: 18, coingeckoId: 'tether' },
+    { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', symbol: 'USDC', name: 'USD Coin', decimals: 18, coingeckoId: 'usd-coin' },
+    { address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', symbol: 'WBNB', name: 'Wrapped BNB', decimals: 18, coingeckoId: 'wbnb' }
+  ]
+};
+
+/**
+ * Load the token list, merging a JSON file of extra tokens over the defaults
+ * @param {string} [filePath] - JSON file shaped like DEFAULT_TOKENS (`{ "<chain>": [token, ...] }`)
+ * @returns {Object<string, Array<Object>>} Tokens per chain
+ */
+export function loadTokenList(filePath) {
+  const tokens = Object.fromEntries(
+    Object.entries(DEFAULT_TOKENS).map(([chain, list]) => [chain, [...list]])
+  );
+  if (!filePath) {
+    return tokens;
+  }
+
+  let extra;
+  try {
+    extra = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid token list ${filePath}: ${error.message}`);
+  }
+
+  for (const [chain, list] of Object.entries(extra)) {
+    const known = tokens[chain] || [];
+    const byAddress = new Map(known.map(token => [token.address.toLowerCase(), token]));
+    (Array.isArray(list) ? list : []).forEach(token => {
+      if (token && token.address) {
+        byAddress.set(token.address.toLowerCase(), { ...byAddress.get(token.address.toLowerCase()), ...token });
+      }
+    });
+    tokens[chain] = [...byAddress.values()];
+  }
+  return tokens;
+}
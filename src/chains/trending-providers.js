@@ -0,0 +1,275 @@
+// Trending token providers used by the trending-tokens tool
+import fs from 'fs';
+import axios from 'axios';
+
+/**
+ * Trending provider interface: `getTrendingTokens(chain, options)` receives
+ * `{ timeframe, limit, signal }` and resolves to candidate tokens
+ * `{ address, symbol, name, priceUsd, priceChange, volumeUsd, liquidityUsd, marketCapUsd, url }`
+ * measured over the timeframe, in any order. Providers list the timeframes they
+ * have data for in `timeframes`; unknown values are null.
+ */
+
+export const TRENDING_TIMEFRAMES = ['1h', '24h', '7d'];
+
+/**
+ * Trending score of a candidate token:
+ *
+ *   score = 2 * log10(1 + volumeUsd) + log10(1 + liquidityUsd) + clamp(priceChange, -50, 100) / 25
+ *
+ * Volume over the timeframe dominates, liquidity keeps thin pools with inflated
+ * volume from ranking first, and the price move adds at most 4 points (or takes
+ * 2 away). Missing values count as 0.
+ * @param {Object} token - Candidate token
+ * @returns {number} Score rounded to two decimals
+ */
+export function trendingScore(token) {
+  const change = Math.min(Math.max(token.priceChange || 0, -50), 100);
+  const score = 2 * Math.log10(1 + (token.volumeUsd || 0))
+    + Math.log10(1 + (token.liquidityUsd || 0))
+    + change / 25;
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Score, rank and trim candidate tokens. Ties are broken by volume and then by
+ * symbol and address, so the same data always gives the same order.
+ * @param {Array<Object>} tokens - Candidate tokens
+ * @param {number} limit - Tokens to keep
+ * @returns {Array<Object>} Ranked tokens with `rank` and `score`
+ */
+export function rankTrendingTokens(tokens, limit) {
+  const seen = new Set();
+  return tokens
+    .filter(token => {
+      const key = (token.address || token.symbol || '').toLowerCase();
+      if (!key || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .map(token => ({ ...token, score: trendingScore(token) }))
+    .sort((a, b) => b.score - a.score
+      || (b.volumeUsd || 0) - (a.volumeUsd || 0)
+      || String(a.symbol).localeCompare(String(b.symbol))
+      || String(a.address).localeCompare(String(b.address)))
+    .slice(0, limit)
+    .map((token, index) => ({ rank: index + 1, ...token }));
+}
+
+/**
+ * Parse an optional number from an API response
+ * @private
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Candidate pool size for a requested limit: more than the limit, so ranking has something to choose from
+ * @private
+ */
+function poolSize(limit) {
+  return Math.min(Math.max(limit * 2, 20), 50);
+}
+
+/**
+ * Birdeye trending list (requires an API key). Birdeye ranks by its own 24h
+ * trending data, so only the 24h timeframe is offered.
+ */
+export class BirdeyeTrendingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Birdeye API key
+   * @param {string} [options.apiUrl] - API base URL
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options) {
+    this.name = 'birdeye';
+    this.timeframes = ['24h'];
+    this.chains = { solana: 'solana', ethereum: 'ethereum', binance: 'bsc' };
+    this.http = axios.create({
+      baseURL: options.apiUrl || 'https://public-api.birdeye.so',
+      timeout: options.timeout || 10000,
+      headers: { 'X-API-KEY': options.apiKey, accept: 'application/json' }
+    });
+  }
+
+  async getTrendingTokens(chain, options) {
+    const response = await this.http.get('/defi/token_trending', {
+      params: { sort_by: 'rank', sort_type: 'asc', offset: 0, limit: Math.min(poolSize(options.limit), 20) },
+      headers: { 'x-chain': this.chains[chain] },
+      signal: options.signal
+    });
+    const tokens = (response.data && response.data.data && response.data.data.tokens) || [];
+
+    return tokens.map(token => ({
+      address: token.address,
+      symbol: token.symbol || null,
+      name: token.name || null,
+      priceUsd: toNumber(token.price),
+      priceChange: toNumber(token.price24hChangePercent),
+      volumeUsd: toNumber(token.volume24hUSD),
+      liquidityUsd: toNumber(token.liquidity),
+      marketCapUsd: toNumber(token.marketcap ?? token.fdv),
+      url: `https://birdeye.so/token/${token.address}?chain=${this.chains[chain]}`
+    }));
+  }
+}
+
+/**
+ * DexScreener boosted tokens, measured with the data of their most liquid pair.
+ * DexScreener reports up to 24h, so 7d is not offered.
+ */
+export class DexScreenerTrendingProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.apiUrl] - API base URL
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.name = 'dexscreener';
+    this.timeframes = ['1h', '24h'];
+    this.chains = { solana: 'solana', ethereum: 'ethereum', binance: 'bsc' };
+    this.http = axios.create({
+      baseURL: options.apiUrl || 'https://api.dexscreener.com',
+      timeout: options.timeout || 10000
+    });
+  }
+
+  async getTrendingTokens(chain, options) {
+    const chainId = this.chains[chain];
+    const boosts = await this.http.get('/token-boosts/top/v1', { signal: options.signal });
+    const addresses = [...new Set((boosts.data || [])
+      .filter(boost => boost.chainId === chainId)
+      .map(boost => boost.tokenAddress))]
+      .slice(0, Math.min(poolSize(options.limit), 30)); // The pairs endpoint takes 30 addresses
+
+    if (addresses.length === 0) {
+      return [];
+    }
+
+    const response = await this.http.get(`/tokens/v1/${chainId}/${addresses.join(',')}`, { signal: options.signal });
+    const window = options.timeframe === '1h' ? 'h1' : 'h24';
+
+    // Keep the most liquid pair of each token
+    const pairs = new Map();
+    (response.data || []).forEach(pair => {
+      const address = pair.baseToken && pair.baseToken.address;
+      if (!addresses.includes(address)) {
+        return;
+      }
+      const current = pairs.get(address);
+      if (!current || (pair.liquidity && pair.liquidity.usd || 0) > (current.liquidity && current.liquidity.usd || 0)) {
+        pairs.set(address, pair);
+      }
+    });
+
+    return [...pairs.entries()].map(([address, pair]) => ({
+      address,
+      symbol: pair.baseToken.symbol || null,
+      name: pair.baseToken.name || null,
+      priceUsd: toNumber(pair.priceUsd),
+      priceChange: toNumber(pair.priceChange && pair.priceChange[window]),
+      volumeUsd: toNumber(pair.volume && pair.volume[window]),
+      liquidityUsd: toNumber(pair.liquidity && pair.liquidity.usd),
+      marketCapUsd: toNumber(pair.marketCap ?? pair.fdv),
+      url: pair.url || null
+    }));
+  }
+}
+
+/**
+ * CoinGecko markets of a chain's ecosystem category, by 24h volume. CoinGecko
+ * reports price changes for every timeframe but volume only over 24h. Tokens
+ * are identified by CoinGecko id, without contract addresses.
+ */
+export class CoinGeckoTrendingProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.apiUrl] - API base URL
+   * @param {string} [options.apiKey] - Demo API key
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.timeframes = [...TRENDING_TIMEFRAMES];
+    this.categories = { solana: 'solana-ecosystem', ethereum: 'ethereum-ecosystem', binance: 'binance-smart-chain' };
+    this.http = axios.create({
+      baseURL: options.apiUrl || 'https://api.coingecko.com/api/v3',
+      timeout: options.timeout || 10000,
+      headers: options.apiKey ? { 'x-cg-demo-api-key': options.apiKey } : {}
+    });
+  }
+
+  async getTrendingTokens(chain, options) {
+    const response = await this.http.get('/coins/markets', {
+      params: {
+        vs_currency: 'usd',
+        category: this.categories[chain],
+        order: 'volume_desc',
+        per_page: poolSize(options.limit),
+        page: 1,
+        price_change_percentage: options.timeframe
+      },
+      signal: options.signal
+    });
+
+    return (response.data || []).map(coin => ({
+      address: null,
+      coingeckoId: coin.id,
+      symbol: coin.symbol ? coin.symbol.toUpperCase() : null,
+      name: coin.name || null,
+      priceUsd: toNumber(coin.current_price),
+      priceChange: toNumber(coin[`price_change_percentage_${options.timeframe}_in_currency`]),
+      volumeUsd: toNumber(coin.total_volume),
+      liquidityUsd: null, // No pool liquidity on CoinGecko
+      marketCapUsd: toNumber(coin.market_cap),
+      url: `https://www.coingecko.com/en/coins/${coin.id}`
+    }));
+  }
+}
+
+/**
+ * Tokens from a JSON file, for offline use and repeatable tests. The file maps
+ * chain names to tokens whose `volumeUsd` and `priceChange` are objects keyed by
+ * timeframe: `{ "solana": [{ "symbol": "BONK", "volumeUsd": { "24h": 1000 }, ... }] }`.
+ */
+export class FixtureTrendingProvider {
+  /**
+   * @param {string|Object} fixtures - Path of the fixture file, or the fixtures themselves
+   */
+  constructor(fixtures) {
+    this.name = 'fixture';
+    this.timeframes = [...TRENDING_TIMEFRAMES];
+    if (typeof fixtures === 'string') {
+      try {
+        this.fixtures = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to load trending fixtures from ${fixtures}: ${error.message}`);
+      }
+    } else {
+      this.fixtures = fixtures || {};
+    }
+  }
+
+  async getTrendingTokens(chain, options) {
+    const pick = (value, timeframe) => (value && typeof value === 'object' ? toNumber(value[timeframe]) : toNumber(value));
+    return (this.fixtures[chain] || []).map(token => ({
+      address: token.address || null,
+      symbol: token.symbol || null,
+      name: token.name || null,
+      priceUsd: toNumber(token.priceUsd),
+      priceChange: pick(token.priceChange, options.timeframe),
+      volumeUsd: pick(token.volumeUsd, options.timeframe),
+      liquidityUsd: toNumber(token.liquidityUsd),
+      marketCapUsd: toNumber(token.marketCapUsd),
+      url: token.url || null
+    }));
+  }
+}
@@ -0,0 +1,87 @@
+import {
+  FixtureTrendingProvider,
+  DexScreenerTrendingProvider,
+  BirdeyeTrendingProvider,
+  CoinGeckoTrendingProvider,
+  DEFAULT_TRENDING_FIXTURES,
+  createTrendingProvider,
+  rankTrendingTokens,
+  trendingScore
+} from './index.js';
+
+describe('trendingScore', () => {
+  test('weighs volume twice as much as liquidity and adds the clamped price change', () => {
+    expect(trendingScore({ volumeUsd: 999, liquidityUsd: 99, priceChange: 25 })).toBe(9);
+    expect(trendingScore({ priceChange: 500 })).toBe(4);
+    expect(trendingScore({ priceChange: -80 })).toBe(-2);
+    expect(trendingScore({ volumeUsd: null, liquidityUsd: null, priceChange: null })).toBe(0);
+  });
+});
+
+describe('rankTrendingTokens', () => {
+  test('breaks score ties by volume, then symbol, then address', () => {
+    const tokens = [
+      { address: 'd', symbol: 'B', volumeUsd: 9, liquidityUsd: 99 },
+      { address: 'c', symbol: 'A', volumeUsd: 9, liquidityUsd: 99 },
+      { address: 'b', symbol: 'A', volumeUsd: 9, liquidityUsd: 99 },
+      // Same score from a higher volume and a lower liquidity
+      { address: 'a', symbol: 'Z', volumeUsd: 99, liquidityUsd: 0 }
+    ];
+
+    const ranked = rankTrendingTokens(tokens, 10);
+
+    expect(ranked.map(token => token.score)).toEqual([4, 4, 4, 4]);
+    expect(ranked.map(token => [token.rank, token.address])).toEqual([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
+    expect(rankTrendingTokens([...tokens].reverse(), 10)).toEqual(ranked);
+  });
+
+  test('drops duplicates and tokens without address or symbol, and keeps the limit', () => {
+    const ranked = rankTrendingTokens([
+      { address: 'So1', symbol: 'SOL', volumeUsd: 10 },
+      { address: 'so1', symbol: 'SOL', volumeUsd: 1000 },
+      { address: null, symbol: null, volumeUsd: 10 ** 9 },
+      { address: null, symbol: 'BTC', volumeUsd: 5 }
+    ], 1);
+
+    expect(ranked).toEqual([expect.objectContaining({ rank: 1, address: 'So1' })]);
+  });
+});
+
+describe('FixtureTrendingProvider', () => {
+  test('ranks the bundled fixtures with the values of the requested timeframe', async () => {
+    const provider = new FixtureTrendingProvider(DEFAULT_TRENDING_FIXTURES);
+
+    const rank = async timeframe => rankTrendingTokens(await provider.getTrendingTokens('solana', { timeframe }), 3)
+      .map(token => [token.symbol, token.score]);
+
+    expect(await rank('24h')).toEqual([['WIF', 23.78], ['BONK', 23.46], ['POPCAT', 23.19]]);
+    expect(await rank('7d')).toEqual([['WIF', 25.6], ['POPCAT', 25.17], ['BONK', 24.59]]);
+  });
+
+  test('accepts fixtures in memory, with single values for every timeframe', async () => {
+    const provider = new FixtureTrendingProvider({ solana: [{ symbol: 'BONK', volumeUsd: '1000', priceChange: { '24h': 5 } }] });
+
+    expect(await provider.getTrendingTokens('solana', { timeframe: '1h' })).toEqual([expect.objectContaining({
+      symbol: 'BONK', address: null, volumeUsd: 1000, priceChange: null, liquidityUsd: null
+    })]);
+    expect(await provider.getTrendingTokens('ethereum', { timeframe: '24h' })).toEqual([]);
+  });
+
+  test('reports fixture files it cannot read', () => {
+    expect(() => new FixtureTrendingProvider('/nonexistent/trending.json')).toThrow('Failed to load trending fixtures from /nonexistent/trending.json');
+  });
+});
+
+describe('createTrendingProvider', () => {
+  test('uses Birdeye when a key is set and falls back to DexScreener otherwise', () => {
+    expect(createTrendingProvider({ BIRDEYE_API_KEY: 'key' })).toBeInstanceOf(BirdeyeTrendingProvider);
+    expect(createTrendingProvider({})).toBeInstanceOf(DexScreenerTrendingProvider);
+  });
+
+  test('creates the provider named by TRENDING_PROVIDER', () => {
+    expect(createTrendingProvider({ TRENDING_PROVIDER: 'coingecko' })).toBeInstanceOf(CoinGeckoTrendingProvider);
+    expect(createTrendingProvider({ TRENDING_PROVIDER: 'fixture' })).toBeInstanceOf(FixtureTrendingProvider);
+    expect(() => createTrendingProvider({ TRENDING_PROVIDER: 'birdeye' })).toThrow('BIRDEYE_API_KEY is required');
+    expect(() => createTrendingProvider({ TRENDING_PROVIDER: 'cmc' })).toThrow('Unknown trending provider "cmc"');
+  });
+});
@@ -4,6 +4,12 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import readline from 'readline';
 import chalk from 'chalk';
+import { validateArguments, validateValue, formatValidationErrors } from './utils/schema-validator.js';
+import { stripToolCallBlocks } from './utils/tool-call-parser.js';
+import { ConversationMemory } from './utils/conversation-memory.js';
+import { AgentOrchestrator } from './agent/orchestrator.js';
+import { parseTimeouts, TimeoutError } from './utils/concurrency.js';
+import { ToolError, ERROR_CODES, describeError } from './utils/errors.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,6 +28,20 @@ if (missingEnvVars.length > 0) {
 const MCP_SERVER_URL = process.env.MCP_SERVER_URL || 'http://localhost:8081';
 const HUSTLE_API_URL = process.env.HUSTLE_API_URL || 'https://agenthustle.ai';
 const DEBUG = process.env.DEBUG === 'true';
+const CHAT_HISTORY_MAX_TURNS = parseInt(process.env.CHAT_HISTORY_MAX_TURNS, 10) || 20;
+const CHAT_HISTORY_MAX_TOKENS = parseInt(process.env.CHAT_HISTORY_MAX_TOKENS, 10) || 8000;
+const CHAT_HISTORY_STRATEGY = process.env.CHAT_HISTORY_STRATEGY || 'summarize';
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 30000;
+const TOOL_TIMEOUTS = parseTimeouts(process.env.TOOL_TIMEOUTS);
+const TOOL_CONCURRENCY = parseInt(process.env.TOOL_CONCURRENCY, 10) || 4;
+const AGENT_MAX_TOOL_ITERATIONS = parseInt(process.env.AGENT_MAX_TOOL_ITERATIONS, 10) || 5;
+// Key sent to the MCP server when it requires one (see api-keys.json)
+const MCP_API_KEY = process.env.MCP_API_KEY;
+
+// HTTP client for the MCP server, sending the API key with every request
+const mcpServer = axios.create({
+  headers: MCP_API_KEY ? { Authorization: `Bearer ${MCP_API_KEY}` } : {}
+});
 
 // Initialize the AgentHustle client
 const client = new HustleIncognitoClient({
@@ -39,6 +59,21 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
+// Response currently streamed in stream mode, aborted by Ctrl+C
+let activeResponse = null;
+let streamFallbackNoticeShown = false;
+
+// Ctrl+C stops the current streamed response, and exits when nothing is streaming
+rl.on('SIGINT', () => {
+  if (activeResponse) {
+    activeResponse.abort();
+    return;
+  }
+  console.log(chalk.green('\nGoodbye!'));
+  rl.close();
+  process.exit(0);
+});
+
 // Available modes
 const MODES = {
   CHAT: 'chat',
@@ -46,6 +81,19 @@ const MODES = {
   STREAM: 'stream'
 };
 
+// How the tools of the built-in sources are shown; other upstreams (mcp-servers.json) go by their source name
+const TOOL_SOURCES = {
+  local: { icon: '📦', name: 'Local', heading: 'Local Tools', color: chalk.blue },
+  smithery: { icon: '🌐', name: 'Smithery', heading: 'Smithery Hosted Tools', color: chalk.magenta },
+  ordiscan: { icon: '🔗', name: 'Ordiscan', heading: 'Ordiscan Bitcoin Tools', color: chalk.cyan },
+  'stock-analysis': { icon: '📈', name: 'Stock Analysis', heading: 'Stock Analysis Tools', color: chalk.green }
+};
+
+// Display style of a tool source
+function toolSourceStyle(source) {
+  return TOOL_SOURCES[source] || { icon: '🔌', name: source, heading: `${source} Tools`, color: chalk.yellow };
+}
+
 // Current mode
 let currentMode = MODES.CHAT;
 let availableTools = [];
@@ -53,6 +101,25 @@ let availableTools = [];
 // Store last message ID for feedback
 let lastMessageId = null;
 
+// Conversation history sent with every chat prompt
+const memory = new ConversationMemory({
+  maxTurns: CHAT_HISTORY_MAX_TURNS,
+  maxTokens: CHAT_HISTORY_MAX_TOKENS,
+  strategy: CHAT_HISTORY_STRATEGY,
+  summarize: summarizeConversation
+});
+
+// Tool loop of chat and stream mode: tools run through the MCP server, and their
+// results may lead to further tool calls before Agent Hustle answers
+const orchestrator = new AgentOrchestrator({
+  client,
+  vaultId,
+  maxIterations: AGENT_MAX_TOOL_ITERATIONS,
+  concurrency: TOOL_CONCURRENCY,
+  timeoutFor: toolTimeout,
+  executeTool: callTool
+});
+
 // Main function
 async function main() {
   console.log(chalk.green('🤖 AgentHustle Enhanced CLI'));
@@ -65,12 +132,18 @@ async function main() {
   console.log('  /use <tool>   - Use a specific tool');
   console.log('  /exit         - Exit the application');
   console.log('  /feedback     - Provide feedback on the last response');
+  console.log('  /history [n]  - Show the conversation history (last n entries)');
+  console.log('  /context      - Show the context sent with each prompt');
+  console.log('  /clear        - Forget the conversation history');
+  console.log('  /resources    - List the resources of the upstream MCP servers');
+  console.log('  /read <uri>   - Read a resource into the conversation');
+  console.log('  /prompt <name> - Run an upstream prompt template (lists them without a name)');
   console.log('');
   
   try {
     // Fetch available tools from MCP server
     console.log('Connecting to MCP server...');
-    const toolsResponse = await axios.post(`${MCP_SERVER_URL}/api/tools/list`);
+    const toolsResponse = await mcpServer.post(`${MCP_SERVER_URL}/api/tools/list`);
     availableTools = toolsResponse.data.tools;
     
     console.log(chalk.green(`✓ Connected to MCP server`));
@@ -82,7 +155,7 @@ async function main() {
     // Start the interaction loop
     promptForInput();
   } catch (error) {
-    console.error(chalk.red('Error connecting to MCP server:'), error.message);
+    console.error(chalk.red('Error connecting to MCP server:'), describeToolError(error));
     console.log(chalk.yellow('Continuing in chat-only mode...'));
     console.log('');
     promptForInput();
@@ -147,39 +220,19 @@ async function handleCommand(input) {
       if (availableTools.length > 0) {
         console.log(chalk.green('\nAvailable Tools:'));
         
-        // Group tools by source
-        const localTools = availableTools.filter(t => !t.source || t.source === 'local');
-        const smitheryTools = availableTools.filter(t => t.source === 'smithery');
-        const ordiscanTools = availableTools.filter(t => t.source === 'ordiscan');
-        const stockAnalysisTools = availableTools.filter(t => t.source === 'stock-analysis');
-        
-        if (localTools.length > 0) {
-          console.log(chalk.blue('\n📦 Local Tools:'));
-          localTools.forEach(tool => {
-            console.log(`- ${chalk.bold(tool.name)}: ${tool.description}`);
-          });
-        }
-        
-        if (smitheryTools.length > 0) {
-          console.log(chalk.magenta('\n🌐 Smithery Hosted Tools:'));
-          smitheryTools.forEach(tool => {
-            console.log(`- ${chalk.bold(tool.name)}: ${tool.description}`);
-          });
-        }
-        
-        if (ordiscanTools.length > 0) {
-          console.log(chalk.cyan('\n🔗 Ordiscan Bitcoin Tools:'));
-          ordiscanTools.forEach(tool => {
-            console.log(`- ${chalk.bold(tool.name)}: ${tool.description}`);
-          });
-        }
-        
-        if (stockAnalysisTools.length > 0) {
-          console.log(chalk.green('\n📈 Stock Analysis Tools:'));
-          stockAnalysisTools.forEach(tool => {
+        // Group tools by source, built-in sources first
+        const sources = [...new Set([...Object.keys(TOOL_SOURCES), ...availableTools.map(t => t.source || 'local')])];
+        sources.forEach(source => {
+          const tools = availableTools.filter(t => (t.source || 'local') === source);
+          if (tools.length === 0) {
+            return;
+          }
+          const style = toolSourceStyle(source);
+          console.log(style.color(`\n${style.icon} ${style.heading}:`));
+          tools.forEach(tool => {
             console.log(`- ${chalk.bold(tool.name)}: ${tool.description}`);
           });
-        }
+        });
         
         console.log(chalk.gray(`\nTotal: ${availableTools.length} tools available`));
       } else {
@@ -190,7 +243,7 @@ async function handleCommand(input) {
     case 'use':
       if (args[0] && availableTools.length > 0) {
         const toolName = args[0];
-        const tool = availableTools.find(t => t.name === toolName);
+        const tool = findTool(toolName);
         
         if (tool) {
           await useTool(tool);
@@ -222,7 +275,7 @@ async function handleCommand(input) {
       
       try {
         const comment = args.slice(1).join(' ');
-        const response = await axios.post(`${MCP_SERVER_URL}/api/tools/call`, {
+        const response = await mcpServer.post(`${MCP_SERVER_URL}/api/tools/call`, {
           name: 'feedback',
           params: {
             messageId: lastMessageId,
@@ -240,328 +293,431 @@ async function handleCommand(input) {
       }
       break;
       
+    case 'history': {
+      const history = memory.getHistory();
+      if (history.length === 0) {
+        console.log(chalk.yellow('No conversation history yet.'));
+        break;
+      }
+      
+      const count = parseInt(args[0], 10);
+      const entries = count > 0 ? history.slice(-count) : history;
+      const labels = {
+        user: chalk.green('You'),
+        assistant: chalk.magenta('Agent Hustle'),
+        tool: chalk.blue('Tool results'),
+        context: chalk.cyan('Context')
+      };
+      
+      console.log(chalk.green('\nConversation History:'));
+      entries.forEach(entry => {
+        const content = entry.content.length > 300 ? `${entry.content.substring(0, 300)}...` : entry.content;
+        console.log(`${chalk.gray(`[${entry.turn}]`)} ${labels[entry.kind]}: ${content}`);
+      });
+      if (memory.droppedTurns > 0) {
+        console.log(chalk.gray(`\n${memory.droppedTurns} earlier turn(s) no longer kept verbatim (see /context)`));
+      }
+      break;
+    }
+      
+    case 'context': {
+      const stats = memory.stats();
+      console.log(chalk.green('\nConversation Context:'));
+      console.log(`- Turns: ${stats.turns}/${stats.maxTurns}`);
+      console.log(`- Messages: ${stats.messages}`);
+      console.log(`- Estimated tokens: ${stats.tokens}/${stats.maxTokens}`);
+      console.log(`- Strategy for older turns: ${stats.strategy}`);
+      console.log(`- Earlier turns removed: ${stats.droppedTurns}`);
+      if (stats.pendingContext > 0) {
+        console.log(`- Context waiting for the next prompt: ${stats.pendingContext}`);
+      }
+      if (stats.summary) {
+        console.log(chalk.blue('\nSummary of earlier turns:'));
+        console.log(stats.summary);
+      }
+      break;
+    }
+      
+    case 'clear':
+      memory.clear();
+      lastMessageId = null;
+      console.log(chalk.yellow('Conversation history cleared'));
+      break;
+      
+    case 'resources':
+      await listResources();
+      break;
+      
+    case 'read':
+      if (args[0]) {
+        await readResource(args[0], args[1]);
+      } else {
+        console.log(chalk.red('Please specify a resource URI: /read <uri> [source]'));
+      }
+      break;
+      
+    case 'prompt':
+      if (args[0]) {
+        await runPrompt(args[0]);
+      } else {
+        await listPrompts();
+      }
+      break;
+      
     default:
       console.log(chalk.red('Unknown command.'));
       break;
   }
 }
 
-// Parse tool calls from AgentHustle response
-function parseToolCalls(content) {
-  const toolRegex = /<tool>(.*?)<\/tool>/gs;
-  const matches = [...content.matchAll(toolRegex)];
-  return matches.map(match => {
-    try {
-      const functionCall = match[1];
-      const toolMatch = functionCall.match(/(\w+)\((.*)\)/s);
-      if (toolMatch) {
-        const [_, toolName, paramsStr] = toolMatch;
-        const params = eval(`(${paramsStr})`);
-        
-        // Map tool names to handle both local and Smithery naming conventions
-        let mappedToolName = toolName;
-        if (toolName === 'brave_web_search' || toolName === 'brave-search') {
-          // Check if we have Smithery brave_web_search available, otherwise use local brave-search
-          const smitheryTool = availableTools.find(t => t.name === 'brave_web_search');
-          const localTool = availableTools.find(t => t.name === 'brave-search');
-          mappedToolName = smitheryTool ? 'brave_web_search' : (localTool ? 'brave-search' : toolName);
-        } else if (toolName === 'brave_local_search') {
-          mappedToolName = 'brave_local_search';
-        } else if (toolName.startsWith('ordiscan_') || toolName.includes('ordiscan')) {
-          // Handle Ordiscan tool names - they should match exactly
-          const ordiscanTool = availableTools.find(t => t.name === toolName);
-          mappedToolName = ordiscanTool ? toolName : toolName;
-        } else if (toolName.includes('brc20') || toolName.includes('inscription') || toolName.includes('rune')) {
-          // Handle Bitcoin-related tools that might be Ordiscan tools
-          // Try to find exact match first, then try with ordiscan_ prefix
-          let exactTool = availableTools.find(t => t.name === toolName);
-          if (!exactTool) {
-            exactTool = availableTools.find(t => t.name === `ordiscan_${toolName}`);
-            if (exactTool) {
-              mappedToolName = `ordiscan_${toolName}`;
-            }
-          }
-        } else if (toolName.includes('stock') || toolName.includes('get-stock') || toolName.includes('get_stock')) {
-          // Handle Stock Analysis tool names - support both hyphen and underscore formats
-          const hyphenName = toolName.replace(/_/g, '-');
-          const underscoreName = toolName.replace(/-/g, '_');
-          
-          const hyphenTool = availableTools.find(t => t.name === hyphenName);
-          const underscoreTool = availableTools.find(t => t.name === underscoreName);
-          
-          // Prefer the format that exists in available tools
-          if (hyphenTool) {
-            mappedToolName = hyphenName;
-          } else if (underscoreTool) {
-            mappedToolName = underscoreName;
-          } else {
-            // Default to hyphen format for Smithery compatibility
-            mappedToolName = hyphenName;
-          }
-        }
-        
-        return {
-          name: mappedToolName,
-          arguments: params
-        };
+// List the resources of the upstream MCP servers, grouped by source
+async function listResources() {
+  try {
+    const response = await mcpServer.get(`${MCP_SERVER_URL}/api/resources/list`);
+    const resources = response.data.resources || [];
+    if (resources.length === 0) {
+      console.log(chalk.yellow('No resources available. The connected MCP servers do not expose any.'));
+      return;
+    }
+
+    console.log(chalk.green('\nAvailable Resources:'));
+    for (const source of [...new Set(resources.map(resource => resource.source))]) {
+      console.log(chalk.blue(`\n${source}:`));
+      resources.filter(resource => resource.source === source).forEach(resource => {
+        const description = resource.description ? `: ${resource.description}` : '';
+        console.log(`- ${chalk.bold(resource.uri)} (${resource.name})${description}`);
+      });
+    }
+    console.log(chalk.gray('\nUse /read <uri> to add one to the conversation'));
+  } catch (error) {
+    console.error(chalk.red('Error listing resources:'), describeToolError(error));
+  }
+}
+
+// Text of MCP content (resource contents or prompt message content); binary data is only described
+function contentText(content) {
+  if (content.resource) {
+    return contentText(content.resource);
+  }
+  if (typeof content.text === 'string') {
+    return content.text;
+  }
+  const size = content.blob ? ` ${Buffer.byteLength(content.blob, 'base64')} bytes` : '';
+  return `[${content.mimeType || content.type || 'binary'}${size}]`;
+}
+
+// Read a resource and queue it as context of the next prompt
+async function readResource(uri, source) {
+  try {
+    const response = await mcpServer.post(`${MCP_SERVER_URL}/api/resources/read`, { uri, source });
+    const text = response.data.contents.map(contentText).join('\n\n');
+
+    console.log(chalk.green(`\n📄 ${uri} (${response.data.source}):`));
+    console.log(text.length > 2000 ? `${text.substring(0, 2000)}...` : text);
+
+    memory.addContext(`Contents of the resource ${uri}:\n${text}`);
+    console.log(chalk.gray('\nAdded to the conversation context, it is sent with your next prompt'));
+  } catch (error) {
+    console.error(chalk.red(`Error reading ${uri}:`), describeToolError(error));
+  }
+}
+
+// Fetch the prompt templates of the upstream MCP servers
+async function fetchPrompts() {
+  const response = await mcpServer.get(`${MCP_SERVER_URL}/api/prompts/list`);
+  return response.data.prompts || [];
+}
+
+// List the prompt templates of the upstream MCP servers
+async function listPrompts() {
+  try {
+    const prompts = await fetchPrompts();
+    if (prompts.length === 0) {
+      console.log(chalk.yellow('No prompts available. The connected MCP servers do not expose any.'));
+      return;
+    }
+
+    console.log(chalk.green('\nAvailable Prompts:'));
+    prompts.forEach(prompt => {
+      const args = prompt.arguments.map(argument => argument.required ? argument.name : `[${argument.name}]`).join(' ');
+      console.log(`- ${chalk.bold(prompt.name)}${args ? ` ${args}` : ''} (${prompt.source}): ${prompt.description || ''}`);
+    });
+    console.log(chalk.gray('\nUse /prompt <name> to run one'));
+  } catch (error) {
+    console.error(chalk.red('Error listing prompts:'), describeToolError(error));
+  }
+}
+
+// Ask for the arguments of a prompt template, render it and send it as the next prompt
+async function runPrompt(name) {
+  try {
+    const prompt = (await fetchPrompts()).find(candidate => candidate.name === name);
+    if (!prompt) {
+      console.log(chalk.red(`Prompt "${name}" not found. Use /prompt to see available prompts.`));
+      return;
+    }
+
+    const args = {};
+    for (const argument of prompt.arguments) {
+      const value = await promptForParameter(argument.name, { type: 'string', description: argument.description }, argument.required);
+      if (value !== undefined) {
+        args[argument.name] = value;
       }
-    } catch (error) {
-      console.error('Error parsing tool call:', error);
     }
-    return null;
-  }).filter(Boolean);
+
+    const response = await mcpServer.post(`${MCP_SERVER_URL}/api/prompts/get`, { name, arguments: args, source: prompt.source });
+    const text = response.data.messages.map(message => contentText(message.content)).join('\n\n');
+    console.log(chalk.green(`\n📝 ${name}:`));
+    console.log(text);
+    console.log('');
+
+    if (currentMode === MODES.STREAM) {
+      await handleStreamMode(text);
+    } else {
+      await handleChatMode(text);
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error running prompt ${name}:`), describeToolError(error));
+  }
 }
 
-// Handle chat mode
-async function handleChatMode(input) {
-  console.log(chalk.yellow('Thinking...'));
+// Find a tool by its name or one of the aliases advertised by the MCP server
+function findTool(name) {
+  return availableTools.find(t => t.name === name) ||
+    availableTools.find(t => Array.isArray(t.aliases) && t.aliases.includes(name));
+}
+
+// Summarize turns that no longer fit in the conversation history
+async function summarizeConversation(messages, previousSummary) {
+  const transcript = messages.map(message => {
+    const content = message.content.length > 2000 ? `${message.content.substring(0, 2000)}...` : message.content;
+    return `${message.role.toUpperCase()}: ${content}`;
+  }).join('\n\n');
+  
+  const prompt = `Summarize the following conversation in a few sentences so it can be used as context for the rest of the conversation. Keep names, addresses, tokens, symbols and figures the user may refer to later. Do not use any tools.
+${previousSummary ? `\nSummary of the conversation before that:\n${previousSummary}\n` : ''}
+Conversation:
+${transcript}`;
   
+  const response = await client.chat([
+    { role: 'user', content: prompt }
+  ], { vaultId });
+  return response.content;
+}
+
+// Call a tool through the MCP server. Failures are shown and thrown as a
+// ToolError carrying the server's error code; a call stopped by its time limit or
+// by Ctrl+C is left to the agent loop to report.
+async function callTool(name, args, options = {}) {
   try {
-    const response = await client.chat([
-      { role: 'user', content: input }
-    ], { vaultId });
-    
-    console.log(chalk.green('\nResponse:'));
-    console.log(response.content);
-    
-    // Parse tool calls from the response content
-    const toolCalls = parseToolCalls(response.content);
-    if (toolCalls && toolCalls.length > 0) {
-      console.log(chalk.blue('\n🤖 Agent Hustle is using tools to help answer your question...'));
-      
-      // Collect all tool results
-      const toolResults = [];
-      let hasErrors = false;
-      
-      // Execute all tools and collect results
-      for (const toolCall of toolCalls) {
-        const tool = availableTools.find(t => t.name === toolCall.name);
-        
-        if (tool) {
-          const toolSource = (tool.source === 'smithery' || tool.source === 'ordiscan' || tool.source === 'stock-analysis') ? '🌐 Smithery' : '📦 Local';
-          console.log(chalk.blue(`\n🔧 Using ${toolCall.name} (${toolSource})...`));
-          
-          try {
-            // Call the tool
-            const toolResponse = await axios.post(`${MCP_SERVER_URL}/api/tools/call`, {
-              name: toolCall.name,
-              params: toolCall.arguments
-            });
-            
-            if (toolResponse.data && toolResponse.data.success) {
-              console.log(chalk.green('✅ Tool executed successfully'));
-              
-              // Show brief result summary
-              if (toolResponse.data.result) {
-                const result = toolResponse.data.result;
-                if (result.query && result.results) {
-                  console.log(chalk.cyan(`📊 Found ${result.results.length} results for: "${result.query}"`));
-                } else if (result.response) {
-                  console.log(chalk.cyan(`💬 Response: ${result.response.substring(0, 100)}...`));
-                } else if (result.source === 'ordiscan') {
-                  // Handle Ordiscan-specific result summaries
-                  if (result.address) {
-                    console.log(chalk.cyan(`🏠 Bitcoin address: ${result.address}`));
-                  } else if (result.inscription) {
-                    console.log(chalk.cyan(`🖼️ Inscription: ${result.inscription}`));
-                  } else if (result.token) {
-                    console.log(chalk.cyan(`🪙 BRC-20 token: ${result.token}`));
-                  } else if (result.rune) {
-                    console.log(chalk.cyan(`🔮 Rune: ${result.rune}`));
-                  } else if (result.collection) {
-                    console.log(chalk.cyan(`📚 Collection: ${result.collection}`));
-                  } else if (result.transaction) {
-                    console.log(chalk.cyan(`📝 Transaction: ${result.transaction}`));
-                  } else if (result.data && Array.isArray(result.data)) {
-                    console.log(chalk.cyan(`📊 Retrieved ${result.data.length} items`));
-                  } else if (result.data && result.data.length !== undefined) {
-                    console.log(chalk.cyan(`📊 Retrieved ${result.data.length} items from Ordiscan`));
-                  } else if (result.data && typeof result.data === 'object') {
-                    // More specific summaries based on tool type
-                    if (toolCall.name.includes('market')) {
-                      console.log(chalk.cyan(`💰 Market data retrieved for rune`));
-                    } else if (toolCall.name.includes('brc20_list')) {
-                      console.log(chalk.cyan(`📋 BRC-20 token list retrieved`));
-                    } else if (toolCall.name.includes('runes_list')) {
-                      console.log(chalk.cyan(`🔮 Runes list retrieved`));
-                    } else if (toolCall.name.includes('balance') || toolCall.name.includes('address')) {
-                      console.log(chalk.cyan(`💼 Address data retrieved`));
-                    } else if (result.source === 'stock-analysis') {
-                      // Handle Stock Analysis-specific result summaries
-                      if (result.symbol) {
-                        if (toolCall.name.includes('stock-data') || toolCall.name.includes('daily')) {
-                          console.log(chalk.cyan(`📈 Stock data for ${result.symbol}`));
-                        } else if (toolCall.name.includes('alerts')) {
-                          console.log(chalk.cyan(`🚨 Stock alerts for ${result.symbol}`));
-                        } else {
-                          console.log(chalk.cyan(`💹 Stock analysis for ${result.symbol}`));
-                        }
-                      } else if (result.data && typeof result.data === 'object') {
-                        // More specific summaries based on tool type
-                        if (toolCall.name.includes('stock-data')) {
-                          console.log(chalk.cyan(`📊 Real-time stock data retrieved`));
-                        } else if (toolCall.name.includes('daily')) {
-                          console.log(chalk.cyan(`📅 Daily stock data retrieved`));
-                        } else if (toolCall.name.includes('alerts')) {
-                          console.log(chalk.cyan(`🔔 Stock alerts generated`));
-                        } else {
-                          console.log(chalk.cyan(`✅ Stock analysis completed`));
-                        }
-                      } else {
-                        console.log(chalk.cyan(`✅ Stock analysis completed`));
-                      }
-                    } else {
-                      console.log(chalk.cyan(`✅ Ordiscan data retrieved successfully`));
-                    }
-                  } else {
-                    console.log(chalk.cyan(`✅ Ordiscan data retrieved successfully`));
-                  }
-                } else if (result.source === 'stock-analysis') {
-                  // Handle Stock Analysis-specific result summaries
-                  if (result.symbol) {
-                    if (toolCall.name.includes('stock-data') || toolCall.name.includes('daily')) {
-                      console.log(chalk.cyan(`📈 Stock data for ${result.symbol}`));
-                    } else if (toolCall.name.includes('alerts')) {
-                      console.log(chalk.cyan(`🚨 Stock alerts for ${result.symbol}`));
-                    } else {
-                      console.log(chalk.cyan(`💹 Stock analysis for ${result.symbol}`));
-                    }
-                  } else if (result.data && typeof result.data === 'object') {
-                    // More specific summaries based on tool type
-                    if (toolCall.name.includes('stock-data')) {
-                      console.log(chalk.cyan(`📊 Real-time stock data retrieved`));
-                    } else if (toolCall.name.includes('daily')) {
-                      console.log(chalk.cyan(`📅 Daily stock data retrieved`));
-                    } else if (toolCall.name.includes('alerts')) {
-                      console.log(chalk.cyan(`🔔 Stock alerts generated`));
-                    } else {
-                      console.log(chalk.cyan(`✅ Stock analysis completed`));
-                    }
-                  } else {
-                    console.log(chalk.cyan(`✅ Stock analysis completed`));
-                  }
-                }
-              }
-              
-              // Display the actual tool response data to the user
-              console.log(chalk.white('\n📋 Tool Response Data:'));
-              console.log(chalk.gray('─'.repeat(50)));
-              
-              try {
-                // Format and display the tool response in a readable way
-                const formattedResult = JSON.stringify(toolResponse.data.result, null, 2);
-                
-                // Truncate very long responses for readability
-                if (formattedResult.length > 2000) {
-                  const truncated = formattedResult.substring(0, 2000);
-                  console.log(chalk.white(truncated));
-                  console.log(chalk.yellow('\n... (response truncated for readability)'));
-                  console.log(chalk.gray(`Full response: ${formattedResult.length} characters`));
-                } else {
-                  console.log(chalk.white(formattedResult));
-                }
-              } catch (jsonError) {
-                // Fallback for non-JSON responses
-                console.log(chalk.white(String(toolResponse.data.result)));
-              }
-              
-              console.log(chalk.gray('─'.repeat(50)));
-              
-              // Collect successful result
-              toolResults.push({
-                toolName: toolCall.name,
-                success: true,
-                result: toolResponse.data.result
-              });
+    const response = await mcpServer.post(`${MCP_SERVER_URL}/api/tools/call`, { name, params: args }, { signal: options.signal });
+    if (!response.data || !response.data.success) {
+      throw new ToolError('TOOL_FAILED', response.data?.error || 'Unknown error');
+    }
+    return response.data.result;
+  } catch (error) {
+    if (options.signal && options.signal.aborted) {
+      throw error;
+    }
+    renderToolError(`Error using ${name}`, error);
+    const { message, code, retryable, retryAfterMs } = toolErrorInfo(error);
+    throw new ToolError(ERROR_CODES[code] ? code : 'TOOL_FAILED', message, { cause: error, retryable, retryAfterMs });
+  }
+}
+
+// Time limit of a tool call, by the source of the tool
+function toolTimeout(name) {
+  const tool = findTool(name);
+  return TOOL_TIMEOUTS[(tool && tool.source) || 'local'] || TOOL_TIMEOUT_MS;
+}
+
+// Show a summary of a successful tool call and its result data
+function showToolResult(toolCall, result) {
+  // Show brief result summary
+  if (result) {
+    if (result.query && result.results) {
+      console.log(chalk.cyan(`📊 Found ${result.results.length} results for: "${result.query}"`));
+    } else if (result.response) {
+      console.log(chalk.cyan(`💬 Response: ${result.response.substring(0, 100)}...`));
+    } else if (result.source === 'ordiscan') {
+      // Handle Ordiscan-specific result summaries
+      if (result.address) {
+        console.log(chalk.cyan(`🏠 Bitcoin address: ${result.address}`));
+      } else if (result.inscription) {
+        console.log(chalk.cyan(`🖼️ Inscription: ${result.inscription}`));
+      } else if (result.token) {
+        console.log(chalk.cyan(`🪙 BRC-20 token: ${result.token}`));
+      } else if (result.rune) {
+        console.log(chalk.cyan(`🔮 Rune: ${result.rune}`));
+      } else if (result.collection) {
+        console.log(chalk.cyan(`📚 Collection: ${result.collection}`));
+      } else if (result.transaction) {
+        console.log(chalk.cyan(`📝 Transaction: ${result.transaction}`));
+      } else if (result.data && Array.isArray(result.data)) {
+        console.log(chalk.cyan(`📊 Retrieved ${result.data.length} items`));
+      } else if (result.data && result.data.length !== undefined) {
+        console.log(chalk.cyan(`📊 Retrieved ${result.data.length} items from Ordiscan`));
+      } else if (result.data && typeof result.data === 'object') {
+        // More specific summaries based on tool type
+        if (toolCall.name.includes('market')) {
+          console.log(chalk.cyan(`💰 Market data retrieved for rune`));
+        } else if (toolCall.name.includes('brc20_list')) {
+          console.log(chalk.cyan(`📋 BRC-20 token list retrieved`));
+        } else if (toolCall.name.includes('runes_list')) {
+          console.log(chalk.cyan(`🔮 Runes list retrieved`));
+        } else if (toolCall.name.includes('balance') || toolCall.name.includes('address')) {
+          console.log(chalk.cyan(`💼 Address data retrieved`));
+        } else if (result.source === 'stock-analysis') {
+          // Handle Stock Analysis-specific result summaries
+          if (result.symbol) {
+            if (toolCall.name.includes('stock-data') || toolCall.name.includes('daily')) {
+              console.log(chalk.cyan(`📈 Stock data for ${result.symbol}`));
+            } else if (toolCall.name.includes('alerts')) {
+              console.log(chalk.cyan(`🚨 Stock alerts for ${result.symbol}`));
             } else {
-              console.log(chalk.red(`❌ Tool execution failed: ${toolResponse.data?.error || 'Unknown error'}`));
-              hasErrors = true;
-              
-              // Collect error result
-              toolResults.push({
-                toolName: toolCall.name,
-                success: false,
-                error: toolResponse.data?.error || 'Unknown error'
-              });
+              console.log(chalk.cyan(`💹 Stock analysis for ${result.symbol}`));
             }
-          } catch (error) {
-            console.error(chalk.red(`❌ Error using ${toolCall.name}:`), error.message);
-            hasErrors = true;
-            
-            // Collect error result
-            toolResults.push({
-              toolName: toolCall.name,
-              success: false,
-              error: error.message
-            });
+          } else if (result.data && typeof result.data === 'object') {
+            // More specific summaries based on tool type
+            if (toolCall.name.includes('stock-data')) {
+              console.log(chalk.cyan(`📊 Real-time stock data retrieved`));
+            } else if (toolCall.name.includes('daily')) {
+              console.log(chalk.cyan(`📅 Daily stock data retrieved`));
+            } else if (toolCall.name.includes('alerts')) {
+              console.log(chalk.cyan(`🔔 Stock alerts generated`));
+            } else {
+              console.log(chalk.cyan(`✅ Stock analysis completed`));
+            }
+          } else {
+            console.log(chalk.cyan(`✅ Stock analysis completed`));
           }
         } else {
-          console.error(chalk.red(`❌ Tool "${toolCall.name}" not found in available tools.`));
-          console.log(chalk.yellow('Available tools:'), availableTools.map(t => t.name).join(', '));
-          hasErrors = true;
-          
-          // Collect error result
-          toolResults.push({
-            toolName: toolCall.name,
-            success: false,
-            error: `Tool "${toolCall.name}" not found`
-          });
+          console.log(chalk.cyan(`✅ Ordiscan data retrieved successfully`));
         }
+      } else {
+        console.log(chalk.cyan(`✅ Ordiscan data retrieved successfully`));
       }
-      
-      // Send all results to AgentHustle for a single comprehensive summary
-      if (toolResults.length > 0) {
-        console.log(chalk.yellow('\n🤖 Asking Agent Hustle to analyze all results...'));
-        
-        let followUpPrompt;
-        if (hasErrors) {
-          // Handle mixed success/error results
-          const successfulResults = toolResults.filter(r => r.success);
-          const failedResults = toolResults.filter(r => !r.success);
-          
-          followUpPrompt = `I executed ${toolResults.length} tool(s) with the following results:
+    } else if (result.source === 'stock-analysis') {
+      // Handle Stock Analysis-specific result summaries
+      if (result.symbol) {
+        if (toolCall.name.includes('stock-data') || toolCall.name.includes('daily')) {
+          console.log(chalk.cyan(`📈 Stock data for ${result.symbol}`));
+        } else if (toolCall.name.includes('alerts')) {
+          console.log(chalk.cyan(`🚨 Stock alerts for ${result.symbol}`));
+        } else {
+          console.log(chalk.cyan(`💹 Stock analysis for ${result.symbol}`));
+        }
+      } else if (result.data && typeof result.data === 'object') {
+        // More specific summaries based on tool type
+        if (toolCall.name.includes('stock-data')) {
+          console.log(chalk.cyan(`📊 Real-time stock data retrieved`));
+        } else if (toolCall.name.includes('daily')) {
+          console.log(chalk.cyan(`📅 Daily stock data retrieved`));
+        } else if (toolCall.name.includes('alerts')) {
+          console.log(chalk.cyan(`🔔 Stock alerts generated`));
+        } else {
+          console.log(chalk.cyan(`✅ Stock analysis completed`));
+        }
+      } else {
+        console.log(chalk.cyan(`✅ Stock analysis completed`));
+      }
+    }
+  }
+  
+  // Display the actual tool response data to the user
+  console.log(chalk.white('\n📋 Tool Response Data:'));
+  console.log(chalk.gray('─'.repeat(50)));
+  
+  try {
+    // Format and display the tool response in a readable way
+    const formattedResult = JSON.stringify(result, null, 2);
+    
+    // Truncate very long responses for readability
+    if (formattedResult.length > 2000) {
+      const truncated = formattedResult.substring(0, 2000);
+      console.log(chalk.white(truncated));
+      console.log(chalk.yellow('\n... (response truncated for readability)'));
+      console.log(chalk.gray(`Full response: ${formattedResult.length} characters`));
+    } else {
+      console.log(chalk.white(formattedResult));
+    }
+  } catch (jsonError) {
+    // Fallback for non-JSON responses
+    console.log(chalk.white(String(result)));
+  }
+  
+  console.log(chalk.gray('─'.repeat(50)));
+}
 
-SUCCESSFUL TOOLS (${successfulResults.length}):
-${successfulResults.map(r => `- ${r.toolName}: ${JSON.stringify(r.result, null, 2)}`).join('\n')}
+// Callbacks showing the progress of an agent run: each response of Agent Hustle
+// (unless it is streamed), the tools it calls and their results
+function runDisplay(options = {}) {
+  let responses = 0;
+  let usingTools = false;
 
-FAILED TOOLS (${failedResults.length}):
-${failedResults.map(r => `- ${r.toolName}: ${r.error}`).join('\n')}
+  return {
+    onResponse: content => {
+      responses++;
+      usingTools = false;
+      if (!options.streamed) {
+        console.log(chalk.green(`\n${responseTitle(responses)}`));
+        console.log(stripToolCallBlocks(content) || content);
+      }
+    },
+    onToolCall: call => {
+      if (!usingTools) {
+        console.log(chalk.blue('\n🤖 Agent Hustle is using tools to help answer your question...'));
+        usingTools = true;
+      }
+      const tool = findTool(call.name);
+      const style = toolSourceStyle((tool && tool.source) || 'local');
+      console.log(chalk.blue(`\n🔧 Using ${call.name} (${style.icon} ${style.name})...`));
+    },
+    onToolResult: call => {
+      if (!call.error) {
+        console.log(chalk.green(`✅ ${call.name} executed successfully (${call.time.toFixed(1)}s)`));
+        showToolResult(call, call.result);
+      } else if (call.timedOut) {
+        renderToolError(`Error using ${call.name}`, new TimeoutError(call.name, toolTimeout(call.name)));
+      }
+    }
+  };
+}
 
-Please summarize the successful results for the user, acknowledge any failures, and ask if they would like to do anything further with the data or try alternative approaches for the failed tools.`;
-        } else {
-          // All tools succeeded
-          const resultsString = toolResults.map(r => 
-            `${r.toolName} results: ${JSON.stringify(r.result, null, 2)}`
-          ).join('\n\n');
-          
-          followUpPrompt = `I successfully executed ${toolResults.length} tool(s) and got the following results:
+// Title of the nth response of a run: the answer, then summaries of tool results
+function responseTitle(index) {
+  return index === 1 ? 'Response:' : '🤖 Agent Hustle Summary & Follow-up:';
+}
 
-${resultsString}
+// Record the responses and tool results of a run in the conversation history
+function rememberRun(run) {
+  run.transcript.forEach(message => {
+    if (message.role === 'assistant') {
+      memory.addAssistant(message.content);
+    } else {
+      memory.addToolResults(message.content);
+    }
+  });
+  if (run.messageId) {
+    lastMessageId = run.messageId;
+  }
+}
 
-Please summarize this data for the user and then ask if they would like to do anything further with it.`;
-        }
-        
-        try {
-          const summaryResponse = await client.chat([
-            { role: 'user', content: followUpPrompt }
-          ], { vaultId });
-          
-          console.log(chalk.magentaBright('\n🤖 Agent Hustle Summary & Follow-up:'));
-          console.log(summaryResponse.content);
-        } catch (chatError) {
-          console.error(chalk.red('Could not get summary from Agent Hustle:'), chatError.message);
-          
-          // Fallback: show raw results
-          console.log(chalk.yellow('\n📊 Tool Results Summary:'));
-          toolResults.forEach(result => {
-            if (result.success) {
-              console.log(chalk.green(`✅ ${result.toolName}: Success`));
-            } else {
-              console.log(chalk.red(`❌ ${result.toolName}: ${result.error}`));
-            }
-          });
-        }
-      }
+// Handle chat mode: the agent loop executes the tools Agent Hustle calls through
+// the MCP server and sends the results back, until it answers without tools
+async function handleChatMode(input) {
+  console.log(chalk.yellow('Thinking...'));
+  
+  try {
+    memory.addUser(input);
+    await memory.compact();
+    
+    try {
+      rememberRun(await orchestrator.run(memory.getMessages(), runDisplay()));
+    } catch (error) {
+      // Keep the history consistent: a prompt without an answer is not remembered
+      memory.discardLastTurn();
+      throw error;
     }
   } catch (error) {
     console.error(chalk.red('Error:'), error.message);
@@ -576,7 +732,7 @@ async function handleToolsMode(input) {
   }
 
   try {
-    const tool = availableTools.find(t => t.name === input);
+    const tool = findTool(input);
     if (tool) {
       await useTool(tool);
     } else {
@@ -587,41 +743,195 @@ async function handleToolsMode(input) {
   }
 }
 
-// Handle streaming mode
+// Render streamed Agent Hustle responses, showing Hustle's own tool calls inline
+function streamRenderer() {
+  const tools = new Map();
+  let responses = 0;
+  let content = null;
+  
+  return event => {
+    if (content === null) {
+      // First event of a response
+      responses++;
+      content = '';
+      console.log(chalk.green(`\n${responseTitle(responses)}`));
+    }
+    
+    switch (event.type) {
+      case 'text':
+        process.stdout.write(event.delta);
+        content += event.delta;
+        break;
+        
+      case 'tool_call':
+        tools.set(event.id, { name: event.name, startedAt: Date.now() });
+        console.log(chalk.blue(`${content && !content.endsWith('\n') ? '\n' : ''}🔧 ${event.name} ${JSON.stringify(event.args)}`));
+        break;
+        
+      case 'tool_result': {
+        const tool = tools.get(event.id) || { name: event.name || 'tool', startedAt: Date.now() };
+        const seconds = ((Date.now() - tool.startedAt) / 1000).toFixed(1);
+        if (event.error) {
+          console.log(chalk.red(`❌ ${tool.name} failed (${seconds}s)`));
+        } else {
+          console.log(chalk.green(`✅ ${tool.name} finished (${seconds}s)`));
+        }
+        break;
+      }
+        
+      case 'finish':
+        process.stdout.write('\n');
+        content = null;
+        break;
+    }
+  };
+}
+
+// Handle streaming mode: like chat mode, with the responses shown as they are written
 async function handleStreamMode(input) {
-  console.log(chalk.yellow('Streaming mode not implemented yet'));
+  if (typeof client.chatStream !== 'function' && !streamFallbackNoticeShown) {
+    console.log(chalk.gray('This Hustle client cannot stream, responses are shown in chunks once complete'));
+    streamFallbackNoticeShown = true;
+  }
+  
+  const controller = new AbortController();
+  activeResponse = controller;
+  console.log(chalk.gray('(Ctrl+C stops the response)'));
+  
+  try {
+    memory.addUser(input);
+    await memory.compact();
+    
+    const run = await orchestrator.run(memory.getMessages(), {
+      ...runDisplay({ streamed: true }),
+      onStreamEvent: streamRenderer(),
+      signal: controller.signal
+    });
+    rememberRun(run);
+  } catch (error) {
+    // A stopped or failed response is not remembered
+    memory.discardLastTurn();
+    if (!controller.signal.aborted) {
+      throw error;
+    }
+    console.log(chalk.yellow('\n⏹ Response stopped'));
+  } finally {
+    activeResponse = null;
+  }
+}
+
+// How each error code is shown, with a hint on what to do about it
+const ERROR_STYLES = {
+  TOOL_NOT_FOUND: { icon: '🔍', color: chalk.yellow, hint: 'Run /tools to see the available tools' },
+  UNAUTHORIZED: { icon: '🔒', color: chalk.magenta, hint: 'Set MCP_API_KEY in .env to a key from the server\'s api-keys.json' },
+  FORBIDDEN: { icon: '⛔', color: chalk.magenta, hint: 'Your API key is not allowed to use this, ask for a key with a wider scope' },
+  INVALID_ARGUMENTS: { icon: '✏️', color: chalk.yellow, hint: 'Check the arguments against the tool schema (/tools)' },
+  CONFIG_MISSING: { icon: '🔑', color: chalk.magenta, hint: 'Set the missing API key in .env and restart the server' },
+  UPSTREAM_UNAVAILABLE: { icon: '🔌', color: chalk.red, hint: 'The service is unreachable, try again later' },
+  UPSTREAM_TIMEOUT: { icon: '⏱', color: chalk.red, hint: 'The service did not answer in time, try again' },
+  RATE_LIMITED: { icon: '🚦', color: chalk.yellow, hint: 'Too many requests, wait before trying again' },
+  TOOL_FAILED: { icon: '❌', color: chalk.red },
+  INTERNAL_ERROR: { icon: '❌', color: chalk.red }
+};
+
+// Read the message, code and retry hints of a failed request, from the server's
+// error response when there is one
+function toolErrorInfo(error) {
+  const data = error.response?.data;
+  if (data && data.error) {
+    return {
+      message: data.errors ? `${data.error}\n${formatValidationErrors(data.errors)}` : data.error,
+      code: data.code,
+      retryable: Boolean(data.retryable),
+      retryAfterMs: data.retryAfterMs
+    };
+  }
+  const { code, retryable, retryAfterMs } = describeError(error);
+  return { message: error.message, code, retryable, retryAfterMs };
+}
+
+// Describe a failed tool call, including its code, schema violations and whether to retry
+function describeToolError(error) {
+  const { message, code, retryable, retryAfterMs } = toolErrorInfo(error);
+  const retry = retryAfterMs ? ` (retry in ${Math.ceil(retryAfterMs / 1000)}s)` : retryable ? ' (retryable)' : '';
+  return `${code ? `[${code}] ` : ''}${message}${retry}`;
+}
+
+// Print a failed tool call in the style of its error code
+function renderToolError(label, error) {
+  const { message, code, retryable, retryAfterMs } = toolErrorInfo(error);
+  const style = ERROR_STYLES[code] || ERROR_STYLES.INTERNAL_ERROR;
+  console.error(style.color(`${style.icon} ${label}${code ? ` [${code}]` : ''}:`), message);
+  if (retryAfterMs) {
+    console.log(chalk.gray(`  Retry in ${Math.ceil(retryAfterMs / 1000)}s`));
+  } else if (style.hint) {
+    console.log(chalk.gray(`  ${style.hint}`));
+  } else if (retryable) {
+    console.log(chalk.gray('  This may succeed if you try again'));
+  }
+}
+
+// Ask for a single tool parameter until the answer matches its schema
+async function promptForParameter(name, schema, isRequired) {
+  const defaultValue = schema.default;
+  const options = schema.enum ? ` [${schema.enum.join('/')}]` : '';
+  const message = `Enter ${name}${options}${defaultValue !== undefined ? ` (default: ${defaultValue})` : ''}: `;
+  
+  while (true) {
+    const answer = await new Promise(resolve => {
+      rl.question(message, resolve);
+    });
+    
+    if (!answer.trim()) {
+      if (defaultValue !== undefined || !isRequired) {
+        return defaultValue;
+      }
+      console.log(chalk.red(`  /${name} is required`));
+      continue;
+    }
+    
+    const { value, errors } = validateValue(schema, answer.trim(), `/${name}`);
+    if (errors.length === 0) {
+      return value;
+    }
+    console.log(chalk.red(`  ${formatValidationErrors(errors)}`));
+  }
 }
 
 // Use a specific tool
 async function useTool(tool) {
   try {
     // Get tool parameters
+    const schema = tool.parameters || {};
     const params = {};
-    for (const [name, schema] of Object.entries(tool.parameters.properties)) {
-      const isRequired = tool.parameters.required?.includes(name);
-      const defaultValue = schema.default;
-      
-      const answer = await new Promise(resolve => {
-        const message = `Enter ${name}${defaultValue ? ` (default: ${defaultValue})` : ''}: `;
-        rl.question(message, resolve);
-      });
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      const isRequired = schema.required?.includes(name);
+      const value = await promptForParameter(name, propertySchema || {}, isRequired);
       
-      if (answer.trim() || isRequired) {
-        params[name] = answer.trim() || defaultValue;
+      if (value !== undefined) {
+        params[name] = value;
       }
     }
     
+    // Validate the complete argument object the same way the server will
+    const { value: validParams, errors } = validateArguments(schema, params);
+    if (errors.length > 0) {
+      console.log(chalk.red(`Invalid arguments for ${tool.name}:`));
+      console.log(chalk.red(formatValidationErrors(errors)));
+      return;
+    }
+    
     console.log(chalk.yellow(`\nExecuting ${tool.name}...`));
     
-    const response = await axios.post(`${MCP_SERVER_URL}/api/tools/call`, {
+    const response = await mcpServer.post(`${MCP_SERVER_URL}/api/tools/call`, {
       name: tool.name,
-      params
+      params: validParams
     });
     
     console.log(chalk.green('\nResult:'));
     console.log(JSON.stringify(response.data, null, 2));
   } catch (error) {
-    console.error(chalk.red('Error:'), error.message);
+    renderToolError(`Error using ${tool.name}`, error);
   }
 }
 
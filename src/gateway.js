@@ -0,0 +1,133 @@
+// Tool gateway shared by the HTTP server and the stdio MCP server: the tool
+// registry with its upstreams, the result cache and the tool listing
+import { ToolRegistry, ToolCatalog, registerLocalTools } from './tools/index.js';
+import { loadUpstreamConfig, createUpstreamDefinition, DEFAULT_CONFIG_PATH } from './utils/upstream-config.js';
+import { createResultCache, MemoryResultCache } from './cache/index.js';
+
+/**
+ * Build the tool registry from the environment and connect the upstream servers
+ * @param {Object} [options] - Gateway options
+ * @param {HustleIncognitoClient} [options.client] - AgentHustle client; crypto-chat is only offered with one
+ * @param {string} [options.vaultId] - Vault used by the AgentHustle tools
+ * @returns {Promise<{registry: ToolRegistry, toolCatalog: ToolCatalog, resultCache: Object|null, upstreamServers: Array<Object>}>} Connected gateway
+ */
+export async function createToolGateway(options = {}) {
+  const { client = null, vaultId } = options;
+
+  // Load the upstream MCP servers declared in mcp-servers.json
+  const upstreamServers = loadUpstreamConfig(process.env.MCP_SERVERS_CONFIG || DEFAULT_CONFIG_PATH);
+
+  // Warn about missing optional API keys
+  const warnings = [];
+
+  upstreamServers.forEach(server => {
+    if (server.missingEnv.length > 0) {
+      warnings.push(`⚠ ${server.missingEnv.join(', ')} not configured - ${server.label} tools will be unavailable`);
+    }
+  });
+
+  if (!process.env.BRAVE_API_KEY) {
+    warnings.push('⚠ BRAVE_API_KEY not configured - local search fallback will be unavailable');
+  }
+
+  if (warnings.length > 0) {
+    console.log('\n' + warnings.join('\n'));
+    console.log('\nTo enable all features, please configure the missing API keys in your .env file\n');
+  }
+
+  // Result cache for the tools declaring a cache policy (memory, file or off)
+  let resultCache;
+  try {
+    resultCache = await createResultCache({
+      type: process.env.TOOL_CACHE || 'memory',
+      path: process.env.TOOL_CACHE_PATH,
+      maxEntries: parseInt(process.env.TOOL_CACHE_MAX_ENTRIES, 10) || 500
+    });
+    console.log(`✓ Tool result cache ${resultCache ? `ready (${resultCache.type})` : 'disabled'}`);
+  } catch (error) {
+    console.error('Error initializing tool result cache:', error.message);
+    console.log('⚠ Falling back to the in-memory tool result cache');
+    resultCache = new MemoryResultCache();
+  }
+
+  // Tool registry - every tool is declared once here and served by the REST
+  // endpoints and the MCP server. Failing upstreams open their circuit
+  // after UPSTREAM_FAILURE_THRESHOLD consecutive failures and are reprobed with
+  // a delay doubling from UPSTREAM_RETRY_DELAY_MS up to UPSTREAM_MAX_RETRY_DELAY_MS
+  const registry = new ToolRegistry({
+    breaker: {
+      failureThreshold: parseInt(process.env.UPSTREAM_FAILURE_THRESHOLD, 10) || 3,
+      retryDelayMs: parseInt(process.env.UPSTREAM_RETRY_DELAY_MS, 10) || 5000,
+      maxRetryDelayMs: parseInt(process.env.UPSTREAM_MAX_RETRY_DELAY_MS, 10) || 300000
+    },
+    cache: resultCache
+  });
+
+  registerLocalTools(registry, { client, vaultId });
+
+  // Crypto chat needs the AgentHustle client, which the stdio server can run without
+  if (client) {
+    registry.register({
+      name: 'crypto-chat',
+      description: 'Chat with the AgentHustle AI about crypto and web3 topics',
+      parameters: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+          message: {
+            type: 'string',
+            description: 'The message to send to the crypto assistant'
+          }
+        }
+      },
+      handler: async (params) => {
+        console.log(`Crypto chat: ${params.message}`);
+        try {
+          const response = await client.chat([
+            {
+              role: 'system',
+              content: 'You are a helpful crypto and web3 expert. Provide informative and accurate responses about cryptocurrency, blockchain technology, DeFi, NFTs, and related topics.'
+            },
+            {
+              role: 'user',
+              content: params.message || params.query
+            }
+          ], { vaultId });
+
+          return {
+            response: response.content,
+            toolsUsed: response.toolCalls ? response.toolCalls.map(tool => tool.name) : []
+          };
+        } catch (error) {
+          console.error('Error in crypto-chat:', error);
+          throw new Error(`AgentHustle chat failed: ${error.message}`, { cause: error });
+        }
+      }
+    });
+  }
+
+  // Pooled Smithery connections (SMITHERY_POOL_SIZE=0 connects per request)
+  const smitheryPool = {
+    maxConnections: parseInt(process.env.SMITHERY_POOL_SIZE, 10) || 0,
+    idleTimeoutMs: parseInt(process.env.SMITHERY_POOL_IDLE_TIMEOUT_MS, 10) || 60000
+  };
+
+  upstreamServers.forEach(server => {
+    registry.registerUpstream(createUpstreamDefinition(server, {
+      apiKey: process.env.SMITHERY_API_KEY,
+      profile: process.env.SMITHERY_PROFILE,
+      pool: smitheryPool
+    }));
+  });
+
+  // Initialize upstream connections on startup - await the results
+  await registry.connectAll();
+
+  // Tool listing cache, rebuilt every TOOL_LIST_TTL_MS and whenever an upstream connects or disconnects
+  const toolCatalog = new ToolCatalog(registry, {
+    ttlMs: process.env.TOOL_LIST_TTL_MS !== undefined ? parseInt(process.env.TOOL_LIST_TTL_MS, 10) : 300000
+  });
+  toolCatalog.refresh().catch(error => console.error('Error building tool listing:', error.message));
+
+  return { registry, toolCatalog, resultCache, upstreamServers };
+}
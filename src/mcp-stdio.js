@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// MCP server over stdio, for Claude Desktop and other clients that launch the gateway as a process
+import dotenv from 'dotenv';
+import { HustleIncognitoClient } from 'hustle-incognito';
+import { createToolGateway } from './gateway.js';
+import { McpGateway } from './mcp/gateway-server.js';
+
+// stdout carries the protocol messages, so every log goes to stderr
+console.log = console.error;
+console.info = console.error;
+console.warn = console.error;
+
+dotenv.config();
+
+// crypto-chat is only offered when AgentHustle is configured
+const client = process.env.HUSTLE_API_KEY
+  ? new HustleIncognitoClient({ apiKey: process.env.HUSTLE_API_KEY })
+  : null;
+
+const { registry, toolCatalog } = await createToolGateway({ client, vaultId: process.env.VAULT_ID });
+const mcpGateway = new McpGateway({ registry, toolCatalog, sessionIdleMs: 0 });
+
+let closing = false;
+const shutdown = async () => {
+  if (closing) {
+    return;
+  }
+  closing = true;
+  await mcpGateway.close();
+  // Also stops the processes of stdio upstreams, which would outlive the gateway otherwise
+  await registry.close();
+  process.exit(0);
+};
+process.stdin.on('close', shutdown);
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+await mcpGateway.connectStdio();
+console.log(`✓ MCP gateway ready on stdio (${(await toolCatalog.get()).tools.length} tools)`);
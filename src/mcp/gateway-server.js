@@ -0,0 +1,231 @@
+// Model Context Protocol server exposing the tool registry over stdio and Streamable HTTP
+import { randomUUID } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ErrorCode,
+  McpError,
+  isInitializeRequest
+} from '@modelcontextprotocol/sdk/types.js';
+import { ValidationError, formatValidationErrors } from '../utils/schema-validator.js';
+import { describeError } from '../utils/errors.js';
+import { canCallTool } from '../utils/api-keys.js';
+
+/**
+ * Name and version announced to MCP clients
+ */
+export const GATEWAY_INFO = { name: 'crypto-tools-gateway', version: '1.0.0' };
+
+/**
+ * Convert a catalog entry to an MCP tool definition
+ * @private
+ */
+function toMcpTool(tool) {
+  const inputSchema = tool.parameters && tool.parameters.type === 'object'
+    ? tool.parameters
+    : { type: 'object', properties: {} };
+  return { name: tool.name, description: tool.description || '', inputSchema };
+}
+
+/**
+ * Convert a tool result to an MCP CallToolResult
+ * @private
+ */
+function toCallToolResult(result) {
+  // Upstream results that are already MCP content are passed through
+  if (result && Array.isArray(result.content)) {
+    return { content: result.content, isError: Boolean(result.isError) };
+  }
+
+  // Attachments of formatted upstream results go back as image, audio or resource blocks
+  let data = result;
+  let attachments = [];
+  if (result && typeof result === 'object' && Array.isArray(result.attachments)) {
+    ({ attachments, ...data } = result);
+  }
+  const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+  const blocks = attachments.map(attachment => attachment.type === 'resource'
+    ? { type: 'resource', resource: { uri: attachment.uri, mimeType: attachment.mimeType, blob: attachment.data } }
+    : { type: attachment.type, mimeType: attachment.mimeType, data: attachment.data });
+  return { content: [{ type: 'text', text: text === undefined ? '' : text }, ...blocks], isError: false };
+}
+
+/**
+ * Serves the tools of a ToolRegistry to MCP clients.
+ *
+ * Each client connection gets its own protocol server: one for the stdio
+ * transport, one per Streamable HTTP session. All of them list the tools of
+ * the shared ToolCatalog and are told when that listing changes, e.g. when an
+ * upstream connects or goes offline. An HTTP session belongs to the API key it
+ * was started with and only sees the tools that key may call.
+ */
+export class McpGateway {
+  /**
+   * @param {Object} options - Gateway options
+   * @param {ToolRegistry} options.registry - Registry executing the tools
+   * @param {ToolCatalog} options.toolCatalog - Cached tool listing
+   * @param {number} [options.sessionIdleMs] - Idle time after which an HTTP session is closed (0 keeps them)
+   */
+  constructor(options) {
+    this.registry = options.registry;
+    this.toolCatalog = options.toolCatalog;
+    this.sessionIdleMs = options.sessionIdleMs !== undefined ? options.sessionIdleMs : 30 * 60 * 1000;
+    this.servers = new Set();
+    this.sessions = new Map();
+
+    this.toolCatalog.on('changed', () => this.notifyToolsChanged());
+    // The catalog only rebuilds on request; rebuild now so connected clients hear about the change
+    const refresh = () => {
+      if (this.servers.size > 0) {
+        this.toolCatalog.refresh().catch(error => console.error('Error refreshing tool listing:', error.message));
+      }
+    };
+    this.registry.on('upstream:connected', refresh);
+    this.registry.on('upstream:disconnected', refresh);
+
+    if (this.sessionIdleMs > 0) {
+      this.sweeper = setInterval(() => this.closeIdleSessions(), Math.min(this.sessionIdleMs, 60000));
+      this.sweeper.unref();
+    }
+  }
+
+  /**
+   * Create a protocol server for one client connection
+   * @param {Object|null} [apiKey] - Key of the client, limiting the tools it sees and calls
+   * @returns {Server} MCP server with the tool handlers installed
+   */
+  createServer(apiKey = null) {
+    const server = new Server(GATEWAY_INFO, {
+      capabilities: { tools: { listChanged: true } }
+    });
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const { tools } = await this.toolCatalog.get();
+      return { tools: tools.filter(tool => canCallTool(apiKey, tool)).map(toMcpTool) };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args = {} } = request.params;
+      if (!this.registry.resolve(name)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+      }
+
+      try {
+        const { result } = await this.registry.execute(name, args, { signal: extra.signal, apiKey });
+        return toCallToolResult(result);
+      } catch (error) {
+        // Tool errors go back as results so the model can read them and retry,
+        // prefixed with their code (e.g. "[RATE_LIMITED] ... (retryable)")
+        const { code, retryable } = describeError(error);
+        const message = error instanceof ValidationError
+          ? `${error.message}: ${formatValidationErrors(error.errors)}`
+          : error.message;
+        const text = `[${code}] ${message}${retryable ? ' (retryable)' : ''}`;
+        return { content: [{ type: 'text', text }], isError: true };
+      }
+    });
+
+    this.servers.add(server);
+    server.onclose = () => this.servers.delete(server);
+    return server;
+  }
+
+  /**
+   * Serve MCP over the process's stdin and stdout
+   * @returns {Promise<Server>} Connected server
+   */
+  async connectStdio() {
+    const server = this.createServer();
+    await server.connect(new StdioServerTransport());
+    return server;
+  }
+
+  /**
+   * Handle a Streamable HTTP request (POST, GET or DELETE on the MCP endpoint).
+   * An initialize request without a session id starts a new session.
+   * @param {express.Request} req - Request, with the JSON body already parsed
+   * @param {express.Response} res - Response
+   * @param {Object} [options] - Request options
+   * @param {Object|null} [options.apiKey] - Key the request was made with
+   */
+  async handleHttpRequest(req, res, options = {}) {
+    const apiKey = options.apiKey || null;
+    const sessionId = req.get('mcp-session-id');
+    let session = sessionId ? this.sessions.get(sessionId) : null;
+
+    // A session can only be used with the key that started it
+    if (session && session.apiKey !== apiKey) {
+      return res.status(403).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Session belongs to another API key' }, id: null });
+    }
+
+    if (!session) {
+      if (sessionId) {
+        return res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null });
+      }
+      if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+        return res.status(400).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Bad Request: no valid session id provided' }, id: null });
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => {
+          this.sessions.set(id, session);
+          console.log(`✓ MCP session ${id} started`);
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+          console.log(`MCP session ${transport.sessionId} closed`);
+        }
+      };
+      session = { transport, server: this.createServer(apiKey), apiKey, lastSeen: Date.now() };
+      await session.server.connect(transport);
+    }
+
+    session.lastSeen = Date.now();
+    await session.transport.handleRequest(req, res, req.body);
+  }
+
+  /**
+   * Send notifications/tools/list_changed to every connected client
+   */
+  notifyToolsChanged() {
+    this.servers.forEach(server => {
+      // Clients still initializing cannot receive notifications yet
+      server.sendToolListChanged().catch(() => {});
+    });
+  }
+
+  /**
+   * Close HTTP sessions that have been idle for longer than sessionIdleMs
+   * @private
+   */
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleMs;
+    for (const session of this.sessions.values()) {
+      if (session.lastSeen < cutoff) {
+        session.transport.close().catch(error => console.error('Error closing MCP session:', error.message));
+      }
+    }
+  }
+
+  /**
+   * Report the connected clients
+   * @returns {Object} Session and connection counts
+   */
+  stats() {
+    return { sessions: this.sessions.size, connections: this.servers.size };
+  }
+
+  /**
+   * Close every connection
+   */
+  async close() {
+    clearInterval(this.sweeper);
+    await Promise.all([...this.servers].map(server => server.close().catch(() => {})));
+    this.sessions.clear();
+  }
+}
@@ -0,0 +1,201 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { McpGateway } from './gateway-server.js';
+import { ToolRegistry } from '../tools/registry.js';
+import { ToolCatalog } from '../tools/tool-catalog.js';
+
+/**
+ * Registry with a price tool, a search tool and a tool that is always rate limited
+ */
+function createRegistry() {
+  const registry = new ToolRegistry({ backgroundReprobe: false });
+  registry.register({
+    name: 'price',
+    description: 'Token price',
+    parameters: { type: 'object', properties: { symbol: { type: 'string' } }, required: ['symbol'] },
+    handler: async params => ({ symbol: params.symbol, price: 150 })
+  });
+  registry.register({
+    name: 'search',
+    description: 'Web search',
+    parameters: { type: 'object', properties: { query: { type: 'string' } } },
+    handler: async params => ({ results: [], query: params.query })
+  });
+  registry.register({
+    name: 'broken',
+    description: 'Always rate limited',
+    parameters: { type: 'object', properties: {} },
+    handler: async () => {
+      throw new Error('Too many requests, slow down');
+    }
+  });
+  return registry;
+}
+
+describe('McpGateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const registry = createRegistry();
+    gateway = new McpGateway({ registry, toolCatalog: new ToolCatalog(registry), sessionIdleMs: 0 });
+  });
+
+  afterEach(async () => {
+    await gateway.close();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Connect an MCP client to a new gateway server
+   */
+  async function connectClient(...args) {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await gateway.createServer(...args).connect(serverTransport);
+    const client = new Client({ name: 'gateway-test', version: '1.0.0' });
+    await client.connect(clientTransport);
+    return client;
+  }
+
+  describe('over a client connection', () => {
+    test('lists the tools of the catalog', async () => {
+      const client = await connectClient();
+
+      const { tools } = await client.listTools();
+
+      expect(tools.map(tool => tool.name)).toEqual(['price', 'search', 'broken']);
+      expect(tools[0]).toEqual({
+        name: 'price',
+        description: 'Token price',
+        inputSchema: { type: 'object', properties: { symbol: { type: 'string' } }, required: ['symbol'] }
+      });
+      expect(gateway.stats().connections).toBe(1);
+    });
+
+    test('calls tools and returns their result as text', async () => {
+      const client = await connectClient();
+
+      const result = await client.callTool({ name: 'price', arguments: { symbol: 'SOL' } });
+
+      expect(result).toEqual({ content: [{ type: 'text', text: JSON.stringify({ symbol: 'SOL', price: 150 }, null, 2) }], isError: false });
+    });
+
+    test('returns invalid arguments as an error result', async () => {
+      const client = await connectClient();
+
+      const result = await client.callTool({ name: 'price', arguments: {} });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Invalid arguments for tool price');
+    });
+
+    test('returns a failing tool as an error result with its classified code', async () => {
+      const client = await connectClient();
+
+      const result = await client.callTool({ name: 'broken', arguments: {} });
+
+      expect(result).toEqual({
+        content: [{ type: 'text', text: '[RATE_LIMITED] Too many requests, slow down (retryable)' }],
+        isError: true
+      });
+    });
+
+    test('rejects unknown tools as a protocol error', async () => {
+      const client = await connectClient();
+
+      await expect(client.callTool({ name: 'unknown', arguments: {} })).rejects.toThrow('Unknown tool: unknown');
+    });
+
+    test('only lists and calls the tools the API key is scoped to', async () => {
+      const listFor = async apiKey => (await (await connectClient(apiKey)).listTools()).tools.map(tool => tool.name);
+
+      expect(await listFor({ name: 'bot', tools: [/^price$/, /^bro/] })).toEqual(['price', 'broken']);
+      expect(await listFor({ name: 'local', sources: ['local'] })).toEqual(['price', 'search', 'broken']);
+      expect(await listFor({ name: 'none', tools: [/^nothing$/] })).toEqual([]);
+
+      const client = await connectClient({ name: 'bot', tools: [/^price$/] });
+      const result = await client.callTool({ name: 'search', arguments: { query: 'bonk' } });
+      expect(result).toEqual({ content: [{ type: 'text', text: '[FORBIDDEN] API key bot may not call search' }], isError: true });
+    });
+  });
+
+  describe('over Streamable HTTP', () => {
+    const KEYS = { alice: { name: 'alice' }, bob: { name: 'bob' } };
+    let server;
+    let url;
+
+    beforeEach(async () => {
+      const app = express();
+      app.use(express.json());
+      app.all('/mcp', (req, res) => gateway.handleHttpRequest(req, res, { apiKey: KEYS[req.get('x-api-key')] || null }));
+      server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      url = `http://127.0.0.1:${server.address().port}/mcp`;
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * POST a JSON-RPC message to the MCP endpoint
+     */
+    async function post(message, headers = {}) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+        body: JSON.stringify({ jsonrpc: '2.0', ...message })
+      });
+      const contentType = response.headers.get('content-type') || '';
+      const body = contentType.includes('application/json') ? await response.json() : await response.text();
+      return { status: response.status, sessionId: response.headers.get('mcp-session-id'), body };
+    }
+
+    const initialize = headers => post({
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'gateway-test', version: '1.0.0' } }
+    }, headers);
+
+    test('starts a session on initialize and serves it afterwards', async () => {
+      const { status, sessionId } = await initialize({ 'x-api-key': 'alice' });
+
+      expect(status).toBe(200);
+      expect(gateway.stats().sessions).toBe(1);
+      await post({ method: 'notifications/initialized' }, { 'x-api-key': 'alice', 'mcp-session-id': sessionId });
+      const list = await post({ id: 2, method: 'tools/list' }, { 'x-api-key': 'alice', 'mcp-session-id': sessionId });
+      expect(list.status).toBe(200);
+      expect(list.body).toContain('"name":"price"');
+    });
+
+    test('rejects a request without a session that does not initialize one', async () => {
+      const { status, body } = await post({ id: 1, method: 'tools/list' });
+
+      expect(status).toBe(400);
+      expect(body.error.message).toBe('Bad Request: no valid session id provided');
+    });
+
+    test('answers 404 for an unknown session id', async () => {
+      const { status, body } = await post({ id: 1, method: 'tools/list' }, { 'mcp-session-id': 'no-such-session' });
+
+      expect(status).toBe(404);
+      expect(body.error).toEqual({ code: -32001, message: 'Session not found' });
+    });
+
+    test('answers 403 when a session is used with another API key', async () => {
+      const { sessionId } = await initialize({ 'x-api-key': 'alice' });
+
+      const other = await post({ id: 2, method: 'tools/list' }, { 'x-api-key': 'bob', 'mcp-session-id': sessionId });
+      const anonymous = await post({ id: 3, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+
+      expect(other.status).toBe(403);
+      expect(other.body.error.message).toBe('Session belongs to another API key');
+      expect(anonymous.status).toBe(403);
+    });
+  });
+});
@@ -1,9 +1,20 @@
 // ESM-compatible MCP server
 import express from 'express';
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
 import { HustleIncognitoClient } from 'hustle-incognito';
 import dotenv from 'dotenv';
-import axios from 'axios';
-import { SmitheryClient } from './utils/smithery-client.js';
+import { runToolBatch } from './tools/index.js';
+import { createToolGateway } from './gateway.js';
+import { McpGateway } from './mcp/gateway-server.js';
+import { ValidationError, formatValidationErrors } from './utils/schema-validator.js';
+import { ToolError, describeError } from './utils/errors.js';
+import { loadApiKeys, canCallTool, canUseSource, DEFAULT_API_KEYS_PATH } from './utils/api-keys.js';
+import { ConversationMemory } from './utils/conversation-memory.js';
+import { AgentOrchestrator } from './agent/orchestrator.js';
+import { parseTimeouts } from './utils/concurrency.js';
+import { streamRunEvents, toAgentUiToolCall } from './utils/hustle-stream.js';
+import { createSessionStore, MemorySessionStore } from './sessions/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,42 +29,40 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
-// Warn about missing optional API keys
-function checkOptionalApiKeys() {
-  const warnings = [];
-  
-  if (!process.env.SMITHERY_API_KEY || !process.env.SMITHERY_PROFILE) {
-    warnings.push('⚠ Smithery credentials not configured - hosted tools will be unavailable');
-  }
-  
-  if (!process.env.ORDISCAN_API_KEY) {
-    warnings.push('⚠ ORDISCAN_API_KEY not configured - Bitcoin ordinals tools will be unavailable');
-  }
-  
-  if (!process.env.ALPHA_VANTAGE_API_KEY) {
-    warnings.push('⚠ ALPHA_VANTAGE_API_KEY not configured - stock analysis tools will be unavailable');
-  }
-  
-  if (!process.env.BRAVE_API_KEY) {
-    warnings.push('⚠ BRAVE_API_KEY not configured - local search fallback will be unavailable');
-  }
-  
-  if (warnings.length > 0) {
-    console.log('\n' + warnings.join('\n'));
-    console.log('\nTo enable all features, please configure the missing API keys in your .env file\n');
-  }
+// API keys accepted by the server (api-keys.json). Running without keys, which opens
+// every route to anyone who can reach the server, takes AUTH_DISABLED=1.
+const apiKeys = loadApiKeys(process.env.API_KEYS_CONFIG || DEFAULT_API_KEYS_PATH);
+const AUTH_DISABLED = process.env.AUTH_DISABLED === '1';
+if (apiKeys.enabled) {
+  console.log(`✓ API authentication enabled (${apiKeys.keys.length} key(s))`);
+} else if (AUTH_DISABLED) {
+  console.log('⚠ API authentication disabled (AUTH_DISABLED=1), anyone who can reach the server can call its tools');
+} else {
+  console.error('No API keys configured: set MCP_API_KEY (see api-keys.json), or AUTH_DISABLED=1 to run without authentication');
+  process.exit(1);
 }
 
-checkOptionalApiKeys();
+// Browser origins allowed to call the API ("*" allows every origin), by default the local Agent UI
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Routes served without a key: health checks and the playground status probe
+const PUBLIC_PATHS = new Set(['/health', '/v1/playground/status']);
 
 // Create Express app
 const app = express();
 
-// Add CORS middleware to allow frontend connections
+// Add CORS middleware to allow frontend connections from the allowed origins
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
+  const origin = req.get('Origin');
+  if (CORS_ORIGINS.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+  }
+  res.header('Vary', 'Origin');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+  res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, ETag, Retry-After');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -63,8 +72,61 @@ app.use((req, res, next) => {
   }
 });
 
+// Authenticate requests with "Authorization: Bearer <key>" or "X-API-Key: <key>",
+// the key is available to the routes as req.apiKey
+app.use((req, res, next) => {
+  if (!apiKeys.enabled || PUBLIC_PATHS.has(req.path)) {
+    req.apiKey = null;
+    return next();
+  }
+
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const token = bearer ? bearer[1] : req.get('X-API-Key');
+  req.apiKey = apiKeys.authenticate(token);
+  if (!req.apiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, new ToolError('UNAUTHORIZED', token ? 'Invalid API key' : 'Missing API key, send it as "Authorization: Bearer <key>"'));
+  }
+  next();
+});
+
+// Admin routes need a key with "admin": true
+function requireAdmin(req, res, next) {
+  if (req.apiKey && !req.apiKey.admin) {
+    return sendError(res, new ToolError('FORBIDDEN', `API key ${req.apiKey.name} may not use admin routes`));
+  }
+  next();
+}
+
 app.use(express.json());
 
+// The Agent UI playground posts runs as multipart form data
+app.use(async (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+  
+  try {
+    // Let the built-in fetch implementation parse the multipart body
+    const request = new Request(`http://localhost${req.originalUrl}`, {
+      method: req.method,
+      headers: req.headers,
+      body: Readable.toWeb(req),
+      duplex: 'half'
+    });
+    const formData = await request.formData();
+    req.body = {};
+    for (const [key, value] of formData.entries()) {
+      if (typeof value === 'string') {
+        req.body[key] = value;
+      }
+    }
+    next();
+  } catch (error) {
+    res.status(400).json({ error: `Invalid form data: ${error.message}` });
+  }
+});
+
 // Initialize the AgentHustle client
 const client = new HustleIncognitoClient({
   apiKey: process.env.HUSTLE_API_KEY,
@@ -74,829 +136,244 @@ const client = new HustleIncognitoClient({
 // Store the vault ID for use in API calls
 const vaultId = process.env.VAULT_ID;
 
-// Initialize Smithery client for Brave Search
-const smitheryClient = new SmitheryClient({
-  baseUrl: 'https://server.smithery.ai/@smithery-ai/brave-search',
-  apiKey: process.env.SMITHERY_API_KEY,
-  profile: process.env.SMITHERY_PROFILE
+// Tool registry, upstream connections, result cache and tool listing (shared with the stdio MCP server)
+const { registry, toolCatalog, resultCache, upstreamServers } = await createToolGateway({ client, vaultId });
+
+// The same tools as a Model Context Protocol server on /mcp (Streamable HTTP)
+const mcpGateway = new McpGateway({
+  registry,
+  toolCatalog,
+  sessionIdleMs: process.env.MCP_SESSION_IDLE_MS !== undefined ? parseInt(process.env.MCP_SESSION_IDLE_MS, 10) : 1800000
 });
 
-// Initialize Smithery client for Ordiscan (only if API key is available)
-let ordiscanClient = null;
-if (process.env.ORDISCAN_API_KEY) {
-  ordiscanClient = new SmitheryClient({
-    baseUrl: `https://server.smithery.ai/@Calel33/ordiscan-mcp-v1/mcp?api_key=${process.env.ORDISCAN_API_KEY}`,
-    apiKey: process.env.SMITHERY_API_KEY,
-    profile: process.env.SMITHERY_PROFILE
-  });
-}
+// Agent served by the playground endpoints
+const AGENT_ID = 'crypto-agent';
+
+// Tool call limits: default timeout, per-source overrides (e.g. "ordiscan:45000,local:10000")
+// and the number of tools running at once
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 30000;
+const TOOL_TIMEOUTS = parseTimeouts(process.env.TOOL_TIMEOUTS);
+const TOOL_CONCURRENCY = parseInt(process.env.TOOL_CONCURRENCY, 10) || 4;
+
+// Batch limits: calls per request and the longest deadline a batch may ask for
+const TOOL_BATCH_MAX_CALLS = parseInt(process.env.TOOL_BATCH_MAX_CALLS, 10) || 100;
+const TOOL_BATCH_DEADLINE_MS = parseInt(process.env.TOOL_BATCH_DEADLINE_MS, 10) || 120000;
+
+// Tool loop used by the Agent UI: tool calls in the agent's answers are executed
+// through the registry and their results sent back until the agent answers
+const orchestrator = new AgentOrchestrator({
+  client,
+  vaultId: vaultId || process.env.VAULT_ID || '6888216545',  // Explicit fallback
+  maxIterations: parseInt(process.env.AGENT_MAX_TOOL_ITERATIONS, 10) || 5,
+  concurrency: TOOL_CONCURRENCY,
+  timeoutFor: name => TOOL_TIMEOUTS[registry.sourceOf(name)] || TOOL_TIMEOUT_MS,
+  executeTool: (name, args, options) => registry.call(name, args, options)
+});
+
+// Number of previous turns of a session sent back to the agent
+const SESSION_HISTORY_MAX_TURNS = parseInt(process.env.SESSION_HISTORY_MAX_TURNS, 10) || 20;
+const SESSION_HISTORY_MAX_TOKENS = parseInt(process.env.SESSION_HISTORY_MAX_TOKENS, 10) || 8000;
 
-// Initialize Smithery client for Stock Analysis (Alpha Vantage)
-let stockAnalysisClient = null;
-if (process.env.ALPHA_VANTAGE_API_KEY) {
-  stockAnalysisClient = new SmitheryClient({
-    baseUrl: `https://server.smithery.ai/@qubaomingg/stock-analysis-mcp/mcp?api_key=${process.env.ALPHA_VANTAGE_API_KEY}&profile=${process.env.SMITHERY_PROFILE || 'glad-squid-LrsVYY'}`,
-    apiKey: process.env.SMITHERY_API_KEY,
-    profile: process.env.SMITHERY_PROFILE
+// Session store recording every playground run (memory, json or sqlite)
+let sessionStore;
+try {
+  sessionStore = await createSessionStore({
+    type: process.env.SESSION_STORE || 'memory',
+    path: process.env.SESSION_STORE_PATH
   });
+  console.log(`✓ Session store ready (${sessionStore.type})`);
+} catch (error) {
+  console.error('Error initializing session store:', error.message);
+  console.log('⚠ Falling back to the in-memory session store, sessions will not survive a restart');
+  sessionStore = new MemorySessionStore();
 }
 
-// Initialize Smithery connections on startup
-let smitheryConnected = false;
-let ordiscanConnected = false;
-let stockAnalysisConnected = false;
+// Define API endpoints
+// Serve the cached tool listing, answering 304 when the client already has this version.
+// Keys limited to some tools only see those, under an ETag of their own.
+async function sendToolList(req, res) {
+  let { tools, etag } = await toolCatalog.get();
+  if (req.apiKey && (req.apiKey.tools || req.apiKey.sources)) {
+    tools = tools.filter(tool => canCallTool(req.apiKey, tool));
+    etag = etag.replace(/"$/, `-${encodeURIComponent(req.apiKey.name)}"`);
+  }
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
 
-async function initializeSmithery() {
-  if (!process.env.SMITHERY_API_KEY || !process.env.SMITHERY_PROFILE) {
-    console.log('⚠ Smithery credentials not configured, skipping Smithery integration');
-    return false;
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*')) {
+    return res.status(304).end();
   }
+  res.json({ tools });
+}
 
+app.post('/api/tools/list', sendToolList);
+app.get('/api/tools/list', sendToolList);
+
+// Drop every cached tool result
+app.post('/api/admin/cache/clear', requireAdmin, async (req, res) => {
   try {
-    const success = await smitheryClient.initialize();
-    smitheryConnected = success;
-    if (success) {
-      console.log('✓ Smithery Brave Search integration ready');
-    } else {
-      console.log('⚠ Smithery connection failed, falling back to local tools');
+    if (resultCache) {
+      await resultCache.clear();
     }
-    return success;
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error initializing Smithery:', error.message);
-    smitheryConnected = false;
-    return false;
-  }
-}
-
-async function initializeOrdiscan() {
-  if (!process.env.SMITHERY_API_KEY || !process.env.SMITHERY_PROFILE) {
-    console.log('⚠ Smithery credentials not configured, skipping Ordiscan integration');
-    return false;
+    console.error('Error clearing tool result cache:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
-  if (!process.env.ORDISCAN_API_KEY) {
-    console.log('⚠ ORDISCAN_API_KEY not configured, skipping Ordiscan integration');
-    console.log('  Please set ORDISCAN_API_KEY in your .env file to use Ordiscan tools');
-    return false;
+// Rebuild the tool listing now instead of waiting for the cache to expire
+app.post('/api/admin/tools/refresh', requireAdmin, async (req, res) => {
+  try {
+    toolCatalog.invalidate();
+    const { tools, etag, fetchedAt } = await toolCatalog.refresh();
+    res.json({ success: true, tools: tools.length, etag, fetchedAt: new Date(fetchedAt).toISOString() });
+  } catch (error) {
+    console.error('Error refreshing tool listing:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
-  if (!ordiscanClient) {
-    console.log('⚠ Ordiscan client not initialized, skipping Ordiscan integration');
-    return false;
+// Send a failed request as { success: false, error, code, retryable, retryAfterMs?, errors? }
+// with the HTTP status of its error code (see src/utils/errors.js)
+function sendError(res, error, fields = {}) {
+  const { status, ...description } = describeError(error);
+  if (description.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(description.retryAfterMs / 1000)));
   }
+  res.status(status).json({ success: false, ...description, ...fields });
+}
 
+app.post('/api/tools/call', async (req, res) => {
+  const { name, params } = req.body;
+  // "noCache": true or a Cache-Control: no-cache header skips the cached result
+  const noCache = Boolean(req.body.noCache) || /no-cache/.test(req.get('Cache-Control') || '');
+  
   try {
-    const success = await ordiscanClient.initialize();
-    ordiscanConnected = success;
-    if (success) {
-      console.log('✓ Ordiscan MCP integration ready');
+    const { result, cache } = await registry.execute(name, params || {}, { noCache, apiKey: req.apiKey });
+
+    res.json({ 
+      success: true, 
+      result,
+      tool: name,
+      cache
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      console.log(`Rejected call to ${name}: ${formatValidationErrors(error.errors)}`);
     } else {
-      console.log('⚠ Ordiscan connection failed');
+      console.error(`Error executing tool ${name}:`, error);
     }
-    return success;
-  } catch (error) {
-    console.error('Error initializing Ordiscan:', error.message);
-    ordiscanConnected = false;
-    return false;
+    sendError(res, error, { tool: name });
   }
-}
+});
 
-async function initializeStockAnalysis() {
-  if (!process.env.SMITHERY_API_KEY || !process.env.SMITHERY_PROFILE) {
-    console.log('⚠ Smithery credentials not configured, skipping Stock Analysis integration');
-    return false;
-  }
+// Run several tool calls in one request; results come back in call order with a status each
+app.post('/api/tools/batch', async (req, res) => {
+  const calls = Array.isArray(req.body) ? req.body : req.body && req.body.calls;
+  const body = Array.isArray(req.body) ? {} : req.body || {};
 
-  if (!process.env.ALPHA_VANTAGE_API_KEY) {
-    console.log('⚠ ALPHA_VANTAGE_API_KEY not configured, skipping Stock Analysis integration');
-    console.log('  Please set ALPHA_VANTAGE_API_KEY in your .env file to use stock analysis tools');
-    return false;
+  if (!Array.isArray(calls) || calls.length === 0) {
+    return res.status(400).json({ success: false, error: 'Expected a non-empty array of calls ({ "calls": [{ "name", "params", "id" }] })' });
   }
-
-  if (!stockAnalysisClient) {
-    console.log('⚠ Stock Analysis client not initialized, skipping Stock Analysis integration');
-    return false;
+  if (calls.length > TOOL_BATCH_MAX_CALLS) {
+    return res.status(400).json({ success: false, error: `A batch holds at most ${TOOL_BATCH_MAX_CALLS} calls, got ${calls.length}` });
   }
 
-  try {
-    const success = await stockAnalysisClient.initialize();
-    stockAnalysisConnected = success;
-    if (success) {
-      console.log('✓ Stock Analysis MCP integration ready');
-    } else {
-      console.log('⚠ Stock Analysis connection failed');
+  // Clients can lower the concurrency and deadline, not raise them past the server limits
+  const concurrency = Math.min(parseInt(body.concurrency, 10) || TOOL_CONCURRENCY, TOOL_CONCURRENCY);
+  const deadlineMs = Math.min(parseInt(body.deadlineMs, 10) || TOOL_BATCH_DEADLINE_MS, TOOL_BATCH_DEADLINE_MS);
+  const noCache = Boolean(body.noCache) || /no-cache/.test(req.get('Cache-Control') || '');
+
+  // Stop starting calls when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
     }
-    return success;
-  } catch (error) {
-    console.error('Error initializing Stock Analysis:', error.message);
-    stockAnalysisConnected = false;
-    return false;
-  }
-}
+  });
 
-// Initialize on startup - await the results
-await initializeSmithery();
-await initializeOrdiscan();
-await initializeStockAnalysis();
+  try {
+    const { results, summary } = await runToolBatch(registry, calls, {
+      concurrency,
+      deadlineMs,
+      noCache,
+      timeoutFor: name => TOOL_TIMEOUTS[registry.sourceOf(name)] || TOOL_TIMEOUT_MS,
+      signal: controller.signal,
+      apiKey: req.apiKey
+    });
+    console.log(`Batch of ${summary.total} tool calls: ${summary.succeeded} succeeded, ${summary.failed} failed in ${summary.time.toFixed(1)}s`);
 
-/**
- * Brave Search API client
- */
-class BraveSearchClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.search.brave.com/res/v1';
+    res.json({ success: true, results, summary });
+  } catch (error) {
+    console.error('Error running tool batch:', error);
+    sendError(res, error);
   }
+});
 
-  /**
-   * Search the web using Brave Search API
-   * @param query Search query
-   * @param options Search options
-   * @returns Search results
-   */
-  async search(query, options = {}) {
-    const params = {
-      q: query,
-      count: options.count || 10,
-      offset: options.offset || 0,
-      country: options.country || 'US',
-      safesearch: options.safesearch || 'moderate'
-    };
-
-    try {
-      const response = await axios.get(`${this.baseUrl}/web/search`, {
-        params,
-        headers: {
-          'Accept': 'application/json',
-          'Accept-Encoding': 'gzip',
-          'X-Subscription-Token': this.apiKey
-        }
-      });
-
-      return response.data;
-    } catch (error) {
-      console.error('Error searching with Brave:', error);
-      throw new Error(`Brave Search API error: ${error instanceof Error ? error.message : String(error)}`);
-    }
+// Resources and prompt templates of the upstream MCP servers, limited to the sources the key may use
+async function sendResourceList(req, res) {
+  try {
+    const resources = await registry.listResources();
+    res.json({ resources: resources.filter(resource => canUseSource(req.apiKey, resource.source)) });
+  } catch (error) {
+    console.error('Error listing resources:', error);
+    sendError(res, error);
   }
 }
 
-// Define API endpoints
-app.post('/api/tools/list', async (req, res) => {
-  const tools = [
-    {
-      name: 'rugcheck',
-      description: 'Perform a security analysis (rugcheck) on a specific token',
-      parameters: {
-        type: 'object',
-        required: ['token'],
-        properties: {
-          token: {
-            type: 'string',
-            description: 'The token symbol or address to analyze'
-          },
-          chain: {
-            type: 'string',
-            description: 'The blockchain network (defaults to Solana)',
-            default: 'solana'
-          }
-        }
-      }
-    },
-    {
-      name: 'trending-tokens',
-      description: 'Get trending tokens on a specific blockchain',
-      parameters: {
-        type: 'object',
-        properties: {
-          chain: {
-            type: 'string',
-            description: 'The blockchain network (defaults to Solana)',
-            default: 'solana'
-          },
-          limit: {
-            type: 'number',
-            description: 'Maximum number of tokens to return',
-            default: 10
-          }
-        }
-      }
-    },
-    {
-      name: 'wallet-balance',
-      description: 'Check wallet balance for a specific address',
-      parameters: {
-        type: 'object',
-        required: ['address'],
-        properties: {
-          address: {
-            type: 'string',
-            description: 'The wallet address to check'
-          },
-          chain: {
-            type: 'string',
-            description: 'The blockchain network (defaults to Solana)',
-            default: 'solana'
-          }
-        }
-      }
-    },
-    {
-      name: 'crypto-chat',
-      description: 'Chat with the AgentHustle AI about crypto and web3 topics',
-      parameters: {
-        type: 'object',
-        required: ['message'],
-        properties: {
-          message: {
-            type: 'string',
-            description: 'The message to send to the crypto assistant'
-          }
-        }
-      }
-    }
-  ];
+app.get('/api/resources/list', sendResourceList);
+app.post('/api/resources/list', sendResourceList);
 
-  // Add Smithery Brave Search if connected
-  if (smitheryConnected && smitheryClient.isAvailable()) {
-    try {
-      const smitheryTools = await smitheryClient.listTools();
-      // Add Smithery tools to our tools list
-      smitheryTools.forEach(tool => {
-        tools.push({
-          name: tool.name,
-          description: tool.description,
-          parameters: tool.inputSchema,
-          source: 'smithery' // Mark as Smithery tool for identification
-        });
-      });
-      console.log(`✓ Added ${smitheryTools.length} Smithery tools to the list`);
-    } catch (error) {
-      console.error('Error fetching Smithery tools:', error.message);
-      // Try to reconnect for next time
-      smitheryConnected = false;
-      console.log('⚠ Marking Smithery as disconnected, will attempt reconnection on next tool call');
-    }
+app.post('/api/resources/read', async (req, res) => {
+  const { uri, source } = req.body || {};
+  if (typeof uri !== 'string' || !uri) {
+    return sendError(res, new ValidationError('Expected a resource "uri"', [{ pointer: '/uri', message: 'is required' }]));
   }
 
-  // Add Ordiscan tools if connected
-  if (ordiscanConnected && ordiscanClient.isAvailable()) {
-    try {
-      const ordiscanTools = await ordiscanClient.listTools();
-      // Add Ordiscan tools to our tools list
-      ordiscanTools.forEach(tool => {
-        tools.push({
-          name: tool.name,
-          description: tool.description,
-          parameters: tool.inputSchema,
-          source: 'ordiscan' // Mark as Ordiscan tool for identification
-        });
-      });
-      console.log(`✓ Added ${ordiscanTools.length} Ordiscan tools to the list`);
-    } catch (error) {
-      console.error('Error fetching Ordiscan tools:', error.message);
-      // Try to reconnect for next time
-      ordiscanConnected = false;
-      console.log('⚠ Marking Ordiscan as disconnected, will attempt reconnection on next tool call');
+  try {
+    const resource = await registry.readResource(uri, { source, apiKey: req.apiKey });
+    if (!resource) {
+      return sendError(res, new ToolError('TOOL_NOT_FOUND', `Unknown resource: ${uri}`), { uri });
     }
+    res.json({ success: true, uri, ...resource });
+  } catch (error) {
+    console.error(`Error reading resource ${uri}:`, error);
+    sendError(res, error, { uri });
   }
+});
 
-  // Add Stock Analysis tools if connected
-  if (stockAnalysisConnected && stockAnalysisClient.isAvailable()) {
-    try {
-      const stockTools = await stockAnalysisClient.listTools();
-      // Add Stock Analysis tools to our tools list
-      stockTools.forEach(tool => {
-        tools.push({
-          name: tool.name,
-          description: tool.description,
-          parameters: tool.inputSchema,
-          source: 'stock-analysis' // Mark as Stock Analysis tool for identification
-        });
-      });
-      console.log(`✓ Added ${stockTools.length} Stock Analysis tools to the list`);
-    } catch (error) {
-      console.error('Error fetching Stock Analysis tools:', error.message);
-      // Try to reconnect for next time
-      stockAnalysisConnected = false;
-      console.log('⚠ Marking Stock Analysis as disconnected, will attempt reconnection on next tool call');
-    }
+async function sendPromptList(req, res) {
+  try {
+    const prompts = await registry.listPrompts();
+    res.json({ prompts: prompts.filter(prompt => canUseSource(req.apiKey, prompt.source)) });
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    sendError(res, error);
   }
+}
 
-  // Add local Brave Search tool if API key is provided (fallback)
-  if (process.env.BRAVE_API_KEY && !smitheryConnected) {
-    tools.push({
-      name: 'brave-search',
-      description: 'Search the web using Brave Search API',
-      parameters: {
-        type: 'object',
-        required: ['query'],
-        properties: {
-          query: {
-            type: 'string',
-            description: 'The search query'
-          },
-          count: {
-            type: 'number',
-            description: 'Number of results to return (max 20)',
-            default: 5
-          },
-          safesearch: {
-            type: 'string',
-            enum: ['strict', 'moderate', 'off'],
-            description: 'SafeSearch filter level',
-            default: 'moderate'
-          }
-        }
-      },
-      source: 'local' // Mark as local tool
-    });
-  }
+app.get('/api/prompts/list', sendPromptList);
+app.post('/api/prompts/list', sendPromptList);
 
-  res.json({ tools });
-});
+app.post('/api/prompts/get', async (req, res) => {
+  const { name, arguments: args, source } = req.body || {};
+  if (typeof name !== 'string' || !name) {
+    return sendError(res, new ValidationError('Expected a prompt "name"', [{ pointer: '/name', message: 'is required' }]));
+  }
 
-app.post('/api/tools/call', async (req, res) => {
-  const { name, params } = req.body;
-  
   try {
-    let result;
-
-    switch (name) {
-      case 'brave-search':
-      case 'brave_web_search': // Handle Smithery tool name
-        // Use Smithery if connected, otherwise fall back to local implementation
-        if ((smitheryConnected || await initializeSmithery()) && name === 'brave_web_search') {
-          console.log(`Executing Smithery Brave search for query: ${params.query}`);
-          try {
-            const smitheryResult = await smitheryClient.callTool('brave_web_search', params);
-            
-            // Parse the result from Smithery
-            // Smithery returns results as formatted text, not JSON
-            let parsedResults = [];
-            if (smitheryResult.content && smitheryResult.content[0] && smitheryResult.content[0].text) {
-              const text = smitheryResult.content[0].text;
-              
-              // Parse the text format: Title: ... Description: ... URL: ...
-              const resultBlocks = text.split('\n\n').filter(block => block.trim());
-              
-              for (const block of resultBlocks) {
-                const lines = block.split('\n');
-                let title = '', description = '', url = '';
-                
-                for (const line of lines) {
-                  if (line.startsWith('Title: ')) {
-                    title = line.substring(7).trim();
-                  } else if (line.startsWith('Description: ')) {
-                    description = line.substring(13).trim();
-                    // Remove HTML tags and decode entities
-                    description = description
-                      .replace(/<[^>]*>/g, '') // Remove HTML tags
-                      .replace(/&quot;/g, '"')
-                      .replace(/&#x27;/g, "'")
-                      .replace(/&lt;/g, '<')
-                      .replace(/&gt;/g, '>')
-                      .replace(/&amp;/g, '&');
-                  } else if (line.startsWith('URL: ')) {
-                    url = line.substring(5).trim();
-                  }
-                }
-                
-                if (title && url) {
-                  parsedResults.push({ title, description, url });
-                }
-              }
-            }
-            
-            // Format the results consistently
-            result = {
-              query: params.query,
-              total: parsedResults.length,
-              results: parsedResults,
-              source: 'smithery'
-            };
-          } catch (error) {
-            console.error('Error in Smithery Brave search:', error);
-            smitheryConnected = false; // Mark as disconnected
-            
-            // Try local fallback if available
-            if (process.env.BRAVE_API_KEY) {
-              console.log('Falling back to local Brave Search...');
-              const braveClient = new BraveSearchClient(process.env.BRAVE_API_KEY);
-              const searchResult = await braveClient.search(params.query, {
-                count: params.count || 5,
-                safesearch: params.safesearch || 'moderate'
-              });
-              
-              result = {
-                query: params.query,
-                total: searchResult.web?.total || 0,
-                results: searchResult.web?.results?.map(r => ({
-                  title: r.title,
-                  description: r.description,
-                  url: r.url
-                })) || [],
-                source: 'local-fallback'
-              };
-            } else {
-              throw new Error(`Smithery Brave Search failed and no local API key available: ${error.message}`);
-            }
-          }
-        } else if (process.env.BRAVE_API_KEY) {
-          // Fallback to local Brave Search implementation
-          console.log(`Executing local Brave search for query: ${params.query}`);
-          try {
-            const braveClient = new BraveSearchClient(process.env.BRAVE_API_KEY);
-            const searchResult = await braveClient.search(params.query, {
-              count: params.count || 5,
-              safesearch: params.safesearch || 'moderate'
-            });
-            
-            // Format the results in a more usable way
-            result = {
-              query: params.query,
-              total: searchResult.web?.total || 0,
-              results: searchResult.web?.results?.map(r => ({
-                title: r.title,
-                description: r.description,
-                url: r.url
-              })) || [],
-              source: 'local'
-            };
-          } catch (error) {
-            console.error('Error in local Brave search:', error);
-            throw new Error(`Local Brave Search failed: ${error.message}`);
-          }
-        } else {
-          throw new Error('Brave Search not available - no Smithery connection and no local API key configured');
-        }
-        break;
-
-      case 'brave_local_search': // Handle Smithery local search
-        if (smitheryConnected || await initializeSmithery()) {
-          console.log(`Executing Smithery local search for query: ${params.query}`);
-          try {
-            const smitheryResult = await smitheryClient.callTool('brave_local_search', params);
-            
-            // Parse the result from Smithery
-            // Smithery returns results as formatted text, not JSON
-            let parsedResults = [];
-            if (smitheryResult.content && smitheryResult.content[0] && smitheryResult.content[0].text) {
-              const text = smitheryResult.content[0].text;
-              
-              // Parse the text format: Title: ... Description: ... URL: ...
-              const resultBlocks = text.split('\n\n').filter(block => block.trim());
-              
-              for (const block of resultBlocks) {
-                const lines = block.split('\n');
-                let title = '', description = '', url = '';
-                
-                for (const line of lines) {
-                  if (line.startsWith('Title: ')) {
-                    title = line.substring(7).trim();
-                  } else if (line.startsWith('Description: ')) {
-                    description = line.substring(13).trim();
-                    // Remove HTML tags and decode entities
-                    description = description
-                      .replace(/<[^>]*>/g, '') // Remove HTML tags
-                      .replace(/&quot;/g, '"')
-                      .replace(/&#x27;/g, "'")
-                      .replace(/&lt;/g, '<')
-                      .replace(/&gt;/g, '>')
-                      .replace(/&amp;/g, '&');
-                  } else if (line.startsWith('URL: ')) {
-                    url = line.substring(5).trim();
-                  }
-                }
-                
-                if (title && url) {
-                  parsedResults.push({ title, description, url });
-                }
-              }
-            }
-            
-            result = {
-              query: params.query,
-              total: parsedResults.length,
-              results: parsedResults,
-              source: 'smithery'
-            };
-          } catch (error) {
-            console.error('Error in Smithery local search:', error);
-            smitheryConnected = false; // Mark as disconnected
-            throw new Error(`Smithery Local Search failed: ${error.message}`);
-          }
-        } else {
-          throw new Error('Smithery Local Search not available - no Smithery connection');
-        }
-        break;
-
-      case 'rugcheck':
-        console.log(`Executing rugcheck for token: ${params.token}`);
-        const rugcheckResponse = await client.headlessChat(
-          `Run a rugcheck for ${params.token}`, 
-          {
-            'rugcheck': async (p) => p
-          },
-          { vaultId }
-        );
-        result = rugcheckResponse.toolResults[0] || { error: 'No results from rugcheck' };
-        break;
-
-      case 'trending-tokens':
-        console.log(`Fetching trending tokens on chain: ${params.chain || 'solana'}`);
-        try {
-          const trendingResponse = await client.headlessChat(
-            `Show me trending tokens on ${params.chain || 'solana'}`, 
-            {
-              'birdeye-trending': async (p) => p
-            },
-            { vaultId }
-          );
-          result = trendingResponse.toolResults[0] || { 
-            tokens: [],
-            message: 'Unable to fetch trending tokens'
-          };
-        } catch (error) {
-          console.error('Error in trending-tokens:', error);
-          result = { 
-            tokens: [],
-            message: `Error: ${error.message}`
-          };
-        }
-        break;
-
-      case 'wallet-balance':
-        console.log(`Checking wallet balance for: ${params.address}`);
-        try {
-          const balanceResponse = await client.headlessChat(
-            `Check wallet balance for ${params.address}`, 
-            {
-              'wallet-balance': async (p) => p
-            },
-            { vaultId }
-          );
-          result = balanceResponse.toolResults[0] || { 
-            address: params.address,
-            balances: [],
-            message: 'Unable to fetch wallet balance'
-          };
-        } catch (error) {
-          console.error('Error in wallet-balance:', error);
-          result = { 
-            address: params.address,
-            balances: [],
-            message: `Error: ${error.message}`
-          };
-        }
-        break;
-
-      case 'crypto-chat':
-        console.log(`Crypto chat: ${params.message}`);
-        try {
-          const response = await client.chat([
-            {
-              role: 'system',
-              content: 'You are a helpful crypto and web3 expert. Provide informative and accurate responses about cryptocurrency, blockchain technology, DeFi, NFTs, and related topics.'
-            },
-            {
-              role: 'user',
-              content: params.message || params.query
-            }
-          ], { vaultId });
-          
-          result = {
-            response: response.content,
-            toolsUsed: response.toolCalls ? response.toolCalls.map(tool => tool.name) : []
-          };
-        } catch (error) {
-          console.error('Error in crypto-chat:', error);
-          result = {
-            response: `Sorry, I encountered an error: ${error.message}`,
-            toolsUsed: []
-          };
-        }
-        break;
-
-      // Ordiscan tools - Handle all 29 Ordiscan MCP tools
-      case 'ordiscan_address_brc20_activity':
-      case 'ordiscan_address_brc20':
-      case 'ordiscan_brc20_info':
-      case 'ordiscan_brc20_list':
-      case 'ordiscan_collection_info':
-      case 'ordiscan_collection_inscriptions':
-      case 'ordiscan_collections_list':
-      case 'ordiscan_inscription_info':
-      case 'ordiscan_inscription_traits':
-      case 'ordiscan_inscription_transfers':
-      case 'ordiscan_inscriptions_activity':
-      case 'ordiscan_inscriptions_detail':
-      case 'ordiscan_inscriptions_list':
-      case 'ordiscan_address_inscriptions':
-      case 'ordiscan_address_rare_sats':
-      case 'ordiscan_rune_market':
-      case 'ordiscan_rune_name_unlock':
-      case 'ordiscan_runes_activity':
-      case 'ordiscan_address_runes':
-      case 'ordiscan_runes_list':
-      case 'ordiscan_sat_info':
-      case 'ordiscan_tx_info':
-      case 'ordiscan_tx_inscription_transfers':
-      case 'ordiscan_tx_inscriptions':
-      case 'ordiscan_tx_runes':
-      case 'ordiscan_utxo_rare_sats':
-      case 'ordiscan_utxo_sat_ranges':
-      case 'ordiscan_address_utxos':
-      case 'ordiscan_main':
-        if (ordiscanConnected || await initializeOrdiscan()) {
-          console.log(`Executing Ordiscan ${name} with params:`, params);
-          try {
-            // Add API key to params if available
-            const ordiscanParams = { ...params };
-            if (process.env.ORDISCAN_API_KEY) {
-              ordiscanParams.apiKey = process.env.ORDISCAN_API_KEY;
-              console.log(`✓ Adding API key to Ordiscan request: ${process.env.ORDISCAN_API_KEY.substring(0, 8)}...`);
-            } else {
-              throw new Error('ORDISCAN_API_KEY environment variable is required but not set');
-            }
-            
-            const ordiscanResult = await ordiscanClient.callTool(name, ordiscanParams);
-            
-            // Parse the result from Ordiscan
-            // Reason: Ordiscan returns structured data, usually as JSON text
-            let parsedData = {};
-            if (ordiscanResult.content && ordiscanResult.content[0] && ordiscanResult.content[0].text) {
-              const text = ordiscanResult.content[0].text;
-              try {
-                // Try to parse as JSON first
-                parsedData = JSON.parse(text);
-              } catch (jsonError) {
-                // If not JSON, return as text
-                parsedData = { data: text };
-              }
-            }
-            
-            // Format the result consistently based on tool type
-            if (name.includes('address')) {
-              result = {
-                address: params.address,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else if (name.includes('inscription')) {
-              result = {
-                inscription: params.id || params.number,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else if (name.includes('brc20')) {
-              result = {
-                token: params.tick,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else if (name.includes('rune')) {
-              result = {
-                rune: params.name || params.runeName,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else if (name.includes('collection')) {
-              result = {
-                collection: params.slug,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else if (name.includes('tx')) {
-              result = {
-                transaction: params.txid,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else if (name.includes('utxo')) {
-              result = {
-                utxo: params.utxo,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else if (name.includes('sat')) {
-              result = {
-                satoshi: params.ordinal,
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            } else {
-              // Generic format for other tools
-              result = {
-                data: parsedData,
-                tool: name,
-                source: 'ordiscan'
-              };
-            }
-          } catch (error) {
-            console.error(`Error in Ordiscan ${name}:`, error);
-            ordiscanConnected = false; // Mark as disconnected
-            throw new Error(`Ordiscan ${name} failed: ${error.message}`);
-          }
-        } else {
-          throw new Error(`${name} not available - no Ordiscan connection`);
-        }
-        break;
-
-      // Stock Analysis tools - Handle Alpha Vantage stock analysis tools
-      case 'get-stock-data':
-      case 'get_stock_data':
-      case 'get-stock-alerts':
-      case 'get_stock_alerts':
-      case 'get-daily-stock-data':
-      case 'get_daily_stock_data':
-        if (stockAnalysisConnected || await initializeStockAnalysis()) {
-          console.log(`Executing Stock Analysis ${name} with params:`, params);
-          try {
-            // Add API key to params if available
-            const stockParams = { ...params };
-            if (process.env.ALPHA_VANTAGE_API_KEY) {
-              stockParams.alphaVantageApiKey = process.env.ALPHA_VANTAGE_API_KEY;
-              console.log(`✓ Adding Alpha Vantage API key to request: ${process.env.ALPHA_VANTAGE_API_KEY.substring(0, 8)}...`);
-            } else {
-              throw new Error('ALPHA_VANTAGE_API_KEY environment variable is required but not set');
-            }
-            
-            // Normalize tool name for Smithery (use hyphen format)
-            const normalizedName = name.replace(/_/g, '-');
-            const stockResult = await stockAnalysisClient.callTool(normalizedName, stockParams);
-            
-            // Parse the result from Stock Analysis
-            // Reason: Stock analysis returns structured data, usually as JSON text
-            let parsedData = {};
-            if (stockResult.content && stockResult.content[0] && stockResult.content[0].text) {
-              const text = stockResult.content[0].text;
-              try {
-                // Try to parse as JSON first
-                parsedData = JSON.parse(text);
-              } catch (jsonError) {
-                // If not JSON, return as text
-                parsedData = { data: text };
-              }
-            }
-            
-            // Format the result consistently based on tool type
-            if (name.includes('stock-data') || name.includes('daily')) {
-              result = {
-                symbol: params.symbol,
-                data: parsedData,
-                tool: name,
-                source: 'stock-analysis'
-              };
-            } else if (name.includes('alerts')) {
-              result = {
-                symbol: params.symbol,
-                alerts: parsedData,
-                tool: name,
-                source: 'stock-analysis'
-              };
-            } else {
-              // Generic format for other stock tools
-              result = {
-                data: parsedData,
-                tool: name,
-                source: 'stock-analysis'
-              };
-            }
-          } catch (error) {
-            console.error(`Error in Stock Analysis ${name}:`, error);
-            stockAnalysisConnected = false; // Mark as disconnected
-            throw new Error(`Stock Analysis ${name} failed: ${error.message}`);
-          }
-        } else {
-          throw new Error(`${name} not available - no Stock Analysis connection`);
-        }
-        break;
-
-      default:
-        throw new Error(`Unknown tool: ${name}`);
+    const prompt = await registry.getPrompt(name, args || {}, { source, apiKey: req.apiKey });
+    if (!prompt) {
+      return sendError(res, new ToolError('TOOL_NOT_FOUND', `Unknown prompt: ${name}`), { prompt: name });
     }
-
-    res.json({ 
-      success: true, 
-      result,
-      tool: name
-    });
+    res.json({ success: true, prompt: name, ...prompt });
   } catch (error) {
-    console.error(`Error executing tool ${name}:`, error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message || `Failed to execute tool ${name}`,
-      tool: name
-    });
+    if (!(error instanceof ValidationError)) {
+      console.error(`Error rendering prompt ${name}:`, error);
+    }
+    sendError(res, error, { prompt: name });
   }
 });
 
@@ -907,14 +384,14 @@ app.post('/api/agentui/chat', async (req, res) => {
   console.log(`[AgentUI Interaction] Received message: "${message}" for session: ${sessionId || 'default'}`);
   
   try {
-    const agentUiResponse = await handleAgentUiRequest(message, sessionId, history);
+    const agentUiResponse = await handleAgentUiRequest(message, sessionId, history, AGENT_ID, req.apiKey);
     
     // Check if the response contains an error
     if (agentUiResponse.error) {
       console.error('[AgentUI Chat] Response contains error:', agentUiResponse);
       res.status(500).json(agentUiResponse);
     } else {
-    res.json(agentUiResponse);
+      res.json(agentUiResponse.messages);
     }
   } catch (error) {
     console.error('[AgentUI Chat Error] Failed to process request:', error);
@@ -926,14 +403,98 @@ app.post('/api/agentui/chat', async (req, res) => {
   }
 });
 
+/**
+ * Build the messages sent to Hustle AI: the previous turns of the session
+ * (or the history sent by the client when the session is not stored yet)
+ * followed by the new message, within the session history budget
+ * @param {string} userMessage - The user's message
+ * @param {Object|null} session - Stored session
+ * @param {Array} history - Conversation history sent by the client
+ * @returns {Promise<Array>} Chat messages
+ */
+async function buildChatMessages(userMessage, session, history) {
+  const memory = new ConversationMemory({
+    maxTurns: SESSION_HISTORY_MAX_TURNS,
+    maxTokens: SESSION_HISTORY_MAX_TOKENS,
+    strategy: 'truncate'
+  });
+  
+  if (session) {
+    session.runs.forEach(run => {
+      memory.addUser(run.message.content);
+      if (run.response && run.response.content) {
+        memory.addAssistant(run.response.content);
+      }
+    });
+  } else if (Array.isArray(history)) {
+    history
+      .filter(message => message && typeof message.content === 'string' && message.content)
+      .forEach(message => {
+        if (message.role === 'user') {
+          memory.addUser(message.content);
+        } else if (message.role === 'assistant' || message.role === 'agent') {
+          memory.addAssistant(message.content);
+        }
+      });
+  }
+  
+  memory.addUser(userMessage);
+  await memory.compact();
+  return memory.getMessages();
+}
+
+/**
+ * Owner of the sessions created with a key: the key name, null when authentication is disabled
+ * @param {Object|null} apiKey - Key of the request
+ * @returns {string|null} Session owner
+ */
+function sessionOwner(apiKey) {
+  return apiKey ? apiKey.name : null;
+}
+
+/**
+ * Record a run in the session store
+ * @param {string} agentId - Agent identifier
+ * @param {string} sessionId - Session identifier
+ * @param {string} userMessage - The user's message
+ * @param {number} startedAt - Time the run started (seconds)
+ * @param {Object} response - Response returned to Agent UI
+ * @param {Object|null} [apiKey] - Key of the request, owning the session
+ */
+async function recordRun(agentId, sessionId, userMessage, startedAt, response, apiKey = null) {
+  try {
+    await sessionStore.appendRun(agentId, sessionId, {
+      run_id: response.run_id,
+      message: {
+        role: 'user',
+        content: userMessage,
+        created_at: startedAt
+      },
+      response: {
+        content: response.content,
+        tools: response.tools || [],
+        created_at: Math.floor(response.created_at / 1000)
+      },
+      created_at: startedAt
+    }, sessionOwner(apiKey));
+  } catch (error) {
+    // The answer is still returned, only the session history is incomplete
+    console.error(`[AgentUI] Error recording run in session ${sessionId}:`, error.message);
+  }
+}
+
 /**
  * Handle Agent UI chat requests
  * @param {string} userMessage - The user's message
  * @param {string} sessionId - Session identifier
- * @param {Array} history - Conversation history
- * @returns {Object|Array} - Formatted response for Agent UI
+ * @param {Array} history - Conversation history, used when the session is not stored yet
+ * @param {string} [agentId] - Agent identifier the session belongs to
+ * @param {Object|null} [apiKey] - Key of the request, limiting the tools the agent may call
+ * @returns {Object} - Final answer, with the exchanged messages in `messages` and the executed tools in `tools`
  */
-async function handleAgentUiRequest(userMessage, sessionId, history) {
+async function handleAgentUiRequest(userMessage, sessionId, history, agentId = AGENT_ID, apiKey = null) {
+  const startedAt = Math.floor(Date.now() / 1000);
+  
   try {
     console.log('[AgentUI] Processing message:', userMessage);
     console.log('[AgentUI] Environment check:');
@@ -945,42 +506,60 @@ async function handleAgentUiRequest(userMessage, sessionId, history) {
     console.log('[AgentUI] Sending message to Hustle AI...');
     console.log('[AgentUI] Using vaultId:', vaultId);
     
-    // Use simple chat format with explicit vaultId
-    const aiResponse = await client.chat([
-      {
-      role: 'user',
-      content: userMessage
-      }
-    ], { 
-      vaultId: vaultId || process.env.VAULT_ID || '6888216545'  // Explicit fallback
-    });
+    // Continue the stored session, if any
+    const session = sessionId ? await sessionStore.get(agentId, sessionId, sessionOwner(apiKey)) : null;
+    const messages = await buildChatMessages(userMessage, session, history);
+    console.log(`[AgentUI] Sending ${messages.length} message(s)${session ? ` (continuing session ${sessionId})` : ''}`);
+    
+    // Run the tool loop: the agent may call tools, possibly over several rounds
+    const result = await orchestrator.run(messages, { apiKey });
     
-    console.log('[AgentUI] Received AI response:', aiResponse);
+    console.log(`[AgentUI] Received AI response after ${result.iterations} tool round(s), ${result.toolCalls.length} tool call(s)`);
     
     // Step 2: Format response for Agent UI
-    // The Hustle API returns an object with content, messageId, usage, etc.
-    const responseContent = aiResponse.content || aiResponse.message || 'I received your message and I\'m here to help!';
+    const responseContent = result.content || 'I received your message and I\'m here to help!';
     
-    return {
-        role: 'assistant',
+    const response = {
+      role: 'assistant',
       content: responseContent,
       created_at: Date.now(),
-      messageId: aiResponse.messageId || `msg-${Date.now()}`,
-      usage: aiResponse.usage || null
+      messageId: result.messageId || `msg-${Date.now()}`,
+      run_id: randomUUID(),
+      session_id: sessionId || null,
+      usage: result.usage,
+      tools: result.toolCalls.map(toAgentUiToolCall)
     };
-          
+    
+    // Messages in the format convertCLIMessagesToAgentUI expects, ending with the final answer
+    response.messages = [
+      ...result.messages.slice(0, -1),
+      {
+        ...result.messages[result.messages.length - 1],
+        content: responseContent,
+        messageId: response.messageId,
+        run_id: response.run_id,
+        session_id: response.session_id,
+        usage: response.usage
+      }
+    ];
+    
+    if (sessionId) {
+      await recordRun(agentId, sessionId, userMessage, startedAt, response, apiKey);
+    }
+    
+    return response;
   } catch (error) {
     console.error('[AgentUI] Error in handleAgentUiRequest:', error);
     console.error('[AgentUI] Error details:', {
       message: error.message,
       stack: error.stack,
-          vaultId: vaultId,
+      vaultId: vaultId,
       envVaultId: process.env.VAULT_ID
     });
     
     // Return a proper error response instead of throwing
-      return {
-        role: 'assistant',
+    return {
+      role: 'assistant',
       content: `Sorry, I encountered an error: ${error.message}`,
       created_at: Date.now(),
       error: true
@@ -988,9 +567,71 @@ async function handleAgentUiRequest(userMessage, sessionId, history) {
   }
 }
 
+/**
+ * Run the agent on a message and report its progress as playground run events
+ * (see streamRunEvents). The run is recorded in the session once completed; an
+ * aborted run is not recorded.
+ * @param {Object} run - Run options
+ * @param {string} run.agentId - Agent identifier
+ * @param {string} run.sessionId - Session identifier
+ * @param {string} run.message - The user's message
+ * @param {AbortSignal} run.signal - Aborted when the client disconnects
+ * @param {Function} run.emit - Receives every run event
+ * @param {Object|null} [run.apiKey] - Key of the request, limiting the tools the agent may call
+ * @returns {Promise<void>}
+ */
+async function streamAgentRun({ agentId, sessionId, message, signal, emit, apiKey = null }) {
+  const runId = randomUUID();
+  
+  try {
+    // Run the tool loop, streaming each response of the agent: the tools it calls run
+    // through the registry within the scopes of the caller's key
+    const { run, tools, startedAt, completedAt } = await streamRunEvents(async callbacks => {
+      const session = await sessionStore.get(agentId, sessionId, sessionOwner(apiKey));
+      const messages = await buildChatMessages(message, session, []);
+      return orchestrator.run(messages, { apiKey, signal, ...callbacks });
+    }, {
+      emit,
+      signal,
+      fields: { run_id: runId, agent_id: agentId, session_id: sessionId }
+    });
+    
+    await recordRun(agentId, sessionId, message, Math.floor(startedAt / 1000), {
+      run_id: runId,
+      content: run.content,
+      tools,
+      created_at: completedAt
+    }, apiKey);
+  } catch (error) {
+    if (signal.aborted) {
+      console.log(`[Playground API] Run ${runId} cancelled`);
+      return;
+    }
+    console.error('[Playground API] Error:', error);
+  }
+}
+
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+app.get('/health', async (req, res) => {
+  res.json({
+    status: 'ok',
+    upstreams: registry.health(),
+    toolCatalog: toolCatalog.stats(),
+    resultCache: await registry.resultCacheStats(),
+    mcp: mcpGateway.stats()
+  });
+});
+
+// Model Context Protocol endpoint (Streamable HTTP transport)
+app.all('/mcp', async (req, res) => {
+  try {
+    await mcpGateway.handleHttpRequest(req, res, { apiKey: req.apiKey });
+  } catch (error) {
+    console.error('[MCP] Error handling request:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: 'Internal server error' }, id: null });
+    }
+  }
 });
 
 // Add Agno Playground API endpoints for frontend compatibility
@@ -1007,8 +648,8 @@ app.get('/v1/playground/agents', (req, res) => {
     {
       agent_id: 'crypto-agent',
       name: 'Crypto & Web3 Agent',
-        model: 'gpt-4o-mini',
-      storage: false,
+      model: 'gpt-4o-mini',
+      storage: true,
       description: 'AI assistant with crypto tools, web search, and stock analysis'
     }
   ]);
@@ -1016,7 +657,9 @@ app.get('/v1/playground/agents', (req, res) => {
 
 app.post('/v1/playground/agents/:agent_id/runs', async (req, res) => {
   const { agent_id } = req.params;
-  const { message, stream, session_id } = req.body;
+  const { message, stream } = req.body;
+  // Runs without a session start a new one, the frontend picks up the returned session_id
+  const session_id = req.body.session_id || randomUUID();
   
   console.log(`[Playground API] Agent run request for ${agent_id}:`, { message, stream, session_id });
   
@@ -1024,47 +667,40 @@ app.post('/v1/playground/agents/:agent_id/runs', async (req, res) => {
     // Handle streaming response
     res.writeHead(200, {
       'Content-Type': 'text/plain',
-      'Transfer-Encoding': 'chunked',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      'Transfer-Encoding': 'chunked'
     });
 
-    try {
-      // Use the existing AgentUI chat handler
-      const result = await handleAgentUiRequest(message, session_id || 'default', []);
-      
-      // Send the response in the expected format
-      const response = {
-        event: 'run_completed',
-        content: result.content,
-        created_at: Math.floor(Date.now() / 1000),
-        tools: result.tool_calls || [],
-        extra_data: {
-          reasoning_steps: result.reasoning_steps || [],
-          references: result.references || []
+    // Cancel the upstream response when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        console.log(`[Playground API] Client disconnected, cancelling run for session ${session_id}`);
+        controller.abort();
+      }
+    });
+
+    await streamAgentRun({
+      agentId: agent_id,
+      sessionId: session_id,
+      message,
+      signal: controller.signal,
+      apiKey: req.apiKey,
+      emit: payload => {
+        if (!controller.signal.aborted) {
+          res.write(`data: ${JSON.stringify(payload)}\n\n`);
         }
-      };
-      
-      res.write(`data: ${JSON.stringify(response)}\n\n`);
-      res.end();
-    } catch (error) {
-      console.error('[Playground API] Error:', error);
-      const errorResponse = {
-        event: 'run_error',
-        content: `Error: ${error.message}`,
-        created_at: Math.floor(Date.now() / 1000)
-      };
-      res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
-      res.end();
-    }
-        } else {
+      }
+    });
+    res.end();
+  } else {
     // Handle non-streaming response
     try {
-      const result = await handleAgentUiRequest(message, session_id || 'default', []);
+      const result = await handleAgentUiRequest(message, session_id, [], agent_id, req.apiKey);
       res.json({
+        session_id,
+        run_id: result.run_id,
         content: result.content,
-        tool_calls: result.tool_calls || [],
+        tool_calls: result.tools || [],
         created_at: Math.floor(Date.now() / 1000)
       });
     } catch (error) {
@@ -1073,60 +709,120 @@ app.post('/v1/playground/agents/:agent_id/runs', async (req, res) => {
         error: error.message,
         created_at: Math.floor(Date.now() / 1000)
       });
+    }
   }
-}
 });
 
-// Sessions endpoints (optional - for storage support)
-app.get('/v1/playground/agents/:agent_id/sessions', (req, res) => {
-  // Return empty array since storage is not implemented
-  res.json([]);
+// Sessions endpoints backed by the session store, each key only sees the sessions it created
+app.get('/v1/playground/agents/:agent_id/sessions', async (req, res) => {
+  try {
+    res.json(await sessionStore.list(req.params.agent_id, sessionOwner(req.apiKey)));
+  } catch (error) {
+    console.error('[Playground API] Error listing sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.get('/v1/playground/agents/:agent_id/sessions/:session_id', (req, res) => {
-  res.status(404).json({ error: 'Session not found' });
+app.get('/v1/playground/agents/:agent_id/sessions/:session_id', async (req, res) => {
+  const { agent_id, session_id } = req.params;
+  
+  try {
+    const session = await sessionStore.get(agent_id, session_id, sessionOwner(req.apiKey));
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    // Agno session format: the frontend reads the runs from memory.runs
+    res.json({
+      session_id: session.session_id,
+      agent_id: session.agent_id,
+      user_id: null,
+      title: session.title,
+      created_at: session.created_at,
+      updated_at: session.updated_at,
+      runs: session.runs,
+      memory: { runs: session.runs },
+      agent_data: { agent_id: session.agent_id }
+    });
+  } catch (error) {
+    console.error('[Playground API] Error loading session:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.delete('/v1/playground/agents/:agent_id/sessions/:session_id', (req, res) => {
-  res.status(404).json({ error: 'Session not found' });
+app.post('/v1/playground/agents/:agent_id/sessions/:session_id/rename', async (req, res) => {
+  const { agent_id, session_id } = req.params;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  
+  if (!name) {
+    return res.status(400).json({ error: 'A non-empty "name" is required' });
+  }
+  
+  try {
+    const session = await sessionStore.rename(agent_id, session_id, name, sessionOwner(req.apiKey));
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ session_id: session.session_id, title: session.title, created_at: session.created_at });
+  } catch (error) {
+    console.error('[Playground API] Error renaming session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/v1/playground/agents/:agent_id/sessions/:session_id', async (req, res) => {
+  const { agent_id, session_id } = req.params;
+  
+  try {
+    if (!(await sessionStore.delete(agent_id, session_id, sessionOwner(req.apiKey)))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, session_id });
+  } catch (error) {
+    console.error('[Playground API] Error deleting session:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Start server
 const port = process.env.PORT || 8081;
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`MCP Server running on port ${port}`);
+  console.log(`MCP endpoint (Streamable HTTP): http://localhost:${port}/mcp`);
   console.log('\nAvailable tools:');
   
-  if (smitheryConnected) {
+  if (registry.isConnected('smithery')) {
     console.log('- brave-search: Search the web using Smithery hosted Brave Search');
   } else if (process.env.BRAVE_API_KEY) {
     console.log('- brave-search: Search the web using local Brave Search API');
   }
   
-  console.log('- rugcheck: Perform a security analysis on a specific token');
-  console.log('- trending-tokens: Get trending tokens on a specific blockchain');
-  console.log('- wallet-balance: Check wallet balance for a specific address');
+  console.log('- rugcheck: Score token security risks (Solana, Ethereum, BNB Chain)');
+  console.log('- trending-tokens: Rank trending tokens (Solana, Ethereum, BNB Chain)');
+  console.log('- wallet-balance: Check on-chain wallet holdings (Solana, Ethereum, BNB Chain)');
   console.log('- crypto-chat: Chat with the AgentHustle AI about crypto and web3 topics');
   
-  if (ordiscanConnected) {
-    console.log('\n🔗 Ordiscan Bitcoin Tools (29 tools available):');
-    console.log('- ordiscan_address_brc20: Get BRC-20 token balances for a Bitcoin address');
-    console.log('- ordiscan_inscription_info: Get detailed information about a specific inscription');
-    console.log('- ordiscan_address_inscriptions: Get all inscriptions owned by a Bitcoin address');
-    console.log('- ordiscan_runes_list: Get a paginated list of all runes');
-    console.log('- ordiscan_collection_info: Get detailed information about a specific collection');
-    console.log('- ordiscan_tx_info: Get information about a Bitcoin transaction');
-    console.log('- And 23 more Bitcoin ordinals, inscriptions, BRC-20, and runes tools...');
+  if (upstreamServers.length > 0) {
+    console.log('\nUpstream MCP servers:');
+    registry.health().forEach(upstream => {
+      const description = upstream.description ? ` (${upstream.description})` : '';
+      console.log(`${upstream.label} Integration: ${upstream.connected ? '✓ Connected' : '✗ Not connected'}${description}`);
+    });
   }
-  
-  if (stockAnalysisConnected) {
-    console.log('\n📈 Stock Analysis Tools (3 tools available):');
-    console.log('- get-stock-data: Get real-time stock market data');
-    console.log('- get-stock-alerts: Generate stock alerts based on price movements');
-    console.log('- get-daily-stock-data: Get daily historical stock data');
+});
+
+// Close MCP sessions and upstream clients (connection pools, stdio server processes) before exiting
+let closing = false;
+async function shutdown(signal) {
+  if (closing) {
+    return;
   }
-  
-  console.log(`\nSmithery Integration: ${smitheryConnected ? '✓ Connected' : '✗ Not connected'}`);
-  console.log(`Ordiscan Integration: ${ordiscanConnected ? '✓ Connected' : '✗ Not connected'}`);
-  console.log(`Stock Analysis Integration: ${stockAnalysisConnected ? '✓ Connected' : '✗ Not connected'}`);
-}); 
\ No newline at end of file
+  closing = true;
+  console.log(`\n${signal} received, shutting down...`);
+  server.close();
+  await mcpGateway.close();
+  await registry.close();
+  process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
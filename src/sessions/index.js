@@ -0,0 +1,42 @@
+// Session stores backing the playground sessions endpoints
+import { MemorySessionStore } from './memory-store.js';
+import { JsonFileSessionStore } from './json-file-store.js';
+import { SqliteSessionStore } from './sqlite-store.js';
+
+export { MemorySessionStore, JsonFileSessionStore, SqliteSessionStore };
+export { titleFromMessage } from './memory-store.js';
+
+const DEFAULT_PATHS = {
+  json: '.sessions/sessions.json',
+  sqlite: '.sessions/sessions.db'
+};
+
+/**
+ * Create and initialize the session store selected by the configuration
+ * @param {Object} [options] - Store options
+ * @param {string} [options.type] - "memory", "json" or "sqlite"
+ * @param {string} [options.path] - File used by the json and sqlite stores
+ * @returns {Promise<Object>} Initialized session store
+ */
+export async function createSessionStore(options = {}) {
+  const type = options.type || 'memory';
+  const filePath = options.path || DEFAULT_PATHS[type];
+
+  let store;
+  switch (type) {
+    case 'memory':
+      store = new MemorySessionStore();
+      break;
+    case 'json':
+      store = new JsonFileSessionStore(filePath);
+      break;
+    case 'sqlite':
+      store = new SqliteSessionStore(filePath);
+      break;
+    default:
+      throw new Error(`Unknown session store "${type}" (expected memory, json or sqlite)`);
+  }
+
+  await store.init();
+  return store;
+}
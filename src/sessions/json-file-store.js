@@ -0,0 +1,85 @@
+// Session store persisted to a JSON file
+import fs from 'fs/promises';
+import path from 'path';
+import { MemorySessionStore } from './memory-store.js';
+
+/**
+ * Session store keeping sessions in memory and writing them to a JSON file
+ * after every change. Writes go through a temporary file and a rename, so a
+ * crash never leaves a truncated file behind.
+ */
+export class JsonFileSessionStore extends MemorySessionStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    super();
+    this.type = 'json';
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the sessions saved by a previous run
+   * @returns {Promise<void>}
+   */
+  async init() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    let sessions;
+    try {
+      sessions = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid session file ${this.filePath}: ${error.message}`);
+    }
+
+    (Array.isArray(sessions) ? sessions : []).forEach(session => {
+      this.sessions.set(this.key(session.agent_id, session.session_id), session);
+    });
+  }
+
+  /**
+   * Write every session to the file, one write at a time
+   * @private
+   */
+  persist() {
+    const content = JSON.stringify([...this.sessions.values()], null, 2);
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, this.filePath);
+    });
+    return this.writing;
+  }
+
+  async appendRun(agentId, sessionId, run, owner = null) {
+    const session = await super.appendRun(agentId, sessionId, run, owner);
+    await this.persist();
+    return session;
+  }
+
+  async rename(agentId, sessionId, title, owner = null) {
+    const session = await super.rename(agentId, sessionId, title, owner);
+    if (session) {
+      await this.persist();
+    }
+    return session;
+  }
+
+  async delete(agentId, sessionId, owner = null) {
+    const deleted = await super.delete(agentId, sessionId, owner);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+}
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileSessionStore } from './json-file-store.js';
+import { createSessionStore } from './index.js';
+
+const RUN = {
+  run_id: 'run-1',
+  message: { role: 'user', content: 'hello', created_at: 1 },
+  response: { content: 'hi', tools: [], created_at: 2 },
+  created_at: 1
+};
+
+describe('JsonFileSessionStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    filePath = path.join(dir, 'nested', 'sessions.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the sessions across restarts', async () => {
+    const store = await createSessionStore({ type: 'json', path: filePath });
+    await store.appendRun('agent', 'kept', RUN, 'cli');
+    await store.appendRun('agent', 'renamed', RUN, 'cli');
+    await store.appendRun('agent', 'deleted', RUN, 'cli');
+    await store.rename('agent', 'renamed', 'Renamed', 'cli');
+    await store.delete('agent', 'deleted', 'cli');
+
+    const restarted = await createSessionStore({ type: 'json', path: filePath });
+
+    expect((await restarted.list('agent', 'cli')).map(session => [session.session_id, session.title]).sort()).toEqual([
+      ['kept', 'hello'],
+      ['renamed', 'Renamed']
+    ]);
+    expect((await restarted.get('agent', 'kept', 'cli')).runs).toEqual([RUN]);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+
+  test('starts empty without a file', async () => {
+    const store = new JsonFileSessionStore(filePath);
+    await store.init();
+
+    expect(await store.list('agent')).toEqual([]);
+  });
+
+  test('refuses to start on a corrupted file', async () => {
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, '[{"session_id": ');
+
+    await expect(createSessionStore({ type: 'json', path: filePath })).rejects.toThrow(`Invalid session file ${filePath}`);
+  });
+});
+
+describe('createSessionStore', () => {
+  test('rejects unknown store types', async () => {
+    await expect(createSessionStore({ type: 'redis' })).rejects.toThrow('Unknown session store "redis"');
+  });
+});
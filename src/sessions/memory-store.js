@@ -0,0 +1,143 @@
+// In-memory session store (sessions are lost when the server restarts)
+
+/**
+ * Build the title of a session from its first message
+ * @param {string} message - First user message
+ * @returns {string} Session title
+ */
+export function titleFromMessage(message) {
+  const text = (message || '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return 'New session';
+  }
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+/**
+ * Session store keeping every session in a Map.
+ *
+ * A session is `{ session_id, agent_id, owner, title, created_at, updated_at, runs }`
+ * where each run is `{ run_id, message, response, created_at }` in the shape the
+ * Agent UI sessions sidebar loads (timestamps are in seconds).
+ *
+ * `owner` is the name of the API key that created the session (null when
+ * authentication is disabled); every method only sees the sessions of the
+ * owner it is given.
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.type = 'memory';
+    this.sessions = new Map();
+  }
+
+  /**
+   * Prepare the store for use
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * @private
+   */
+  key(agentId, sessionId) {
+    return `${agentId}:${sessionId}`;
+  }
+
+  /**
+   * Find a session of an owner
+   * @private
+   */
+  find(agentId, sessionId, owner) {
+    const session = this.sessions.get(this.key(agentId, sessionId));
+    return session && (session.owner ?? null) === owner ? session : null;
+  }
+
+  /**
+   * List the sessions of an agent, most recently updated first
+   * @param {string} agentId - Agent identifier
+   * @param {string|null} [owner] - Key name the sessions belong to
+   * @returns {Promise<Array<{session_id: string, title: string, created_at: number, updated_at: number}>>} Session entries
+   */
+  async list(agentId, owner = null) {
+    return [...this.sessions.values()]
+      .filter(session => session.agent_id === agentId && (session.owner ?? null) === owner)
+      .sort((a, b) => b.updated_at - a.updated_at)
+      .map(({ session_id, title, created_at, updated_at }) => ({ session_id, title, created_at, updated_at }));
+  }
+
+  /**
+   * Get a session with all of its runs
+   * @param {string} agentId - Agent identifier
+   * @param {string} sessionId - Session identifier
+   * @param {string|null} [owner] - Key name the session belongs to
+   * @returns {Promise<Object|null>} Session, or null if the owner has no such session
+   */
+  async get(agentId, sessionId, owner = null) {
+    const session = this.find(agentId, sessionId, owner);
+    return session ? structuredClone(session) : null;
+  }
+
+  /**
+   * Append a run to a session, creating the session on its first run
+   * @param {string} agentId - Agent identifier
+   * @param {string} sessionId - Session identifier
+   * @param {Object} run - Run to record ({ run_id, message, response, created_at })
+   * @param {string|null} [owner] - Key name the session belongs to
+   * @returns {Promise<Object>} Updated session
+   * @throws {Error} If the session belongs to another owner
+   */
+  async appendRun(agentId, sessionId, run, owner = null) {
+    const key = this.key(agentId, sessionId);
+    const now = Math.floor(Date.now() / 1000);
+    let session = this.sessions.get(key);
+
+    if (session && (session.owner ?? null) !== owner) {
+      throw new Error(`Session ${sessionId} belongs to another API key`);
+    }
+    if (!session) {
+      session = {
+        session_id: sessionId,
+        agent_id: agentId,
+        owner,
+        title: titleFromMessage(run.message && run.message.content),
+        created_at: run.created_at || now,
+        updated_at: now,
+        runs: []
+      };
+      this.sessions.set(key, session);
+    }
+
+    session.runs.push(structuredClone(run));
+    session.updated_at = now;
+    return structuredClone(session);
+  }
+
+  /**
+   * Rename a session
+   * @param {string} agentId - Agent identifier
+   * @param {string} sessionId - Session identifier
+   * @param {string} title - New title
+   * @param {string|null} [owner] - Key name the session belongs to
+   * @returns {Promise<Object|null>} Updated session, or null if the owner has no such session
+   */
+  async rename(agentId, sessionId, title, owner = null) {
+    const session = this.find(agentId, sessionId, owner);
+    if (!session) {
+      return null;
+    }
+    session.title = title;
+    session.updated_at = Math.floor(Date.now() / 1000);
+    return structuredClone(session);
+  }
+
+  /**
+   * Delete a session
+   * @param {string} agentId - Agent identifier
+   * @param {string} sessionId - Session identifier
+   * @param {string|null} [owner] - Key name the session belongs to
+   * @returns {Promise<boolean>} True if the owner had such a session
+   */
+  async delete(agentId, sessionId, owner = null) {
+    return Boolean(this.find(agentId, sessionId, owner)) && this.sessions.delete(this.key(agentId, sessionId));
+  }
+}
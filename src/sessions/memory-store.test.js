@@ -0,0 +1,99 @@
+import { MemorySessionStore, titleFromMessage } from './memory-store.js';
+
+/**
+ * Run in the format recorded by the server
+ */
+function run(message, answer) {
+  return {
+    run_id: `run-${message}`,
+    message: { role: 'user', content: message, created_at: 1 },
+    response: { content: answer, tools: [], created_at: 2 },
+    created_at: 1
+  };
+}
+
+describe('MemorySessionStore', () => {
+  test('creates a session on its first run and appends the next ones', async () => {
+    const store = new MemorySessionStore();
+
+    await store.appendRun('agent', 'session', run('price of SOL?', '$150'));
+    const session = await store.appendRun('agent', 'session', run('and BONK?', '$0.00002'));
+
+    expect(session).toMatchObject({ session_id: 'session', agent_id: 'agent', title: 'price of SOL?' });
+    expect(session.runs.map(entry => entry.message.content)).toEqual(['price of SOL?', 'and BONK?']);
+  });
+
+  test('lists the sessions of an agent, most recently updated first', async () => {
+    const store = new MemorySessionStore();
+    await store.appendRun('agent', 'first', run('one', 'a'));
+    await store.appendRun('agent', 'second', run('two', 'b'));
+    await store.appendRun('other-agent', 'third', run('three', 'c'));
+    store.sessions.get('agent:first').updated_at += 10;
+
+    expect((await store.list('agent')).map(session => session.session_id)).toEqual(['first', 'second']);
+    expect(Object.keys((await store.list('agent'))[0])).toEqual(['session_id', 'title', 'created_at', 'updated_at']);
+  });
+
+  test('returns copies that do not change the stored sessions', async () => {
+    const store = new MemorySessionStore();
+    await store.appendRun('agent', 'session', run('hello', 'hi'));
+
+    (await store.get('agent', 'session')).runs.push(run('injected', 'x'));
+
+    expect((await store.get('agent', 'session')).runs).toHaveLength(1);
+  });
+
+  test('renames and deletes sessions', async () => {
+    const store = new MemorySessionStore();
+    await store.appendRun('agent', 'session', run('hello', 'hi'));
+
+    expect(await store.rename('agent', 'session', 'Greetings')).toMatchObject({ title: 'Greetings' });
+    expect(await store.rename('agent', 'missing', 'Nothing')).toBeNull();
+    expect(await store.delete('agent', 'session')).toBe(true);
+    expect(await store.delete('agent', 'session')).toBe(false);
+    expect(await store.get('agent', 'session')).toBeNull();
+  });
+});
+
+describe('titleFromMessage', () => {
+  test('uses the first message on one line, shortened', () => {
+    expect(titleFromMessage('  price\n of   SOL? ')).toBe('price of SOL?');
+    expect(titleFromMessage('x'.repeat(80))).toBe(`${'x'.repeat(57)}...`);
+    expect(titleFromMessage('')).toBe('New session');
+  });
+});
+
+describe('MemorySessionStore owners', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = new MemorySessionStore();
+    await store.appendRun('agent', 'cli-session', run('hello', 'hi'), 'cli');
+    await store.appendRun('agent', 'open-session', run('hey', 'hi'));
+  });
+
+  test('lists and reads only the sessions of the key', async () => {
+    expect((await store.list('agent', 'cli')).map(session => session.session_id)).toEqual(['cli-session']);
+    expect((await store.list('agent')).map(session => session.session_id)).toEqual(['open-session']);
+    expect(await store.list('agent', 'dashboard')).toEqual([]);
+
+    expect(await store.get('agent', 'cli-session', 'cli')).toMatchObject({ owner: 'cli', title: 'hello' });
+    expect(await store.get('agent', 'cli-session', 'dashboard')).toBeNull();
+    expect(await store.get('agent', 'cli-session')).toBeNull();
+  });
+
+  test('does not rename or delete the sessions of another key', async () => {
+    expect(await store.rename('agent', 'cli-session', 'mine now', 'dashboard')).toBeNull();
+    expect(await store.delete('agent', 'cli-session', 'dashboard')).toBe(false);
+
+    expect(await store.get('agent', 'cli-session', 'cli')).toMatchObject({ title: 'hello' });
+    expect(await store.delete('agent', 'cli-session', 'cli')).toBe(true);
+  });
+
+  test('refuses runs for the session of another key', async () => {
+    await expect(store.appendRun('agent', 'cli-session', run('sneaky', 'no'), 'dashboard'))
+      .rejects.toThrow('Session cli-session belongs to another API key');
+
+    expect((await store.get('agent', 'cli-session', 'cli')).runs).toHaveLength(1);
+  });
+});
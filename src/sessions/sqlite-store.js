@@ -0,0 +1,122 @@
+// Session store persisted to a SQLite database (requires the optional better-sqlite3 package)
+import fs from 'fs';
+import path from 'path';
+import { titleFromMessage } from './memory-store.js';
+
+/**
+ * Session store backed by SQLite. Sessions and runs live in separate tables,
+ * so appending a run does not rewrite the whole session. Sessions belong to the
+ * API key that created them, like in the MemorySessionStore.
+ */
+export class SqliteSessionStore {
+  /**
+   * @param {string} filePath - Path of the database file
+   */
+  constructor(filePath) {
+    this.type = 'sqlite';
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the tables
+   * @returns {Promise<void>}
+   */
+  async init() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('The sqlite session store requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        agent_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        owner TEXT,
+        title TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (agent_id, session_id)
+      );
+      CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        run_id TEXT,
+        data TEXT NOT NULL,
+        FOREIGN KEY (agent_id, session_id) REFERENCES sessions (agent_id, session_id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS runs_by_session ON runs (agent_id, session_id, id);
+    `);
+
+    // Databases created before sessions had owners
+    if (!this.db.prepare('PRAGMA table_info(sessions)').all().some(column => column.name === 'owner')) {
+      this.db.exec('ALTER TABLE sessions ADD COLUMN owner TEXT');
+    }
+  }
+
+  async list(agentId, owner = null) {
+    return this.db
+      .prepare('SELECT session_id, title, created_at, updated_at FROM sessions WHERE agent_id = ? AND owner IS ? ORDER BY updated_at DESC')
+      .all(agentId, owner);
+  }
+
+  async get(agentId, sessionId, owner = null) {
+    const session = this.db
+      .prepare('SELECT * FROM sessions WHERE agent_id = ? AND session_id = ? AND owner IS ?')
+      .get(agentId, sessionId, owner);
+    if (!session) {
+      return null;
+    }
+
+    const runs = this.db
+      .prepare('SELECT data FROM runs WHERE agent_id = ? AND session_id = ? ORDER BY id')
+      .all(agentId, sessionId)
+      .map(row => JSON.parse(row.data));
+    return { ...session, runs };
+  }
+
+  async appendRun(agentId, sessionId, run, owner = null) {
+    const now = Math.floor(Date.now() / 1000);
+
+    this.db.transaction(() => {
+      const existing = this.db
+        .prepare('SELECT owner FROM sessions WHERE agent_id = ? AND session_id = ?')
+        .get(agentId, sessionId);
+      if (existing && existing.owner !== owner) {
+        throw new Error(`Session ${sessionId} belongs to another API key`);
+      }
+      this.db
+        .prepare(`
+          INSERT INTO sessions (agent_id, session_id, owner, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+          ON CONFLICT (agent_id, session_id) DO UPDATE SET updated_at = excluded.updated_at
+        `)
+        .run(agentId, sessionId, owner, titleFromMessage(run.message && run.message.content), run.created_at || now, now);
+      this.db
+        .prepare('INSERT INTO runs (agent_id, session_id, run_id, data) VALUES (?, ?, ?, ?)')
+        .run(agentId, sessionId, run.run_id || null, JSON.stringify(run));
+    })();
+
+    return this.get(agentId, sessionId, owner);
+  }
+
+  async rename(agentId, sessionId, title, owner = null) {
+    const result = this.db
+      .prepare('UPDATE sessions SET title = ?, updated_at = ? WHERE agent_id = ? AND session_id = ? AND owner IS ?')
+      .run(title, Math.floor(Date.now() / 1000), agentId, sessionId, owner);
+    return result.changes > 0 ? this.get(agentId, sessionId, owner) : null;
+  }
+
+  async delete(agentId, sessionId, owner = null) {
+    const result = this.db
+      .prepare('DELETE FROM sessions WHERE agent_id = ? AND session_id = ? AND owner IS ?')
+      .run(agentId, sessionId, owner);
+    return result.changes > 0;
+  }
+}
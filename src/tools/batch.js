@@ -0,0 +1,81 @@
+// Batch execution of tool calls for POST /api/tools/batch
+import { withTimeout, mapWithConcurrency, TimeoutError } from '../utils/concurrency.js';
+import { describeError } from '../utils/errors.js';
+
+/**
+ * Run a batch of tool calls through the registry.
+ *
+ * Calls run at most `concurrency` at a time and each one within its own time
+ * limit, cut short by what is left of the batch deadline. Calls that have not
+ * started when the deadline passes are not run. Failures are reported per call,
+ * with the status, code and retryability of describeError(), so one bad call
+ * does not fail the batch.
+ *
+ * @param {ToolRegistry} registry - Registry executing the calls
+ * @param {Array<{name: string, params?: Object, id?: any, noCache?: boolean}>} calls - Calls to run
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.concurrency] - Calls running at once
+ * @param {number} [options.deadlineMs] - Time limit of the whole batch (0 disables it)
+ * @param {Function} [options.timeoutFor] - Time limit of a single call by tool name
+ * @param {boolean} [options.noCache] - Skip cached results for every call
+ * @param {Object} [options.apiKey] - Key of the caller, limiting the tools it may call
+ * @param {AbortSignal} [options.signal] - Cancels the batch, e.g. when the client disconnects
+ * @returns {Promise<Object>} `{ results, summary }`, results in call order
+ */
+export async function runToolBatch(registry, calls, options = {}) {
+  const { concurrency = 4, deadlineMs = 0, timeoutFor = () => 0 } = options;
+  const startedAt = Date.now();
+  const deadlineAt = deadlineMs > 0 ? startedAt + deadlineMs : Infinity;
+
+  const results = await mapWithConcurrency(calls, concurrency, async (call, index) => {
+    const id = call && call.id !== undefined ? call.id : index;
+    const name = call && call.name;
+    if (typeof name !== 'string' || !name) {
+      return { id, name: null, success: false, status: 400, error: 'Each call needs a tool "name"', code: 'INVALID_ARGUMENTS', retryable: false, time: 0 };
+    }
+
+    const remaining = deadlineAt - Date.now();
+    if (remaining <= 0 || (options.signal && options.signal.aborted)) {
+      const reason = remaining <= 0 ? `Batch deadline of ${deadlineMs / 1000}s passed before the call started` : 'Batch cancelled';
+      return { id, name, success: false, status: 504, error: reason, code: 'UPSTREAM_TIMEOUT', retryable: true, time: 0 };
+    }
+
+    // The remaining batch time caps the call's own limit
+    const toolTimeout = timeoutFor(name) || 0;
+    const cappedByDeadline = remaining !== Infinity && (toolTimeout <= 0 || remaining < toolTimeout);
+    const timeoutMs = cappedByDeadline ? remaining : toolTimeout;
+
+    const callStartedAt = Date.now();
+    try {
+      const { result, cache } = await withTimeout(
+        signal => registry.execute(name, call.params || {}, {
+          signal,
+          noCache: Boolean(call.noCache ?? options.noCache),
+          apiKey: options.apiKey
+        }),
+        timeoutMs,
+        { signal: options.signal, label: name }
+      );
+      return { id, name, success: true, status: 200, result, cache, time: (Date.now() - callStartedAt) / 1000 };
+    } catch (error) {
+      const time = (Date.now() - callStartedAt) / 1000;
+      if (error instanceof TimeoutError) {
+        const message = cappedByDeadline ? `${name} stopped at the batch deadline of ${deadlineMs / 1000}s` : error.message;
+        return { id, name, success: false, ...describeError(error), error: message, timedOut: true, time };
+      }
+      return { id, name, success: false, ...describeError(error), time };
+    }
+  });
+
+  const failed = results.filter(result => !result.success);
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded: results.length - failed.length,
+      failed: failed.length,
+      timedOut: failed.filter(result => result.status === 504).length,
+      time: (Date.now() - startedAt) / 1000
+    }
+  };
+}
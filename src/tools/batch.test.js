@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { runToolBatch } from './batch.js';
+import { ToolError } from '../utils/errors.js';
+
+/**
+ * Registry answering after the delay given in the call params; `hang` never answers
+ * until the call is aborted
+ */
+function fakeRegistry() {
+  return {
+    execute: jest.fn((name, params, { signal }) => new Promise((resolve, reject) => {
+      if (name === 'forbidden') {
+        reject(new ToolError('FORBIDDEN', 'API key bot may not call forbidden'));
+        return;
+      }
+      const timer = name === 'hang' ? null : setTimeout(() => resolve({ result: { name, ...params }, cache: 'miss' }), params.delayMs || 0);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('aborted'));
+      });
+    }))
+  };
+}
+
+describe('runToolBatch', () => {
+  test('returns the results in call order with a summary', async () => {
+    const registry = fakeRegistry();
+
+    const batch = await runToolBatch(registry, [
+      { id: 'slow', name: 'price', params: { delayMs: 20 } },
+      { name: 'search', params: { query: 'bonk' } }
+    ], { concurrency: 2 });
+
+    expect(batch.results.map(result => [result.id, result.success, result.result])).toEqual([
+      ['slow', true, { name: 'price', delayMs: 20 }],
+      [1, true, { name: 'search', query: 'bonk' }]
+    ]);
+    expect(batch.summary).toMatchObject({ total: 2, succeeded: 2, failed: 0, timedOut: 0 });
+  });
+
+  test('reports failures per call without failing the batch', async () => {
+    const batch = await runToolBatch(fakeRegistry(), [{ name: 'forbidden' }, { params: {} }, { name: 'price' }]);
+
+    expect(batch.results[0]).toMatchObject({ success: false, status: 403, code: 'FORBIDDEN', retryable: false });
+    expect(batch.results[1]).toMatchObject({ id: 1, name: null, status: 400, code: 'INVALID_ARGUMENTS' });
+    expect(batch.results[2].success).toBe(true);
+    expect(batch.summary).toMatchObject({ succeeded: 1, failed: 2 });
+  });
+
+  test('stops a call at its own time limit', async () => {
+    const batch = await runToolBatch(fakeRegistry(), [{ name: 'hang' }], { timeoutFor: () => 10 });
+
+    expect(batch.results[0]).toMatchObject({ success: false, status: 504, code: 'UPSTREAM_TIMEOUT', timedOut: true });
+    expect(batch.summary.timedOut).toBe(1);
+  });
+
+  test('stops running calls at the batch deadline and skips the others', async () => {
+    const registry = fakeRegistry();
+
+    const batch = await runToolBatch(registry, [{ name: 'hang' }, { name: 'price' }], {
+      concurrency: 1,
+      deadlineMs: 20,
+      timeoutFor: () => 30000
+    });
+
+    expect(batch.results[0]).toMatchObject({ error: 'hang stopped at the batch deadline of 0.02s', timedOut: true });
+    expect(batch.results[1]).toMatchObject({ error: 'Batch deadline of 0.02s passed before the call started', time: 0 });
+    expect(registry.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes the key and cache options on to the registry', async () => {
+    const registry = fakeRegistry();
+    const apiKey = { name: 'bot' };
+
+    await runToolBatch(registry, [{ name: 'price' }, { name: 'search', noCache: false }], { noCache: true, apiKey });
+
+    expect(registry.execute.mock.calls.map(([name, , options]) => [name, options.noCache, options.apiKey])).toEqual([
+      ['price', true, apiKey],
+      ['search', false, apiKey]
+    ]);
+  });
+
+  test('does not start calls once the batch is cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const batch = await runToolBatch(fakeRegistry(), [{ name: 'price' }], { signal: controller.signal });
+
+    expect(batch.results[0]).toMatchObject({ success: false, error: 'Batch cancelled' });
+  });
+});
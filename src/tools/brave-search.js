@@ -1,5 +1,6 @@
 // Brave Search tool implementation
 import axios from 'axios';
+import { ToolError } from '../utils/errors.js';
 
 export class BraveSearchTool {
   constructor() {
@@ -7,6 +8,8 @@ export class BraveSearchTool {
     this.description = 'Search the web using Brave Search API';
     this.apiKey = process.env.BRAVE_API_KEY;
     this.baseUrl = 'https://api.search.brave.com/res/v1';
+    // Search results stay relevant for a few minutes
+    this.cachePolicy = 600000;
   }
 
   /**
@@ -52,7 +55,7 @@ export class BraveSearchTool {
    */
   async execute(params) {
     if (!this.isAvailable()) {
-      throw new Error('Brave Search API key not configured');
+      throw new ToolError('CONFIG_MISSING', 'Brave Search API key not configured (set BRAVE_API_KEY)');
     }
 
     try {
@@ -70,11 +73,17 @@ export class BraveSearchTool {
       });
 
       return {
-        results: response.data.web.results,
-        total: response.data.web.total
+        query: params.query,
+        total: response.data.web?.total || 0,
+        results: response.data.web?.results?.map(r => ({
+          title: r.title,
+          description: r.description,
+          url: r.url
+        })) || [],
+        source: 'local'
       };
     } catch (error) {
-      throw new Error(`Brave Search API error: ${error.message}`);
+      throw new Error(`Brave Search API error: ${error.message}`, { cause: error });
     }
   }
 } 
\ No newline at end of file
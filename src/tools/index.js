@@ -4,6 +4,29 @@ import { RugcheckTool } from './rugcheck.js';
 import { WalletBalanceTool } from './wallet-balance.js';
 import { TrendingTokensTool } from './trending-tokens.js';
 
+export { ToolRegistry } from './registry.js';
+export { ToolCatalog } from './tool-catalog.js';
+export { runToolBatch } from './batch.js';
+
+/**
+ * Register the local tool classes with a tool registry
+ * @param {ToolRegistry} registry - Registry to populate
+ * @param {Object} [options] - Shared options passed to the tools (AgentHustle client, vaultId)
+ * @param {Object} [overrides] - Per-tool definition overrides keyed by tool name
+ * @returns {ToolRegistry} The populated registry
+ */
+export function registerLocalTools(registry, options = {}, overrides = {}) {
+  const tools = [
+    new BraveSearchTool(),
+    new RugcheckTool(options),
+    new WalletBalanceTool(options),
+    new TrendingTokensTool(options)
+  ];
+
+  tools.forEach(tool => registry.registerTool(tool, overrides[tool.name]));
+  return registry;
+}
+
 /**
  * Setup and initialize all available tools
  * @param {MCPClient} mcpClient - MCP client instance
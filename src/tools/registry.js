@@ -0,0 +1,813 @@
+// Declarative tool registry backing the /api/tools/list and /api/tools/call endpoints
+import { validateArguments, compileSchemaPatterns, ValidationError } from '../utils/schema-validator.js';
+import { EventEmitter } from 'events';
+import { CircuitBreaker } from '../utils/circuit-breaker.js';
+import { ToolError, toToolError } from '../utils/errors.js';
+import { isTimeoutAbort } from '../utils/concurrency.js';
+import { canCallTool, canUseSource } from '../utils/api-keys.js';
+import { normalizeCachePolicy, isCacheable, cacheKey } from '../cache/policy.js';
+
+/**
+ * Registry of local tools and upstream MCP servers.
+ *
+ * Local tools are registered once with their schema and handler. Upstream
+ * servers (Smithery, Ordiscan, Stock Analysis, ...) are registered as sources
+ * whose tools are discovered at runtime through `listTools()`.
+ *
+ * Each upstream has a circuit breaker: failures first mark it degraded, then
+ * open the circuit, after which calls go to the local fallback (or fail fast)
+ * while the upstream is reprobed in the background with a growing delay.
+ *
+ * Emits `upstream:connected` and `upstream:disconnected` with the upstream
+ * whenever one comes online or goes offline.
+ */
+export class ToolRegistry extends EventEmitter {
+  /**
+   * @param {Object} [options] - Registry options
+   * @param {Object} [options.breaker] - CircuitBreaker options applied to every upstream
+   * @param {boolean} [options.backgroundReprobe] - Reconnect open upstreams on a timer (default true)
+   * @param {Object} [options.cache] - Result cache (see src/cache) for tools declaring a cache policy
+   */
+  constructor(options = {}) {
+    super();
+    this.tools = new Map();
+    this.upstreams = [];
+    this.breakerOptions = options.breaker || {};
+    this.backgroundReprobe = options.backgroundReprobe !== false;
+    this.cache = options.cache || null;
+    this.cacheStats = { hits: 0, misses: 0, stores: 0 };
+  }
+
+  /**
+   * Register a local tool
+   * @param {Object} definition - Tool definition
+   * @param {string} definition.name - Canonical tool name
+   * @param {string} definition.description - Tool description
+   * @param {Object} definition.parameters - JSON schema of the tool arguments
+   * @param {Function} definition.handler - Async function executing the tool
+   * @param {string[]} [definition.aliases] - Alternative names accepted by the call endpoint
+   * @param {Function} [definition.normalize] - Maps the handler output to the response result
+   * @param {Function} [definition.isAvailable] - Whether the tool is listed
+   * @param {string} [definition.source] - Source label reported in listings
+   * @param {number|string|Object} [definition.cache] - Result cache policy (see normalizeCachePolicy)
+   * @param {Function} [definition.validateParams] - Checks and normalizes the arguments after schema
+   *   validation, throwing a ValidationError to reject the call
+   * @returns {ToolRegistry} The registry, for chaining
+   */
+  register(definition) {
+    if (!definition.name || typeof definition.handler !== 'function') {
+      throw new Error('Tool definitions require a name and a handler');
+    }
+    if (this.tools.has(definition.name)) {
+      throw new Error(`Tool "${definition.name}" is already registered`);
+    }
+
+    compileSchemaPatterns(definition.parameters);
+    this.tools.set(definition.name, {
+      aliases: [],
+      source: 'local',
+      isAvailable: () => true,
+      ...definition
+    });
+    return this;
+  }
+
+  /**
+   * Register a tool class instance (name, description, getParameters, execute)
+   * @param {Object} instance - Tool instance such as BraveSearchTool
+   * @param {Object} [overrides] - Definition fields overriding the instance ones
+   * @returns {ToolRegistry} The registry, for chaining
+   */
+  registerTool(instance, overrides = {}) {
+    return this.register({
+      name: instance.name,
+      description: instance.description,
+      aliases: instance.aliases || [],
+      parameters: instance.getParameters(),
+      handler: (params, context) => instance.execute(params, context),
+      isAvailable: () => instance.isAvailable(),
+      cache: instance.cachePolicy,
+      validateParams: instance.validateParams ? params => instance.validateParams(params) : undefined,
+      ...overrides
+    });
+  }
+
+  /**
+   * Register an upstream MCP server whose tools are discovered at runtime
+   * @param {Object} upstream - Upstream definition
+   * @param {string} upstream.source - Source label reported in listings
+   * @param {string} upstream.label - Human readable name used in logs and errors
+   * @param {SmitheryClient|null} upstream.client - Client for the upstream server
+   * @param {Function} upstream.initialize - Async function (re)connecting the upstream, resolves to a boolean
+   * @param {Function} [upstream.owns] - Whether a not yet discovered tool name belongs to this upstream
+   * @param {Function} [upstream.aliases] - Alternative names for a discovered tool
+   * @param {Function} [upstream.toolName] - Maps a requested name to the name sent upstream
+   * @param {Function} [upstream.prepareParams] - Adds upstream specific arguments such as API keys
+   * @param {Function} [upstream.normalize] - Formats the raw MCP result (toolName, result, params, source)
+   * @param {Object} [upstream.fallbacks] - Local tool to use per upstream tool when the upstream fails
+   *   (the local tool is only listed while the upstream is disconnected)
+   * @param {Function} [upstream.cachePolicy] - Result cache policy of an upstream tool name
+   * @param {Function} [upstream.validateParams] - Checks the arguments of a tool (toolName, params)
+   *   after schema validation, throwing a ValidationError to reject the call
+   * @param {string[]} [upstream.missingEnv] - Environment variables the upstream needs but lacks,
+   *   named in CONFIG_MISSING errors
+   * @returns {ToolRegistry} The registry, for chaining
+   */
+  registerUpstream(upstream) {
+    this.upstreams.push({
+      owns: () => false,
+      cachePolicy: () => null,
+      validateParams: (toolName, params) => params,
+      aliases: () => [],
+      toolName: name => name,
+      prepareParams: params => params,
+      normalize: (toolName, result) => result,
+      fallbacks: {},
+      missingEnv: [],
+      ...upstream,
+      breaker: new CircuitBreaker(this.breakerOptions),
+      reprobeTimer: null,
+      connected: false,
+      catalog: new Map(),
+      resources: new Map(),
+      prompts: new Map(),
+      lastError: null,
+      lastCheckedAt: null,
+      connectedAt: null
+    });
+    return this;
+  }
+
+  /**
+   * Get a registered upstream by its source label
+   * @param {string} source - Source label
+   * @returns {Object|undefined} Upstream definition
+   */
+  getUpstream(source) {
+    return this.upstreams.find(upstream => upstream.source === source);
+  }
+
+  /**
+   * Check whether an upstream is currently connected
+   * @param {string} source - Source label
+   * @returns {boolean} Connection status
+   */
+  isConnected(source) {
+    const upstream = this.getUpstream(source);
+    return Boolean(upstream && upstream.connected);
+  }
+
+  /**
+   * (Re)connect an upstream
+   * @param {Object} upstream - Upstream definition
+   * @returns {Promise<boolean>} True if the upstream is connected
+   */
+  async connect(upstream) {
+    const wasConnected = upstream.connected;
+    upstream.connected = Boolean(await upstream.initialize());
+    upstream.lastCheckedAt = new Date().toISOString();
+    if (upstream.connected) {
+      upstream.connectedAt = upstream.lastCheckedAt;
+      upstream.lastError = null;
+      upstream.breaker.recordSuccess();
+      if (!wasConnected) {
+        this.emit('upstream:connected', upstream);
+      }
+    } else {
+      upstream.connected = wasConnected;
+      // Nothing to talk to: open the circuit right away
+      this.recordFailure(upstream, new Error(upstream.lastError || 'Connection failed'), { trip: true });
+    }
+    return upstream.connected;
+  }
+
+  /**
+   * Record an upstream failure, disconnecting the upstream once its circuit opens
+   * @param {Object} upstream - Upstream definition
+   * @param {Error} error - Failure cause
+   * @param {Object} [options] - Passed to CircuitBreaker.recordFailure
+   */
+  recordFailure(upstream, error, options = {}) {
+    upstream.lastError = error.message;
+    upstream.lastCheckedAt = new Date().toISOString();
+
+    // Upstreams without a client are not configured, there is nothing to retry
+    if (!upstream.client) {
+      upstream.connected = false;
+      return;
+    }
+
+    const state = upstream.breaker.recordFailure(options);
+    if (state === 'open') {
+      if (upstream.connected) {
+        upstream.connected = false;
+        this.emit('upstream:disconnected', upstream);
+      }
+      console.log(`⚠ ${upstream.label} circuit open, retrying in ${Math.ceil(upstream.breaker.retryIn() / 1000)}s`);
+      this.scheduleReprobe(upstream);
+    } else {
+      console.log(`⚠ ${upstream.label} degraded (${upstream.breaker.failures} consecutive failure(s))`);
+    }
+  }
+
+  /**
+   * Reconnect an upstream in the background once its retry delay elapsed
+   * @private
+   */
+  scheduleReprobe(upstream) {
+    if (!this.backgroundReprobe) {
+      return;
+    }
+
+    clearTimeout(upstream.reprobeTimer);
+    upstream.reprobeTimer = setTimeout(async () => {
+      upstream.reprobeTimer = null;
+      // A tool call may already be probing the upstream
+      if (!upstream.breaker.canAttempt()) {
+        return;
+      }
+      console.log(`Reprobing ${upstream.label}...`);
+      if (await this.connect(upstream)) {
+        console.log(`✓ ${upstream.label} recovered`);
+      }
+    }, upstream.breaker.retryIn());
+    // Reprobing must not keep the process alive
+    upstream.reprobeTimer.unref();
+  }
+
+  /**
+   * Stop the background reprobing of every upstream
+   */
+  stopReprobing() {
+    this.upstreams.forEach(upstream => {
+      clearTimeout(upstream.reprobeTimer);
+      upstream.reprobeTimer = null;
+    });
+  }
+
+  /**
+   * Stop reprobing and close the client of every upstream (connection pools, stdio server processes)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.stopReprobing();
+    await Promise.all(this.upstreams.map(async upstream => {
+      upstream.connected = false;
+      if (!upstream.client || !upstream.client.close) {
+        return;
+      }
+      try {
+        await upstream.client.close();
+      } catch (error) {
+        console.error(`Error closing ${upstream.label}:`, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Report the health of every upstream
+   * @returns {Array<Object>} Health entries
+   */
+  health() {
+    return this.upstreams.map(upstream => ({
+      source: upstream.source,
+      label: upstream.label,
+      description: upstream.description || '',
+      connected: upstream.connected,
+      state: upstream.client ? upstream.breaker.state : 'unconfigured',
+      failures: upstream.breaker.failures,
+      nextRetryAt: upstream.breaker.status().nextRetryAt,
+      tools: upstream.catalog.size,
+      connectedAt: upstream.connectedAt,
+      lastCheckedAt: upstream.lastCheckedAt,
+      lastError: upstream.lastError,
+      pool: upstream.client && upstream.client.poolStats ? upstream.client.poolStats() : null
+    }));
+  }
+
+  /**
+   * Check whether a local tool is hidden because it is the fallback of a connected upstream
+   * @private
+   */
+  isShadowed(tool) {
+    return this.upstreams.some(upstream =>
+      upstream.connected && Object.values(upstream.fallbacks).includes(tool.name)
+    );
+  }
+
+  /**
+   * Connect every registered upstream, one after another
+   * @returns {Promise<void>}
+   */
+  async connectAll() {
+    for (const upstream of this.upstreams) {
+      await this.connect(upstream);
+    }
+  }
+
+  /**
+   * Build the tool listing served by /api/tools/list
+   * @returns {Promise<Array>} Tool descriptors
+   */
+  async list() {
+    const tools = [];
+
+    for (const tool of this.tools.values()) {
+      if (tool.isAvailable() && !this.isShadowed(tool)) {
+        tools.push({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters,
+          aliases: tool.aliases,
+          source: tool.source
+        });
+      }
+    }
+
+    for (const upstream of this.upstreams) {
+      if (!upstream.connected || !upstream.client || !upstream.client.isAvailable()) {
+        continue;
+      }
+
+      try {
+        const upstreamTools = await upstream.client.listTools();
+        upstream.breaker.recordSuccess();
+        upstreamTools.forEach(tool => compileSchemaPatterns(tool.inputSchema));
+        upstream.catalog = new Map(upstreamTools.map(tool => [tool.name, tool]));
+
+        upstreamTools.forEach(tool => {
+          tools.push({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.inputSchema,
+            aliases: upstream.aliases(tool.name),
+            source: upstream.source
+          });
+        });
+        console.log(`✓ Added ${upstreamTools.length} ${upstream.label} tools to the list`);
+      } catch (error) {
+        console.error(`Error fetching ${upstream.label} tools:`, error.message);
+        this.recordFailure(upstream, error);
+      }
+    }
+
+    return tools;
+  }
+
+  /**
+   * Connected upstreams whose client can serve resources and prompts
+   * @private
+   */
+  contextUpstreams() {
+    return this.upstreams.filter(upstream =>
+      upstream.connected && upstream.client && upstream.client.isAvailable() && upstream.client.listResources
+    );
+  }
+
+  /**
+   * List the resources of every connected upstream
+   * @returns {Promise<Array>} Resources (uri, name, description, mimeType) with their source label
+   */
+  async listResources() {
+    const resources = [];
+
+    for (const upstream of this.contextUpstreams()) {
+      try {
+        const upstreamResources = await upstream.client.listResources();
+        upstream.resources = new Map(upstreamResources.map(resource => [resource.uri, resource]));
+        upstreamResources.forEach(resource => resources.push({ ...resource, source: upstream.source }));
+      } catch (error) {
+        // Listing context is optional: a failure here does not count against the upstream's health
+        console.error(`Error fetching ${upstream.label} resources:`, error.message);
+      }
+    }
+
+    return resources;
+  }
+
+  /**
+   * Read a resource from the upstream that listed it
+   * @param {string} uri - Resource URI
+   * @param {Object} [options] - Read options
+   * @param {string} [options.source] - Upstream to read from, required for URIs that were not listed
+   *   (e.g. built from a URI template)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Object} [options.apiKey] - Key of the caller, limiting the upstreams it may read from
+   * @returns {Promise<{source: string, contents: Array}|null>} Resource contents, or null for unknown resources
+   * @throws {ToolError} FORBIDDEN if the key may not use the upstream of the resource
+   */
+  async readResource(uri, options = {}) {
+    const find = () => options.source
+      ? this.getUpstream(options.source)
+      : this.upstreams.find(upstream => upstream.resources.has(uri));
+
+    // Resources only become known by listing them; list again before giving up on a URI
+    let upstream = find();
+    if (!upstream) {
+      await this.listResources();
+      upstream = find();
+    }
+    if (!upstream) {
+      return null;
+    }
+    this.checkSourceScope(upstream, options.apiKey);
+    if (!upstream.connected || !upstream.client) {
+      throw new ToolError('UPSTREAM_UNAVAILABLE', `Cannot read ${uri} - no ${upstream.label} connection`, {
+        retryAfterMs: upstream.breaker.retryIn()
+      });
+    }
+
+    const contents = await upstream.client.readResource(uri, { signal: options.signal });
+    return { source: upstream.source, contents };
+  }
+
+  /**
+   * List the prompt templates of every connected upstream
+   * @returns {Promise<Array>} Prompts (name, description, arguments) with their source label
+   */
+  async listPrompts() {
+    const prompts = [];
+
+    for (const upstream of this.contextUpstreams()) {
+      try {
+        const upstreamPrompts = await upstream.client.listPrompts();
+        upstream.prompts = new Map(upstreamPrompts.map(prompt => [prompt.name, prompt]));
+        upstreamPrompts.forEach(prompt => prompts.push({ ...prompt, arguments: prompt.arguments || [], source: upstream.source }));
+      } catch (error) {
+        console.error(`Error fetching ${upstream.label} prompts:`, error.message);
+      }
+    }
+
+    return prompts;
+  }
+
+  /**
+   * Render a prompt template of the upstream that listed it
+   * @param {string} name - Prompt name
+   * @param {Object} [args] - Prompt arguments; values are sent as strings
+   * @param {Object} [options] - Render options
+   * @param {string} [options.source] - Upstream of the prompt when several list the same name
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Object} [options.apiKey] - Key of the caller, limiting the upstreams it may use
+   * @returns {Promise<{source: string, description: string, messages: Array}|null>} Rendered prompt,
+   *   or null for unknown prompts
+   * @throws {ToolError} FORBIDDEN if the key may not use the upstream of the prompt
+   * @throws {ValidationError} If a required argument is missing
+   */
+  async getPrompt(name, args = {}, options = {}) {
+    // Several upstreams may list the same name; prefer one the key may use
+    const find = () => {
+      const matches = this.upstreams.filter(upstream =>
+        upstream.prompts.has(name) && (!options.source || upstream.source === options.source)
+      );
+      return matches.find(upstream => canUseSource(options.apiKey, upstream.source)) || matches[0];
+    };
+
+    let upstream = find();
+    if (!upstream) {
+      await this.listPrompts();
+      upstream = find();
+    }
+    if (!upstream) {
+      return null;
+    }
+    this.checkSourceScope(upstream, options.apiKey);
+
+    // MCP prompt arguments are strings; required ones are checked here so they are reported like tool arguments
+    const prompt = upstream.prompts.get(name);
+    const values = {};
+    const errors = [];
+    for (const argument of prompt.arguments || []) {
+      const value = args[argument.name];
+      if (value === undefined || value === null || value === '') {
+        if (argument.required) {
+          errors.push({ pointer: `/arguments/${argument.name}`, message: 'is required' });
+        }
+        continue;
+      }
+      values[argument.name] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid arguments for prompt ${name}`, errors);
+    }
+
+    const result = await upstream.client.getPrompt(name, values, { signal: options.signal });
+    return { source: upstream.source, description: result.description || prompt.description || '', messages: result.messages };
+  }
+
+  /**
+   * Reject callers whose key may not use an upstream, before anything is sent to it
+   * @private
+   */
+  checkSourceScope(upstream, apiKey) {
+    if (!canUseSource(apiKey, upstream.source)) {
+      throw new ToolError('FORBIDDEN', `API key ${apiKey.name} may not use ${upstream.source}`);
+    }
+  }
+
+  /**
+   * Resolve a requested tool name (canonical name or alias)
+   * @param {string} name - Requested tool name
+   * @returns {{tool: Object}|{upstream: Object, toolName: string}|null} Resolved target
+   */
+  resolve(name) {
+    if (this.tools.has(name)) {
+      return { tool: this.tools.get(name) };
+    }
+
+    for (const upstream of this.upstreams) {
+      if (upstream.catalog.has(name)) {
+        return { upstream, toolName: name };
+      }
+    }
+
+    for (const upstream of this.upstreams) {
+      for (const toolName of upstream.catalog.keys()) {
+        if (upstream.aliases(toolName).includes(name)) {
+          return { upstream, toolName };
+        }
+      }
+    }
+
+    for (const upstream of this.upstreams) {
+      if (upstream.owns(name)) {
+        return { upstream, toolName: upstream.toolName(name) };
+      }
+    }
+
+    for (const tool of this.tools.values()) {
+      if (tool.aliases.includes(name)) {
+        return { tool };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Execute a tool by name
+   * @param {string} name - Requested tool name
+   * @param {Object} params - Tool arguments
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the call (passed to handlers and upstream clients)
+   * @param {Object} [options.apiKey] - Key of the caller, limiting the tools it may call
+   * @returns {Promise<Object>} Normalized tool result
+   * @throws {ToolError|ValidationError} With the error code of the failure (see src/utils/errors.js)
+   */
+  async call(name, params = {}, options = {}) {
+    const { result } = await this.execute(name, params, options);
+    return result;
+  }
+
+  /**
+   * Execute a tool by name, serving results of cacheable tools from the result cache
+   * @param {string} name - Requested tool name
+   * @param {Object} params - Tool arguments
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the call (passed to handlers and upstream clients)
+   * @param {boolean} [options.noCache] - Skip the cached result and store a fresh one
+   * @param {Object} [options.apiKey] - Key of the caller, limiting the tools it may call (see api-keys.js)
+   * @returns {Promise<{result: Object, cache: Object|null}>} Normalized tool result and cache metadata
+   *   (`{ hit, storedAt, expiresAt, ageMs }`, null for tools without a cache policy)
+   */
+  async execute(name, params = {}, options = {}) {
+    const target = this.resolve(name);
+    if (!target) {
+      throw new ToolError('TOOL_NOT_FOUND', `Unknown tool: ${name}`);
+    }
+
+    const source = target.tool ? target.tool.source : target.upstream.source;
+    const toolName = target.tool ? target.tool.name : target.toolName;
+    if (!canCallTool(options.apiKey, { name: toolName, aliases: [name], source })) {
+      throw new ToolError('FORBIDDEN', `API key ${options.apiKey.name} may not call ${name}`);
+    }
+
+    params = this.validate(target, name, params);
+
+    const policy = this.cache ? this.getCachePolicy(target) : null;
+    let key = null;
+    if (policy) {
+      key = cacheKey(source, toolName, params);
+    }
+
+    if (key && !options.noCache) {
+      const entry = await this.readCache(key);
+      if (entry) {
+        this.cacheStats.hits++;
+        return { result: entry.value, cache: describeCacheEntry(entry, true) };
+      }
+    }
+
+    const result = target.tool
+      ? await this.callLocal(target.tool, params, options)
+      : await this.callUpstream(target.upstream, target.toolName, params, options);
+
+    if (!key) {
+      return { result, cache: null };
+    }
+
+    this.cacheStats.misses++;
+    const entry = isCacheable(policy, result) ? await this.writeCache(key, result, policy.ttlMs) : null;
+    return { result, cache: entry ? describeCacheEntry(entry, false) : { hit: false, storedAt: null, expiresAt: null, ageMs: null } };
+  }
+
+  /**
+   * Get the cache policy of a resolved tool
+   * @param {Object} target - Result of resolve()
+   * @returns {Object|null} Normalized policy, or null when its results are not cached
+   */
+  getCachePolicy(target) {
+    if (target.tool) {
+      return normalizeCachePolicy(target.tool.cache);
+    }
+    return normalizeCachePolicy(target.upstream.cachePolicy(target.toolName));
+  }
+
+  /**
+   * Read a cache entry, treating cache failures as misses
+   * @private
+   */
+  async readCache(key) {
+    try {
+      return await this.cache.get(key);
+    } catch (error) {
+      console.error('Error reading the result cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a cache entry, logging cache failures
+   * @private
+   */
+  async writeCache(key, result, ttlMs) {
+    try {
+      const entry = await this.cache.set(key, result, ttlMs);
+      this.cacheStats.stores++;
+      return entry;
+    } catch (error) {
+      console.error('Error writing the result cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Report the result cache usage
+   * @returns {Promise<Object|null>} Backend, entry count and hit/miss counters, or null without a cache
+   */
+  async resultCacheStats() {
+    if (!this.cache) {
+      return null;
+    }
+    return { type: this.cache.type, entries: await this.cache.size(), ...this.cacheStats };
+  }
+
+  /**
+   * Get the source label of the tool a name resolves to
+   * @param {string} name - Requested tool name
+   * @returns {string|null} Source label ("local", "smithery", ...), or null for unknown tools
+   */
+  sourceOf(name) {
+    const target = this.resolve(name);
+    if (!target) {
+      return null;
+    }
+    return target.tool ? target.tool.source : target.upstream.source;
+  }
+
+  /**
+   * Get the parameter schema of a resolved tool
+   * @param {Object} target - Result of resolve()
+   * @returns {Object|null} JSON schema, or null when the upstream tool has not been listed yet
+   */
+  getSchema(target) {
+    if (target.tool) {
+      return target.tool.parameters || null;
+    }
+    const upstreamTool = target.upstream.catalog.get(target.toolName);
+    return upstreamTool ? upstreamTool.inputSchema || null : null;
+  }
+
+  /**
+   * Validate tool arguments against the advertised schema
+   * @param {Object} target - Result of resolve()
+   * @param {string} name - Requested tool name
+   * @param {Object} params - Tool arguments
+   * @returns {Object} Arguments with types coerced and defaults applied
+   * @throws {ValidationError} If the arguments do not match the schema
+   */
+  validate(target, name, params) {
+    const { value, errors } = validateArguments(this.getSchema(target), params);
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid arguments for tool ${name}`, errors);
+    }
+
+    // Tool specific checks such as address formats
+    if (target.tool) {
+      return target.tool.validateParams ? target.tool.validateParams(value) : value;
+    }
+    return target.upstream.validateParams(target.toolName, value);
+  }
+
+  /**
+   * Execute a local tool
+   * @private
+   */
+  async callLocal(tool, params, options = {}) {
+    let result;
+    try {
+      result = await tool.handler(params, { signal: options.signal });
+    } catch (error) {
+      // Errors keep the code of their cause (missing API key, rate limited API, ...)
+      throw error instanceof ValidationError ? error : toToolError(error, { fallbackCode: 'TOOL_FAILED' });
+    }
+    return tool.normalize ? tool.normalize(result, params) : result;
+  }
+
+  /**
+   * Execute a tool on an upstream server, reconnecting and falling back when needed
+   * @private
+   */
+  async callUpstream(upstream, toolName, params, options = {}) {
+    const fallback = this.tools.get(upstream.fallbacks[toolName]);
+
+    if (!upstream.breaker.canAttempt()) {
+      // Open circuit: fail fast instead of waiting on a server known to be down
+      if (fallback && fallback.isAvailable()) {
+        return this.callFallback(fallback, params, options);
+      }
+      const retryInMs = upstream.breaker.retryIn();
+      const retryIn = Math.ceil(retryInMs / 1000);
+      throw new ToolError('UPSTREAM_UNAVAILABLE', `${toolName} not available - ${upstream.label} is unavailable${retryIn ? `, retrying in ${retryIn}s` : ''}`, {
+        retryAfterMs: retryInMs
+      });
+    }
+
+    if (!upstream.connected && !(await this.connect(upstream))) {
+      if (fallback && fallback.isAvailable()) {
+        return this.callFallback(fallback, params, options);
+      }
+      if (!upstream.client) {
+        const missing = upstream.missingEnv.length > 0 ? ` (set ${upstream.missingEnv.join(', ')})` : '';
+        throw new ToolError('CONFIG_MISSING', `${toolName} not available - ${upstream.label} is not configured${missing}`);
+      }
+      throw new ToolError('UPSTREAM_UNAVAILABLE', `${toolName} not available - no ${upstream.label} connection`, {
+        retryAfterMs: upstream.breaker.retryIn()
+      });
+    }
+
+    // Missing configuration is not an upstream failure, so it is checked before the call
+    const upstreamParams = upstream.prepareParams({ ...params });
+
+    console.log(`Executing ${upstream.label} ${toolName} with params:`, params);
+    let result;
+    try {
+      result = await upstream.client.callTool(toolName, upstreamParams, { signal: options.signal });
+      upstream.breaker.recordSuccess();
+    } catch (error) {
+      // A call aborted by its time limit is a slow upstream, one aborted otherwise
+      // was cancelled by the caller: neither a connection problem nor a reason to fall back
+      const timedOut = isTimeoutAbort(options.signal);
+      if (options.signal && options.signal.aborted && !timedOut) {
+        upstream.breaker.releaseProbe();
+        throw error;
+      }
+
+      console.error(`Error in ${upstream.label} ${toolName}:`, error);
+      this.recordFailure(upstream, error);
+      if (timedOut) {
+        throw options.signal.reason;
+      }
+
+      if (fallback && fallback.isAvailable()) {
+        return this.callFallback(fallback, params, options);
+      }
+      throw toToolError(error, { message: `${upstream.label} ${toolName} failed: ${error.message}`, fallbackCode: 'TOOL_FAILED' });
+    }
+
+    return upstream.normalize(toolName, result, params, upstream.source);
+  }
+
+  /**
+   * Execute the local fallback of an upstream tool
+   * @private
+   */
+  async callFallback(tool, params, options = {}) {
+    console.log(`Falling back to local ${tool.name}...`);
+    const result = await this.callLocal(tool, params, options);
+    return result && typeof result === 'object' ? { ...result, source: 'local-fallback' } : result;
+  }
+}
+
+/**
+ * Describe a cache entry for the tool call response
+ * @private
+ */
+function describeCacheEntry(entry, hit) {
+  return {
+    hit,
+    storedAt: new Date(entry.storedAt).toISOString(),
+    expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+    ageMs: Date.now() - entry.storedAt
+  };
+}
@@ -0,0 +1,561 @@
+import { jest } from '@jest/globals';
+import { ToolRegistry } from './registry.js';
+import { ValidationError } from '../utils/schema-validator.js';
+import { MemoryResultCache } from '../cache/memory-cache.js';
+import { withTimeout, TimeoutError } from '../utils/concurrency.js';
+
+/**
+ * Upstream client serving the given tools, answering calls with the tool name and arguments
+ */
+function upstreamClient(toolNames) {
+  return {
+    isAvailable: () => true,
+    listTools: jest.fn(async () => toolNames.map(name => ({ name, description: `${name} upstream`, inputSchema: { type: 'object' } }))),
+    callTool: jest.fn(async (toolName, params) => ({ content: [{ type: 'text', text: toolName }], params }))
+  };
+}
+
+/**
+ * Registry with the local tools search and price, and an Ordiscan-like upstream
+ * owning the ordiscan_ and ordiscan- names. Its circuit opens on the first failure.
+ */
+function createRegistry(client = upstreamClient(['ordiscan_rune_market', 'search'])) {
+  const registry = new ToolRegistry({ breaker: { failureThreshold: 1 }, backgroundReprobe: false });
+  registry.register({
+    name: 'search',
+    description: 'Local search',
+    aliases: ['web-search'],
+    parameters: { type: 'object', properties: { query: { type: 'string' } } },
+    handler: async params => ({ results: [], query: params.query })
+  });
+  registry.register({
+    name: 'price',
+    description: 'Token price',
+    aliases: ['ordiscan_price'],
+    parameters: { type: 'object', properties: {} },
+    isAvailable: () => false,
+    handler: async () => ({ price: 1 })
+  });
+  registry.registerUpstream({
+    source: 'ordiscan',
+    label: 'Ordiscan',
+    client,
+    initialize: async () => true,
+    owns: name => /^ordiscan[_-]/.test(name),
+    aliases: name => [name.replace(/^ordiscan_/, '')],
+    toolName: name => name.replace(/-/g, '_'),
+    fallbacks: { ordiscan_rune_market: 'search' }
+  });
+  return registry;
+}
+
+describe('ToolRegistry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects tools without a handler and duplicate names', () => {
+    const registry = createRegistry();
+
+    expect(() => registry.register({ name: 'nothing' })).toThrow('Tool definitions require a name and a handler');
+    expect(() => registry.register({ name: 'search', handler: async () => ({}) })).toThrow('Tool "search" is already registered');
+  });
+
+  test('lists available local tools and the tools of connected upstreams', async () => {
+    const registry = createRegistry();
+    await registry.connectAll();
+
+    const tools = await registry.list();
+
+    expect(tools.map(tool => [tool.name, tool.source, tool.aliases])).toEqual([
+      ['ordiscan_rune_market', 'ordiscan', ['rune_market']],
+      ['search', 'ordiscan', ['search']]
+    ]);
+    expect(tools[0].parameters).toEqual({ type: 'object' });
+  });
+
+  test('lists a local fallback only while its upstream is disconnected', async () => {
+    const client = upstreamClient(['ordiscan_rune_market']);
+    const registry = createRegistry(client);
+
+    expect((await registry.list()).map(tool => [tool.name, tool.source])).toEqual([['search', 'local']]);
+
+    await registry.connectAll();
+    expect((await registry.list()).map(tool => [tool.name, tool.source])).toEqual([['ordiscan_rune_market', 'ordiscan']]);
+
+    // The listing that notices the failure has neither; the next one has the fallback again
+    client.listTools.mockRejectedValue(new Error('socket hang up'));
+    expect(await registry.list()).toEqual([]);
+    expect((await registry.list()).map(tool => [tool.name, tool.source])).toEqual([['search', 'local']]);
+    expect(registry.health()).toEqual([expect.objectContaining({ source: 'ordiscan', connected: false, tools: 1, lastError: 'socket hang up' })]);
+  });
+
+  test('leaves out upstreams that are not connected and disconnects those failing to list', async () => {
+    const client = upstreamClient([]);
+    client.listTools.mockRejectedValue(new Error('socket hang up'));
+    const registry = createRegistry(client);
+
+    expect((await registry.list()).map(tool => tool.name)).toEqual(['search']);
+    expect(client.listTools).not.toHaveBeenCalled();
+
+    await registry.connectAll();
+    await registry.list();
+    expect(registry.isConnected('ordiscan')).toBe(false);
+    expect((await registry.list()).map(tool => tool.name)).toEqual(['search']);
+  });
+
+  test('resolves exact names, then upstream aliases, then owned names, then local aliases', async () => {
+    const registry = createRegistry();
+    await registry.connectAll();
+    await registry.list();
+    const upstream = registry.getUpstream('ordiscan');
+
+    // A local tool shadows an upstream tool of the same name
+    expect(registry.resolve('search')).toEqual({ tool: expect.objectContaining({ name: 'search', source: 'local' }) });
+    expect(registry.resolve('ordiscan_rune_market')).toEqual({ upstream, toolName: 'ordiscan_rune_market' });
+    expect(registry.resolve('rune_market')).toEqual({ upstream, toolName: 'ordiscan_rune_market' });
+    // Names owned by the upstream win over local aliases
+    expect(registry.resolve('ordiscan_price')).toEqual({ upstream, toolName: 'ordiscan_price' });
+    expect(registry.resolve('ordiscan-inscription-info')).toEqual({ upstream, toolName: 'ordiscan_inscription_info' });
+    expect(registry.resolve('web-search')).toEqual({ tool: expect.objectContaining({ name: 'search' }) });
+    expect(registry.resolve('unknown')).toBeNull();
+  });
+
+  test('calls local and upstream tools', async () => {
+    const client = upstreamClient(['ordiscan_rune_market']);
+    const registry = createRegistry(client);
+
+    expect(await registry.call('web-search', { query: 'bonk' })).toEqual({ results: [], query: 'bonk' });
+    expect(await registry.call('ordiscan_rune_market', { name: 'DOG' })).toMatchObject({ params: { name: 'DOG' } });
+    expect(registry.isConnected('ordiscan')).toBe(true);
+    await expect(registry.call('unknown')).rejects.toThrow('Unknown tool: unknown');
+  });
+
+  test('checks the arguments against the tool schema before calling it', async () => {
+    const client = upstreamClient(['ordiscan_rune_market']);
+    client.listTools.mockResolvedValue([{ name: 'ordiscan_rune_market', inputSchema: { type: 'object', required: ['name'] } }]);
+    const registry = createRegistry(client);
+    await registry.connectAll();
+    await registry.list();
+
+    await expect(registry.call('search', { query: 42 })).rejects.toThrow(ValidationError);
+    await expect(registry.call('rune_market', {})).rejects.toMatchObject({
+      message: 'Invalid arguments for tool rune_market',
+      errors: [{ pointer: '/name', message: 'is required' }]
+    });
+    expect(client.callTool).not.toHaveBeenCalled();
+  });
+
+  test('refuses calls outside the scopes of the API key before running them', async () => {
+    const client = upstreamClient(['ordiscan_rune_market']);
+    const registry = createRegistry(client);
+    const searchOnly = { name: 'bot', tools: [/^search$/] };
+
+    await expect(registry.execute('ordiscan_rune_market', {}, { apiKey: searchOnly })).rejects.toMatchObject({
+      name: 'ToolError',
+      code: 'FORBIDDEN',
+      message: 'API key bot may not call ordiscan_rune_market'
+    });
+    expect(client.callTool).not.toHaveBeenCalled();
+
+    // Scopes match the canonical name as well as the requested alias, or the whole source
+    expect((await registry.execute('web-search', { query: 'bonk' }, { apiKey: searchOnly })).result).toEqual({ results: [], query: 'bonk' });
+    expect((await registry.execute('ordiscan_rune_market', {}, { apiKey: { name: 'ordiscan', sources: ['ordiscan'] } })).result)
+      .toMatchObject({ params: {} });
+    await expect(registry.execute('unknown', {}, { apiKey: searchOnly })).rejects.toMatchObject({ code: 'TOOL_NOT_FOUND' });
+  });
+
+  test('falls back to the local tool when the upstream call fails', async () => {
+    const client = upstreamClient(['ordiscan_rune_market']);
+    client.callTool.mockRejectedValue(new Error('Bad gateway'));
+    const registry = createRegistry(client);
+
+    expect(await registry.call('ordiscan_rune_market', { query: 'DOG' })).toEqual({ results: [], query: 'DOG', source: 'local-fallback' });
+    expect(registry.isConnected('ordiscan')).toBe(false);
+  });
+
+  test('reports the upstream failure when there is no fallback', async () => {
+    const client = upstreamClient(['ordiscan_inscription_info']);
+    client.callTool.mockRejectedValue(new Error('Bad gateway'));
+    const registry = createRegistry(client);
+
+    await expect(registry.call('ordiscan_inscription_info', {})).rejects.toThrow('Ordiscan ordiscan_inscription_info failed: Bad gateway');
+  });
+
+  test('closes the client of every upstream and stops reprobing', async () => {
+    const ordiscan = { ...upstreamClient(['ordiscan_rune_market']), close: jest.fn(async () => {}) };
+    ordiscan.callTool.mockRejectedValue(new Error('Bad gateway'));
+    const notes = { ...upstreamClient(['notes_search']), close: jest.fn(async () => { throw new Error('already stopped'); }) };
+    const registry = new ToolRegistry({ breaker: { failureThreshold: 1, retryDelayMs: 60000 } });
+    registry.registerUpstream({ source: 'ordiscan', label: 'Ordiscan', client: ordiscan, initialize: async () => true });
+    registry.registerUpstream({ source: 'notes', label: 'Notes', client: notes, initialize: async () => true });
+    await registry.connectAll();
+    await registry.list();
+    await expect(registry.call('ordiscan_rune_market', {})).rejects.toThrow('Bad gateway');
+    expect(registry.getUpstream('ordiscan').reprobeTimer).not.toBeNull();
+
+    await registry.close();
+
+    expect(ordiscan.close).toHaveBeenCalledTimes(1);
+    expect(notes.close).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith('Error closing Notes:', 'already stopped');
+    expect(registry.getUpstream('ordiscan').reprobeTimer).toBeNull();
+    expect(registry.isConnected('notes')).toBe(false);
+  });
+});
+
+/**
+ * Upstream client whose calls never answer until they are aborted
+ */
+function hangingClient() {
+  return {
+    calls: 0,
+    isAvailable: () => true,
+    listTools: async () => [],
+    callTool(toolName, params, { signal }) {
+      this.calls++;
+      return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+          reject(new Error(`Call to ${toolName} was cancelled`));
+        }
+        signal.addEventListener('abort', () => reject(new Error(`Call to ${toolName} was cancelled`)), { once: true });
+      });
+    }
+  };
+}
+
+/**
+ * Registry with one upstream ("slow") and a local fallback for slow_search
+ */
+function createBreakerRegistry(client, breaker = {}) {
+  const registry = new ToolRegistry({ breaker: { failureThreshold: 2, retryDelayMs: 50, ...breaker }, backgroundReprobe: false });
+  registry.register({
+    name: 'local_search',
+    description: 'Local search',
+    parameters: { type: 'object', properties: {} },
+    handler: async () => ({ results: [] })
+  });
+  registry.registerUpstream({
+    source: 'slow',
+    label: 'Slow upstream',
+    client,
+    initialize: async () => true,
+    owns: name => name.startsWith('slow_'),
+    fallbacks: { slow_search: 'local_search' }
+  });
+  return registry;
+}
+
+// The registry records the outcome of a call after its caller gave up on it
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ToolRegistry circuit breaker', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const callWithTimeout = (registry, options = {}) => withTimeout(
+    signal => registry.call('slow_search', {}, { signal }),
+    10,
+    { label: 'slow_search', ...options }
+  );
+
+  test('degrades on failures, then opens the circuit and falls back without calling the upstream', async () => {
+    const client = hangingClient();
+    client.callTool = jest.fn(async () => {
+      throw new Error('Bad gateway');
+    });
+    const registry = createBreakerRegistry(client);
+    const upstream = registry.getUpstream('slow');
+
+    await expect(registry.call('slow_search', {})).resolves.toEqual({ results: [], source: 'local-fallback' });
+    expect(upstream.breaker.state).toBe('degraded');
+    expect(registry.isConnected('slow')).toBe(true);
+
+    await registry.call('slow_search', {});
+    expect(upstream.breaker.state).toBe('open');
+    expect(registry.isConnected('slow')).toBe(false);
+
+    await expect(registry.call('slow_search', {})).resolves.toEqual({ results: [], source: 'local-fallback' });
+    expect(client.callTool).toHaveBeenCalledTimes(2);
+    expect(registry.health()[0]).toMatchObject({ state: 'open', failures: 2, lastError: 'Bad gateway' });
+  });
+
+  test('lets a probe through once the retry delay elapsed and closes the circuit when it succeeds', async () => {
+    const client = hangingClient();
+    client.callTool = async () => {
+      throw new Error('Bad gateway');
+    };
+    const registry = createBreakerRegistry(client, { failureThreshold: 1 });
+    const upstream = registry.getUpstream('slow');
+
+    await registry.call('slow_search', {});
+    expect(upstream.breaker.state).toBe('open');
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    client.callTool = async () => ({ content: [{ type: 'text', text: 'ok' }] });
+    await expect(registry.call('slow_search', {})).resolves.toEqual({ content: [{ type: 'text', text: 'ok' }] });
+    expect(upstream.breaker.state).toBe('healthy');
+    expect(registry.isConnected('slow')).toBe(true);
+  });
+
+  test('counts timeouts as failures until the circuit opens, then falls back', async () => {
+    const client = hangingClient();
+    const registry = createBreakerRegistry(client);
+    const upstream = registry.getUpstream('slow');
+
+    await expect(callWithTimeout(registry)).rejects.toThrow(TimeoutError);
+    await settle();
+    expect(upstream.breaker.state).toBe('degraded');
+
+    await expect(callWithTimeout(registry)).rejects.toThrow(TimeoutError);
+    await settle();
+    expect(upstream.breaker.state).toBe('open');
+    expect(upstream.lastError).toBe('Call to slow_search was cancelled');
+
+    // Open circuit: the local fallback answers without waiting on the upstream
+    await expect(callWithTimeout(registry)).resolves.toEqual({ results: [], source: 'local-fallback' });
+    expect(client.calls).toBe(2);
+  });
+
+  test('reopens the circuit when the half-open probe times out', async () => {
+    const client = hangingClient();
+    const registry = createBreakerRegistry(client, { failureThreshold: 1 });
+    const upstream = registry.getUpstream('slow');
+
+    await expect(callWithTimeout(registry)).rejects.toThrow(TimeoutError);
+    await settle();
+    expect(upstream.breaker.state).toBe('open');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await expect(callWithTimeout(registry)).rejects.toThrow(TimeoutError);
+    await settle();
+
+    expect(client.calls).toBe(2);
+    expect(upstream.breaker.state).toBe('open');
+    await expect(callWithTimeout(registry)).resolves.toEqual({ results: [], source: 'local-fallback' });
+    expect(client.calls).toBe(2);
+  });
+
+  test('does not count a call cancelled by the caller', async () => {
+    const client = hangingClient();
+    const registry = createBreakerRegistry(client);
+    const upstream = registry.getUpstream('slow');
+    const controller = new AbortController();
+
+    const call = registry.call('slow_search', {}, { signal: controller.signal });
+    controller.abort(new Error('Client disconnected'));
+
+    await expect(call).rejects.toThrow('Call to slow_search was cancelled');
+    expect(upstream.breaker.state).toBe('healthy');
+    expect(upstream.breaker.failures).toBe(0);
+  });
+
+  test('falls back when the upstream reports a timeout itself', async () => {
+    const client = hangingClient();
+    client.callTool = async () => {
+      throw new Error('Request timed out');
+    };
+    const registry = createBreakerRegistry(client);
+
+    await expect(registry.call('slow_search', {})).resolves.toEqual({ results: [], source: 'local-fallback' });
+    expect(registry.getUpstream('slow').breaker.state).toBe('degraded');
+  });
+
+  test('does not fall back to an unavailable local tool when the upstream cannot connect', async () => {
+    const registry = new ToolRegistry({ backgroundReprobe: false });
+    registry.register({
+      name: 'local_search',
+      description: 'Local search',
+      parameters: { type: 'object', properties: {} },
+      isAvailable: () => false,
+      handler: async () => ({ results: [] })
+    });
+    registry.registerUpstream({
+      source: 'down',
+      label: 'Down upstream',
+      client: hangingClient(),
+      initialize: async () => false,
+      owns: name => name.startsWith('down_'),
+      fallbacks: { down_search: 'local_search' }
+    });
+
+    await expect(registry.call('down_search', {})).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+  });
+});
+
+describe('ToolRegistry result cache', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createCachedRegistry(handler) {
+    const registry = new ToolRegistry({ cache: new MemoryResultCache(), backgroundReprobe: false });
+    registry.register({
+      name: 'price',
+      description: 'Token price',
+      parameters: { type: 'object', properties: { symbol: { type: 'string' } } },
+      cache: 60000,
+      handler
+    });
+    return registry;
+  }
+
+  test('serves repeated calls from the cache until noCache is set', async () => {
+    const handler = jest.fn(async params => ({ symbol: params.symbol, price: handler.mock.calls.length }));
+    const registry = createCachedRegistry(handler);
+
+    const first = await registry.execute('price', { symbol: 'SOL' });
+    const second = await registry.execute('price', { symbol: 'SOL' });
+    const fresh = await registry.execute('price', { symbol: 'SOL' }, { noCache: true });
+
+    expect(first.cache.hit).toBe(false);
+    expect(second).toEqual({ result: first.result, cache: expect.objectContaining({ hit: true }) });
+    expect(fresh.result.price).toBe(2);
+    expect(await registry.resultCacheStats()).toEqual({ type: 'memory', entries: 1, hits: 1, misses: 2, stores: 2 });
+  });
+
+  test('does not store failed results', async () => {
+    const registry = createCachedRegistry(async () => ({ success: false, error: 'rate limited' }));
+
+    const { cache } = await registry.execute('price', { symbol: 'SOL' });
+
+    expect(cache).toEqual({ hit: false, storedAt: null, expiresAt: null, ageMs: null });
+    expect((await registry.resultCacheStats()).entries).toBe(0);
+  });
+});
+
+describe('ToolRegistry resources and prompts', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Upstream client serving one resource and one prompt with a required argument
+   */
+  function contextClient(resourceUri) {
+    return {
+      isAvailable: () => true,
+      listTools: async () => [],
+      listResources: jest.fn(async () => [{ uri: resourceUri, name: 'Notes', mimeType: 'text/markdown' }]),
+      readResource: jest.fn(async uri => [{ uri, text: `contents of ${uri}` }]),
+      listPrompts: jest.fn(async () => [{ name: 'summarize', description: 'Summarize a token', arguments: [{ name: 'token', required: true }, { name: 'depth' }] }]),
+      getPrompt: jest.fn(async (name, args) => ({ messages: [{ role: 'user', content: { type: 'text', text: `${name} ${JSON.stringify(args)}` } }] }))
+    };
+  }
+
+  async function createContextRegistry() {
+    const registry = new ToolRegistry({ backgroundReprobe: false });
+    const notes = contextClient('file:///notes.md');
+    const docs = contextClient('docs://readme');
+    registry.registerUpstream({ source: 'notes', label: 'Notes', client: notes, initialize: async () => true });
+    registry.registerUpstream({ source: 'docs', label: 'Docs', client: docs, initialize: async () => true });
+    await registry.connectAll();
+    return { registry, notes, docs };
+  }
+
+  test('reads a resource from the upstream that listed it, listing first when it is not known yet', async () => {
+    const { registry, notes, docs } = await createContextRegistry();
+
+    expect(await registry.readResource('docs://readme')).toEqual({
+      source: 'docs',
+      contents: [{ uri: 'docs://readme', text: 'contents of docs://readme' }]
+    });
+    expect(docs.listResources).toHaveBeenCalledTimes(1);
+    expect(notes.readResource).not.toHaveBeenCalled();
+
+    await registry.readResource('docs://readme');
+    expect(docs.listResources).toHaveBeenCalledTimes(1);
+  });
+
+  test('reads unlisted URIs from the named source and returns null for unknown resources', async () => {
+    const { registry, notes } = await createContextRegistry();
+
+    expect(await registry.readResource('file:///other.md', { source: 'notes' })).toMatchObject({ source: 'notes' });
+    expect(notes.readResource).toHaveBeenCalledWith('file:///other.md', { signal: undefined });
+    expect(await registry.readResource('file:///missing.md')).toBeNull();
+  });
+
+  test('refuses to read from a disconnected upstream', async () => {
+    const { registry } = await createContextRegistry();
+    await registry.listResources();
+    registry.getUpstream('notes').connected = false;
+
+    await expect(registry.readResource('file:///notes.md')).rejects.toThrow('Cannot read file:///notes.md - no Notes connection');
+  });
+
+  test('renders a prompt with its arguments as strings', async () => {
+    const { registry, docs } = await createContextRegistry();
+
+    const prompt = await registry.getPrompt('summarize', { token: 'BONK', depth: 2 }, { source: 'docs' });
+
+    expect(prompt).toEqual({
+      source: 'docs',
+      description: 'Summarize a token',
+      messages: [{ role: 'user', content: { type: 'text', text: 'summarize {"token":"BONK","depth":"2"}' } }]
+    });
+    expect(docs.getPrompt).toHaveBeenCalledWith('summarize', { token: 'BONK', depth: '2' }, { signal: undefined });
+    expect(await registry.getPrompt('unknown')).toBeNull();
+  });
+
+  test('checks the required prompt arguments before rendering', async () => {
+    const { registry, notes } = await createContextRegistry();
+
+    await expect(registry.getPrompt('summarize', { depth: '1' })).rejects.toMatchObject({
+      message: 'Invalid arguments for prompt summarize',
+      errors: [{ pointer: '/arguments/token', message: 'is required' }]
+    });
+    expect(notes.getPrompt).not.toHaveBeenCalled();
+  });
+
+  test('refuses resources of sources the API key may not use, before reading them', async () => {
+    const { registry, notes, docs } = await createContextRegistry();
+    const apiKey = { name: 'bot', sources: ['docs'] };
+
+    await expect(registry.readResource('file:///notes.md', { apiKey })).rejects.toMatchObject({
+      code: 'FORBIDDEN',
+      message: 'API key bot may not use notes'
+    });
+    await expect(registry.readResource('file:///other.md', { source: 'notes', apiKey })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    expect(notes.readResource).not.toHaveBeenCalled();
+
+    expect(await registry.readResource('docs://readme', { apiKey })).toMatchObject({ source: 'docs' });
+    expect(docs.readResource).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses prompts of sources the API key may not use, before rendering them', async () => {
+    const { registry, notes, docs } = await createContextRegistry();
+    const apiKey = { name: 'bot', tools: [/^summarize$/], sources: ['docs'] };
+
+    await expect(registry.getPrompt('summarize', { token: 'BONK' }, { source: 'notes', apiKey })).rejects.toMatchObject({
+      code: 'FORBIDDEN',
+      message: 'API key bot may not use notes'
+    });
+    await expect(registry.getPrompt('summarize', {}, { source: 'notes', apiKey })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+    expect(notes.getPrompt).not.toHaveBeenCalled();
+
+    expect(await registry.getPrompt('summarize', { token: 'BONK' }, { source: 'docs', apiKey })).toMatchObject({ source: 'docs' });
+    expect(await registry.getPrompt('summarize', { token: 'BONK' }, { apiKey })).toMatchObject({ source: 'docs' });
+    expect(docs.getPrompt).toHaveBeenCalledTimes(2);
+  });
+});
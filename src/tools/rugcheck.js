@@ -1,15 +1,21 @@
 // Rugcheck tool implementation
-import { HustleIncognitoClient } from 'hustle-incognito';
+import { createSecurityProviders, loadTokenList, scoreRiskReport } from '../chains/index.js';
+import { checkAddressParams } from '../utils/address.js';
+import { ValidationError } from '../utils/schema-validator.js';
 
 export class RugcheckTool {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.securityProviders] - Security provider per chain name (defaults to createSecurityProviders())
+   * @param {Object} [options.tokens] - Token list used to resolve symbols (defaults to loadTokenList())
+   */
+  constructor(options = {}) {
     this.name = 'rugcheck';
-    this.description = 'Perform a security analysis (rugcheck) on a specific token';
-    this.client = new HustleIncognitoClient({
-      apiKey: process.env.HUSTLE_API_KEY,
-      hustleApiUrl: process.env.HUSTLE_API_URL || 'https://agenthustle.ai',
-      debug: process.env.DEBUG === 'true'
-    });
+    this.description = 'Perform a security analysis (rugcheck) on a specific token, with a 0-100 risk score and its breakdown';
+    this.providers = options.securityProviders || createSecurityProviders();
+    this.tokens = options.tokens || loadTokenList(process.env.WALLET_TOKEN_LIST);
+    // Risk reports change slowly
+    this.cachePolicy = 300000;
   }
 
   /**
@@ -17,7 +23,7 @@ export class RugcheckTool {
    * @returns {boolean}
    */
   isAvailable() {
-    return Boolean(process.env.HUSTLE_API_KEY && process.env.VAULT_ID);
+    return true;
   }
 
   /**
@@ -31,47 +37,65 @@ export class RugcheckTool {
       properties: {
         token: {
           type: 'string',
-          description: 'The token symbol or address to analyze'
+          description: 'The token address to analyze, or the symbol of a listed token'
         },
         chain: {
           type: 'string',
-          description: 'The blockchain network',
-          enum: ['solana', 'ethereum', 'binance'],
-          default: 'solana'
+          description: 'The blockchain network (inferred from a token address when omitted)',
+          enum: ['solana', 'ethereum', 'binance']
         }
       }
     };
   }
 
+  /**
+   * Check token addresses for the chain, inferring the chain when omitted.
+   * Symbols ("BONK", "$JUP") are resolved through the token list.
+   * @param {Object} params - Schema-validated parameters
+   * @returns {Object} Parameters with the token address normalized and the chain set
+   * @throws {ValidationError} If the token address is not valid on the chain or the symbol is unknown
+   */
+  validateParams(params) {
+    const token = params.token.trim();
+    // Anything shaped like an address is checked, so a mistyped mint is not taken for a symbol
+    if (/^0x|^[1-9A-HJ-NP-Za-km-z]{32,}$/i.test(token)) {
+      return checkAddressParams({ ...params, token }, {
+        field: 'token',
+        chainField: 'chain',
+        chains: Object.keys(this.providers)
+      });
+    }
+
+    const chain = params.chain || 'solana';
+    const symbol = token.replace(/^\$/, '').toUpperCase();
+    const match = (this.tokens[chain] || []).find(entry => entry.symbol && entry.symbol.toUpperCase() === symbol);
+    if (!match) {
+      const message = `is not a known ${chain} token symbol - pass the token address instead`;
+      throw new ValidationError(`Invalid token: ${token} ${message}`, [{ pointer: '/token', message }]);
+    }
+    return { ...params, token: match.address, chain };
+  }
+
   /**
    * Execute the rugcheck analysis
    * @param {Object} params - Analysis parameters
-   * @returns {Promise<Object>} Analysis results
+   * @param {Object} [context] - Call context
+   * @param {AbortSignal} [context.signal] - Cancels the provider requests
+   * @returns {Promise<Object>} Security report with its risk score (see scoreRiskReport)
    */
-  async execute(params) {
-    try {
-      const response = await this.client.headlessChat(
-        `Run a rugcheck for ${params.token}`,
-        {
-          'rugcheck': async (p) => p
-        },
-        { vaultId: process.env.VAULT_ID }
-      );
-
-      const result = response.toolResults[0] || {
-        token: params.token,
-        score: 0,
-        risk: 'unknown',
-        message: 'Unable to perform rugcheck'
-      };
+  async execute(params, context = {}) {
+    const chain = params.chain || 'solana';
+    console.log(`Executing rugcheck for token: ${params.token} on ${chain}`);
+    const provider = this.providers[chain];
+    if (!provider) {
+      throw new Error(`Unsupported chain: ${chain}`);
+    }
 
-      return {
-        token: params.token,
-        chain: params.chain,
-        ...result
-      };
+    try {
+      const report = await provider.getTokenReport(params.token, { signal: context.signal });
+      return { ...report, ...scoreRiskReport(report) };
     } catch (error) {
-      throw new Error(`Rugcheck analysis failed: ${error.message}`);
+      throw new Error(`Rugcheck analysis failed: ${error.message}`, { cause: error });
     }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,33 @@
+import { jest } from '@jest/globals';
+import { RugcheckTool } from './rugcheck.js';
+import { GoPlusSecurityProvider } from '../chains/security-providers.js';
+import { startJsonServer } from '../chains/fixtures/json-rpc-server.js';
+import { classifyError } from '../utils/errors.js';
+
+const PEPE = '0x6982508145454Ce325dDbE47a25d4ec3d2311933';
+
+describe('RugcheckTool', () => {
+  let api;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    api = await startJsonServer(() => ({ status: 429, headers: { 'Retry-After': '30' }, body: { message: 'Too many requests' } }));
+  });
+
+  afterEach(async () => {
+    await api.close();
+    jest.restoreAllMocks();
+  });
+
+  test('fails with the provider error as cause, so a rate limit is classified as such', async () => {
+    const provider = new GoPlusSecurityProvider({ chain: 'ethereum', chainId: 1, apiUrl: api.url });
+    const tool = new RugcheckTool({ securityProviders: { ethereum: provider }, tokens: {} });
+
+    const error = await tool.execute({ token: PEPE, chain: 'ethereum' }).catch(error => error);
+
+    expect(error.message).toBe('Rugcheck analysis failed: Request failed with status code 429');
+    expect(error.cause.response.status).toBe(429);
+    expect(classifyError(error)).toEqual({ code: 'RATE_LIMITED', retryAfterMs: 30000 });
+    expect(api.requests).toEqual([expect.objectContaining({ path: '/token_security/1', query: { contract_addresses: PEPE } })]);
+  });
+});
@@ -0,0 +1,102 @@
+// Cached tool listing served by /api/tools/list
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+
+/**
+ * Caches the merged tool listing of a ToolRegistry.
+ *
+ * The listing is built once and served until it is `ttlMs` old. Past that, the
+ * cached listing is still served while a refresh runs in the background, so
+ * only the very first request waits for the upstream servers. Each listing
+ * carries an ETag derived from its content for conditional requests, and a
+ * `changed` event is emitted when a rebuilt listing differs from the last one.
+ */
+export class ToolCatalog extends EventEmitter {
+  /**
+   * @param {ToolRegistry} registry - Registry building the listing
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.ttlMs] - Age after which the listing is refreshed (0 disables caching)
+   */
+  constructor(registry, options = {}) {
+    super();
+    this.registry = registry;
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs : 300000;
+    this.entry = null;
+    this.pending = null;
+    this.generation = 0;
+    this.lastEtag = null;
+
+    // Connecting or losing an upstream changes which tools are listed
+    registry.on('upstream:connected', () => this.invalidate());
+    registry.on('upstream:disconnected', () => this.invalidate());
+  }
+
+  /**
+   * Get the tool listing
+   * @returns {Promise<{tools: Array, etag: string, fetchedAt: number}>} Cached or freshly built listing
+   */
+  async get() {
+    if (!this.entry || this.ttlMs <= 0) {
+      return this.refresh();
+    }
+
+    if (Date.now() - this.entry.fetchedAt >= this.ttlMs) {
+      this.refresh().catch(error => console.error('Error refreshing tool listing:', error.message));
+    }
+    return this.entry;
+  }
+
+  /**
+   * Rebuild the listing, sharing the refresh already in progress if any
+   * @returns {Promise<{tools: Array, etag: string, fetchedAt: number}>} New listing
+   */
+  refresh() {
+    if (!this.pending) {
+      const generation = this.generation;
+      const pending = this.registry.list()
+        .then(tools => {
+          const etag = `"${createHash('sha1').update(JSON.stringify(tools)).digest('base64url')}"`;
+          const entry = { tools, etag, fetchedAt: Date.now() };
+          // A listing started before an invalidation is returned but not cached
+          if (generation === this.generation) {
+            this.entry = entry;
+          }
+          if (this.lastEtag && etag !== this.lastEtag) {
+            this.emit('changed', entry);
+          }
+          this.lastEtag = etag;
+          return entry;
+        })
+        .finally(() => {
+          if (this.pending === pending) {
+            this.pending = null;
+          }
+        });
+      this.pending = pending;
+    }
+    return this.pending;
+  }
+
+  /**
+   * Drop the cached listing so the next request rebuilds it
+   */
+  invalidate() {
+    this.generation++;
+    this.entry = null;
+    this.pending = null;
+  }
+
+  /**
+   * Report the cache state
+   * @returns {Object} Tool count, ETag and age of the cached listing
+   */
+  stats() {
+    return {
+      cached: Boolean(this.entry),
+      tools: this.entry ? this.entry.tools.length : 0,
+      etag: this.entry ? this.entry.etag : null,
+      ageMs: this.entry ? Date.now() - this.entry.fetchedAt : null,
+      ttlMs: this.ttlMs
+    };
+  }
+}
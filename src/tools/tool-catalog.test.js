@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { ToolCatalog } from './tool-catalog.js';
+
+/**
+ * Registry listing the given tool names, one listing per call
+ */
+function fakeRegistry(...listings) {
+  const registry = new EventEmitter();
+  let calls = 0;
+  registry.list = jest.fn(async () => listings[Math.min(calls++, listings.length - 1)].map(name => ({ name })));
+  return registry;
+}
+
+describe('ToolCatalog', () => {
+  test('serves the cached listing until it expires', async () => {
+    const registry = fakeRegistry(['search']);
+    const catalog = new ToolCatalog(registry, { ttlMs: 60000 });
+
+    const first = await catalog.get();
+    const second = await catalog.get();
+
+    expect(second).toBe(first);
+    expect(first.etag).toMatch(/^"[\w-]+"$/);
+    expect(registry.list).toHaveBeenCalledTimes(1);
+    expect(catalog.stats()).toMatchObject({ cached: true, tools: 1, etag: first.etag, ttlMs: 60000 });
+  });
+
+  test('serves an expired listing while refreshing it in the background', async () => {
+    const registry = fakeRegistry(['search'], ['search', 'rugcheck']);
+    const catalog = new ToolCatalog(registry, { ttlMs: 60000 });
+    const first = await catalog.get();
+    catalog.entry.fetchedAt -= 60000;
+
+    expect(await catalog.get()).toBe(first);
+    await catalog.pending;
+
+    expect((await catalog.get()).tools.map(tool => tool.name)).toEqual(['search', 'rugcheck']);
+    expect(registry.list).toHaveBeenCalledTimes(2);
+  });
+
+  test('shares a refresh already in progress', async () => {
+    const registry = fakeRegistry(['search']);
+    const catalog = new ToolCatalog(registry);
+
+    const [first, second] = await Promise.all([catalog.get(), catalog.get()]);
+
+    expect(second).toBe(first);
+    expect(registry.list).toHaveBeenCalledTimes(1);
+  });
+
+  test('rebuilds the listing when an upstream connects or drops out', async () => {
+    const registry = fakeRegistry(['search'], ['search', 'ordiscan_rune_market'], ['search']);
+    const catalog = new ToolCatalog(registry);
+    const changed = jest.fn();
+    catalog.on('changed', changed);
+    const first = await catalog.get();
+
+    registry.emit('upstream:connected', 'ordiscan');
+    const second = await catalog.get();
+    registry.emit('upstream:disconnected', 'ordiscan');
+    const third = await catalog.get();
+
+    expect(second.etag).not.toBe(first.etag);
+    expect(third.etag).toBe(first.etag);
+    expect(changed).toHaveBeenCalledTimes(2);
+    expect(changed).toHaveBeenCalledWith(second);
+  });
+
+  test('does not cache a listing started before an invalidation', async () => {
+    const registry = fakeRegistry(['stale'], ['fresh']);
+    const catalog = new ToolCatalog(registry);
+
+    const stale = catalog.get();
+    catalog.invalidate();
+
+    expect((await stale).tools).toEqual([{ name: 'stale' }]);
+    expect(catalog.stats().cached).toBe(false);
+    expect((await catalog.get()).tools).toEqual([{ name: 'fresh' }]);
+  });
+
+  test('rebuilds on every request when caching is disabled', async () => {
+    const registry = fakeRegistry(['search']);
+    const catalog = new ToolCatalog(registry, { ttlMs: 0 });
+
+    await catalog.get();
+    await catalog.get();
+
+    expect(registry.list).toHaveBeenCalledTimes(2);
+  });
+});
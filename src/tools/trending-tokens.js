@@ -1,10 +1,18 @@
 // TrendingTokens tool implementation
-import axios from 'axios';
+import { createTrendingProvider, rankTrendingTokens } from '../chains/index.js';
+import { ValidationError } from '../utils/schema-validator.js';
 
 export class TrendingTokensTool {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.trendingProvider] - Trending data provider (defaults to createTrendingProvider())
+   */
+  constructor(options = {}) {
     this.name = 'trending-tokens';
     this.description = 'Get trending tokens on a specific blockchain';
+    this.provider = options.trendingProvider || createTrendingProvider();
+    // Trending lists follow prices
+    this.cachePolicy = 60000;
   }
 
   /**
@@ -30,7 +38,7 @@ export class TrendingTokensTool {
           default: 'solana'
         },
         limit: {
-          type: 'number',
+          type: 'integer',
           description: 'Maximum number of tokens to return',
           default: 10,
           minimum: 1,
@@ -38,7 +46,7 @@ export class TrendingTokensTool {
         },
         timeframe: {
           type: 'string',
-          description: 'Time period for trending calculation',
+          description: 'Time period the volume and price change are measured over',
           enum: ['1h', '24h', '7d'],
           default: '24h'
         }
@@ -47,61 +55,50 @@ export class TrendingTokensTool {
   }
 
   /**
-   * Execute the trending tokens search
-   * @param {Object} params - Search parameters
-   * @returns {Promise<Object>} Trending tokens information
+   * Reject timeframes the configured provider has no data for
+   * @param {Object} params - Schema-validated parameters
+   * @returns {Object} The parameters
+   * @throws {ValidationError} If the provider does not cover the timeframe
    */
-  async execute(params) {
-    try {
-      // Simulate trending tokens search
-      const trendingData = await this.getTrendingTokens(
-        params.chain || 'solana',
-        params.limit || 10,
-        params.timeframe || '24h'
-      );
-      
-      return {
-        chain: params.chain,
-        timeframe: params.timeframe,
-        timestamp: new Date().toISOString(),
-        tokens: trendingData
-      };
-    } catch (error) {
-      throw new Error(`Trending tokens search failed: ${error.message}`);
+  validateParams(params) {
+    if (params.timeframe && !this.provider.timeframes.includes(params.timeframe)) {
+      const message = `is not available from ${this.provider.name} (supported: ${this.provider.timeframes.join(', ')})`;
+      throw new ValidationError(`Invalid timeframe: ${params.timeframe} ${message}`, [{ pointer: '/timeframe', message }]);
     }
+    return params;
   }
 
   /**
-   * Get trending tokens (simulated)
-   * @private
+   * Execute the trending tokens search
+   * @param {Object} params - Search parameters
+   * @param {Object} [context] - Call context
+   * @param {AbortSignal} [context.signal] - Cancels the provider requests
+   * @returns {Promise<Object>} Trending tokens ranked by trendingScore()
    */
-  async getTrendingTokens(chain, limit, timeframe) {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    // Sample token data
-    const tokenPool = [
-      { symbol: 'SOL', name: 'Solana' },
-      { symbol: 'BONK', name: 'Bonk' },
-      { symbol: 'RAY', name: 'Raydium' },
-      { symbol: 'SAMO', name: 'Samoyedcoin' },
-      { symbol: 'DUST', name: 'Dust Protocol' },
-      { symbol: 'PYTH', name: 'Pyth Network' },
-      { symbol: 'ORCA', name: 'Orca' },
-      { symbol: 'MNGO', name: 'Mango Markets' },
-      { symbol: 'ATLAS', name: 'Star Atlas' },
-      { symbol: 'COPE', name: 'Cope' }
-    ];
-
-    // Generate random trending data
-    return tokenPool.slice(0, limit).map(token => ({
-      ...token,
-      price: Math.random() * 100,
-      priceChange: (Math.random() * 40) - 20, // -20% to +20%
-      volume: Math.random() * 1000000,
-      marketCap: Math.random() * 1000000000,
-      socialScore: Math.floor(Math.random() * 100),
-      trendingRank: Math.floor(Math.random() * 100)
-    }));
+  async execute(params, context = {}) {
+    const chain = params.chain || 'solana';
+    const timeframe = params.timeframe || '24h';
+    const limit = params.limit || 10;
+    console.log(`Fetching trending tokens on chain: ${chain} (${timeframe}, ${this.provider.name})`);
+    try {
+      const candidates = await this.provider.getTrendingTokens(chain, { timeframe, limit, signal: context.signal });
+      const tokens = rankTrendingTokens(candidates, limit).map(token => ({
+        rank: token.rank,
+        symbol: token.symbol,
+        name: token.name,
+        address: token.address,
+        priceUsd: token.priceUsd,
+        priceChange: token.priceChange,
+        volumeUsd: token.volumeUsd,
+        liquidityUsd: token.liquidityUsd,
+        marketCapUsd: token.marketCapUsd,
+        score: token.score,
+        url: token.url
+      }));
+      return { chain, timeframe, source: this.provider.name, tokens };
+    } catch (error) {
+      console.error('Error in trending-tokens:', error.message);
+      throw new Error(`${this.provider.name} trending tokens failed: ${error.message}`, { cause: error });
+    }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,45 @@
+import { jest } from '@jest/globals';
+import { TrendingTokensTool } from './trending-tokens.js';
+import { FixtureTrendingProvider, DEFAULT_TRENDING_FIXTURES } from '../chains/index.js';
+import { ValidationError } from '../utils/schema-validator.js';
+import { classifyError } from '../utils/errors.js';
+
+describe('TrendingTokensTool', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ranks the tokens of the provider for the requested chain and timeframe', async () => {
+    const tool = new TrendingTokensTool({ trendingProvider: new FixtureTrendingProvider(DEFAULT_TRENDING_FIXTURES) });
+
+    const result = await tool.execute({ chain: 'ethereum', timeframe: '1h', limit: 2 });
+
+    expect(result).toMatchObject({ chain: 'ethereum', timeframe: '1h', source: 'fixture' });
+    expect(result.tokens.map(token => [token.rank, token.symbol])).toEqual([[1, 'PEPE'], [2, 'LINK']]);
+    expect(result.tokens[0]).toEqual(expect.objectContaining({ volumeUsd: 12000000, priceChange: 1.2, url: null }));
+  });
+
+  test('rejects timeframes the provider has no data for', () => {
+    const tool = new TrendingTokensTool({ trendingProvider: { name: 'dexscreener', timeframes: ['1h', '24h'] } });
+
+    expect(tool.validateParams({ timeframe: '24h' })).toEqual({ timeframe: '24h' });
+    expect(() => tool.validateParams({ timeframe: '7d' })).toThrow(ValidationError);
+    expect(() => tool.validateParams({ timeframe: '7d' })).toThrow('Invalid timeframe: 7d is not available from dexscreener (supported: 1h, 24h)');
+  });
+
+  test('fails with the provider error as cause, so the failure can be classified', async () => {
+    const unauthorized = Object.assign(new Error('Request failed with status code 401'), { response: { status: 401, headers: {} } });
+    const provider = { name: 'birdeye', timeframes: ['24h'], getTrendingTokens: async () => { throw unauthorized; } };
+    const tool = new TrendingTokensTool({ trendingProvider: provider });
+
+    const error = await tool.execute({ chain: 'solana' }).catch(error => error);
+
+    expect(error).toMatchObject({ message: 'birdeye trending tokens failed: Request failed with status code 401', cause: unauthorized });
+    expect(classifyError(error).code).toBe('CONFIG_MISSING');
+  });
+});
@@ -1,10 +1,21 @@
 // WalletBalance tool implementation
-import axios from 'axios';
+import { createChainProviders, createPriceProvider } from '../chains/index.js';
+import { EVM_CHAINS, checkAddressParams, validateAddress } from '../utils/address.js';
+import { ValidationError } from '../utils/schema-validator.js';
 
 export class WalletBalanceTool {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.providers] - Chain provider per chain name (defaults to createChainProviders())
+   * @param {Object|null} [options.priceProvider] - USD price provider (defaults to createPriceProvider())
+   */
+  constructor(options = {}) {
     this.name = 'wallet-balance';
-    this.description = 'Check wallet balance for a specific address';
+    this.description = 'Check the native, token and NFT holdings of a wallet address, valued in USD';
+    this.providers = options.providers || createChainProviders();
+    this.priceProvider = options.priceProvider !== undefined ? options.priceProvider : createPriceProvider();
+    // Balances move with every transaction
+    this.cachePolicy = 30000;
   }
 
   /**
@@ -30,61 +41,110 @@ export class WalletBalanceTool {
         },
         chain: {
           type: 'string',
-          description: 'The blockchain network',
-          enum: ['solana', 'ethereum', 'binance'],
-          default: 'solana'
+          description: 'The blockchain network (inferred from the address when omitted)',
+          enum: ['solana', 'ethereum', 'binance']
+        },
+        tokens: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Extra ERC-20 contract addresses to check on EVM chains'
         }
       }
     };
   }
 
+  /**
+   * Check the address format for the chain, inferring the chain when omitted
+   * @param {Object} params - Schema-validated parameters
+   * @returns {Object} Parameters with the address normalized and the chain set
+   * @throws {ValidationError} If the address is not valid on the chain
+   */
+  validateParams(params) {
+    const normalized = checkAddressParams(params, {
+      field: 'address',
+      chainField: 'chain',
+      chains: Object.keys(this.providers)
+    });
+    if (params.tokens && EVM_CHAINS.includes(normalized.chain)) {
+      normalized.tokens = params.tokens.map((token, index) => {
+        const { address, error } = validateAddress(token, normalized.chain);
+        if (error) {
+          throw new ValidationError(`Invalid token contract: ${token} ${error}`, [{ pointer: `/tokens/${index}`, message: error }]);
+        }
+        return address;
+      });
+    }
+    return normalized;
+  }
+
   /**
    * Execute the wallet balance check
    * @param {Object} params - Check parameters
+   * @param {Object} [context] - Call context
+   * @param {AbortSignal} [context.signal] - Cancels the RPC and price requests
    * @returns {Promise<Object>} Balance information
    */
-  async execute(params) {
+  async execute(params, context = {}) {
+    const chain = params.chain || 'solana';
+    console.log(`Checking wallet balance for: ${params.address} on ${chain}`);
     try {
-      // Simulate wallet balance check
-      const balanceInfo = await this.checkBalance(params.address, params.chain);
-      return {
-        address: params.address,
-        chain: params.chain,
-        ...balanceInfo
-      };
+      const provider = this.providers[chain];
+      if (!provider) {
+        throw new Error(`Unsupported chain: ${chain}`);
+      }
+
+      const portfolio = await provider.getPortfolio(params.address, {
+        signal: context.signal,
+        contracts: params.tokens
+      });
+      return await this.valuePortfolio(portfolio, context);
     } catch (error) {
-      throw new Error(`Wallet balance check failed: ${error.message}`);
+      console.error('Error in wallet-balance:', error.message);
+      throw new Error(`Failed to read ${chain} balances of ${params.address}: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Check wallet balance (simulated)
+   * Add USD prices and values to a portfolio
    * @private
    */
-  async checkBalance(address, chain) {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Simulate balance data
-    const tokens = [
-      { symbol: 'SOL', balance: Math.random() * 100 },
-      { symbol: 'USDC', balance: Math.random() * 1000 },
-      { symbol: 'RAY', balance: Math.random() * 500 }
+  async valuePortfolio(portfolio, context) {
+    const assets = [
+      { key: 'native', coingeckoId: portfolio.native.coingeckoId, address: null, ...portfolio.native },
+      ...portfolio.tokens.map(token => ({ key: token.address, ...token }))
     ];
 
-    const nfts = [
-      { collection: 'DeGods', tokenId: '#1234' },
-      { collection: 'Okay Bears', tokenId: '#5678' }
-    ];
+    let prices = {};
+    if (this.priceProvider) {
+      try {
+        prices = await this.priceProvider.getUsdPrices(portfolio.chain, assets, { signal: context.signal });
+      } catch (error) {
+        // Balances are still useful without prices
+        console.error('Error fetching token prices:', error.message);
+      }
+    }
+
+    const balances = assets.map(asset => {
+      const usdPrice = prices[asset.key] ?? null;
+      return {
+        symbol: asset.symbol,
+        name: asset.name,
+        address: asset.address,
+        amount: asset.amount,
+        decimals: asset.decimals,
+        usdPrice,
+        usdValue: usdPrice === null ? null : Math.round(Number(asset.amount) * usdPrice * 100) / 100
+      };
+    });
 
+    const valued = balances.filter(balance => balance.usdValue !== null);
     return {
-      nativeBalance: Math.random() * 50,
-      tokens: tokens.map(token => ({
-        ...token,
-        value: token.balance * (Math.random() * 10)
-      })),
-      nfts: Math.random() > 0.5 ? nfts : [],
-      lastUpdated: new Date().toISOString()
+      address: portfolio.address,
+      chain: portfolio.chain,
+      balances,
+      nfts: portfolio.nfts,
+      totalUsd: valued.length > 0 ? Math.round(valued.reduce((sum, balance) => sum + balance.usdValue, 0) * 100) / 100 : null,
+      priceSource: this.priceProvider ? this.priceProvider.name : null
     };
   }
-} 
\ No newline at end of file
+}
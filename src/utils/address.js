@@ -0,0 +1,334 @@
+// Address validation, normalization and chain detection shared by the wallet and token tools
+import { createHash } from 'crypto';
+import { ValidationError } from './schema-validator.js';
+
+/**
+ * Chains whose addresses are 0x prefixed hex (same format, so they cannot be told apart)
+ */
+export const EVM_CHAINS = ['ethereum', 'binance'];
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// Keccak-f[1600] rotation offsets, indexed [x][y]
+const KECCAK_ROTATIONS = [
+  [0, 36, 3, 41, 18],
+  [1, 44, 10, 45, 2],
+  [62, 6, 43, 15, 61],
+  [28, 55, 25, 21, 56],
+  [27, 20, 39, 8, 14]
+];
+const MASK_64 = (1n << 64n) - 1n;
+
+// Keccak-f[1600] round constants, generated by the reference LFSR
+const KECCAK_ROUND_CONSTANTS = (() => {
+  const constants = [];
+  let state = 1;
+  for (let round = 0; round < 24; round++) {
+    let constant = 0n;
+    for (let bit = 0; bit < 7; bit++) {
+      state = ((state << 1) ^ ((state >> 7) * 0x71)) & 0xff;
+      if (state & 2) {
+        constant ^= 1n << BigInt((1 << bit) - 1);
+      }
+    }
+    constants.push(constant);
+  }
+  return constants;
+})();
+
+/**
+ * Rotate a 64 bit lane left
+ * @private
+ */
+function rotateLeft(value, bits) {
+  return bits === 0 ? value : ((value << BigInt(bits)) | (value >> BigInt(64 - bits))) & MASK_64;
+}
+
+/**
+ * Keccak-256 as used by Ethereum (original Keccak padding, not SHA3-256)
+ * @param {Buffer|string} input - Bytes or UTF-8 string
+ * @returns {Buffer} 32 byte digest
+ */
+export function keccak256(input) {
+  const rate = 136;
+  const data = Buffer.from(input);
+  const padded = Buffer.alloc(Math.ceil((data.length + 1) / rate) * rate);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let lane = 0; lane < rate / 8; lane++) {
+      state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+    }
+
+    for (let round = 0; round < 24; round++) {
+      const columns = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+      for (let x = 0; x < 5; x++) {
+        const d = columns[(x + 4) % 5] ^ rotateLeft(columns[(x + 1) % 5], 1);
+        for (let y = 0; y < 5; y++) {
+          state[x + 5 * y] ^= d;
+        }
+      }
+
+      const rotated = new Array(25);
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 5; y++) {
+          rotated[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLeft(state[x + 5 * y], KECCAK_ROTATIONS[x][y]);
+        }
+      }
+
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 5; y++) {
+          state[x + 5 * y] = rotated[x + 5 * y] ^ (~rotated[(x + 1) % 5 + 5 * y] & MASK_64 & rotated[(x + 2) % 5 + 5 * y]);
+        }
+      }
+      state[0] ^= KECCAK_ROUND_CONSTANTS[round];
+    }
+  }
+
+  const digest = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) {
+    digest.writeBigUInt64LE(state[lane], lane * 8);
+  }
+  return digest;
+}
+
+/**
+ * Decode a base58 string
+ * @param {string} value - Base58 string
+ * @returns {Buffer|null} Decoded bytes, or null if the string contains non-base58 characters
+ */
+export function decodeBase58(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    number = number * 58n + BigInt(digit);
+  }
+
+  const hex = number === 0n ? '' : number.toString(16);
+  const bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const leadingZeros = value.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), bytes]);
+}
+
+/**
+ * Apply the EIP-55 mixed-case checksum to a hex address
+ * @param {string} address - 0x prefixed 40 digit hex address, any case
+ * @returns {string} Checksummed address
+ */
+export function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const hash = keccak256(hex).toString('hex');
+  return `0x${[...hex].map((char, index) => (parseInt(hash[index], 16) >= 8 ? char.toUpperCase() : char)).join('')}`;
+}
+
+/**
+ * Compute the bech32 checksum polynomial
+ * @private
+ */
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, index) => {
+      if ((top >> index) & 1) {
+        checksum ^= generator;
+      }
+    });
+  }
+  return checksum;
+}
+
+/**
+ * Validate a Bitcoin segwit address (bech32 for v0, bech32m for v1+)
+ * @private
+ */
+function validateBech32(address) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    return 'mixes upper and lower case';
+  }
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  const hrp = lower.slice(0, separator);
+  const data = [...lower.slice(separator + 1)].map(char => BECH32_ALPHABET.indexOf(char));
+  if (data.includes(-1) || data.length < 7) {
+    return 'contains characters outside the bech32 alphabet';
+  }
+
+  const expanded = [...hrp].map(char => char.charCodeAt(0) >> 5)
+    .concat([0], [...hrp].map(char => char.charCodeAt(0) & 31), data);
+  const version = data[0];
+  const expected = version === 0 ? 1 : 0x2bc830a3;
+  if (bech32Polymod(expanded) !== expected) {
+    return `has an invalid ${version === 0 ? 'bech32' : 'bech32m'} checksum - check it for typos`;
+  }
+
+  // Witness program length: 20 or 32 bytes for v0, 32 bytes for taproot (v1)
+  const programBits = (data.length - 7) * 5;
+  const programBytes = Math.floor(programBits / 8);
+  if (version > 16 || (version === 0 && programBytes !== 20 && programBytes !== 32) || (version === 1 && programBytes !== 32)) {
+    return 'has an invalid witness program';
+  }
+  return null;
+}
+
+/**
+ * Validate a legacy Bitcoin address (base58check P2PKH or P2SH)
+ * @private
+ */
+function validateBase58Check(address) {
+  const bytes = decodeBase58(address);
+  if (!bytes || bytes.length !== 25) {
+    return 'is not a valid base58check address';
+  }
+  const payload = bytes.subarray(0, 21);
+  const checksum = createHash('sha256').update(createHash('sha256').update(payload).digest()).digest().subarray(0, 4);
+  if (!checksum.equals(bytes.subarray(21))) {
+    return 'has an invalid checksum - check it for typos';
+  }
+  if (![0x00, 0x05, 0x6f, 0xc4].includes(bytes[0])) {
+    return 'has an unknown version byte';
+  }
+  return null;
+}
+
+/**
+ * Guess the chain family of an address from its format
+ * @param {string} address - Address to inspect
+ * @returns {'evm'|'solana'|'bitcoin'|null} Chain family, or null if the format is not recognized
+ */
+export function detectAddressChain(address) {
+  const value = (address || '').trim();
+  if (/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return 'evm';
+  }
+  if (/^(bc|tb|bcrt)1[0-9a-z]{8,87}$/i.test(value)) {
+    return 'bitcoin';
+  }
+  if (/^[13mn2][1-9A-HJ-NP-Za-km-z]{25,34}$/.test(value) && value.length <= 35 && validateBase58Check(value) === null) {
+    return 'bitcoin';
+  }
+  if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value)) {
+    const bytes = decodeBase58(value);
+    if (bytes && bytes.length === 32) {
+      return 'solana';
+    }
+  }
+  return null;
+}
+
+/**
+ * Check an address for a chain and normalize it.
+ *
+ * Without a chain the chain is inferred from the format (EVM addresses map to
+ * `ethereum`, as Ethereum and BNB Chain addresses look the same). Errors are
+ * phrased to be shown to the caller as-is.
+ *
+ * @param {string} address - Address to check
+ * @param {string} [chain] - "solana", "ethereum", "binance", "bitcoin", or omitted to infer it
+ * @returns {{address: string, chain: string|null, inferred: boolean, error: string|null}}
+ *   Normalized address (EIP-55 checksummed for EVM, lowercase bech32), chain and error
+ */
+export function validateAddress(address, chain) {
+  const value = typeof address === 'string' ? address.trim() : '';
+  const result = { address: value, chain: chain || null, inferred: !chain, error: null };
+  if (!value) {
+    return { ...result, error: 'is empty' };
+  }
+
+  const detected = detectAddressChain(value);
+  const family = !chain ? detected : EVM_CHAINS.includes(chain) ? 'evm' : chain;
+  if (!chain) {
+    result.chain = detected === 'evm' ? 'ethereum' : detected;
+  }
+
+  if (!family) {
+    if (/^0x/i.test(value)) {
+      return { ...result, error: `is not a valid EVM address: expected 0x followed by 40 hex digits, got ${value.length - 2}` };
+    }
+    return { ...result, error: 'is not a recognized Solana, EVM or Bitcoin address' };
+  }
+
+  if (detected && detected !== family) {
+    const names = { evm: 'an EVM (Ethereum/BNB Chain)', solana: 'a Solana', bitcoin: 'a Bitcoin' };
+    const suggestion = detected === 'evm' ? 'ethereum or binance' : detected;
+    return { ...result, error: `looks like ${names[detected]} address but chain is ${chain} - pass chain: ${suggestion}` };
+  }
+
+  switch (family) {
+    case 'evm': {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        return { ...result, error: `is not a valid EVM address: expected 0x followed by 40 hex digits` };
+      }
+      const checksummed = toChecksumAddress(value);
+      const body = value.slice(2);
+      const mixedCase = body !== body.toLowerCase() && body !== body.toUpperCase();
+      if (mixedCase && value !== checksummed) {
+        return { ...result, error: 'has an invalid EIP-55 checksum - check it for typos (an all-lowercase address skips the check)' };
+      }
+      return { ...result, address: checksummed };
+    }
+
+    case 'solana': {
+      const bytes = decodeBase58(value);
+      if (!bytes) {
+        return { ...result, error: 'is not a valid Solana address: it contains characters outside base58 (0, O, I and l are not used)' };
+      }
+      if (bytes.length !== 32) {
+        return { ...result, error: `is not a valid Solana address: it decodes to ${bytes.length} bytes instead of 32` };
+      }
+      return result;
+    }
+
+    case 'bitcoin': {
+      const segwit = /^(bc|tb|bcrt)1/i.test(value);
+      const error = segwit ? validateBech32(value) : validateBase58Check(value);
+      if (error) {
+        return { ...result, error: `is not a valid Bitcoin address: it ${error}` };
+      }
+      return { ...result, address: segwit ? value.toLowerCase() : value };
+    }
+
+    default:
+      return { ...result, error: `cannot be checked for chain ${chain}` };
+  }
+}
+
+/**
+ * Validate the address argument of a tool call before anything is sent upstream
+ * @param {Object} params - Tool arguments
+ * @param {Object} options - Check options
+ * @param {string} options.field - Argument holding the address
+ * @param {string} [options.chainField] - Argument holding the chain, filled in when inferred
+ * @param {string} [options.chain] - Fixed chain when the tool has no chain argument (e.g. "bitcoin")
+ * @param {string[]} [options.chains] - Chains the tool supports
+ * @returns {Object} Arguments with the address normalized and the chain filled in
+ * @throws {ValidationError} With a message the caller can act on
+ */
+export function checkAddressParams(params, options) {
+  const { field, chainField, chains } = options;
+  const requested = options.chain || (chainField ? params[chainField] : undefined);
+  const { address, chain, error } = validateAddress(params[field], requested);
+
+  if (error) {
+    throw new ValidationError(`Invalid ${field}: ${params[field]} ${error}`, [{ pointer: `/${field}`, message: error }]);
+  }
+  if (chains && !chains.includes(chain)) {
+    const message = `is a ${chain} address, which this tool does not support (supported: ${chains.join(', ')})`;
+    throw new ValidationError(`Invalid ${field}: ${params[field]} ${message}`, [{ pointer: `/${field}`, message }]);
+  }
+
+  const normalized = { ...params, [field]: address };
+  if (chainField) {
+    normalized[chainField] = chain;
+  }
+  return normalized;
+}
@@ -0,0 +1,92 @@
+import { keccak256, toChecksumAddress, detectAddressChain, validateAddress, checkAddressParams } from './address.js';
+import { ValidationError } from './schema-validator.js';
+
+// Test vectors from EIP-55, BIP-173, BIP-350 and well-known mainnet addresses
+const EVM = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const SEGWIT_V0 = 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4';
+const TAPROOT = 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0';
+const P2PKH = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+const P2SH = '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy';
+const SOLANA = 'So11111111111111111111111111111111111111112';
+
+describe('keccak256', () => {
+  test('uses the original Keccak padding', () => {
+    expect(keccak256('').toString('hex')).toBe('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  });
+});
+
+describe('toChecksumAddress', () => {
+  test.each([
+    EVM,
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+  ])('checksums %s', address => {
+    expect(toChecksumAddress(address.toLowerCase())).toBe(address);
+  });
+});
+
+describe('detectAddressChain', () => {
+  test.each([
+    [EVM, 'evm'],
+    [SEGWIT_V0, 'bitcoin'],
+    [TAPROOT, 'bitcoin'],
+    [P2PKH, 'bitcoin'],
+    [P2SH, 'bitcoin'],
+    [SOLANA, 'solana'],
+    ['0x123', null],
+    ['hello', null]
+  ])('%s is %s', (address, chain) => {
+    expect(detectAddressChain(address)).toBe(chain);
+  });
+});
+
+describe('validateAddress', () => {
+  test('infers the chain and normalizes the address', () => {
+    expect(validateAddress(` ${EVM.toLowerCase()} `)).toEqual({ address: EVM, chain: 'ethereum', inferred: true, error: null });
+    expect(validateAddress(SEGWIT_V0)).toMatchObject({ address: SEGWIT_V0.toLowerCase(), chain: 'bitcoin', error: null });
+    expect(validateAddress(SOLANA)).toMatchObject({ chain: 'solana', error: null });
+  });
+
+  test('accepts EVM addresses for BNB Chain', () => {
+    expect(validateAddress(EVM, 'binance')).toEqual({ address: EVM, chain: 'binance', inferred: false, error: null });
+  });
+
+  test.each([
+    ['an empty address', '', undefined, 'is empty'],
+    ['a short EVM address', '0x123', undefined, 'expected 0x followed by 40 hex digits, got 3'],
+    ['a mistyped EIP-55 checksum', EVM.replace(/d$/, 'D'), undefined, 'invalid EIP-55 checksum'],
+    ['a mistyped bech32 checksum', SEGWIT_V0.replace(/4$/, '5'), undefined, 'invalid bech32 checksum'],
+    ['a bech32 address in mixed case', `Bc1${SEGWIT_V0.slice(3).toLowerCase()}`, undefined, 'mixes upper and lower case'],
+    ['a mistyped base58check checksum', P2PKH.replace(/2$/, '3'), 'bitcoin', 'invalid checksum'],
+    ['a Solana address with non-base58 characters', `${SOLANA.slice(0, -1)}O`, 'solana', 'outside base58'],
+    ['an address of another chain', SOLANA, 'ethereum', 'looks like a Solana address but chain is ethereum - pass chain: solana']
+  ])('rejects %s', (description, address, chain, error) => {
+    expect(validateAddress(address, chain).error).toContain(error);
+  });
+});
+
+describe('checkAddressParams', () => {
+  test('normalizes the address and fills in the inferred chain', () => {
+    expect(checkAddressParams({ address: EVM.toLowerCase(), limit: 5 }, { field: 'address', chainField: 'chain' }))
+      .toEqual({ address: EVM, chain: 'ethereum', limit: 5 });
+  });
+
+  test('points at the invalid argument', () => {
+    let error;
+    try {
+      checkAddressParams({ wallet: '0x123' }, { field: 'wallet' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toMatch(/^Invalid wallet: 0x123 /);
+    expect(error.errors).toEqual([{ pointer: '/wallet', message: expect.stringContaining('40 hex digits') }]);
+  });
+
+  test('rejects chains the tool does not support', () => {
+    expect(() => checkAddressParams({ address: EVM }, { field: 'address', chains: ['solana'] }))
+      .toThrow('which this tool does not support (supported: solana)');
+  });
+});
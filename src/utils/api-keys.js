@@ -0,0 +1,170 @@
+// API keys of the HTTP server and the tools each key may call
+import fs from 'fs';
+import path from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
+import { interpolateEnv } from './upstream-config.js';
+
+/**
+ * Default location of the API key configuration
+ */
+export const DEFAULT_API_KEYS_PATH = 'api-keys.json';
+
+/**
+ * Hash a key so keys of any length compare in constant time
+ * @private
+ */
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Convert a tool name pattern ("ordiscan_*") to a regular expression
+ * @private
+ */
+function toPattern(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Normalize and validate a single key entry
+ * @param {Object} entry - Raw entry from the configuration file
+ * @param {number} index - Position of the entry, used in error messages
+ * @param {Object} env - Environment variables
+ * @returns {Object} Normalized key, with `secret` empty when its variable is not set
+ */
+function normalizeKey(entry, index, env) {
+  if (!entry || typeof entry !== 'object' || !entry.name || !entry.key) {
+    throw new Error(`Key #${index + 1} requires "name" and "key"`);
+  }
+  for (const field of ['tools', 'sources']) {
+    if (entry[field] !== undefined && !Array.isArray(entry[field])) {
+      throw new Error(`Key ${entry.name}: "${field}" must be an array`);
+    }
+  }
+
+  return {
+    name: entry.name,
+    secret: interpolateEnv(String(entry.key), env),
+    tools: entry.tools ? entry.tools.map(toPattern) : null,
+    sources: entry.sources || null,
+    admin: Boolean(entry.admin)
+  };
+}
+
+/**
+ * The keys accepted by the server. Without keys the API is open.
+ */
+export class ApiKeys {
+  /**
+   * @param {Array<Object>} keys - Normalized keys (see loadApiKeys)
+   */
+  constructor(keys = []) {
+    this.keys = keys.map(({ secret, ...key }) => ({ ...key, digest: digest(secret) }));
+  }
+
+  /**
+   * Whether requests need a key
+   * @returns {boolean} True when at least one key is configured
+   */
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Find the key a request was made with
+   * @param {string|null} token - Key sent by the client
+   * @returns {Object|null} Key (name, tools, sources, admin), or null for a missing or unknown key
+   */
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+    const candidate = digest(token);
+    // Every key is compared, so the time taken does not tell which one matched
+    let match = null;
+    for (const key of this.keys) {
+      if (timingSafeEqual(candidate, key.digest) && !match) {
+        match = key;
+      }
+    }
+    return match;
+  }
+}
+
+/**
+ * Load the API keys from a JSON file ({ "keys": [...] } or a bare array).
+ * Keys reference environment variables (`"key": "${MCP_API_KEY}"`); keys whose
+ * variable is not set are skipped.
+ * @param {string} [configPath] - Path of the configuration file
+ * @param {Object} [env] - Environment variables used for interpolation
+ * @returns {ApiKeys} Configured keys, none when the file does not exist
+ */
+export function loadApiKeys(configPath = DEFAULT_API_KEYS_PATH, env = process.env) {
+  const resolvedPath = path.resolve(configPath);
+  if (!fs.existsSync(resolvedPath)) {
+    return new ApiKeys([]);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid API key configuration ${configPath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(config) ? config : config.keys;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid API key configuration ${configPath}: expected a "keys" array`);
+  }
+
+  const keys = entries.map((entry, index) => normalizeKey(entry, index, env));
+
+  const names = new Set();
+  for (const key of keys) {
+    if (names.has(key.name)) {
+      throw new Error(`Invalid API key configuration ${configPath}: duplicate key name "${key.name}"`);
+    }
+    names.add(key.name);
+  }
+
+  return new ApiKeys(keys.filter(key => {
+    if (!key.secret) {
+      console.log(`⚠ API key ${key.name} has no value, skipping it`);
+    }
+    return Boolean(key.secret);
+  }));
+}
+
+/**
+ * Check whether a key may call a tool: keys without `tools` and `sources` may
+ * call every tool, others the tools matching one of their name patterns or
+ * coming from one of their sources
+ * @param {Object|null} apiKey - Authenticated key, null when authentication is disabled
+ * @param {{name: string, aliases?: string[], source: string}} tool - Tool, as listed by the registry
+ * @returns {boolean} True if the call is allowed
+ */
+export function canCallTool(apiKey, tool) {
+  if (!apiKey || (!apiKey.tools && !apiKey.sources)) {
+    return true;
+  }
+  if (apiKey.sources && apiKey.sources.includes(tool.source)) {
+    return true;
+  }
+  const names = [tool.name, ...(tool.aliases || [])];
+  return Boolean(apiKey.tools && names.some(name => apiKey.tools.some(pattern => pattern.test(name))));
+}
+
+/**
+ * Check whether a key may use the resources and prompts of a source, which
+ * takes a key without limits or one listing the source in `sources`
+ * @param {Object|null} apiKey - Authenticated key, null when authentication is disabled
+ * @param {string} source - Upstream source
+ * @returns {boolean} True if the source is allowed
+ */
+export function canUseSource(apiKey, source) {
+  if (!apiKey || (!apiKey.tools && !apiKey.sources)) {
+    return true;
+  }
+  return Boolean(apiKey.sources && apiKey.sources.includes(source));
+}
@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ApiKeys, loadApiKeys, canCallTool, canUseSource } from './api-keys.js';
+
+describe('loadApiKeys', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function writeConfig(config) {
+    const configPath = path.join(dir, 'api-keys.json');
+    fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+    return configPath;
+  }
+
+  test('reads the keys from their environment variables', () => {
+    const configPath = writeConfig({
+      keys: [
+        { name: 'cli', key: '${CLI_KEY}', admin: true },
+        { name: 'bot', key: '${BOT_KEY}', tools: ['ordiscan_*'] }
+      ]
+    });
+
+    const apiKeys = loadApiKeys(configPath, { CLI_KEY: 'cli-secret', BOT_KEY: 'bot-secret' });
+
+    expect(apiKeys.enabled).toBe(true);
+    expect(apiKeys.authenticate('cli-secret')).toMatchObject({ name: 'cli', admin: true });
+    expect(apiKeys.authenticate('bot-secret')).toMatchObject({ name: 'bot', admin: false });
+  });
+
+  test('skips keys whose variable is not set', () => {
+    const configPath = writeConfig([{ name: 'cli', key: '${CLI_KEY}' }]);
+
+    const apiKeys = loadApiKeys(configPath, {});
+
+    expect(apiKeys.enabled).toBe(false);
+    expect(apiKeys.authenticate('')).toBeNull();
+  });
+
+  test('has no keys without a configuration file', () => {
+    expect(loadApiKeys(path.join(dir, 'missing.json')).enabled).toBe(false);
+  });
+
+  test.each([
+    ['invalid JSON', '{ keys: ', /Invalid API key configuration/],
+    ['no keys array', { keys: 'cli' }, /expected a "keys" array/],
+    ['an entry without key', { keys: [{ name: 'cli' }] }, /Key #1 requires "name" and "key"/],
+    ['tools that are not an array', { keys: [{ name: 'cli', key: 'x', tools: 'rugcheck' }] }, /"tools" must be an array/],
+    ['duplicate names', { keys: [{ name: 'cli', key: 'a' }, { name: 'cli', key: 'b' }] }, /duplicate key name "cli"/]
+  ])('rejects %s', (description, config, message) => {
+    expect(() => loadApiKeys(writeConfig(config), {})).toThrow(message);
+  });
+});
+
+describe('ApiKeys', () => {
+  const apiKeys = new ApiKeys([{ name: 'cli', secret: 'cli-secret', tools: null, sources: null, admin: false }]);
+
+  test('rejects missing and unknown keys', () => {
+    expect(apiKeys.authenticate(undefined)).toBeNull();
+    expect(apiKeys.authenticate('cli-secret-but-longer')).toBeNull();
+  });
+
+  test('does not keep the secrets', () => {
+    expect(JSON.stringify(apiKeys.authenticate('cli-secret'))).not.toContain('cli-secret');
+  });
+});
+
+describe('canCallTool', () => {
+  const tool = { name: 'ordiscan_rune_market', aliases: ['rune-market'], source: 'ordiscan' };
+
+  test('allows every tool without a key or with an unscoped key', () => {
+    expect(canCallTool(null, tool)).toBe(true);
+    expect(canCallTool({ name: 'cli', tools: null, sources: null }, tool)).toBe(true);
+  });
+
+  test('matches tool names, aliases and sources', () => {
+    expect(canCallTool({ tools: [/^ordiscan_.*$/], sources: null }, tool)).toBe(true);
+    expect(canCallTool({ tools: [/^rune-market$/], sources: null }, tool)).toBe(true);
+    expect(canCallTool({ tools: null, sources: ['ordiscan'] }, tool)).toBe(true);
+    expect(canCallTool({ tools: [/^rugcheck$/], sources: ['local'] }, tool)).toBe(false);
+  });
+});
+
+describe('canUseSource', () => {
+  test('takes an unscoped key or one listing the source', () => {
+    expect(canUseSource(null, 'ordiscan')).toBe(true);
+    expect(canUseSource({ tools: null, sources: ['ordiscan'] }, 'ordiscan')).toBe(true);
+    // Tool patterns do not give access to a whole source
+    expect(canUseSource({ tools: [/^ordiscan_.*$/], sources: null }, 'ordiscan')).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+// Health state machine tracking the failures of an upstream server
+
+/**
+ * Circuit breaker states:
+ * - healthy: calls go through
+ * - degraded: recent failures below the threshold, calls still go through
+ * - open: too many failures, calls are refused until the retry delay elapses
+ * - half-open: the retry delay elapsed, one probe is let through to test the upstream
+ *
+ * Each time a probe fails the circuit opens again with a doubled retry delay,
+ * up to `maxRetryDelayMs`. A success closes the circuit and resets the delay.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold] - Consecutive failures opening the circuit
+   * @param {number} [options.retryDelayMs] - Delay before the first probe once open
+   * @param {number} [options.maxRetryDelayMs] - Upper bound of the retry delay
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.retryDelayMs = options.retryDelayMs || 5000;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 300000;
+
+    this.state = 'healthy';
+    this.failures = 0;
+    this.openings = 0;
+    this.openedAt = null;
+    this.nextAttemptAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Check whether a call may go through, moving an expired open circuit to half-open
+   * @returns {boolean} True if the call may be attempted
+   */
+  canAttempt() {
+    if (this.state === 'open' && Date.now() >= this.nextAttemptAt) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open') {
+      // Only one probe at a time
+      if (this.probing) {
+        return false;
+      }
+      this.probing = true;
+      return true;
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * Give up a probe without an outcome (e.g. cancelled by the caller), letting another one through
+   */
+  releaseProbe() {
+    this.probing = false;
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  recordSuccess() {
+    this.state = 'healthy';
+    this.failures = 0;
+    this.openings = 0;
+    this.openedAt = null;
+    this.nextAttemptAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Record a failed call
+   * @param {Object} [options] - Failure options
+   * @param {boolean} [options.trip] - Open the circuit regardless of the threshold (e.g. connection refused)
+   * @returns {string} New state
+   */
+  recordFailure(options = {}) {
+    this.failures++;
+    this.probing = false;
+
+    if (this.state === 'half-open' || options.trip || this.failures >= this.failureThreshold) {
+      this.open();
+    } else {
+      this.state = 'degraded';
+    }
+    return this.state;
+  }
+
+  /**
+   * Open the circuit with the next retry delay
+   * @private
+   */
+  open() {
+    const delay = Math.min(this.retryDelayMs * 2 ** this.openings, this.maxRetryDelayMs);
+    this.openings++;
+    this.state = 'open';
+    this.openedAt = this.openedAt || Date.now();
+    this.nextAttemptAt = Date.now() + delay;
+  }
+
+  /**
+   * Milliseconds until the next probe is allowed
+   * @returns {number} Remaining delay (0 when calls may go through)
+   */
+  retryIn() {
+    return this.state === 'open' ? Math.max(0, this.nextAttemptAt - Date.now()) : 0;
+  }
+
+  /**
+   * Report the breaker state
+   * @returns {Object} State, consecutive failures and retry schedule
+   */
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextRetryAt: this.state === 'open' ? new Date(this.nextAttemptAt).toISOString() : null
+    };
+  }
+}
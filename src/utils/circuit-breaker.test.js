@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import { CircuitBreaker } from './circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('degrades below the threshold and opens at it', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, retryDelayMs: 1000 });
+
+    expect(breaker.recordFailure()).toBe('degraded');
+    expect(breaker.recordFailure()).toBe('degraded');
+    expect(breaker.canAttempt()).toBe(true);
+    expect(breaker.recordFailure()).toBe('open');
+    expect(breaker.canAttempt()).toBe(false);
+    expect(breaker.retryIn()).toBe(1000);
+  });
+
+  test('opens right away on a tripping failure', () => {
+    const breaker = new CircuitBreaker();
+
+    expect(breaker.recordFailure({ trip: true })).toBe('open');
+  });
+
+  test('lets a single probe through once the retry delay elapsed', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, retryDelayMs: 1000 });
+    breaker.recordFailure();
+
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.canAttempt()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canAttempt()).toBe(false);
+  });
+
+  test('reopens with a doubled delay when the probe fails, up to the maximum', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, retryDelayMs: 1000, maxRetryDelayMs: 3000 });
+    breaker.recordFailure();
+
+    jest.advanceTimersByTime(1000);
+    breaker.canAttempt();
+    expect(breaker.recordFailure()).toBe('open');
+    expect(breaker.retryIn()).toBe(2000);
+
+    jest.advanceTimersByTime(2000);
+    breaker.canAttempt();
+    breaker.recordFailure();
+    expect(breaker.retryIn()).toBe(3000);
+  });
+
+  test('closes and resets the delay when the probe succeeds', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, retryDelayMs: 1000 });
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    breaker.canAttempt();
+
+    breaker.recordSuccess();
+
+    expect(breaker.status()).toEqual({ state: 'healthy', failures: 0, openedAt: null, nextRetryAt: null });
+    breaker.recordFailure();
+    expect(breaker.retryIn()).toBe(1000);
+  });
+
+  test('lets another probe through when one is released without an outcome', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, retryDelayMs: 1000 });
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    breaker.canAttempt();
+
+    breaker.releaseProbe();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.canAttempt()).toBe(true);
+  });
+
+  test('reports when the circuit opened and the next retry', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, retryDelayMs: 1000 });
+    const now = Date.now();
+    breaker.recordFailure();
+
+    expect(breaker.status()).toEqual({
+      state: 'open',
+      failures: 1,
+      openedAt: new Date(now).toISOString(),
+      nextRetryAt: new Date(now + 1000).toISOString()
+    });
+  });
+});
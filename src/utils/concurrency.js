@@ -0,0 +1,116 @@
+// Concurrency helpers for running tool calls side by side
+
+/**
+ * Error raised when an operation exceeds its time limit
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} label - Name of the operation, used in the message
+   * @param {number} timeoutMs - Time limit in milliseconds
+   */
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs / 1000}s`);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Check whether a signal was aborted because a time limit passed, as opposed
+ * to being cancelled by the caller
+ * @param {AbortSignal} [signal] - Signal given to an operation by withTimeout()
+ * @returns {boolean} True if the signal was aborted with a TimeoutError
+ */
+export function isTimeoutAbort(signal) {
+  return Boolean(signal && signal.aborted && signal.reason instanceof TimeoutError);
+}
+
+/**
+ * Run an operation with a time limit.
+ *
+ * The operation receives an AbortSignal that aborts when the time limit is
+ * reached or the parent signal aborts, so it can cancel the underlying work
+ * (HTTP request, MCP call) instead of leaving it running in the background.
+ *
+ * @param {Function} operation - Async function receiving an AbortSignal
+ * @param {number} timeoutMs - Time limit in milliseconds (0 or less disables it)
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Parent signal, e.g. the whole run being cancelled
+ * @param {string} [options.label] - Name of the operation used in the timeout error
+ * @returns {Promise<any>} Result of the operation
+ * @throws {TimeoutError} If the time limit is reached first
+ */
+export async function withTimeout(operation, timeoutMs, options = {}) {
+  const controller = new AbortController();
+  const { signal, label = 'Operation' } = options;
+
+  const abortFromParent = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) {
+      abortFromParent();
+    } else {
+      signal.addEventListener('abort', abortFromParent, { once: true });
+    }
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        const error = new TimeoutError(label, timeoutMs);
+        // Reject before aborting so the race settles with the timeout, not the abort it causes
+        reject(error);
+        controller.abort(error);
+      }, timeoutMs);
+    }
+  });
+
+  try {
+    return await Promise.race([operation(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', abortFromParent);
+    }
+  }
+}
+
+/**
+ * Map items with an async function, running at most `limit` calls at once.
+ * Results keep the order of the items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function (item, index)
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Parse per-source timeouts such as "ordiscan:45000,local:10000"
+ * @param {string} [value] - Comma separated source:milliseconds pairs
+ * @returns {Object<string, number>} Timeout per source
+ */
+export function parseTimeouts(value) {
+  const timeouts = {};
+  (value || '').split(',').forEach(entry => {
+    const [source, ms] = entry.split(':').map(part => part && part.trim());
+    if (source && Number(ms) > 0) {
+      timeouts[source] = Number(ms);
+    }
+  });
+  return timeouts;
+}
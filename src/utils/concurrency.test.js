@@ -0,0 +1,89 @@
+import { withTimeout, isTimeoutAbort, mapWithConcurrency, parseTimeouts, TimeoutError } from './concurrency.js';
+
+/**
+ * Operation that never settles on its own and rejects with the abort reason
+ */
+function hang(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+  });
+}
+
+describe('withTimeout', () => {
+  test('returns the result of an operation finishing in time', async () => {
+    await expect(withTimeout(async () => 'done', 1000)).resolves.toBe('done');
+  });
+
+  test('rejects with a TimeoutError and aborts the operation with it', async () => {
+    let operationSignal;
+    const promise = withTimeout(signal => {
+      operationSignal = signal;
+      return hang(signal);
+    }, 10, { label: 'ordiscan_inscription' });
+
+    await expect(promise).rejects.toThrow(TimeoutError);
+    await expect(promise).rejects.toThrow('ordiscan_inscription timed out after 0.01s');
+    expect(operationSignal.aborted).toBe(true);
+    expect(isTimeoutAbort(operationSignal)).toBe(true);
+  });
+
+  test('passes a cancellation of the parent signal on as it is', async () => {
+    const parent = new AbortController();
+    let operationSignal;
+    const promise = withTimeout(signal => {
+      operationSignal = signal;
+      return hang(signal);
+    }, 1000, { signal: parent.signal });
+
+    parent.abort();
+
+    await expect(promise).rejects.toThrow('aborted');
+    expect(operationSignal.aborted).toBe(true);
+    expect(isTimeoutAbort(operationSignal)).toBe(false);
+  });
+
+  test('treats a time limit of 0 as no limit', async () => {
+    await expect(withTimeout(async () => 'done', 0)).resolves.toBe('done');
+  });
+});
+
+describe('isTimeoutAbort', () => {
+  test('is false for missing and live signals', () => {
+    expect(isTimeoutAbort(undefined)).toBe(false);
+    expect(isTimeoutAbort(new AbortController().signal)).toBe(false);
+  });
+
+  test('tells a time limit apart from other abort reasons', () => {
+    const timedOut = new AbortController();
+    timedOut.abort(new TimeoutError('search', 1000));
+    const cancelled = new AbortController();
+    cancelled.abort(new Error('Client disconnected'));
+
+    expect(isTimeoutAbort(timedOut.signal)).toBe(true);
+    expect(isTimeoutAbort(cancelled.signal)).toBe(false);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps the item order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe('parseTimeouts', () => {
+  test('parses source:milliseconds pairs and skips invalid ones', () => {
+    expect(parseTimeouts('ordiscan:45000, local:10000,broken,zero:0')).toEqual({ ordiscan: 45000, local: 10000 });
+    expect(parseTimeouts(undefined)).toEqual({});
+  });
+});
@@ -0,0 +1,217 @@
+// Pool of long-lived connections, used by SmitheryClient in pooled mode
+
+/**
+ * Keeps up to `maxConnections` connections open and hands them out one
+ * request at a time. Idle connections are closed after `idleTimeoutMs`,
+ * connections reported as broken are discarded, and requests wait in line
+ * when every connection is busy.
+ */
+export class ConnectionPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {Function} options.create - Async function opening a connection
+   * @param {Function} options.destroy - Async function closing a connection
+   * @param {number} [options.maxConnections] - Maximum number of open connections
+   * @param {number} [options.idleTimeoutMs] - Close connections unused for this long (0 keeps them open)
+   */
+  constructor(options) {
+    this.create = options.create;
+    this.destroy = options.destroy;
+    this.maxConnections = options.maxConnections || 2;
+    this.idleTimeoutMs = options.idleTimeoutMs !== undefined ? options.idleTimeoutMs : 60000;
+
+    this.idle = [];
+    this.busy = new Set();
+    this.waiting = [];
+    this.opening = 0;
+    this.closed = false;
+    this.counters = { created: 0, reused: 0, discarded: 0, idleClosed: 0 };
+  }
+
+  /**
+   * Take a connection, opening one if the pool is not full, otherwise wait for a release
+   * @param {Object} [options] - Acquire options
+   * @param {boolean} [options.fresh] - Open a new connection rather than reusing an idle one
+   * @param {AbortSignal} [options.signal] - Stops waiting for a release, rejecting with the abort reason
+   * @returns {Promise<{connection: Object, reused: boolean}>} Pool entry to pass back to release()
+   */
+  async acquire(options = {}) {
+    if (this.closed) {
+      throw new Error('Connection pool is closed');
+    }
+    if (options.signal && options.signal.aborted) {
+      throw options.signal.reason;
+    }
+
+    if (options.fresh) {
+      // Idle connections opened at the same time are likely stale as well
+      [...this.idle].forEach(entry => this.discard(entry));
+    }
+
+    const entry = this.idle.pop();
+    if (entry) {
+      clearTimeout(entry.idleTimer);
+      entry.reused = true;
+      this.busy.add(entry);
+      this.counters.reused++;
+      return entry;
+    }
+
+    if (this.busy.size + this.opening < this.maxConnections) {
+      return this.open();
+    }
+
+    return this.wait(options.signal);
+  }
+
+  /**
+   * Wait for a connection to be released, leaving the line when the signal aborts
+   * @private
+   */
+  wait(signal) {
+    return new Promise((resolve, reject) => {
+      if (!signal) {
+        this.waiting.push({ resolve, reject });
+        return;
+      }
+
+      const onAbort = () => {
+        this.waiting = this.waiting.filter(queued => queued !== waiter);
+        reject(signal.reason);
+      };
+      const settle = callback => value => {
+        signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const waiter = { resolve: settle(resolve), reject: settle(reject) };
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Open a new connection and mark it busy
+   * @private
+   */
+  async open() {
+    this.opening++;
+    try {
+      const connection = await this.create();
+      const entry = { connection, reused: false, broken: false, idleTimer: null };
+      this.busy.add(entry);
+      this.counters.created++;
+      return entry;
+    } finally {
+      this.opening--;
+    }
+  }
+
+  /**
+   * Give a connection back to the pool
+   * @param {Object} entry - Entry returned by acquire()
+   * @param {Object} [options] - Release options
+   * @param {boolean} [options.broken] - Close the connection instead of reusing it
+   */
+  release(entry, options = {}) {
+    this.busy.delete(entry);
+
+    if (options.broken || entry.broken || this.closed) {
+      this.counters.discarded++;
+      this.close(entry);
+      this.serveWaiting();
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      entry.reused = true;
+      this.busy.add(entry);
+      this.counters.reused++;
+      waiter.resolve(entry);
+      return;
+    }
+
+    if (this.idleTimeoutMs > 0) {
+      entry.idleTimer = setTimeout(() => {
+        this.idle = this.idle.filter(idleEntry => idleEntry !== entry);
+        this.counters.idleClosed++;
+        this.close(entry);
+      }, this.idleTimeoutMs);
+      // Idle connections must not keep the process alive
+      entry.idleTimer.unref();
+    }
+    this.idle.push(entry);
+  }
+
+  /**
+   * Open a connection for the next waiting request after one was discarded
+   * @private
+   */
+  serveWaiting() {
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      this.open().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  /**
+   * Mark a connection as broken, e.g. when its transport closed, so it is discarded
+   * @param {Object} entry - Pool entry
+   */
+  discard(entry) {
+    entry.broken = true;
+    if (this.idle.includes(entry)) {
+      clearTimeout(entry.idleTimer);
+      this.idle = this.idle.filter(idleEntry => idleEntry !== entry);
+      this.counters.discarded++;
+      this.close(entry);
+    }
+  }
+
+  /**
+   * Close a connection, ignoring close errors
+   * @private
+   */
+  close(entry) {
+    Promise.resolve()
+      .then(() => this.destroy(entry.connection))
+      .catch(() => {});
+  }
+
+  /**
+   * Report the pool usage
+   * @returns {Object} Open, idle, busy and waiting counts with lifetime counters
+   */
+  stats() {
+    return {
+      maxConnections: this.maxConnections,
+      idleTimeoutMs: this.idleTimeoutMs,
+      open: this.idle.length + this.busy.size,
+      idle: this.idle.length,
+      busy: this.busy.size,
+      waiting: this.waiting.length,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Close every connection and reject waiting requests
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    this.closed = true;
+    this.waiting.splice(0).forEach(waiter => waiter.reject(new Error('Connection pool is closed')));
+
+    const entries = [...this.idle, ...this.busy];
+    this.idle = [];
+    this.busy.clear();
+    await Promise.all(entries.map(async entry => {
+      clearTimeout(entry.idleTimer);
+      try {
+        await this.destroy(entry.connection);
+      } catch (error) {
+        // Ignore close errors
+      }
+    }));
+  }
+}
@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import { ConnectionPool } from './connection-pool.js';
+
+function createPool(options = {}) {
+  let next = 0;
+  return new ConnectionPool({
+    create: async () => ({ id: ++next }),
+    destroy: jest.fn(async () => {}),
+    maxConnections: 1,
+    idleTimeoutMs: 0,
+    ...options
+  });
+}
+
+describe('ConnectionPool', () => {
+  test('reuses released connections', async () => {
+    const pool = createPool();
+
+    const first = await pool.acquire();
+    pool.release(first);
+    const second = await pool.acquire();
+
+    expect(second.connection).toBe(first.connection);
+    expect(second.reused).toBe(true);
+    expect(pool.stats()).toMatchObject({ open: 1, busy: 1, created: 1, reused: 1 });
+  });
+
+  test('hands a released connection to the next waiting request', async () => {
+    const pool = createPool();
+    const first = await pool.acquire();
+
+    const waiting = pool.acquire();
+    expect(pool.stats().waiting).toBe(1);
+    pool.release(first);
+
+    expect((await waiting).connection).toBe(first.connection);
+    expect(pool.stats().waiting).toBe(0);
+  });
+
+  test('opens a new connection for a waiting request when one is discarded', async () => {
+    const pool = createPool();
+    const first = await pool.acquire();
+
+    const waiting = pool.acquire();
+    pool.release(first, { broken: true });
+
+    expect((await waiting).connection.id).toBe(2);
+    expect(pool.destroy).toHaveBeenCalledWith(first.connection);
+  });
+
+  test('removes a waiting request from the line when its signal aborts', async () => {
+    const pool = createPool();
+    const first = await pool.acquire();
+    const controller = new AbortController();
+
+    const waiting = pool.acquire({ signal: controller.signal });
+    controller.abort(new Error('Call timed out'));
+
+    await expect(waiting).rejects.toThrow('Call timed out');
+    expect(pool.stats().waiting).toBe(0);
+
+    // The released connection goes idle instead of to the abandoned request
+    pool.release(first);
+    expect(pool.stats()).toMatchObject({ idle: 1, busy: 0 });
+  });
+
+  test('refuses an already aborted request without waiting', async () => {
+    const pool = createPool();
+    await pool.acquire();
+    const controller = new AbortController();
+    controller.abort(new Error('Run cancelled'));
+
+    await expect(pool.acquire({ signal: controller.signal })).rejects.toThrow('Run cancelled');
+    expect(pool.stats().waiting).toBe(0);
+  });
+
+  test('closes idle connections after the idle timeout', async () => {
+    jest.useFakeTimers();
+    try {
+      const pool = createPool({ idleTimeoutMs: 1000 });
+      const entry = await pool.acquire();
+      pool.release(entry);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(pool.stats()).toMatchObject({ open: 0, idleClosed: 1 });
+      // Connections are closed in the background
+      await Promise.resolve();
+      expect(pool.destroy).toHaveBeenCalledWith(entry.connection);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('rejects waiting requests and closes every connection when drained', async () => {
+    const pool = createPool();
+    const entry = await pool.acquire();
+    const waiting = pool.acquire();
+
+    await pool.drain();
+
+    await expect(waiting).rejects.toThrow('Connection pool is closed');
+    await expect(pool.acquire()).rejects.toThrow('Connection pool is closed');
+    expect(pool.destroy).toHaveBeenCalledWith(entry.connection);
+  });
+});
@@ -0,0 +1,198 @@
+// Rolling conversation history for CLI chat mode
+
+/**
+ * Rough token estimate used for the history budget (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Conversation history kept between chat prompts.
+ *
+ * Entries are grouped in turns: a turn starts with a user prompt, preceded by
+ * any context queued for it, and holds the assistant replies and tool results
+ * that followed it. When the history exceeds
+ * its turn or token budget, the oldest turns are either dropped ("truncate") or
+ * folded into a running summary ("summarize") that is sent ahead of the
+ * remaining turns.
+ */
+export class ConversationMemory {
+  /**
+   * @param {Object} [options] - Memory options
+   * @param {number} [options.maxTurns] - Maximum number of turns kept verbatim
+   * @param {number} [options.maxTokens] - Maximum estimated tokens sent to the model
+   * @param {string} [options.strategy] - "summarize" or "truncate"
+   * @param {Function} [options.summarize] - Async function (messages, previousSummary) resolving to a summary
+   */
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns || 20;
+    this.maxTokens = options.maxTokens || 8000;
+    this.strategy = options.strategy === 'truncate' ? 'truncate' : 'summarize';
+    this.summarize = options.summarize || null;
+    this.turns = [];
+    this.pendingContext = [];
+    this.summary = null;
+    this.droppedTurns = 0;
+  }
+
+  /**
+   * Start a new turn with a user prompt, sent after the context queued for it
+   * @param {string} content - User prompt
+   */
+  addUser(content) {
+    const context = this.pendingContext.splice(0);
+    this.turns.push({ entries: [...context, { kind: 'user', role: 'user', content }] });
+  }
+
+  /**
+   * Record an assistant reply in the current turn
+   * @param {string} content - Assistant reply
+   */
+  addAssistant(content) {
+    this.currentTurn().entries.push({ kind: 'assistant', role: 'assistant', content });
+  }
+
+  /**
+   * Record tool results in the current turn.
+   * They are sent to the model as a user message, as the chat API has no tool role.
+   * @param {string} content - Tool results, formatted for the model
+   */
+  addToolResults(content) {
+    this.currentTurn().entries.push({ kind: 'tool', role: 'user', content });
+  }
+
+  /**
+   * Queue context pulled into the conversation, such as an MCP resource.
+   * It starts the next turn and is sent to the model as a user message ahead of the prompt.
+   * @param {string} content - Context, formatted for the model
+   */
+  addContext(content) {
+    this.pendingContext.push({ kind: 'context', role: 'user', content });
+  }
+
+  /**
+   * Remove the last turn, e.g. when its prompt could not be answered.
+   * Its context is queued again for the next prompt.
+   */
+  discardLastTurn() {
+    const turn = this.turns.pop();
+    if (turn) {
+      this.pendingContext.unshift(...turn.entries.filter(entry => entry.kind === 'context'));
+    }
+  }
+
+  /**
+   * Forget the whole conversation, including queued context
+   */
+  clear() {
+    this.turns = [];
+    this.pendingContext = [];
+    this.summary = null;
+    this.droppedTurns = 0;
+  }
+
+  /**
+   * @private
+   */
+  currentTurn() {
+    if (this.turns.length === 0) {
+      this.turns.push({ entries: [] });
+    }
+    return this.turns[this.turns.length - 1];
+  }
+
+  /**
+   * Message carrying the summary of the turns no longer kept verbatim
+   * @private
+   */
+  summaryMessage() {
+    return this.summary
+      ? { role: 'system', content: `Summary of the earlier conversation:\n${this.summary}` }
+      : null;
+  }
+
+  /**
+   * Estimated tokens of everything that would be sent to the model
+   * @returns {number} Estimated token count
+   */
+  estimateTokens() {
+    const summary = this.summaryMessage();
+    return this.turns.reduce(
+      (total, turn) => total + turn.entries.reduce((sum, entry) => sum + estimateTokens(entry.content), 0),
+      summary ? estimateTokens(summary.content) : 0
+    );
+  }
+
+  /**
+   * Drop (or summarize) the oldest turns until the history fits its budget.
+   * The current turn is always kept.
+   * @returns {Promise<number>} Number of turns removed from the verbatim history
+   */
+  async compact() {
+    const removed = [];
+    while (
+      this.turns.length > 1 &&
+      (this.turns.length > this.maxTurns || this.estimateTokens() > this.maxTokens)
+    ) {
+      removed.push(this.turns.shift());
+    }
+
+    if (removed.length === 0) {
+      return 0;
+    }
+
+    this.droppedTurns += removed.length;
+
+    if (this.strategy === 'summarize' && this.summarize) {
+      const messages = removed.flatMap(turn => turn.entries.map(({ role, content }) => ({ role, content })));
+      try {
+        this.summary = await this.summarize(messages, this.summary);
+      } catch (error) {
+        console.error('Could not summarize earlier conversation, dropping it instead:', error.message);
+      }
+    }
+
+    return removed.length;
+  }
+
+  /**
+   * Messages to send to the model, oldest first
+   * @returns {Array<{role: string, content: string}>} Chat messages
+   */
+  getMessages() {
+    const messages = this.turns.flatMap(turn => turn.entries.map(({ role, content }) => ({ role, content })));
+    const summary = this.summaryMessage();
+    return summary ? [summary, ...messages] : messages;
+  }
+
+  /**
+   * Entries of the kept turns, for display
+   * @returns {Array<{turn: number, kind: string, content: string}>} History entries
+   */
+  getHistory() {
+    return this.turns.flatMap((turn, index) =>
+      turn.entries.map(entry => ({ turn: this.droppedTurns + index + 1, kind: entry.kind, content: entry.content }))
+    );
+  }
+
+  /**
+   * Describe the current context and its budget
+   * @returns {Object} Context statistics
+   */
+  stats() {
+    return {
+      turns: this.turns.length,
+      maxTurns: this.maxTurns,
+      messages: this.getMessages().length,
+      tokens: this.estimateTokens(),
+      maxTokens: this.maxTokens,
+      strategy: this.strategy,
+      droppedTurns: this.droppedTurns,
+      pendingContext: this.pendingContext.length,
+      summary: this.summary
+    };
+  }
+}
@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import { ConversationMemory, estimateTokens } from './conversation-memory.js';
+
+describe('ConversationMemory', () => {
+  test('groups entries in turns started by a prompt', () => {
+    const memory = new ConversationMemory();
+    memory.addUser('price of SOL?');
+    memory.addAssistant('<tool>price</tool>');
+    memory.addToolResults('SOL: $150');
+    memory.addUser('and BONK?');
+
+    expect(memory.getMessages()).toEqual([
+      { role: 'user', content: 'price of SOL?' },
+      { role: 'assistant', content: '<tool>price</tool>' },
+      { role: 'user', content: 'SOL: $150' },
+      { role: 'user', content: 'and BONK?' }
+    ]);
+    expect(memory.getHistory().map(entry => [entry.turn, entry.kind])).toEqual([
+      [1, 'user'], [1, 'assistant'], [1, 'tool'], [2, 'user']
+    ]);
+  });
+
+  describe('context', () => {
+    test('is sent with the next prompt, not attached to the previous turn', () => {
+      const memory = new ConversationMemory();
+      memory.addUser('hello');
+      memory.addAssistant('hi');
+
+      memory.addContext('Contents of the resource file:///notes.md:\nbuy SOL');
+      expect(memory.getMessages()).toHaveLength(2);
+      expect(memory.stats().pendingContext).toBe(1);
+
+      memory.addUser('what do my notes say?');
+      expect(memory.getHistory().slice(2)).toEqual([
+        { turn: 2, kind: 'context', content: 'Contents of the resource file:///notes.md:\nbuy SOL' },
+        { turn: 2, kind: 'user', content: 'what do my notes say?' }
+      ]);
+      expect(memory.stats().pendingContext).toBe(0);
+    });
+
+    test('does not create an empty turn when there is no history yet', () => {
+      const memory = new ConversationMemory();
+      memory.addContext('resource');
+
+      expect(memory.stats().turns).toBe(0);
+      expect(memory.getMessages()).toEqual([]);
+
+      memory.addUser('summarize it');
+      expect(memory.stats().turns).toBe(1);
+      expect(memory.getMessages()).toEqual([
+        { role: 'user', content: 'resource' },
+        { role: 'user', content: 'summarize it' }
+      ]);
+    });
+
+    test('is queued again when its turn is discarded', () => {
+      const memory = new ConversationMemory();
+      memory.addContext('resource');
+      memory.addUser('first try');
+
+      memory.discardLastTurn();
+      memory.addUser('second try');
+
+      expect(memory.getMessages()).toEqual([
+        { role: 'user', content: 'resource' },
+        { role: 'user', content: 'second try' }
+      ]);
+    });
+
+    test('is forgotten by clear()', () => {
+      const memory = new ConversationMemory();
+      memory.addContext('resource');
+      memory.clear();
+      memory.addUser('hello');
+
+      expect(memory.getMessages()).toEqual([{ role: 'user', content: 'hello' }]);
+    });
+  });
+
+  describe('compact', () => {
+    function fill(memory, turns) {
+      for (let index = 1; index <= turns; index++) {
+        memory.addUser(`question ${index}`);
+        memory.addAssistant(`answer ${index}`);
+      }
+    }
+
+    test('drops the oldest turns beyond the turn budget with the truncate strategy', async () => {
+      const memory = new ConversationMemory({ maxTurns: 2, strategy: 'truncate' });
+      fill(memory, 3);
+
+      expect(await memory.compact()).toBe(1);
+      expect(memory.getMessages()[0]).toEqual({ role: 'user', content: 'question 2' });
+      expect(memory.getHistory()[0].turn).toBe(2);
+    });
+
+    test('folds the dropped turns into a summary', async () => {
+      const summarize = jest.fn(async (messages, previous) => `${previous || ''}${messages.map(message => message.content).join(', ')}`);
+      const memory = new ConversationMemory({ maxTurns: 1, summarize });
+      fill(memory, 2);
+
+      await memory.compact();
+
+      expect(summarize).toHaveBeenCalledWith([
+        { role: 'user', content: 'question 1' },
+        { role: 'assistant', content: 'answer 1' }
+      ], null);
+      expect(memory.getMessages()[0]).toEqual({ role: 'system', content: 'Summary of the earlier conversation:\nquestion 1, answer 1' });
+    });
+
+    test('keeps the current turn even when it alone exceeds the token budget', async () => {
+      const memory = new ConversationMemory({ maxTokens: 10, strategy: 'truncate' });
+      memory.addUser('x'.repeat(100));
+
+      expect(await memory.compact()).toBe(0);
+      expect(memory.stats().turns).toBe(1);
+    });
+
+    test('drops the turns when summarizing fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const memory = new ConversationMemory({ maxTurns: 1, summarize: async () => { throw new Error('offline'); } });
+      fill(memory, 2);
+
+      expect(await memory.compact()).toBe(1);
+      expect(memory.summary).toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  test('estimates about four characters per token', () => {
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens(undefined)).toBe(0);
+  });
+});
@@ -0,0 +1,191 @@
+// Error taxonomy shared by the HTTP API, the batch endpoint, the MCP server and the CLI
+import { ValidationError } from './schema-validator.js';
+import { TimeoutError } from './concurrency.js';
+
+/**
+ * Stable error codes, with the HTTP status they map to and whether the same
+ * call may succeed when retried later
+ */
+export const ERROR_CODES = {
+  TOOL_NOT_FOUND: { status: 404, retryable: false },
+  INVALID_ARGUMENTS: { status: 400, retryable: false },
+  UNAUTHORIZED: { status: 401, retryable: false },
+  FORBIDDEN: { status: 403, retryable: false },
+  CONFIG_MISSING: { status: 503, retryable: false },
+  UPSTREAM_UNAVAILABLE: { status: 503, retryable: true },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true },
+  RATE_LIMITED: { status: 429, retryable: true },
+  TOOL_FAILED: { status: 502, retryable: false },
+  INTERNAL_ERROR: { status: 500, retryable: false }
+};
+
+/**
+ * Error with a stable code from ERROR_CODES
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - Underlying error
+   * @param {number} [options.retryAfterMs] - How long to wait before retrying, when known
+   * @param {boolean} [options.retryable] - Overrides the retryability of the code
+   */
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    if (!ERROR_CODES[code]) {
+      throw new Error(`Unknown error code ${code}`);
+    }
+    this.name = 'ToolError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.retryable = options.retryable ?? ERROR_CODES[code].retryable;
+    this.retryAfterMs = options.retryAfterMs || null;
+  }
+}
+
+// Network failures meaning the remote service could not be reached
+const UNREACHABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE']);
+
+// Rate limits reported only in a message (MCP tool errors, JSON-RPC nodes)
+const RATE_LIMIT_MESSAGE = /rate.?limit|too many requests|quota exceeded/i;
+
+/**
+ * Check whether an error message reports a rate limit
+ * @param {string} message - Error message, e.g. the text of an MCP tool error
+ * @returns {boolean} True for "rate limit", "too many requests" and similar messages
+ */
+export function isRateLimitMessage(message) {
+  return RATE_LIMIT_MESSAGE.test(message || '');
+}
+
+/**
+ * Read a Retry-After header (seconds or HTTP date) in milliseconds
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Classify a single error, without looking at its causes
+ * @private
+ */
+function classifyOne(error) {
+  if (error instanceof ToolError) {
+    return { code: error.code, retryAfterMs: error.retryAfterMs };
+  }
+  if (error instanceof ValidationError) {
+    return { code: 'INVALID_ARGUMENTS' };
+  }
+  if (error instanceof TimeoutError) {
+    return { code: 'UPSTREAM_TIMEOUT' };
+  }
+
+  // HTTP responses (axios)
+  const status = error.response && error.response.status;
+  if (status === 429) {
+    return { code: 'RATE_LIMITED', retryAfterMs: parseRetryAfter(error.response.headers && error.response.headers['retry-after']) };
+  }
+  if (status === 401 || status === 403) {
+    return { code: 'CONFIG_MISSING' };
+  }
+  if (status === 408 || status === 504) {
+    return { code: 'UPSTREAM_TIMEOUT' };
+  }
+  if (status >= 500) {
+    return { code: 'UPSTREAM_UNAVAILABLE' };
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return { code: 'UPSTREAM_TIMEOUT' };
+  }
+  if (UNREACHABLE_CODES.has(error.code)) {
+    return { code: 'UPSTREAM_UNAVAILABLE' };
+  }
+
+  // MCP protocol errors: request timeout and closed connection
+  if (error.name === 'McpError') {
+    if (error.code === -32001) {
+      return { code: 'UPSTREAM_TIMEOUT' };
+    }
+    if (error.code === -32000) {
+      return { code: 'UPSTREAM_UNAVAILABLE' };
+    }
+  }
+
+  // JSON-RPC nodes report rate limits as error 429 or -32005 (limit exceeded)
+  if (error.name === 'JsonRpcError' && (error.code === 429 || error.code === -32005)) {
+    return { code: 'RATE_LIMITED' };
+  }
+
+  return null;
+}
+
+/**
+ * Find the code of an error, looking through its `cause` chain
+ * @param {Error} error - Error to classify
+ * @returns {{code: string, retryAfterMs: number|null}|null} Code and retry delay, or null if unknown
+ */
+export function classifyError(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    const classified = typeof current === 'object' ? classifyOne(current) : null;
+    if (classified) {
+      return { retryAfterMs: null, ...classified };
+    }
+  }
+  if (error && isRateLimitMessage(error.message)) {
+    return { code: 'RATE_LIMITED', retryAfterMs: null };
+  }
+  return null;
+}
+
+/**
+ * Convert any error to a ToolError
+ * @param {Error} error - Error to convert
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.message] - Message of the new error (defaults to the original one)
+ * @param {string} [options.fallbackCode] - Code used when the error cannot be classified
+ * @returns {ToolError} The error itself if it already is a ToolError without a new message
+ */
+export function toToolError(error, options = {}) {
+  if (error instanceof ToolError && !options.message) {
+    return error;
+  }
+  const classified = classifyError(error) || { code: options.fallbackCode || 'INTERNAL_ERROR', retryAfterMs: null };
+  return new ToolError(classified.code, options.message || error.message, {
+    cause: error,
+    retryAfterMs: classified.retryAfterMs
+  });
+}
+
+/**
+ * Describe an error for an API response
+ * @param {Error} error - Error to describe
+ * @returns {{status: number, error: string, code: string, retryable: boolean, retryAfterMs?: number, errors?: Array}}
+ *   HTTP status and response fields
+ */
+export function describeError(error) {
+  const toolError = toToolError(error);
+  const description = {
+    status: toolError.status,
+    error: toolError.message,
+    code: toolError.code,
+    retryable: toolError.retryable
+  };
+  if (toolError.retryAfterMs !== null) {
+    description.retryAfterMs = toolError.retryAfterMs;
+  }
+  if (error instanceof ValidationError) {
+    description.errors = error.errors;
+  }
+  return description;
+}
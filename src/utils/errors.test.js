@@ -0,0 +1,119 @@
+import { ToolError, classifyError, toToolError, describeError, isRateLimitMessage } from './errors.js';
+import { ValidationError } from './schema-validator.js';
+import { TimeoutError } from './concurrency.js';
+
+/**
+ * Error shaped like a failed axios request
+ */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+}
+
+/**
+ * Error with a Node.js network error code
+ */
+function networkError(code) {
+  return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+describe('ToolError', () => {
+  test('takes the status and retryability of its code', () => {
+    const error = new ToolError('RATE_LIMITED', 'Slow down', { retryAfterMs: 2000 });
+
+    expect(error).toMatchObject({ name: 'ToolError', code: 'RATE_LIMITED', status: 429, retryable: true, retryAfterMs: 2000 });
+    expect(new ToolError('RATE_LIMITED', 'Daily quota used', { retryable: false }).retryable).toBe(false);
+  });
+
+  test('rejects unknown codes', () => {
+    expect(() => new ToolError('OOPS', 'message')).toThrow('Unknown error code OOPS');
+  });
+});
+
+describe('classifyError', () => {
+  test.each([
+    ['a validation error', new ValidationError('Invalid', []), 'INVALID_ARGUMENTS'],
+    ['a tool timeout', new TimeoutError('search', 100), 'UPSTREAM_TIMEOUT'],
+    ['HTTP 401', httpError(401), 'CONFIG_MISSING'],
+    ['HTTP 504', httpError(504), 'UPSTREAM_TIMEOUT'],
+    ['HTTP 502', httpError(502), 'UPSTREAM_UNAVAILABLE'],
+    ['an aborted axios request', networkError('ECONNABORTED'), 'UPSTREAM_TIMEOUT'],
+    ['a refused connection', networkError('ECONNREFUSED'), 'UPSTREAM_UNAVAILABLE'],
+    ['an MCP request timeout', Object.assign(new Error('Request timed out'), { name: 'McpError', code: -32001 }), 'UPSTREAM_TIMEOUT'],
+    ['a closed MCP connection', Object.assign(new Error('Connection closed'), { name: 'McpError', code: -32000 }), 'UPSTREAM_UNAVAILABLE'],
+    ['a JSON-RPC limit', Object.assign(new Error('limit exceeded'), { name: 'JsonRpcError', code: -32005 }), 'RATE_LIMITED'],
+    ['a rate limit message', new Error('Too Many Requests, try later'), 'RATE_LIMITED']
+  ])('classifies %s', (description, error, code) => {
+    expect(classifyError(error).code).toBe(code);
+  });
+
+  test('reads the Retry-After header of a 429 in seconds or as a date', () => {
+    expect(classifyError(httpError(429, { 'retry-after': '3' }))).toEqual({ code: 'RATE_LIMITED', retryAfterMs: 3000 });
+    const later = new Date(Date.now() + 60000).toUTCString();
+    expect(classifyError(httpError(429, { 'retry-after': later })).retryAfterMs).toBeGreaterThan(50000);
+    expect(classifyError(httpError(429)).retryAfterMs).toBeNull();
+  });
+
+  test('looks through the cause chain', () => {
+    const error = new Error('Failed to call tool search', { cause: networkError('ECONNRESET') });
+
+    expect(classifyError(error).code).toBe('UPSTREAM_UNAVAILABLE');
+  });
+
+  test('leaves unknown errors unclassified', () => {
+    expect(classifyError(new Error('Something odd'))).toBeNull();
+    expect(classifyError(httpError(404))).toBeNull();
+  });
+});
+
+describe('toToolError', () => {
+  test('keeps ToolErrors as they are', () => {
+    const error = new ToolError('FORBIDDEN', 'No');
+
+    expect(toToolError(error)).toBe(error);
+    expect(toToolError(error, { message: 'Not allowed' })).toMatchObject({ code: 'FORBIDDEN', message: 'Not allowed' });
+  });
+
+  test('uses the fallback code for unknown errors', () => {
+    const cause = new Error('Bad gateway payload');
+    const error = toToolError(cause, { fallbackCode: 'TOOL_FAILED' });
+
+    expect(error).toMatchObject({ code: 'TOOL_FAILED', message: 'Bad gateway payload', cause });
+    expect(toToolError(cause).code).toBe('INTERNAL_ERROR');
+  });
+});
+
+describe('describeError', () => {
+  test('describes a rate limit with its retry delay', () => {
+    expect(describeError(httpError(429, { 'retry-after': '1' }))).toEqual({
+      status: 429,
+      error: 'Request failed with status code 429',
+      code: 'RATE_LIMITED',
+      retryable: true,
+      retryAfterMs: 1000
+    });
+  });
+
+  test('lists the violations of a validation error', () => {
+    const errors = [{ pointer: '/limit', message: 'must be a number' }];
+
+    expect(describeError(new ValidationError('Invalid arguments', errors))).toEqual({
+      status: 400,
+      error: 'Invalid arguments',
+      code: 'INVALID_ARGUMENTS',
+      retryable: false,
+      errors
+    });
+  });
+});
+
+describe('isRateLimitMessage', () => {
+  test.each([
+    ['Rate limit exceeded', true],
+    ['rate-limited by upstream', true],
+    ['Monthly quota exceeded', true],
+    ['Token not found', false],
+    [undefined, false]
+  ])('%s -> %s', (message, expected) => {
+    expect(isRateLimitMessage(message)).toBe(expected);
+  });
+});
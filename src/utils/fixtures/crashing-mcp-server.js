@@ -0,0 +1,24 @@
+// Minimal stdio MCP server used by the StdioMcpClient tests: `echo` answers,
+// `crash` makes the process exit like a crashing server
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const server = new Server({ name: 'crashing-test-server', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: [
+    { name: 'echo', description: 'Return the text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } },
+    { name: 'crash', description: 'Exit the process', inputSchema: { type: 'object', properties: {} } }
+  ]
+}));
+
+server.setRequestHandler(CallToolRequestSchema, async request => {
+  if (request.params.name === 'crash') {
+    console.error('crashing on request');
+    process.exit(1);
+  }
+  return { content: [{ type: 'text', text: String(request.params.arguments?.text ?? '') }] };
+});
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,306 @@
+// Incremental Agent Hustle responses, shared by the playground runs endpoint and the CLI stream mode,
+// and their mapping to playground run events
+import { randomUUID } from 'crypto';
+
+const ABORTED = Symbol('aborted');
+
+/**
+ * Split a complete response into segments, used when the client cannot stream
+ * @param {string} text - Complete response
+ * @param {number} [size] - Approximate segment length in characters
+ * @returns {string[]} Segments that concatenate back to the text
+ */
+export function splitIntoSegments(text, size = 24) {
+  const segments = [];
+  let current = '';
+
+  for (const word of (text || '').split(/(?<=\s)/)) {
+    current += word;
+    if (current.length >= size) {
+      segments.push(current);
+      current = '';
+    }
+  }
+  if (current) {
+    segments.push(current);
+  }
+  return segments;
+}
+
+/**
+ * Map a chunk of HustleIncognitoClient.chatStream to a stream event
+ * @param {Object} chunk - Processed chunk ({ type, value })
+ * @returns {Object|null} Stream event, or null for chunks without a counterpart
+ */
+function normalizeChunk(chunk) {
+  const value = chunk.value || {};
+
+  switch (chunk.type) {
+    case 'text':
+      return typeof chunk.value === 'string' && chunk.value ? { type: 'text', delta: chunk.value } : null;
+    case 'tool_call':
+      return {
+        type: 'tool_call',
+        id: value.toolCallId || value.id || randomUUID(),
+        name: value.toolName || value.name,
+        args: value.args || value.arguments || {}
+      };
+    case 'tool_result':
+      return {
+        type: 'tool_result',
+        id: value.toolCallId || value.id,
+        name: value.toolName || value.name,
+        result: value.result !== undefined ? value.result : value,
+        error: Boolean(value.isError || value.error)
+      };
+    case 'finish':
+      return { type: 'finish', reason: value.reason || 'stop', usage: value.usage || null };
+    case 'error':
+      throw new Error(value.message || String(chunk.value));
+    default:
+      // path_info and other bookkeeping chunks
+      return null;
+  }
+}
+
+/**
+ * Promise resolving to ABORTED once the signal aborts (never resolves without a signal)
+ * @private
+ */
+function whenAborted(signal) {
+  if (!signal) {
+    return new Promise(() => {});
+  }
+  if (signal.aborted) {
+    return Promise.resolve(ABORTED);
+  }
+  return new Promise(resolve => signal.addEventListener('abort', () => resolve(ABORTED), { once: true }));
+}
+
+/**
+ * Stream a chat response from Agent Hustle.
+ *
+ * Yields `{ type: 'text', delta }`, `{ type: 'tool_call', id, name, args }`,
+ * `{ type: 'tool_result', id, name, result, error }` and finally
+ * `{ type: 'finish', reason, usage, streamed }`. When the client has no
+ * `chatStream`, the complete `chat` response is replayed in segments
+ * (`streamed: false`). Aborting the signal stops reading from the upstream
+ * stream and ends the generator without a finish event.
+ *
+ * @param {HustleIncognitoClient} client - Agent Hustle client
+ * @param {Array} messages - Chat messages
+ * @param {Object} [options] - Chat options
+ * @param {string} [options.vaultId] - Vault identifier
+ * @param {AbortSignal} [options.signal] - Cancels the response
+ * @returns {AsyncGenerator<Object>} Stream events
+ */
+export async function* streamChat(client, messages, options = {}) {
+  const { signal, ...chatOptions } = options;
+
+  if (typeof client.chatStream !== 'function') {
+    yield* replayChat(client, messages, chatOptions, signal);
+    return;
+  }
+
+  // The signal is passed through for clients that can cancel the request themselves
+  const stream = client.chatStream({ messages, ...chatOptions, processChunks: true, signal });
+  const iterator = stream[Symbol.asyncIterator]();
+  const aborted = whenAborted(signal);
+  let finished = false;
+
+  try {
+    while (true) {
+      const next = await Promise.race([iterator.next(), aborted]);
+      if (next === ABORTED) {
+        return;
+      }
+      if (next.done) {
+        break;
+      }
+
+      const event = normalizeChunk(next.value);
+      if (event && event.type === 'finish') {
+        finished = true;
+        yield { ...event, streamed: true };
+      } else if (event) {
+        yield event;
+      }
+    }
+  } finally {
+    if (typeof iterator.return === 'function') {
+      // Do not wait: a pending read keeps the generator busy until the upstream answers
+      Promise.resolve(iterator.return()).catch(() => {});
+    }
+  }
+
+  if (!finished) {
+    yield { type: 'finish', reason: 'stop', usage: null, streamed: true };
+  }
+}
+
+/**
+ * Replay a complete chat response as stream events
+ * @private
+ */
+async function* replayChat(client, messages, chatOptions, signal) {
+  const response = await Promise.race([client.chat(messages, chatOptions), whenAborted(signal)]);
+  if (response === ABORTED) {
+    return;
+  }
+
+  const results = new Map((response.toolResults || []).map(result => [result.toolCallId, result]));
+  for (const toolCall of response.toolCalls || []) {
+    const id = toolCall.toolCallId || toolCall.id || randomUUID();
+    const name = toolCall.toolName || toolCall.name;
+    yield { type: 'tool_call', id, name, args: toolCall.args || toolCall.arguments || {} };
+
+    const result = results.get(toolCall.toolCallId);
+    if (result) {
+      yield { type: 'tool_result', id, name, result: result.result, error: Boolean(result.isError) };
+    }
+  }
+
+  for (const delta of splitIntoSegments(response.content || '')) {
+    if (signal && signal.aborted) {
+      return;
+    }
+    yield { type: 'text', delta };
+  }
+
+  yield { type: 'finish', reason: 'stop', usage: response.usage || null, messageId: response.messageId, streamed: false };
+}
+
+/**
+ * Convert an orchestrator tool call to the Agent UI ToolCall format
+ * @param {Object} call - Tool call executed by the orchestrator
+ * @returns {Object} Agent UI tool call
+ */
+export function toAgentUiToolCall(call) {
+  return {
+    role: 'tool',
+    content: call.error ? `Error: ${call.error}` : JSON.stringify(call.result),
+    tool_call_id: call.id,
+    tool_name: call.name,
+    tool_args: call.args,
+    tool_call_error: Boolean(call.error),
+    metrics: { time: call.time },
+    created_at: Math.floor(call.created_at / 1000)
+  };
+}
+
+/**
+ * Run the agent and report its progress as playground run events: RunStarted,
+ * RunResponse deltas (successive responses separated by a blank line),
+ * ToolCallStarted/ToolCallCompleted for the tools run by the gateway and by
+ * Agent Hustle itself, then RunCompleted with the content, tools and metrics.
+ * A failed run ends with RunError and rethrows the error; an aborted run ends
+ * without a final event.
+ *
+ * @param {Function} execute - Async function running the agent: it receives the onStreamEvent,
+ *   onToolCall and onToolResult callbacks of AgentOrchestrator.run and resolves to the run
+ * @param {Object} options - Event options
+ * @param {Function} options.emit - Receives every run event
+ * @param {Object} [options.fields] - Fields of every event (run_id, agent_id, session_id)
+ * @param {AbortSignal} [options.signal] - Aborted when the client disconnects
+ * @returns {Promise<{run: Object, tools: Array, startedAt: number, completedAt: number}>} The run,
+ *   its Agent UI tool calls and its start and end times in milliseconds
+ */
+export async function streamRunEvents(execute, options) {
+  const { emit, fields = {}, signal } = options;
+  const startedAt = Date.now();
+  const event = (name, eventFields) => emit({
+    event: name,
+    content_type: 'str',
+    ...fields,
+    created_at: Math.floor(Date.now() / 1000),
+    ...eventFields
+  });
+
+  event('RunStarted', { content: 'Run started', model: 'agent-hustle' });
+
+  let firstTokenAt = null;
+  let responses = 0;
+  let newResponse = true;
+  const tools = [];
+  const toolStartedAt = new Map();
+
+  const toolStarted = toolCall => {
+    tools.push(toolCall);
+    toolStartedAt.set(toolCall.tool_call_id, Date.now());
+    event('ToolCallStarted', { content: `Running ${toolCall.tool_name}`, tools: [toolCall] });
+  };
+  const toolCompleted = toolCall => {
+    tools[tools.findIndex(tool => tool.tool_call_id === toolCall.tool_call_id)] = toolCall;
+    event('ToolCallCompleted', { content: `${toolCall.tool_name} completed`, tools: [toolCall] });
+  };
+
+  let run;
+  try {
+    run = await execute({
+      onStreamEvent: chunk => {
+        if (chunk.type === 'text') {
+          firstTokenAt = firstTokenAt || Date.now();
+          if (newResponse) {
+            if (responses > 0) {
+              // Keep the responses of successive tool rounds apart
+              event('RunResponse', { content: '\n\n' });
+            }
+            responses++;
+            newResponse = false;
+          }
+          event('RunResponse', { content: chunk.delta });
+        } else if (chunk.type === 'tool_call') {
+          // Tools Agent Hustle ran itself
+          toolStarted({
+            role: 'tool',
+            content: null,
+            tool_call_id: chunk.id,
+            tool_name: chunk.name,
+            tool_args: chunk.args,
+            tool_call_error: false,
+            metrics: { time: 0 },
+            created_at: Math.floor(Date.now() / 1000)
+          });
+        } else if (chunk.type === 'tool_result') {
+          const toolCall = tools.find(tool => tool.tool_call_id === chunk.id);
+          if (toolCall) {
+            toolCompleted({
+              ...toolCall,
+              content: typeof chunk.result === 'string' ? chunk.result : JSON.stringify(chunk.result),
+              tool_call_error: chunk.error,
+              metrics: { time: (Date.now() - toolStartedAt.get(chunk.id)) / 1000 }
+            });
+          }
+        } else if (chunk.type === 'finish') {
+          newResponse = true;
+        }
+      },
+      onToolCall: call => toolStarted({ ...toAgentUiToolCall(call), content: null }),
+      onToolResult: call => toolCompleted(toAgentUiToolCall(call))
+    });
+  } catch (error) {
+    if (!(signal && signal.aborted)) {
+      event('RunError', { content: `Error: ${error.message}` });
+    }
+    throw error;
+  }
+
+  const completedAt = Date.now();
+  const usage = run.usage;
+  event('RunCompleted', {
+    content: run.content,
+    tools,
+    metrics: {
+      time: (completedAt - startedAt) / 1000,
+      time_to_first_token: firstTokenAt ? (firstTokenAt - startedAt) / 1000 : null,
+      input_tokens: usage ? usage.promptTokens ?? usage.prompt_tokens ?? null : null,
+      output_tokens: usage ? usage.completionTokens ?? usage.completion_tokens ?? null : null
+    },
+    extra_data: {
+      reasoning_steps: [],
+      references: []
+    }
+  });
+
+  return { run, tools, startedAt, completedAt };
+}
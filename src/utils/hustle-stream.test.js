@@ -0,0 +1,236 @@
+import { jest } from '@jest/globals';
+import { streamChat, splitIntoSegments, streamRunEvents } from './hustle-stream.js';
+
+/**
+ * Collect every event of a stream
+ */
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+/**
+ * Client whose chatStream yields the given chunks
+ */
+function streamingClient(chunks) {
+  return {
+    chatStream: jest.fn(async function* () {
+      yield* chunks;
+    })
+  };
+}
+
+/**
+ * Client whose chatStream yields the given chunks, then waits until it is closed
+ */
+function stallingClient(chunks) {
+  const iterator = {
+    next: jest.fn(async () => (chunks.length > 0 ? { value: chunks.shift(), done: false } : new Promise(() => {}))),
+    return: jest.fn(async () => ({ done: true }))
+  };
+  return { iterator, chatStream: () => ({ [Symbol.asyncIterator]: () => iterator }) };
+}
+
+describe('splitIntoSegments', () => {
+  test('splits at word boundaries into segments that concatenate back to the text', () => {
+    const text = 'BONK is a Solana memecoin with a large community of holders.';
+    const segments = splitIntoSegments(text, 10);
+
+    expect(segments.join('')).toBe(text);
+    expect(segments.slice(0, -1).every(segment => segment.length >= 10)).toBe(true);
+    expect(splitIntoSegments('')).toEqual([]);
+  });
+});
+
+describe('streamChat', () => {
+  test('yields the chunks of the stream in order', async () => {
+    const client = streamingClient([
+      { type: 'text', value: 'Checking ' },
+      { type: 'tool_call', value: { toolCallId: 'call-1', toolName: 'rugcheck', args: { token: 'BONK' } } },
+      { type: 'path_info', value: { path: 'tools' } },
+      { type: 'tool_result', value: { toolCallId: 'call-1', toolName: 'rugcheck', result: { score: 12 } } },
+      { type: 'text', value: 'BONK looks safe.' },
+      { type: 'text', value: '' },
+      { type: 'finish', value: { reason: 'stop', usage: { promptTokens: 10, completionTokens: 5 } } }
+    ]);
+
+    const events = await collect(streamChat(client, [{ role: 'user', content: 'Is BONK safe?' }], { vaultId: 'vault' }));
+
+    expect(events).toEqual([
+      { type: 'text', delta: 'Checking ' },
+      { type: 'tool_call', id: 'call-1', name: 'rugcheck', args: { token: 'BONK' } },
+      { type: 'tool_result', id: 'call-1', name: 'rugcheck', result: { score: 12 }, error: false },
+      { type: 'text', delta: 'BONK looks safe.' },
+      { type: 'finish', reason: 'stop', usage: { promptTokens: 10, completionTokens: 5 }, streamed: true }
+    ]);
+    expect(client.chatStream).toHaveBeenCalledWith(expect.objectContaining({
+      messages: [{ role: 'user', content: 'Is BONK safe?' }],
+      vaultId: 'vault',
+      processChunks: true
+    }));
+  });
+
+  test('finishes a stream that ends without a finish chunk', async () => {
+    const events = await collect(streamChat(streamingClient([{ type: 'text', value: 'Hi' }]), []));
+
+    expect(events[events.length - 1]).toEqual({ type: 'finish', reason: 'stop', usage: null, streamed: true });
+  });
+
+  test('throws on error chunks', async () => {
+    const client = streamingClient([{ type: 'text', value: 'Hi' }, { type: 'error', value: { message: 'Vault not found' } }]);
+
+    await expect(collect(streamChat(client, []))).rejects.toThrow('Vault not found');
+  });
+
+  test('replays the complete response when the client cannot stream', async () => {
+    const client = {
+      chat: jest.fn(async () => ({
+        content: 'BONK is trading at $0.00002 today.',
+        messageId: 'message-1',
+        usage: { promptTokens: 3 },
+        toolCalls: [{ toolCallId: 'call-1', toolName: 'price', args: { symbol: 'BONK' } }, { toolCallId: 'call-2', toolName: 'news' }],
+        toolResults: [{ toolCallId: 'call-1', result: 0.00002 }]
+      }))
+    };
+
+    const events = await collect(streamChat(client, [{ role: 'user', content: 'BONK?' }], { vaultId: 'vault' }));
+
+    expect(client.chat).toHaveBeenCalledWith([{ role: 'user', content: 'BONK?' }], { vaultId: 'vault' });
+    expect(events.slice(0, 3)).toEqual([
+      { type: 'tool_call', id: 'call-1', name: 'price', args: { symbol: 'BONK' } },
+      { type: 'tool_result', id: 'call-1', name: 'price', result: 0.00002, error: false },
+      { type: 'tool_call', id: 'call-2', name: 'news', args: {} }
+    ]);
+    expect(events.filter(event => event.type === 'text').map(event => event.delta).join('')).toBe('BONK is trading at $0.00002 today.');
+    expect(events[events.length - 1]).toEqual({ type: 'finish', reason: 'stop', usage: { promptTokens: 3 }, messageId: 'message-1', streamed: false });
+  });
+
+  test('stops reading when the signal aborts partway through the stream', async () => {
+    const client = stallingClient([{ type: 'text', value: 'Partial' }]);
+    const controller = new AbortController();
+    const events = [];
+
+    for await (const event of streamChat(client, [], { signal: controller.signal })) {
+      events.push(event);
+      controller.abort();
+    }
+
+    expect(events).toEqual([{ type: 'text', delta: 'Partial' }]);
+    expect(client.iterator.return).toHaveBeenCalled();
+  });
+
+  test('ends without events when aborted before the replayed response arrives', async () => {
+    const controller = new AbortController();
+    const client = { chat: () => new Promise(() => {}) };
+
+    const stream = collect(streamChat(client, [], { signal: controller.signal }));
+    controller.abort();
+
+    expect(await stream).toEqual([]);
+  });
+});
+
+describe('streamRunEvents', () => {
+  const fields = { run_id: 'run-1', agent_id: 'crypto-agent', session_id: 'session-1' };
+
+  /**
+   * Run streamRunEvents, collecting its events
+   */
+  async function runEvents(execute, options = {}) {
+    const events = [];
+    const result = await streamRunEvents(execute, { emit: event => events.push(event), fields, ...options })
+      .catch(error => ({ error }));
+    return { events, result };
+  }
+
+  // A run of two responses, with a tool Agent Hustle ran itself and a gateway tool that failed
+  const twoRounds = async ({ onStreamEvent, onToolCall, onToolResult }) => {
+    onStreamEvent({ type: 'text', delta: 'Checking ' });
+    onStreamEvent({ type: 'text', delta: 'BONK' });
+    onStreamEvent({ type: 'tool_call', id: 'hustle-1', name: 'rugcheck', args: { token: 'BONK' } });
+    onStreamEvent({ type: 'tool_result', id: 'hustle-1', name: 'rugcheck', result: { score: 12 }, error: false });
+    onStreamEvent({ type: 'finish', reason: 'stop' });
+
+    const call = { id: 'call-1', name: 'price', args: { symbol: 'BONK' }, created_at: 1700000000000 };
+    onToolCall(call);
+    onToolResult({ ...call, error: '[RATE_LIMITED] slow down', result: null, time: 0.5 });
+
+    onStreamEvent({ type: 'text', delta: 'The price is unavailable.' });
+    onStreamEvent({ type: 'finish', reason: 'stop' });
+    return { content: 'The price is unavailable.', usage: { promptTokens: 10, completionTokens: 5 } };
+  };
+
+  test('reports responses and tool calls in order, ending with RunCompleted', async () => {
+    const { events, result } = await runEvents(twoRounds);
+
+    expect(events.map(event => [event.event, event.content])).toEqual([
+      ['RunStarted', 'Run started'],
+      ['RunResponse', 'Checking '],
+      ['RunResponse', 'BONK'],
+      ['ToolCallStarted', 'Running rugcheck'],
+      ['ToolCallCompleted', 'rugcheck completed'],
+      ['ToolCallStarted', 'Running price'],
+      ['ToolCallCompleted', 'price completed'],
+      ['RunResponse', '\n\n'],
+      ['RunResponse', 'The price is unavailable.'],
+      ['RunCompleted', 'The price is unavailable.']
+    ]);
+    expect(events.every(event => event.content_type === 'str' && event.run_id === 'run-1' && event.session_id === 'session-1')).toBe(true);
+    expect(result.tools).toEqual(events[events.length - 1].tools);
+  });
+
+  test('completes with the final state of every tool call, including failed ones', async () => {
+    const { events } = await runEvents(twoRounds);
+    const completed = events[events.length - 1];
+
+    expect(completed.tools).toEqual([
+      expect.objectContaining({ tool_call_id: 'hustle-1', tool_name: 'rugcheck', content: '{"score":12}', tool_call_error: false }),
+      {
+        role: 'tool',
+        content: 'Error: [RATE_LIMITED] slow down',
+        tool_call_id: 'call-1',
+        tool_name: 'price',
+        tool_args: { symbol: 'BONK' },
+        tool_call_error: true,
+        metrics: { time: 0.5 },
+        created_at: 1700000000
+      }
+    ]);
+    expect(events[5].tools).toEqual([expect.objectContaining({ tool_call_id: 'call-1', content: null, tool_call_error: false })]);
+    expect(completed.metrics).toEqual({
+      time: expect.any(Number),
+      time_to_first_token: expect.any(Number),
+      input_tokens: 10,
+      output_tokens: 5
+    });
+    expect(completed.extra_data).toEqual({ reasoning_steps: [], references: [] });
+  });
+
+  test('ends a failed run with RunError and rethrows the error', async () => {
+    const failure = new Error('Agent Hustle is unavailable');
+
+    const { events, result } = await runEvents(async ({ onStreamEvent }) => {
+      onStreamEvent({ type: 'text', delta: 'Let me' });
+      throw failure;
+    });
+
+    expect(events.map(event => event.event)).toEqual(['RunStarted', 'RunResponse', 'RunError']);
+    expect(events[2].content).toBe('Error: Agent Hustle is unavailable');
+    expect(result.error).toBe(failure);
+  });
+
+  test('ends an aborted run without a final event', async () => {
+    const controller = new AbortController();
+
+    const { events, result } = await runEvents(async () => {
+      controller.abort();
+      throw new Error('Run cancelled');
+    }, { signal: controller.signal });
+
+    expect(events.map(event => event.event)).toEqual(['RunStarted']);
+    expect(result.error.message).toBe('Run cancelled');
+  });
+});
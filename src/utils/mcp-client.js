@@ -1,25 +1,66 @@
 // MCP Client utility for interacting with the MCP server
 import axios from 'axios';
+import { ToolError, ERROR_CODES } from './errors.js';
+
+/**
+ * Rethrow a failed request, keeping the code and retry hints of the server's error response
+ * @private
+ */
+function requestError(message, error) {
+  const data = error.response && error.response.data;
+  if (data && ERROR_CODES[data.code]) {
+    const toolError = new ToolError(data.code, `${message}: ${data.error}`, {
+      cause: error,
+      retryable: data.retryable,
+      retryAfterMs: data.retryAfterMs
+    });
+    if (data.errors) {
+      toolError.errors = data.errors;
+    }
+    return toolError;
+  }
+  return new Error(`${message}: ${error.message}`, { cause: error });
+}
 
 export class MCPClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} config.serverUrl - URL of the MCP server
+   * @param {string} [config.apiKey] - Key sent as a bearer token (defaults to MCP_API_KEY)
+   */
   constructor(config) {
     this.serverUrl = config.serverUrl;
+    const apiKey = config.apiKey || process.env.MCP_API_KEY;
     this.axios = axios.create({
       baseURL: this.serverUrl,
-      timeout: 30000
+      timeout: 30000,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
     });
+    this.toolList = null;
   }
 
   /**
    * List all available tools from the MCP server
+   * (revalidates the previous listing with its ETag instead of downloading it again)
    * @returns {Promise<Array>} List of available tools
    */
   async listTools() {
     try {
-      const response = await this.axios.post('/api/tools/list');
-      return response.data.tools || [];
+      const response = await this.axios.post('/api/tools/list', undefined, {
+        headers: this.toolList ? { 'If-None-Match': this.toolList.etag } : {},
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      });
+      if (response.status === 304 && this.toolList) {
+        return this.toolList.tools;
+      }
+
+      const tools = response.data.tools || [];
+      if (response.headers.etag) {
+        this.toolList = { etag: response.headers.etag, tools };
+      }
+      return tools;
     } catch (error) {
-      throw new Error(`Failed to list tools: ${error.message}`);
+      throw requestError('Failed to list tools', error);
     }
   }
 
@@ -27,17 +68,47 @@ export class MCPClient {
    * Call a specific tool with parameters
    * @param {string} toolName - Name of the tool to call
    * @param {Object} params - Tool parameters
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.noCache] - Bypass the server's result cache
    * @returns {Promise<any>} Tool execution result
+   * @throws {ToolError} With the server's error code (`TOOL_NOT_FOUND`, `RATE_LIMITED`, ...) when it reported one
    */
-  async callTool(toolName, params) {
+  async callTool(toolName, params, options = {}) {
     try {
       const response = await this.axios.post('/api/tools/call', {
         name: toolName,
-        params
+        params,
+        ...(options.noCache ? { noCache: true } : {})
+      });
+      return response.data;
+    } catch (error) {
+      throw requestError(`Failed to call tool ${toolName}`, error);
+    }
+  }
+
+  /**
+   * Call several tools in one request
+   * @param {Array<{name: string, params?: Object, id?: any}>} calls - Calls to run; `id` defaults to the index
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.concurrency] - Calls running at once (capped by the server)
+   * @param {number} [options.deadlineMs] - Time limit of the whole batch (capped by the server)
+   * @param {boolean} [options.noCache] - Bypass the server's result cache
+   * @returns {Promise<Object>} `{ results, summary }`, with `success`, `status` and `result` or `error` per call, in call order
+   */
+  async callTools(calls, options = {}) {
+    try {
+      const response = await this.axios.post('/api/tools/batch', {
+        calls,
+        ...(options.concurrency ? { concurrency: options.concurrency } : {}),
+        ...(options.deadlineMs ? { deadlineMs: options.deadlineMs } : {}),
+        ...(options.noCache ? { noCache: true } : {})
+      }, {
+        // A batch runs longer than a single call; without a deadline the server's limit applies
+        timeout: options.deadlineMs ? options.deadlineMs + 5000 : 0
       });
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to call tool ${toolName}: ${error.message}`);
+      throw requestError('Failed to call tool batch', error);
     }
   }
 
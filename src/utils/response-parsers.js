@@ -0,0 +1,273 @@
+// Response parsers for upstream MCP tool results
+
+/**
+ * Normalize the content blocks of an MCP tool result.
+ *
+ * Text blocks are joined with blank lines. Images, audio and embedded binary
+ * resources become attachments (base64 `data` with its `mimeType`); embedded
+ * text resources are kept with their URI. `structured` is the result's
+ * `structuredContent`, when the server sends one.
+ * @param {Object} mcpResult - Result returned by the upstream client's callTool
+ * @returns {{ text: string, blocks: string[], attachments: Array<Object>, resources: Array<Object>, structured: any, isError: boolean }}
+ *   Normalized content
+ */
+export function normalizeMcpContent(mcpResult) {
+  const content = {
+    text: '',
+    blocks: [],
+    attachments: [],
+    resources: [],
+    structured: mcpResult && mcpResult.structuredContent !== undefined ? mcpResult.structuredContent : null,
+    isError: Boolean(mcpResult && mcpResult.isError)
+  };
+  if (!mcpResult || !Array.isArray(mcpResult.content)) {
+    return content;
+  }
+
+  for (const block of mcpResult.content) {
+    if (!block) {
+      continue;
+    }
+    if (block.type === 'text' && typeof block.text === 'string') {
+      content.blocks.push(block.text);
+    } else if (block.type === 'image' || block.type === 'audio') {
+      content.attachments.push({ type: block.type, mimeType: block.mimeType, data: block.data });
+    } else if (block.type === 'resource' && block.resource) {
+      const { uri, mimeType, text, blob } = block.resource;
+      if (typeof text === 'string') {
+        content.resources.push({ uri, mimeType, text });
+      } else {
+        content.attachments.push({ type: 'resource', uri, mimeType, data: blob });
+      }
+    } else if (block.type === 'resource_link') {
+      content.resources.push({ uri: block.uri, name: block.name, mimeType: block.mimeType });
+    }
+  }
+
+  content.text = content.blocks.join('\n\n');
+  return content;
+}
+
+/**
+ * Get the text of an MCP tool result (every text block, separated by blank lines)
+ * @param {Object} mcpResult - Result returned by the upstream client's callTool
+ * @returns {string|null} Text content, or null when there is none
+ */
+export function getResultText(mcpResult) {
+  return normalizeMcpContent(mcpResult).text || null;
+}
+
+// Named HTML entities seen in search snippets; numeric ones are decoded generically
+const HTML_ENTITIES = { quot: '"', apos: "'", lt: '<', gt: '>', nbsp: ' ', amp: '&' };
+
+/**
+ * Remove HTML tags and decode HTML entities found in search snippets
+ * @param {string} text - Raw snippet text
+ * @returns {string} Plain text
+ */
+export function stripHtml(text) {
+  return text
+    .replace(/<[^>]*>/g, '') // Remove HTML tags
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Parse search results from the Smithery Brave text format
+ * (blocks of "Title: ...", "Description: ...", "URL: ..." separated by blank lines)
+ * @param {string} text - Text returned by the tool
+ * @returns {Array<{title: string, description: string, url: string}>} Parsed results
+ */
+export function parseSearchResults(text) {
+  const results = [];
+  const resultBlocks = text.split('\n\n').filter(block => block.trim());
+
+  for (const block of resultBlocks) {
+    const lines = block.split('\n');
+    let title = '', description = '', url = '';
+
+    for (const line of lines) {
+      if (line.startsWith('Title: ')) {
+        title = line.substring(7).trim();
+      } else if (line.startsWith('Description: ')) {
+        description = stripHtml(line.substring(13).trim());
+      } else if (line.startsWith('URL: ')) {
+        url = line.substring(5).trim();
+      }
+    }
+
+    if (title && url) {
+      results.push({ title, description, url });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Parse JSON text, returning undefined when it is not JSON
+ * @private
+ */
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parse an MCP result as JSON: its structured content if it has one, else its text.
+ * A result split into several JSON text blocks gives an array of them. Text that
+ * is not JSON is wrapped as `{ data: text }`.
+ * @param {Object} mcpResult - Result returned by the upstream client's callTool
+ * @returns {Object} Parsed data
+ */
+export function parseJsonResult(mcpResult) {
+  const content = normalizeMcpContent(mcpResult);
+  if (content.structured !== null) {
+    return content.structured;
+  }
+  if (!content.text) {
+    return {};
+  }
+
+  const parsed = tryParseJson(content.text);
+  if (parsed !== undefined) {
+    return parsed;
+  }
+  if (content.blocks.length > 1) {
+    const blocks = content.blocks.map(tryParseJson);
+    if (blocks.every(block => block !== undefined)) {
+      return blocks;
+    }
+  }
+  // If not JSON, return as text
+  return { data: content.text };
+}
+
+/**
+ * Format a generic JSON result
+ * @param {string} toolName - Tool that produced the result
+ * @param {Object} mcpResult - Raw MCP result
+ * @param {Object} params - Parameters the tool was called with
+ * @param {string} [source] - Source label of the upstream server
+ * @returns {Object} Formatted result
+ */
+export function formatJsonResult(toolName, mcpResult, params, source = 'mcp') {
+  return {
+    data: parseJsonResult(mcpResult),
+    tool: toolName,
+    source
+  };
+}
+
+/**
+ * Format a Smithery Brave search result
+ * @param {string} toolName - Tool that produced the result
+ * @param {Object} mcpResult - Raw MCP result
+ * @param {Object} params - Parameters the tool was called with
+ * @param {string} [source] - Source label of the upstream server
+ * @returns {Object} Formatted search result
+ */
+export function formatSearchResult(toolName, mcpResult, params, source = 'smithery') {
+  const text = getResultText(mcpResult);
+  const results = text ? parseSearchResults(text) : [];
+
+  return {
+    query: params.query,
+    total: results.length,
+    results,
+    source
+  };
+}
+
+/**
+ * Format an Ordiscan result according to the kind of entity the tool returns
+ * @param {string} toolName - Tool that produced the result
+ * @param {Object} mcpResult - Raw MCP result
+ * @param {Object} params - Parameters the tool was called with
+ * @returns {Object} Formatted result
+ */
+export function formatOrdiscanResult(toolName, mcpResult, params) {
+  const data = parseJsonResult(mcpResult);
+  const base = { data, tool: toolName, source: 'ordiscan' };
+
+  if (toolName.includes('address')) {
+    return { address: params.address, ...base };
+  } else if (toolName.includes('inscription')) {
+    return { inscription: params.id || params.number, ...base };
+  } else if (toolName.includes('brc20')) {
+    return { token: params.tick, ...base };
+  } else if (toolName.includes('rune')) {
+    return { rune: params.name || params.runeName, ...base };
+  } else if (toolName.includes('collection')) {
+    return { collection: params.slug, ...base };
+  } else if (toolName.includes('tx')) {
+    return { transaction: params.txid, ...base };
+  } else if (toolName.includes('utxo')) {
+    return { utxo: params.utxo, ...base };
+  } else if (toolName.includes('sat')) {
+    return { satoshi: params.ordinal, ...base };
+  }
+
+  // Generic format for other tools
+  return base;
+}
+
+/**
+ * Format a Stock Analysis (Alpha Vantage) result
+ * @param {string} toolName - Tool that produced the result
+ * @param {Object} mcpResult - Raw MCP result
+ * @param {Object} params - Parameters the tool was called with
+ * @returns {Object} Formatted result
+ */
+export function formatStockResult(toolName, mcpResult, params) {
+  const data = parseJsonResult(mcpResult);
+
+  if (toolName.includes('stock-data') || toolName.includes('daily')) {
+    return { symbol: params.symbol, data, tool: toolName, source: 'stock-analysis' };
+  } else if (toolName.includes('alerts')) {
+    return { symbol: params.symbol, alerts: data, tool: toolName, source: 'stock-analysis' };
+  }
+
+  // Generic format for other stock tools
+  return { data, tool: toolName, source: 'stock-analysis' };
+}
+
+/**
+ * Format any MCP result: its text, JSON data when the text parses, and embedded resources
+ * @param {string} toolName - Tool that produced the result
+ * @param {Object} mcpResult - Raw MCP result
+ * @param {Object} params - Parameters the tool was called with
+ * @param {string} [source] - Source label of the upstream server
+ * @returns {Object} Formatted result
+ */
+export function formatContentResult(toolName, mcpResult, params, source = 'mcp') {
+  const content = normalizeMcpContent(mcpResult);
+  const data = content.structured !== null ? content.structured : tryParseJson(content.text);
+  return {
+    text: content.text,
+    ...(data !== undefined ? { data } : {}),
+    ...(content.resources.length > 0 ? { resources: content.resources } : {}),
+    tool: toolName,
+    source
+  };
+}
+
+/**
+ * Result formatters that upstream servers select with "resultFormat" in
+ * mcp-servers.json, or per tool with "resultFormats"
+ */
+export const RESULT_FORMATTERS = {
+  content: formatContentResult,
+  json: formatJsonResult,
+  search: formatSearchResult,
+  ordiscan: formatOrdiscanResult,
+  stock: formatStockResult
+};
@@ -0,0 +1,127 @@
+import {
+  normalizeMcpContent,
+  getResultText,
+  stripHtml,
+  parseSearchResults,
+  parseJsonResult,
+  formatContentResult,
+  formatSearchResult,
+  formatOrdiscanResult
+} from './response-parsers.js';
+
+const text = value => ({ type: 'text', text: value });
+
+describe('normalizeMcpContent', () => {
+  test('sorts every content block type', () => {
+    const content = normalizeMcpContent({
+      content: [
+        text('First'),
+        { type: 'image', mimeType: 'image/png', data: 'aW1n' },
+        { type: 'audio', mimeType: 'audio/wav', data: 'd2F2' },
+        { type: 'resource', resource: { uri: 'file:///notes.md', mimeType: 'text/markdown', text: '# Notes' } },
+        { type: 'resource', resource: { uri: 'file:///chart.pdf', mimeType: 'application/pdf', blob: 'cGRm' } },
+        { type: 'resource_link', uri: 'file:///big.csv', name: 'big.csv', mimeType: 'text/csv' },
+        null,
+        { type: 'unknown' },
+        text('Second')
+      ]
+    });
+
+    expect(content).toEqual({
+      text: 'First\n\nSecond',
+      blocks: ['First', 'Second'],
+      attachments: [
+        { type: 'image', mimeType: 'image/png', data: 'aW1n' },
+        { type: 'audio', mimeType: 'audio/wav', data: 'd2F2' },
+        { type: 'resource', uri: 'file:///chart.pdf', mimeType: 'application/pdf', data: 'cGRm' }
+      ],
+      resources: [
+        { uri: 'file:///notes.md', mimeType: 'text/markdown', text: '# Notes' },
+        { uri: 'file:///big.csv', name: 'big.csv', mimeType: 'text/csv' }
+      ],
+      structured: null,
+      isError: false
+    });
+  });
+
+  test('keeps structured content and the error flag', () => {
+    expect(normalizeMcpContent({ content: [text('oops')], structuredContent: { ok: false }, isError: true }))
+      .toMatchObject({ structured: { ok: false }, isError: true });
+  });
+
+  test('accepts results without content', () => {
+    expect(normalizeMcpContent(undefined)).toMatchObject({ text: '', blocks: [], attachments: [] });
+    expect(getResultText({ content: [] })).toBeNull();
+  });
+});
+
+describe('stripHtml', () => {
+  test('removes tags and decodes named and numeric entities', () => {
+    expect(stripHtml('<strong>Bitcoin</strong> &amp; ordinals &#8212; &#x1F680; &quot;to the moon&quot; &bogus;'))
+      .toBe('Bitcoin & ordinals — 🚀 "to the moon" &bogus;');
+  });
+
+  test('leaves out-of-range code points alone', () => {
+    expect(stripHtml('&#0; &#x110000;')).toBe('&#0; &#x110000;');
+  });
+});
+
+describe('parseSearchResults', () => {
+  test('reads the title, description and URL blocks', () => {
+    const results = parseSearchResults([
+      'Title: Solana\nDescription: <b>Fast</b> chain\nURL: https://solana.com',
+      'Title: No URL\nDescription: skipped',
+      'Title: Bitcoin\nURL: https://bitcoin.org'
+    ].join('\n\n'));
+
+    expect(results).toEqual([
+      { title: 'Solana', description: 'Fast chain', url: 'https://solana.com' },
+      { title: 'Bitcoin', description: '', url: 'https://bitcoin.org' }
+    ]);
+  });
+});
+
+describe('parseJsonResult', () => {
+  test.each([
+    ['structured content first', { structuredContent: { price: 1 }, content: [text('{"price": 2}')] }, { price: 1 }],
+    ['JSON text', { content: [text('{"price": 2}')] }, { price: 2 }],
+    ['one JSON document per block', { content: [text('{"a": 1}'), text('[2]')] }, [{ a: 1 }, [2]]],
+    ['text that is not JSON', { content: [text('Rune not found')] }, { data: 'Rune not found' }],
+    ['an empty result', { content: [] }, {}]
+  ])('parses %s', (description, result, expected) => {
+    expect(parseJsonResult(result)).toEqual(expected);
+  });
+});
+
+describe('result formatters', () => {
+  test('formatContentResult keeps the text, JSON data and resources', () => {
+    expect(formatContentResult('read', {
+      content: [text('[1, 2]'), { type: 'resource_link', uri: 'file:///a.txt', name: 'a.txt' }]
+    }, {}, 'files')).toEqual({
+      text: '[1, 2]',
+      data: [1, 2],
+      resources: [{ uri: 'file:///a.txt', name: 'a.txt', mimeType: undefined }],
+      tool: 'read',
+      source: 'files'
+    });
+    expect(formatContentResult('echo', { content: [text('hello')] }, {})).toEqual({ text: 'hello', tool: 'echo', source: 'mcp' });
+  });
+
+  test('formatSearchResult reports the query and its results', () => {
+    const result = formatSearchResult('brave_web_search', { content: [text('Title: BONK\nURL: https://bonkcoin.com')] }, { query: 'bonk' });
+
+    expect(result).toEqual({ query: 'bonk', total: 1, results: [{ title: 'BONK', description: '', url: 'https://bonkcoin.com' }], source: 'smithery' });
+  });
+
+  test('formatOrdiscanResult names the entity the tool returns', () => {
+    const mcpResult = { content: [text('{"balance": 5}')] };
+
+    expect(formatOrdiscanResult('ordiscan_address_brc20', mcpResult, { address: 'bc1q' })).toEqual({
+      address: 'bc1q',
+      data: { balance: 5 },
+      tool: 'ordiscan_address_brc20',
+      source: 'ordiscan'
+    });
+    expect(formatOrdiscanResult('ordiscan_rune_market', mcpResult, { name: 'DOG' })).toMatchObject({ rune: 'DOG' });
+  });
+});
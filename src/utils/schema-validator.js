@@ -0,0 +1,327 @@
+// JSON Schema validation of tool arguments
+
+/**
+ * Error raised when tool arguments do not match the tool's parameter schema
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array<{pointer: string, message: string}>} errors - Individual violations
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Compiled `pattern` keywords by source, null for patterns that are ignored
+const compiledPatterns = new Map();
+
+// Longest pattern compiled; longer ones are ignored
+const MAX_PATTERN_LENGTH = 1000;
+
+// A quantified group containing a quantifier, e.g. (a+)+ or (\w*)*, backtracks
+// exponentially on inputs that almost match
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+/**
+ * Get the compiled regular expression of a `pattern` keyword. Patterns come from
+ * upstream tool schemas, so invalid patterns and patterns prone to catastrophic
+ * backtracking are logged once and ignored instead of being run on every call.
+ * @param {string} pattern - Pattern from a schema
+ * @returns {RegExp|null} Compiled pattern, or null when it is ignored
+ */
+export function compilePattern(pattern) {
+  if (compiledPatterns.has(pattern)) {
+    return compiledPatterns.get(pattern);
+  }
+
+  let compiled = null;
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    console.log(`⚠ Ignoring schema pattern longer than ${MAX_PATTERN_LENGTH} characters`);
+  } else if (NESTED_QUANTIFIER.test(pattern) || /\\[1-9]/.test(pattern)) {
+    console.log(`⚠ Ignoring schema pattern ${pattern}: nested quantifiers and backreferences are not supported`);
+  } else {
+    try {
+      compiled = new RegExp(pattern);
+    } catch (error) {
+      console.log(`⚠ Ignoring invalid schema pattern ${pattern}: ${error.message}`);
+    }
+  }
+  compiledPatterns.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * Compile every `pattern` keyword of a schema, so problems are reported when the
+ * schema is loaded rather than on the first call
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} The schema
+ */
+export function compileSchemaPatterns(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (schema.pattern !== undefined) {
+    compilePattern(schema.pattern);
+  }
+  Object.values(schema.properties || {}).forEach(compileSchemaPatterns);
+  compileSchemaPatterns(schema.items);
+  if (typeof schema.additionalProperties === 'object') {
+    compileSchemaPatterns(schema.additionalProperties);
+  }
+  return schema;
+}
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901)
+ * @param {string} key - Property name
+ * @returns {string} Escaped token
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {any} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+/**
+ * Coerce a string entered on the command line to the type a schema expects
+ * @param {string} value - Raw string
+ * @param {string} type - Expected JSON Schema type
+ * @returns {any} Coerced value, or the original string if it cannot be coerced
+ */
+function coerceString(value, type) {
+  const trimmed = value.trim();
+
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      if (trimmed === '') return value;
+      const number = Number(trimmed);
+      return Number.isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      if (/^(true|yes|y|1)$/i.test(trimmed)) return true;
+      if (/^(false|no|n|0)$/i.test(trimmed)) return false;
+      return value;
+    case 'null':
+      return trimmed === '' || trimmed === 'null' ? null : value;
+    case 'array':
+      if (trimmed.startsWith('[')) {
+        try {
+          return JSON.parse(trimmed);
+        } catch {
+          return value;
+        }
+      }
+      // Comma separated lists are accepted as well
+      return trimmed === '' ? [] : trimmed.split(',').map(item => item.trim());
+    case 'object':
+      try {
+        const parsed = JSON.parse(trimmed);
+        return typeOf(parsed) === 'object' ? parsed : value;
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate (and coerce) a single value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to validate
+ * @param {string} [pointer] - JSON pointer of the value, used in error reports
+ * @returns {{value: any, errors: Array<{pointer: string, message: string}>}} Coerced value and violations
+ */
+export function validateValue(schema, value, pointer = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') {
+    return { value, errors };
+  }
+
+  const types = schema.type ? [].concat(schema.type) : [];
+
+  // Coerce strings when the schema does not accept strings
+  if (typeof value === 'string' && types.length > 0 && !types.includes('string')) {
+    for (const type of types) {
+      const coerced = coerceString(value, type);
+      if (matchesType(coerced, type)) {
+        value = coerced;
+        break;
+      }
+    }
+  }
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push({ pointer, message: `must be of type ${types.join(' or ')}, got ${typeOf(value)}` });
+    return { value, errors };
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ pointer, message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ pointer, message: `must be equal to ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ pointer, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ pointer, message: `must be <= ${schema.maximum}` });
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push({ pointer, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push({ pointer, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ pointer, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ pointer, message: `must have at most ${schema.maxLength} characters` });
+    }
+    const pattern = schema.pattern !== undefined ? compilePattern(schema.pattern) : null;
+    if (pattern && !pattern.test(value)) {
+      errors.push({ pointer, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ pointer, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ pointer, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value = value.map((item, index) => {
+        const result = validateValue(schema.items, item, `${pointer}/${index}`);
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const result = validateObject(schema, value, pointer);
+    value = result.value;
+    errors.push(...result.errors);
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Validate the properties of an object, applying defaults for missing ones
+ * @private
+ */
+function validateObject(schema, object, pointer) {
+  const errors = [];
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const value = { ...object };
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    const propertyPointer = `${pointer}/${escapePointer(name)}`;
+
+    if (value[name] === undefined || value[name] === '') {
+      if (propertySchema && propertySchema.default !== undefined) {
+        value[name] = structuredClone(propertySchema.default);
+        continue;
+      }
+      if (value[name] === '' && !required.includes(name)) {
+        delete value[name];
+        continue;
+      }
+    }
+
+    if (value[name] !== undefined) {
+      const result = validateValue(propertySchema, value[name], propertyPointer);
+      value[name] = result.value;
+      errors.push(...result.errors);
+    }
+  }
+
+  for (const name of required) {
+    if (value[name] === undefined || value[name] === '') {
+      errors.push({ pointer: `${pointer}/${escapePointer(name)}`, message: 'is required' });
+    }
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const name of Object.keys(value)) {
+      if (!(name in properties)) {
+        errors.push({ pointer: `${pointer}/${escapePointer(name)}`, message: 'is not an allowed property' });
+      }
+    }
+  } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    for (const name of Object.keys(value)) {
+      if (!(name in properties)) {
+        const result = validateValue(schema.additionalProperties, value[name], `${pointer}/${escapePointer(name)}`);
+        value[name] = result.value;
+        errors.push(...result.errors);
+      }
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Validate tool arguments against a tool's parameter schema
+ * @param {Object} schema - Parameter schema advertised by /api/tools/list
+ * @param {Object} params - Tool arguments
+ * @returns {{value: Object, errors: Array<{pointer: string, message: string}>}} Coerced arguments with defaults applied, and violations
+ */
+export function validateArguments(schema, params = {}) {
+  if (typeOf(params) !== 'object') {
+    return { value: params, errors: [{ pointer: '', message: `must be of type object, got ${typeOf(params)}` }] };
+  }
+  if (!schema || typeof schema !== 'object') {
+    return { value: params, errors: [] };
+  }
+  return validateValue({ type: 'object', ...schema }, params);
+}
+
+/**
+ * Format violations for display
+ * @param {Array<{pointer: string, message: string}>} errors - Violations
+ * @returns {string} One violation per line
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => `${error.pointer || '/'} ${error.message}`).join('\n');
+}
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import {
+  validateArguments,
+  validateValue,
+  compilePattern,
+  compileSchemaPatterns,
+  formatValidationErrors
+} from './schema-validator.js';
+
+const searchSchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string', minLength: 1 },
+    count: { type: 'integer', minimum: 1, maximum: 20, default: 10 },
+    safe: { type: 'boolean' },
+    chains: { type: 'array', items: { type: 'string', enum: ['solana', 'ethereum'] } }
+  },
+  required: ['query'],
+  additionalProperties: false
+};
+
+describe('validateArguments', () => {
+  test('applies defaults and coerces strings to the schema types', () => {
+    const { value, errors } = validateArguments(searchSchema, { query: 'bonk', safe: 'yes', chains: 'solana, ethereum' });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ query: 'bonk', count: 10, safe: true, chains: ['solana', 'ethereum'] });
+  });
+
+  test('reports every violation by JSON pointer', () => {
+    const { errors } = validateArguments(searchSchema, { count: 'many', chains: ['bitcoin'], extra: 1 });
+
+    expect(errors).toEqual([
+      { pointer: '/count', message: 'must be of type integer, got string' },
+      { pointer: '/chains/0', message: 'must be one of: "solana", "ethereum"' },
+      { pointer: '/query', message: 'is required' },
+      { pointer: '/extra', message: 'is not an allowed property' }
+    ]);
+  });
+
+  test('rejects arguments that are not an object', () => {
+    expect(validateArguments(searchSchema, ['bonk']).errors).toEqual([
+      { pointer: '', message: 'must be of type object, got array' }
+    ]);
+  });
+
+  test('accepts anything when the tool has no schema', () => {
+    expect(validateArguments(null, { any: 'thing' })).toEqual({ value: { any: 'thing' }, errors: [] });
+  });
+
+  test('escapes property names in pointers', () => {
+    const { errors } = validateArguments({ required: ['a/b~c'] }, {});
+    expect(formatValidationErrors(errors)).toBe('/a~1b~0c is required');
+  });
+});
+
+describe('validateValue', () => {
+  test('checks numeric bounds', () => {
+    expect(validateValue({ type: 'number', exclusiveMaximum: 1 }, 1).errors).toEqual([{ pointer: '', message: 'must be < 1' }]);
+    expect(validateValue({ type: 'integer', minimum: 1 }, '0', '/count').errors).toEqual([{ pointer: '/count', message: 'must be >= 1' }]);
+  });
+
+  test('checks string patterns', () => {
+    const schema = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+    expect(validateValue(schema, `0x${'ab'.repeat(20)}`).errors).toEqual([]);
+    expect(validateValue(schema, '0x12').errors).toEqual([{ pointer: '', message: 'must match pattern ^0x[0-9a-fA-F]{40}$' }]);
+  });
+});
+
+describe('schema patterns', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  test('compiles each pattern once', () => {
+    const pattern = '^[a-z]+-once$';
+    expect(compilePattern(pattern)).toBe(compilePattern(pattern));
+  });
+
+  test('ignores invalid patterns instead of throwing', () => {
+    const schema = { type: 'object', properties: { symbol: { type: 'string', pattern: '([A-Z' } } };
+
+    compileSchemaPatterns(schema);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid schema pattern ([A-Z'));
+    expect(validateArguments(schema, { symbol: 'anything' }).errors).toEqual([]);
+  });
+
+  test.each([
+    '^(a+)+$',
+    '^([a-z0-9]*)*@',
+    '^(\\w+\\s?){2,}$',
+    '^(a)\\1$'
+  ])('ignores pattern %s, which is prone to catastrophic backtracking', pattern => {
+    expect(compilePattern(pattern)).toBeNull();
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('nested quantifiers and backreferences'));
+
+    const startedAt = Date.now();
+    validateValue({ type: 'string', pattern }, `${'a'.repeat(50)}!`);
+    expect(Date.now() - startedAt).toBeLessThan(100);
+  });
+
+  test('ignores very long patterns', () => {
+    expect(compilePattern('a'.repeat(2000))).toBeNull();
+  });
+
+  test('keeps quantified groups without inner quantifiers', () => {
+    expect(compilePattern('^(ab)+$')).toBeInstanceOf(RegExp);
+    expect(compilePattern('^[\\w-.]+$')).toBeInstanceOf(RegExp);
+  });
+});
@@ -1,13 +1,85 @@
 // Smithery MCP client utility
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { createTransport } from '@smithery/sdk/client/transport.js';
+import { ConnectionPool } from './connection-pool.js';
+import { ToolError } from './errors.js';
+
+// Network error codes of a connection that can no longer be used
+const BROKEN_CONNECTION_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'UND_ERR_SOCKET']);
+
+/**
+ * Get the network error code of an error or of its cause (fetch wraps them in "fetch failed")
+ * @private
+ */
+function networkCode(error) {
+  return (error.cause && error.cause.code) || error.code;
+}
+
+/**
+ * Check whether a request was made on a closed transport (the MCP client's "Not connected")
+ * @private
+ */
+function isNotConnected(error) {
+  return /^not connected$/i.test(error.message || '');
+}
+
+/**
+ * Check whether an error means the connection itself is unusable rather than
+ * the tool having failed: McpError ConnectionClosed, HTTP 404 for an unknown
+ * session, a closed transport or a network error
+ * @param {Error} error - Error thrown by the MCP client
+ * @returns {boolean} True if the connection should be discarded
+ */
+export function isTransportError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.code === -32000 || error.code === 404 || isNotConnected(error)) {
+    return true;
+  }
+  return BROKEN_CONNECTION_CODES.has(networkCode(error));
+}
+
+/**
+ * Check whether a request failed before reaching the server, so sending it
+ * again cannot run a tool twice: the session was unknown to the server, the
+ * transport was already closed or the connection was refused. A connection
+ * lost while the request was in flight does not qualify.
+ * @param {Error} error - Error thrown by the MCP client
+ * @returns {boolean} True if the request may be retried on a new connection
+ */
+export function isUnsentRequestError(error) {
+  if (!error) {
+    return false;
+  }
+  return error.code === 404 || isNotConnected(error) || networkCode(error) === 'ECONNREFUSED';
+}
 
 export class SmitheryClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} config.baseUrl - MCP server URL
+   * @param {string} config.apiKey - Smithery API key
+   * @param {string} config.profile - Smithery profile
+   * @param {Object} [config.pool] - Keep connections open between requests instead of connecting per request
+   * @param {number} [config.pool.maxConnections] - Maximum number of open connections (0 disables pooling)
+   * @param {number} [config.pool.idleTimeoutMs] - Close connections unused for this long
+   */
   constructor(config) {
     this.baseUrl = config.baseUrl;
     this.apiKey = config.apiKey;
     this.profile = config.profile;
     this._isAvailable = true; // Assume available if credentials are provided
+
+    this.pool = config.pool && config.pool.maxConnections > 0
+      ? new ConnectionPool({
+          create: () => this.createPooledConnection(),
+          destroy: connection => connection.client.close(),
+          maxConnections: config.pool.maxConnections,
+          idleTimeoutMs: config.pool.idleTimeoutMs
+        })
+      : null;
+    this.reconnects = 0;
   }
 
   /**
@@ -41,27 +113,89 @@ export class SmitheryClient {
   }
 
   /**
-   * Initialize the Smithery client (just validate credentials)
-   * @returns {Promise<boolean>} True if credentials are valid
+   * Create a connection kept in the pool, discarded from it once its transport closes
+   * @private
    */
-  async initialize() {
-    try {
-      // Test connection by trying to list tools
-      const { client, transport } = await this.createFreshConnection();
-      
+  async createPooledConnection() {
+    const connection = await this.createFreshConnection();
+    connection.client.onclose = () => {
+      if (connection.entry) {
+        this.pool.discard(connection.entry);
+      }
+    };
+    return connection;
+  }
+
+  /**
+   * Run a request on a connection: a pooled one when pooling is enabled, otherwise
+   * a fresh connection closed afterwards. A pooled connection that turns out to be
+   * stale is replaced, and the request retried once on a new connection when it
+   * never reached the server.
+   * @param {Function} request - Async function receiving the MCP client
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Stops waiting for a free pooled connection
+   * @returns {Promise<any>} Result of the request
+   * @private
+   */
+  async withConnection(request, options = {}) {
+    if (!this.pool) {
+      const { client } = await this.createFreshConnection();
       try {
-        await client.listTools();
-        console.log('✓ Connected to Smithery MCP server');
-        this._isAvailable = true;
-        return true;
+        return await request(client);
       } finally {
-        // Always clean up the test connection
+        // Always clean up the connection
         try {
           await client.close();
         } catch (closeError) {
           // Ignore close errors
         }
       }
+    }
+
+    let entry = await this.pool.acquire({ signal: options.signal });
+    try {
+      return await this.runPooled(entry, request);
+    } catch (error) {
+      if (!entry.reused || !isUnsentRequestError(error)) {
+        throw error;
+      }
+
+      // The connection went stale while idle: replace it and try again
+      console.log(`⚠ Smithery connection to ${this.baseUrl} was lost, reconnecting...`);
+      this.reconnects++;
+      entry = await this.pool.acquire({ fresh: true, signal: options.signal });
+      return await this.runPooled(entry, request);
+    }
+  }
+
+  /**
+   * Run a request on a pooled connection and give it back, discarding it after a transport error
+   * @private
+   */
+  async runPooled(entry, request) {
+    entry.connection.entry = entry;
+    let broken = false;
+    try {
+      return await request(entry.connection.client);
+    } catch (error) {
+      broken = isTransportError(error);
+      throw error;
+    } finally {
+      this.pool.release(entry, { broken });
+    }
+  }
+
+  /**
+   * Initialize the Smithery client (just validate credentials)
+   * @returns {Promise<boolean>} True if credentials are valid
+   */
+  async initialize() {
+    try {
+      // Test connection by trying to list tools (in pooled mode the connection stays open)
+      await this.withConnection(client => client.listTools());
+      console.log(`✓ Connected to Smithery MCP server${this.pool ? ' (pooled connections)' : ''}`);
+      this._isAvailable = true;
+      return true;
     } catch (error) {
       console.error('Failed to connect to Smithery:', error.message);
       this._isAvailable = false;
@@ -75,30 +209,17 @@ export class SmitheryClient {
    */
   async listTools() {
     if (!this._isAvailable) {
-      throw new Error('Smithery client not available');
+      throw new ToolError('UPSTREAM_UNAVAILABLE', 'Smithery client not available');
     }
     
-    let client, transport;
     try {
-      // Create fresh connection for this request
-      ({ client, transport } = await this.createFreshConnection());
-      
-      const result = await client.listTools();
+      const result = await this.withConnection(client => client.listTools());
       return result.tools;
     } catch (error) {
       console.error('Error listing Smithery tools:', error);
-      // Mark as unavailable if connection fails
-      this._isAvailable = false;
-      throw new Error(`Failed to list tools: ${error.message}`);
-    } finally {
-      // Always clean up the connection
-      if (client) {
-        try {
-          await client.close();
-        } catch (closeError) {
-          // Ignore close errors
-        }
-      }
+      // A single failure does not make the client unavailable: the tool registry
+      // tracks the upstream health and reconnects through initialize()
+      throw new Error(`Failed to list tools: ${error.message}`, { cause: error });
     }
   }
 
@@ -106,38 +227,114 @@ export class SmitheryClient {
    * Call a tool via Smithery
    * @param {string} name - Tool name
    * @param {Object} args - Tool arguments
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the call and closes its connection
    * @returns {Promise<Object>} Tool execution result
    */
-  async callTool(name, args) {
+  async callTool(name, args, options = {}) {
     if (!this._isAvailable) {
-      throw new Error('Smithery client not available');
+      throw new ToolError('UPSTREAM_UNAVAILABLE', 'Smithery client not available');
     }
     
-    let client, transport;
     try {
-      // Create fresh connection for this request
-      ({ client, transport } = await this.createFreshConnection());
-      
-      const result = await client.callTool({
+      return await this.withConnection(client => client.callTool({
         name,
         arguments: args
-      });
-      
-      return result;
+      }, undefined, { signal: options.signal }), { signal: options.signal });
     } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        // Cancelled by the caller (timeout or run cancelled), the server itself is fine
+        throw new Error(`Call to ${name} was cancelled`);
+      }
+
       console.error(`Error calling Smithery tool ${name}:`, error);
-      // Mark as unavailable if connection fails
-      this._isAvailable = false;
-      throw new Error(`Failed to call tool ${name}: ${error.message}`);
-    } finally {
-      // Always clean up the connection
-      if (client) {
-        try {
-          await client.close();
-        } catch (closeError) {
-          // Ignore close errors
+      // A single failure does not make the client unavailable: the tool registry
+      // tracks the upstream health and reconnects through initialize()
+      throw new Error(`Failed to call tool ${name}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * List the resources of the server
+   * @returns {Promise<Array>} Resources (uri, name, description, mimeType), empty if the server has none
+   */
+  async listResources() {
+    if (!this._isAvailable) {
+      throw new ToolError('UPSTREAM_UNAVAILABLE', 'Smithery client not available');
+    }
+
+    try {
+      return await this.withConnection(async client => {
+        if (!client.getServerCapabilities()?.resources) {
+          return [];
         }
-      }
+        const result = await client.listResources();
+        return result.resources;
+      });
+    } catch (error) {
+      throw new Error(`Failed to list resources: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array>} Resource contents (uri, mimeType and text or base64 blob)
+   */
+  async readResource(uri, options = {}) {
+    if (!this._isAvailable) {
+      throw new ToolError('UPSTREAM_UNAVAILABLE', 'Smithery client not available');
+    }
+
+    try {
+      const result = await this.withConnection(client => client.readResource({ uri }, { signal: options.signal }), { signal: options.signal });
+      return result.contents;
+    } catch (error) {
+      throw new Error(`Failed to read resource ${uri}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * List the prompt templates of the server
+   * @returns {Promise<Array>} Prompts (name, description, arguments), empty if the server has none
+   */
+  async listPrompts() {
+    if (!this._isAvailable) {
+      throw new ToolError('UPSTREAM_UNAVAILABLE', 'Smithery client not available');
+    }
+
+    try {
+      return await this.withConnection(async client => {
+        if (!client.getServerCapabilities()?.prompts) {
+          return [];
+        }
+        const result = await client.listPrompts();
+        return result.prompts;
+      });
+    } catch (error) {
+      throw new Error(`Failed to list prompts: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Render a prompt template
+   * @param {string} name - Prompt name
+   * @param {Object<string, string>} args - Prompt arguments
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Rendered prompt (`description` and `messages`)
+   */
+  async getPrompt(name, args, options = {}) {
+    if (!this._isAvailable) {
+      throw new ToolError('UPSTREAM_UNAVAILABLE', 'Smithery client not available');
+    }
+
+    try {
+      return await this.withConnection(client => client.getPrompt({ name, arguments: args }, { signal: options.signal }), { signal: options.signal });
+    } catch (error) {
+      throw new Error(`Failed to get prompt ${name}: ${error.message}`, { cause: error });
     }
   }
 
@@ -150,10 +347,22 @@ export class SmitheryClient {
   }
 
   /**
-   * Close any persistent connections (not needed in stateless mode)
+   * Report the connection pool usage
+   * @returns {Object|null} Pool statistics, or null in stateless mode
+   */
+  poolStats() {
+    return this.pool ? { ...this.pool.stats(), reconnects: this.reconnects } : null;
+  }
+
+  /**
+   * Close any persistent connections (nothing to close in stateless mode)
    */
   async close() {
-    // No persistent connections to close in stateless mode
-    console.log('✓ Smithery client closed (stateless mode)');
+    if (!this.pool) {
+      console.log('✓ Smithery client closed (stateless mode)');
+      return;
+    }
+    await this.pool.drain();
+    console.log('✓ Smithery client closed (connection pool drained)');
   }
 } 
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { SmitheryClient, isTransportError, isUnsentRequestError } from './smithery-client.js';
+
+const networkError = code => new TypeError('fetch failed', { cause: Object.assign(new Error(code), { code }) });
+const withCode = (message, code) => Object.assign(new Error(message), { code });
+
+describe('transport error classification', () => {
+  test.each([
+    ['ConnectionClosed', withCode('MCP error -32000: Connection closed', -32000), true, false],
+    ['unknown session', withCode('Error POSTing to endpoint (HTTP 404): Session not found', 404), true, true],
+    ['closed transport', new Error('Not connected'), true, true],
+    ['refused connection', networkError('ECONNREFUSED'), true, true],
+    ['reset connection', networkError('ECONNRESET'), true, false],
+    ['tool error mentioning a session', new Error('Trading session is closed for AAPL'), false, false],
+    ['tool error mentioning a connection', new Error('Wallet not connected to the exchange'), false, false],
+    ['invalid params', withCode('MCP error -32602: Invalid arguments', -32602), false, false]
+  ])('%s', (description, error, transport, unsent) => {
+    expect(isTransportError(error)).toBe(transport);
+    expect(isUnsentRequestError(error)).toBe(unsent);
+  });
+
+  test('ignores missing errors', () => {
+    expect(isTransportError(undefined)).toBe(false);
+    expect(isUnsentRequestError(null)).toBe(false);
+  });
+});
+
+describe('SmitheryClient pooled calls', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Pooled client whose connections run `callTool` in turn from the given implementations
+   */
+  function createClient(...implementations) {
+    const client = new SmitheryClient({ baseUrl: 'https://server.example', apiKey: 'key', profile: 'profile', pool: { maxConnections: 1 } });
+    const callTool = jest.fn();
+    implementations.forEach(implementation => callTool.mockImplementationOnce(implementation));
+    client.createPooledConnection = async () => ({ client: { callTool, close: async () => {} } });
+    return { client, callTool };
+  }
+
+  async function warmUp(client) {
+    // Leaves an idle connection in the pool, so the next call reuses it
+    await client.callTool('ping', {});
+  }
+
+  test('retries once on a new connection when the stale session was rejected', async () => {
+    const { client, callTool } = createClient(
+      async () => ({ content: [] }),
+      async () => { throw withCode('Session not found', 404); },
+      async () => ({ content: [{ type: 'text', text: 'ok' }] })
+    );
+    await warmUp(client);
+
+    await expect(client.callTool('search', {})).resolves.toEqual({ content: [{ type: 'text', text: 'ok' }] });
+    expect(callTool).toHaveBeenCalledTimes(3);
+    expect(client.poolStats()).toMatchObject({ reconnects: 1, created: 2 });
+  });
+
+  test('does not repeat a call whose connection was lost in flight', async () => {
+    const { client, callTool } = createClient(
+      async () => ({ content: [] }),
+      async () => { throw withCode('Connection closed', -32000); }
+    );
+    await warmUp(client);
+
+    await expect(client.callTool('swap', {})).rejects.toThrow('Failed to call tool swap: Connection closed');
+    expect(callTool).toHaveBeenCalledTimes(2);
+    // The connection is still discarded
+    expect(client.poolStats()).toMatchObject({ open: 0, discarded: 1 });
+  });
+
+  test('does not retry tool errors mentioning a session', async () => {
+    const { client, callTool } = createClient(
+      async () => ({ content: [] }),
+      async () => { throw new Error('Trading session is closed'); }
+    );
+    await warmUp(client);
+
+    await expect(client.callTool('order', {})).rejects.toThrow('Failed to call tool order: Trading session is closed');
+    expect(callTool).toHaveBeenCalledTimes(2);
+    expect(client.poolStats()).toMatchObject({ open: 1, discarded: 0 });
+  });
+
+  test('stops waiting for a busy connection when the call is cancelled', async () => {
+    let finish;
+    const { client } = createClient(() => new Promise(resolve => { finish = resolve; }));
+    const running = client.callTool('slow', {});
+    await new Promise(resolve => setImmediate(resolve));
+    const controller = new AbortController();
+
+    const waiting = client.callTool('search', {}, { signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toThrow('Call to search was cancelled');
+    expect(client.poolStats().waiting).toBe(0);
+    finish({ content: [] });
+    await running;
+  });
+});
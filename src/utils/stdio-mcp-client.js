@@ -0,0 +1,316 @@
+// MCP client for local servers run as child processes over stdio
+import readline from 'readline';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Client for an MCP server spawned as a child process (`npx some-mcp-server`,
+ * a local Python server, ...), with the same interface as SmitheryClient.
+ *
+ * The process is started by initialize() and kept running. When it exits
+ * unexpectedly it is restarted after a delay that doubles with each crash in
+ * a row, up to `maxRestartDelayMs`; a restart that stays up for a minute
+ * resets the delay. Calls made while it restarts wait for the new process.
+ */
+export class StdioMcpClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} config.command - Executable to run
+   * @param {string[]} [config.args] - Command arguments
+   * @param {Object<string, string>} [config.env] - Extra environment variables (PATH, HOME, ... are inherited)
+   * @param {string} [config.cwd] - Working directory of the process
+   * @param {string} [config.label] - Name used in log lines
+   * @param {number} [config.restartDelayMs] - Delay before the first restart after a crash
+   * @param {number} [config.maxRestartDelayMs] - Longest delay between restarts
+   */
+  constructor(config) {
+    this.command = config.command;
+    this.args = config.args || [];
+    this.env = config.env || {};
+    this.cwd = config.cwd;
+    this.label = config.label || config.command;
+    this.restartDelayMs = config.restartDelayMs || 1000;
+    this.maxRestartDelayMs = config.maxRestartDelayMs || 30000;
+
+    this.client = null;
+    // Aborted when the connection of a client closes, see requestOptions()
+    this.closeSignals = new WeakMap();
+    this.starting = null;
+    this.restartTimer = null;
+    this.closing = false;
+    this.crashes = 0;
+    this.restarts = 0;
+    this.startedAt = null;
+    this._isAvailable = true;
+  }
+
+  /**
+   * Spawn the process and complete the MCP handshake
+   * @returns {Promise<Client>} Connected client
+   * @private
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = this.spawn().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * @private
+   */
+  async spawn() {
+    const transport = new StdioClientTransport({
+      command: this.command,
+      args: this.args,
+      env: { ...getDefaultEnvironment(), ...this.env },
+      cwd: this.cwd,
+      stderr: 'pipe'
+    });
+
+    // Server logs are prefixed with the server name
+    const logLines = readline.createInterface({ input: transport.stderr });
+    logLines.on('line', line => {
+      console.error(`[${this.label}] ${line}`);
+    });
+
+    const client = new Client({ name: 'enhanced-cli-client', version: '1.0.0' }, { capabilities: {} });
+    const closed = new AbortController();
+    this.closeSignals.set(client, closed.signal);
+    client.onclose = () => {
+      closed.abort(new McpError(ErrorCode.ConnectionClosed, 'Connection closed'));
+      // The line reader would otherwise keep the event loop alive
+      logLines.close();
+      this.handleExit(client);
+    };
+    try {
+      await client.connect(transport);
+    } catch (error) {
+      // A process failing the handshake may still be running and holding its pipes
+      logLines.close();
+      await transport.close().catch(() => {});
+      throw error;
+    }
+
+    this.client = client;
+    this.startedAt = Date.now();
+    return client;
+  }
+
+  /**
+   * Restart the process when it exits on its own
+   * @param {Client|null} client - Client whose process exited, or null after a failed restart
+   * @private
+   */
+  handleExit(client) {
+    // Processes that never completed the handshake are reported by start() instead
+    if (client && this.client !== client) {
+      return;
+    }
+    this.client = null;
+    if (this.closing) {
+      return;
+    }
+
+    // A process that ran for a minute is considered recovered
+    if (this.startedAt && Date.now() - this.startedAt > 60000) {
+      this.crashes = 0;
+    }
+    const delay = Math.min(this.restartDelayMs * 2 ** this.crashes, this.maxRestartDelayMs);
+    this.crashes++;
+    console.log(`⚠ ${this.label} MCP server exited, restarting in ${delay / 1000}s`);
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.restarts++;
+      this.start()
+        .then(() => console.log(`✓ ${this.label} MCP server restarted`))
+        .catch(error => {
+          console.error(`Failed to restart ${this.label} MCP server:`, error.message);
+          this.handleExit(null);
+        });
+    }, delay);
+    this.restartTimer.unref();
+  }
+
+  /**
+   * Get the connected client, starting the process if it is not running
+   * @private
+   */
+  async connection() {
+    if (this.client) {
+      return this.client;
+    }
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    return this.start();
+  }
+
+  /**
+   * Options of a request: the caller's signal combined with the one aborted when the
+   * connection closes. The SDK only clears the timeout of a pending request when it is
+   * aborted, so requests cut off by a crash would otherwise keep the process alive.
+   * @private
+   */
+  requestOptions(client, options = {}) {
+    const closed = this.closeSignals.get(client);
+    return { signal: options.signal ? AbortSignal.any([options.signal, closed]) : closed };
+  }
+
+  /**
+   * Start the server process
+   * @returns {Promise<boolean>} True if the server answered the handshake and tool listing
+   */
+  async initialize() {
+    this.closing = false;
+    try {
+      const client = await this.connection();
+      await client.listTools(undefined, this.requestOptions(client));
+      console.log(`✓ Started ${this.label} MCP server (${[this.command, ...this.args].join(' ')})`);
+      this._isAvailable = true;
+      return true;
+    } catch (error) {
+      console.error(`Failed to start ${this.label} MCP server:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * List the tools of the server
+   * @returns {Promise<Array>} List of available tools
+   */
+  async listTools() {
+    try {
+      const client = await this.connection();
+      const result = await client.listTools(undefined, this.requestOptions(client));
+      return result.tools;
+    } catch (error) {
+      throw new Error(`Failed to list tools: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Call a tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @returns {Promise<Object>} Tool execution result
+   */
+  async callTool(name, args, options = {}) {
+    try {
+      const client = await this.connection();
+      return await client.callTool({ name, arguments: args }, undefined, this.requestOptions(client, options));
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw new Error(`Call to ${name} was cancelled`);
+      }
+      throw new Error(`Failed to call tool ${name}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * List the resources of the server
+   * @returns {Promise<Array>} Resources (uri, name, description, mimeType), empty if the server has none
+   */
+  async listResources() {
+    try {
+      const client = await this.connection();
+      if (!client.getServerCapabilities()?.resources) {
+        return [];
+      }
+      const result = await client.listResources(undefined, this.requestOptions(client));
+      return result.resources;
+    } catch (error) {
+      throw new Error(`Failed to list resources: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array>} Resource contents (uri, mimeType and text or base64 blob)
+   */
+  async readResource(uri, options = {}) {
+    try {
+      const client = await this.connection();
+      const result = await client.readResource({ uri }, this.requestOptions(client, options));
+      return result.contents;
+    } catch (error) {
+      throw new Error(`Failed to read resource ${uri}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * List the prompt templates of the server
+   * @returns {Promise<Array>} Prompts (name, description, arguments), empty if the server has none
+   */
+  async listPrompts() {
+    try {
+      const client = await this.connection();
+      if (!client.getServerCapabilities()?.prompts) {
+        return [];
+      }
+      const result = await client.listPrompts(undefined, this.requestOptions(client));
+      return result.prompts;
+    } catch (error) {
+      throw new Error(`Failed to list prompts: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Render a prompt template
+   * @param {string} name - Prompt name
+   * @param {Object<string, string>} args - Prompt arguments
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object>} Rendered prompt (`description` and `messages`)
+   */
+  async getPrompt(name, args, options = {}) {
+    try {
+      const client = await this.connection();
+      return await client.getPrompt({ name, arguments: args }, this.requestOptions(client, options));
+    } catch (error) {
+      throw new Error(`Failed to get prompt ${name}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Check if client is available
+   * @returns {boolean} Availability status
+   */
+  isAvailable() {
+    return this._isAvailable && !this.closing;
+  }
+
+  /**
+   * Report the process state (shown in place of pool statistics)
+   * @returns {Object} Whether the process runs and how often it was restarted
+   */
+  poolStats() {
+    return { running: Boolean(this.client), restarts: this.restarts };
+  }
+
+  /**
+   * Stop the server process, including one started by a restart still in progress
+   */
+  async close() {
+    this.closing = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.starting) {
+      await this.starting.catch(() => {});
+    }
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+    }
+    console.log(`✓ ${this.label} MCP server stopped`);
+  }
+}
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { StdioMcpClient } from './stdio-mcp-client.js';
+
+const serverPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'crashing-mcp-server.js');
+
+// Handles of child processes and their pipes, which keep the event loop alive
+const processHandles = () => process.getActiveResourcesInfo().filter(type => /ProcessWrap|PipeWrap/.test(type));
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const startedAt = Date.now();
+  while (!condition()) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('StdioMcpClient', () => {
+  let client;
+  let handlesBefore;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    handlesBefore = processHandles().length;
+    client = new StdioMcpClient({ command: process.execPath, args: [serverPath], label: 'test', restartDelayMs: 10 });
+  });
+
+  afterEach(async () => {
+    await client.close();
+    jest.restoreAllMocks();
+  });
+
+  test('starts the server and calls its tools', async () => {
+    expect(await client.initialize()).toBe(true);
+
+    expect((await client.listTools()).map(tool => tool.name)).toEqual(['echo', 'crash']);
+    expect(await client.callTool('echo', { text: 'hi' })).toMatchObject({ content: [{ type: 'text', text: 'hi' }] });
+  });
+
+  test('restarts a crashed server', async () => {
+    await client.initialize();
+
+    await expect(client.callTool('crash', {})).rejects.toThrow('Failed to call tool crash');
+    await waitFor(() => client.poolStats().running && client.restarts === 1);
+
+    expect(await client.callTool('echo', { text: 'back' })).toMatchObject({ content: [{ text: 'back' }] });
+  });
+
+  test('fails calls cut off by a crash at once, as a closed connection', async () => {
+    await client.initialize();
+
+    const error = await client.callTool('crash', {}).catch(error => error);
+
+    expect(error.cause).toMatchObject({ name: 'McpError', code: -32000 });
+    expect(error.message).toBe('Failed to call tool crash: MCP error -32000: Connection closed');
+  });
+
+  test('releases the process and its pipes when closed after a restart', async () => {
+    await client.initialize();
+    await expect(client.callTool('crash', {})).rejects.toThrow();
+    await waitFor(() => client.poolStats().running);
+
+    await client.close();
+
+    expect(client.poolStats().running).toBe(false);
+    await waitFor(() => processHandles().length <= handlesBefore);
+  });
+
+  test('stops a restart still in progress when closed', async () => {
+    await client.initialize();
+    await expect(client.callTool('crash', {})).rejects.toThrow();
+    await waitFor(() => client.starting !== null);
+
+    await client.close();
+
+    expect(client.poolStats().running).toBe(false);
+    await waitFor(() => processHandles().length <= handlesBefore);
+  });
+
+  test('reports a command that cannot be started', async () => {
+    client = new StdioMcpClient({ command: path.join(path.dirname(serverPath), 'missing-command'), label: 'missing' });
+
+    expect(await client.initialize()).toBe(false);
+  });
+});
@@ -0,0 +1,375 @@
+// Safe parser for <tool>name(...)</tool> calls emitted by Agent Hustle
+//
+// Model output is parsed, never evaluated. Accepted argument forms:
+//   name({"query": "x", "count": 3})      JSON object
+//   name({query: 'x', count: 3,})         JSON5-style relaxed object
+//   name(query="x", count=3)              keyword arguments
+//   name()                                no arguments
+// Anything else is rejected with a diagnostic pointing at the offending position.
+
+/**
+ * Error raised when a tool call cannot be parsed
+ */
+export class ToolCallParseError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {string} source - Text being parsed
+   * @param {number} position - Offset of the problem in the text
+   */
+  constructor(message, source, position) {
+    super(`${message} at position ${position}: ${ToolCallParseError.excerpt(source, position)}`);
+    this.name = 'ToolCallParseError';
+    this.position = position;
+  }
+
+  /**
+   * Show the text around a position, marking the position with »
+   * @param {string} source - Text being parsed
+   * @param {number} position - Offset to mark
+   * @returns {string} Excerpt
+   */
+  static excerpt(source, position) {
+    const start = Math.max(0, position - 20);
+    const end = Math.min(source.length, position + 20);
+    const before = source.slice(start, position).replace(/\s+/g, ' ');
+    const after = source.slice(position, end).replace(/\s+/g, ' ');
+    return `${start > 0 ? '…' : ''}${before}»${after}${end < source.length ? '…' : ''}`;
+  }
+}
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[\w$-]/;
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  // Python-style literals occasionally produced by the model
+  True: true,
+  False: false,
+  None: null
+};
+
+/**
+ * Recursive descent parser over a single argument string
+ * @private
+ */
+class ArgumentParser {
+  constructor(source) {
+    this.source = source;
+    this.position = 0;
+  }
+
+  fail(message, position = this.position) {
+    throw new ToolCallParseError(message, this.source, position);
+  }
+
+  peek() {
+    return this.source[this.position];
+  }
+
+  atEnd() {
+    return this.position >= this.source.length;
+  }
+
+  skipWhitespace() {
+    while (!this.atEnd()) {
+      const char = this.peek();
+      if (/\s/.test(char)) {
+        this.position++;
+      } else if (this.source.startsWith('//', this.position)) {
+        const end = this.source.indexOf('\n', this.position);
+        this.position = end === -1 ? this.source.length : end + 1;
+      } else if (this.source.startsWith('/*', this.position)) {
+        const end = this.source.indexOf('*/', this.position + 2);
+        if (end === -1) {
+          this.fail('Unterminated comment');
+        }
+        this.position = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  expect(char) {
+    this.skipWhitespace();
+    if (this.peek() !== char) {
+      this.fail(this.atEnd() ? `Expected "${char}" but reached the end` : `Expected "${char}" but found "${this.peek()}"`);
+    }
+    this.position++;
+  }
+
+  /**
+   * Parse the whole argument string into an object
+   * @returns {Object} Tool arguments
+   */
+  parseArguments() {
+    this.skipWhitespace();
+    if (this.atEnd()) {
+      return {};
+    }
+
+    let args;
+    if (this.peek() === '{') {
+      args = this.parseObject();
+    } else {
+      args = this.parseKeywordArguments();
+    }
+
+    this.skipWhitespace();
+    if (!this.atEnd()) {
+      this.fail(`Unexpected "${this.peek()}" after the arguments`);
+    }
+    return args;
+  }
+
+  parseKeywordArguments() {
+    const args = {};
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.atEnd()) {
+        break;
+      }
+
+      const start = this.position;
+      if (!IDENTIFIER_START.test(this.peek())) {
+        this.fail('Positional arguments are not supported, expected name=value', start);
+      }
+      const key = this.parseIdentifier();
+
+      this.skipWhitespace();
+      if (this.peek() !== '=' && this.peek() !== ':') {
+        this.fail(`Expected "=" after argument name "${key}"`);
+      }
+      this.position++;
+
+      if (key === '__proto__') {
+        this.fail('Argument name "__proto__" is not allowed', start);
+      }
+      if (Object.prototype.hasOwnProperty.call(args, key)) {
+        this.fail(`Duplicate argument "${key}"`, start);
+      }
+      args[key] = this.parseValue();
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.position++;
+      } else if (!this.atEnd()) {
+        this.fail(`Expected "," between arguments but found "${this.peek()}"`);
+      }
+    }
+
+    return args;
+  }
+
+  parseValue() {
+    this.skipWhitespace();
+    if (this.atEnd()) {
+      this.fail('Expected a value but reached the end');
+    }
+
+    const char = this.peek();
+    if (char === '{') return this.parseObject();
+    if (char === '[') return this.parseArray();
+    if (char === '"' || char === "'") return this.parseString();
+    if (/[-+.\d]/.test(char)) return this.parseNumber();
+    if (IDENTIFIER_START.test(char)) {
+      const start = this.position;
+      const word = this.parseIdentifier();
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        return KEYWORDS[word];
+      }
+      if (word === 'Infinity' || word === 'NaN') {
+        this.fail(`${word} is not a valid argument value`, start);
+      }
+      this.fail(`Unexpected identifier "${word}" (strings must be quoted)`, start);
+    }
+
+    this.fail(`Unexpected "${char}"`);
+  }
+
+  parseObject() {
+    const object = {};
+    this.expect('{');
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.peek() === '}') {
+        this.position++;
+        return object;
+      }
+
+      const start = this.position;
+      let key;
+      const char = this.peek();
+      if (char === '"' || char === "'") {
+        key = this.parseString();
+      } else if (char !== undefined && IDENTIFIER_START.test(char)) {
+        key = this.parseIdentifier();
+      } else if (char !== undefined && /\d/.test(char)) {
+        key = String(this.parseNumber());
+      } else {
+        this.fail(this.atEnd() ? 'Unterminated object' : `Expected a property name but found "${char}"`);
+      }
+
+      if (key === '__proto__') {
+        this.fail('Property name "__proto__" is not allowed', start);
+      }
+
+      this.expect(':');
+      object[key] = this.parseValue();
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.position++;
+      } else if (this.peek() !== '}') {
+        this.fail(this.atEnd() ? 'Unterminated object' : `Expected "," or "}" but found "${this.peek()}"`);
+      }
+    }
+  }
+
+  parseArray() {
+    const array = [];
+    this.expect('[');
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.peek() === ']') {
+        this.position++;
+        return array;
+      }
+
+      array.push(this.parseValue());
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.position++;
+      } else if (this.peek() !== ']') {
+        this.fail(this.atEnd() ? 'Unterminated array' : `Expected "," or "]" but found "${this.peek()}"`);
+      }
+    }
+  }
+
+  parseString() {
+    const quote = this.peek();
+    const start = this.position;
+    this.position++;
+    let value = '';
+
+    while (true) {
+      if (this.atEnd()) {
+        this.fail('Unterminated string', start);
+      }
+
+      const char = this.source[this.position++];
+      if (char === quote) {
+        return value;
+      }
+      if (char !== '\\') {
+        value += char;
+        continue;
+      }
+
+      const escape = this.source[this.position++];
+      switch (escape) {
+        case 'n': value += '\n'; break;
+        case 't': value += '\t'; break;
+        case 'r': value += '\r'; break;
+        case 'b': value += '\b'; break;
+        case 'f': value += '\f'; break;
+        case '0': value += '\0'; break;
+        case '\n': break; // Line continuation
+        case 'u': {
+          const hex = this.source.slice(this.position, this.position + 4);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            this.fail('Invalid unicode escape', this.position - 2);
+          }
+          value += String.fromCharCode(parseInt(hex, 16));
+          this.position += 4;
+          break;
+        }
+        case undefined:
+          this.fail('Unterminated string', start);
+          break;
+        default:
+          // \", \', \\, \/ and any other escaped character map to themselves
+          value += escape;
+      }
+    }
+  }
+
+  parseNumber() {
+    const start = this.position;
+    const match = /^[-+]?(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?)/.exec(this.source.slice(start));
+    if (!match) {
+      this.fail('Invalid number', start);
+    }
+
+    this.position += match[0].length;
+    const text = match[0];
+    const negative = text.startsWith('-');
+    const unsigned = text.replace(/^[-+]/, '');
+    const value = /^0[xX]/.test(unsigned) ? parseInt(unsigned, 16) : Number(unsigned);
+    return negative ? -value : value;
+  }
+
+  parseIdentifier() {
+    const start = this.position;
+    while (!this.atEnd() && IDENTIFIER_PART.test(this.peek())) {
+      this.position++;
+    }
+    return this.source.slice(start, this.position);
+  }
+}
+
+/**
+ * Parse the argument string of a tool call
+ * @param {string} source - Text between the parentheses of name(...)
+ * @returns {Object} Tool arguments
+ * @throws {ToolCallParseError} If the arguments are not in an accepted form
+ */
+export function parseToolArguments(source) {
+  return new ArgumentParser(source).parseArguments();
+}
+
+/**
+ * Extract and parse every <tool>name(...)</tool> block in a model response
+ * @param {string} content - Model response
+ * @returns {{calls: Array<{name: string, arguments: Object, raw: string}>, errors: Array<{raw: string, message: string}>}}
+ *   Parsed calls and diagnostics for the blocks that were rejected
+ */
+export function parseToolCallBlocks(content) {
+  const calls = [];
+  const errors = [];
+  const toolRegex = /<tool>([\s\S]*?)<\/tool>/g;
+
+  for (const match of (content || '').matchAll(toolRegex)) {
+    const raw = match[1].trim();
+    const callMatch = raw.match(/^([A-Za-z_][\w-]*)\s*\(([\s\S]*)\)$/);
+
+    if (!callMatch) {
+      errors.push({ raw, message: 'Expected a call of the form name(arguments)' });
+      continue;
+    }
+
+    const [, name, argumentSource] = callMatch;
+    try {
+      calls.push({ name, arguments: parseToolArguments(argumentSource), raw });
+    } catch (error) {
+      errors.push({ raw, message: error.message });
+    }
+  }
+
+  return { calls, errors };
+}
+
+/**
+ * Remove the <tool>...</tool> blocks of a model response, leaving the text meant for the user
+ * @param {string} content - Model response
+ * @returns {string} Response without tool calls
+ */
+export function stripToolCallBlocks(content) {
+  return (content || '').replace(/<tool>[\s\S]*?<\/tool>/g, '').replace(/\n{3,}/g, '\n\n').trim();
+}
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import {
+  parseToolCallBlocks,
+  parseToolArguments,
+  stripToolCallBlocks,
+  ToolCallParseError
+} from './tool-call-parser.js';
+
+// Agent answers containing <tool> blocks, with the calls and diagnostics each one must produce
+const corpus = JSON.parse(fs.readFileSync(new URL('./fixtures/tool-call-corpus.json', import.meta.url), 'utf8'));
+
+describe('parseToolCallBlocks', () => {
+  test.each(corpus.map(entry => [entry.description, entry]))('%s', (description, entry) => {
+    const { calls, errors } = parseToolCallBlocks(entry.output);
+
+    expect(calls.map(({ name, arguments: args }) => ({ name, arguments: args }))).toEqual(entry.calls);
+    expect(errors.map(error => error.message)).toEqual(entry.errors);
+  });
+
+  test('keeps the raw text of rejected blocks', () => {
+    const { errors } = parseToolCallBlocks('<tool> rugcheck(BONK) </tool>');
+    expect(errors).toEqual([{ raw: 'rugcheck(BONK)', message: expect.stringContaining('at position 4') }]);
+  });
+
+  test('returns nothing for answers without tool calls', () => {
+    expect(parseToolCallBlocks('BONK is up 12% today.')).toEqual({ calls: [], errors: [] });
+    expect(parseToolCallBlocks(undefined)).toEqual({ calls: [], errors: [] });
+  });
+});
+
+describe('parseToolArguments', () => {
+  test('parses deeply nested values', () => {
+    const depth = 200;
+    const source = `{"a": ${'['.repeat(depth)}1${']'.repeat(depth)}}`;
+
+    let value = parseToolArguments(source).a;
+    for (let level = 0; level < depth; level++) {
+      value = value[0];
+    }
+    expect(value).toBe(1);
+  });
+
+  test('reports the position of the problem', () => {
+    expect(() => parseToolArguments('{query: "btc"} extra')).toThrow(ToolCallParseError);
+    try {
+      parseToolArguments('{query: "btc"} extra');
+    } catch (error) {
+      expect(error.position).toBe(15);
+      expect(error.message).toBe('Unexpected "e" after the arguments at position 15: {query: "btc"} »extra');
+    }
+  });
+
+  test('rejects unterminated strings and comments', () => {
+    expect(() => parseToolArguments('{query: "btc}')).toThrow('Unterminated string at position 8');
+    expect(() => parseToolArguments('{/* note')).toThrow('Unterminated comment');
+  });
+
+  test('never produces objects with a modified prototype', () => {
+    expect(() => parseToolArguments('__proto__={"admin": true}')).toThrow('Argument name "__proto__" is not allowed');
+    expect({}.admin).toBeUndefined();
+  });
+});
+
+describe('stripToolCallBlocks', () => {
+  test('keeps only the text meant for the user', () => {
+    const entry = corpus.find(item => item.description.startsWith('two calls'));
+    expect(stripToolCallBlocks(entry.output)).toBe(
+      'First the trending tokens on Solana:\n\nThen the stock price for comparison:\n\nI\'ll summarize once both return.'
+    );
+  });
+});
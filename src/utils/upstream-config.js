@@ -0,0 +1,274 @@
+// Upstream MCP server configuration loader
+import fs from 'fs';
+import path from 'path';
+import { SmitheryClient } from './smithery-client.js';
+import { StdioMcpClient } from './stdio-mcp-client.js';
+import { RESULT_FORMATTERS, normalizeMcpContent } from './response-parsers.js';
+import { checkAddressParams } from './address.js';
+import { ToolError, isRateLimitMessage } from './errors.js';
+
+/**
+ * Default location of the upstream server configuration
+ */
+export const DEFAULT_CONFIG_PATH = 'mcp-servers.json';
+
+/**
+ * Replace ${VAR} and ${VAR:-default} placeholders with environment values
+ * @param {string} value - String containing placeholders
+ * @param {Object} env - Environment variables
+ * @returns {string} Interpolated string
+ */
+export function interpolateEnv(value, env = process.env) {
+  return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+    if (env[name]) {
+      return env[name];
+    }
+    return fallback !== undefined ? fallback : '';
+  });
+}
+
+/**
+ * Normalize and validate a single server entry
+ * @param {Object} entry - Raw entry from the configuration file
+ * @param {number} index - Position of the entry, used in error messages
+ * @param {Object} env - Environment variables
+ * @returns {Object} Normalized server configuration
+ */
+function normalizeServer(entry, index, env) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Server #${index + 1} must be an object`);
+  }
+  const transport = entry.transport || 'http';
+  if (transport !== 'http' && transport !== 'stdio') {
+    throw new Error(`Server #${index + 1} has unknown transport "${transport}" (expected http or stdio)`);
+  }
+  if (!entry.source || (transport === 'http' && !entry.url) || (transport === 'stdio' && !entry.command)) {
+    throw new Error(`Server #${index + 1} requires "source" and ${transport === 'stdio' ? '"command"' : '"url"'}`);
+  }
+
+  const requiredEnv = entry.requiredEnv || [];
+  const missingEnv = requiredEnv.filter(name => !env[name]);
+
+  return {
+    source: entry.source,
+    label: entry.label || entry.source,
+    description: entry.description || '',
+    enabled: entry.enabled !== false,
+    transport,
+    url: entry.url ? interpolateEnv(entry.url, env) : null,
+    command: entry.command ? interpolateEnv(entry.command, env) : null,
+    args: (entry.args || []).map(arg => interpolateEnv(String(arg), env)),
+    env: Object.fromEntries(Object.entries(entry.env || {}).map(([name, value]) => [name, interpolateEnv(String(value), env)])),
+    cwd: entry.cwd ? path.resolve(interpolateEnv(entry.cwd, env)) : undefined,
+    restart: entry.restart || {},
+    requiredEnv,
+    missingEnv,
+    prefix: entry.prefix || null,
+    pattern: entry.pattern ? new RegExp(entry.pattern) : null,
+    aliasWithoutPrefix: Boolean(entry.aliasWithoutPrefix),
+    aliases: entry.aliases || {},
+    nameFormat: entry.nameFormat || null,
+    envParams: entry.envParams || {},
+    resultFormat: entry.resultFormat || null,
+    resultFormats: entry.resultFormats || {},
+    fallbacks: entry.fallbacks || {},
+    pool: entry.pool || null,
+    cache: entry.cache || {},
+    addressParams: entry.addressParams || {}
+  };
+}
+
+/**
+ * Load the upstream MCP server configuration
+ * @param {string} [configPath] - Path to the JSON configuration file
+ * @param {Object} [env] - Environment variables used for interpolation
+ * @returns {Array<Object>} Normalized server configurations (empty if the file does not exist)
+ */
+export function loadUpstreamConfig(configPath = DEFAULT_CONFIG_PATH, env = process.env) {
+  const resolvedPath = path.resolve(configPath);
+  if (!fs.existsSync(resolvedPath)) {
+    console.log(`⚠ Upstream configuration ${configPath} not found, no MCP servers will be connected`);
+    return [];
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid upstream configuration ${configPath}: ${error.message}`);
+  }
+
+  const servers = Array.isArray(config) ? config : config.servers;
+  if (!Array.isArray(servers)) {
+    throw new Error(`Invalid upstream configuration ${configPath}: expected a "servers" array`);
+  }
+
+  const normalized = servers.map((entry, index) => normalizeServer(entry, index, env));
+
+  const sources = new Set();
+  for (const server of normalized) {
+    if (sources.has(server.source)) {
+      throw new Error(`Invalid upstream configuration ${configPath}: duplicate source "${server.source}"`);
+    }
+    sources.add(server.source);
+  }
+
+  return normalized.filter(server => server.enabled);
+}
+
+/**
+ * Convert a tool name to the naming convention used by an upstream server
+ * @param {string} name - Tool name
+ * @param {string|null} nameFormat - 'hyphen', 'underscore' or null to keep the name
+ * @returns {string} Converted name
+ */
+function formatToolName(name, nameFormat) {
+  if (nameFormat === 'hyphen') {
+    return name.replace(/_/g, '-');
+  }
+  if (nameFormat === 'underscore') {
+    return name.replace(/-/g, '_');
+  }
+  return name;
+}
+
+/**
+ * Create the MCP client of a server: Smithery's hosted HTTP transport, or a local process over stdio
+ * @private
+ */
+function createClient(server, options) {
+  if (server.transport === 'stdio') {
+    return new StdioMcpClient({
+      command: server.command,
+      args: server.args,
+      env: server.env,
+      cwd: server.cwd,
+      label: server.label,
+      restartDelayMs: server.restart.delayMs,
+      maxRestartDelayMs: server.restart.maxDelayMs
+    });
+  }
+  return new SmitheryClient({
+    baseUrl: server.url,
+    apiKey: options.apiKey,
+    profile: options.profile,
+    pool: server.pool ? { ...options.pool, ...server.pool } : options.pool
+  });
+}
+
+/**
+ * Build a tool registry upstream definition from a server configuration
+ * @param {Object} server - Normalized server configuration
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Smithery API key
+ * @param {string} [options.profile] - Smithery profile
+ * @param {Object} [options.pool] - Connection pool settings, overridden by the server's "pool" entry
+ * @param {Object} [options.env] - Environment variables
+ * @returns {Object} Definition accepted by ToolRegistry.registerUpstream
+ */
+export function createUpstreamDefinition(server, options = {}) {
+  const env = options.env || process.env;
+  const client = server.missingEnv.length === 0 ? createClient(server, options) : null;
+
+  // Formatter of the server, and the tools that declare their own
+  const formatterOf = format => {
+    if (format && !RESULT_FORMATTERS[format]) {
+      throw new Error(`Unknown result format "${format}" for ${server.label}`);
+    }
+    return format ? RESULT_FORMATTERS[format] : null;
+  };
+  const formatter = formatterOf(server.resultFormat);
+  const toolFormatters = Object.fromEntries(
+    Object.entries(server.resultFormats).map(([toolName, format]) => [toolName, formatterOf(format)])
+  );
+
+  return {
+    source: server.source,
+    label: server.label,
+    description: server.description,
+    client,
+    fallbacks: server.fallbacks,
+    missingEnv: server.missingEnv,
+    cachePolicy: name => server.cache[name],
+
+    // Arguments holding addresses of a fixed chain are checked before the call leaves the server
+    validateParams(toolName, params) {
+      return Object.entries(server.addressParams)
+        .filter(([field]) => typeof params[field] === 'string')
+        .reduce((checked, [field, chain]) => checkAddressParams(checked, { field, chain }), params);
+    },
+
+    async initialize() {
+      if (server.missingEnv.length > 0) {
+        console.log(`⚠ ${server.missingEnv.join(', ')} not configured, skipping ${server.label} integration`);
+        return false;
+      }
+
+      try {
+        const success = await client.initialize();
+        if (success) {
+          console.log(`✓ ${server.label} MCP integration ready`);
+        } else {
+          console.log(`⚠ ${server.label} connection failed`);
+        }
+        return success;
+      } catch (error) {
+        console.error(`Error initializing ${server.label}:`, error.message);
+        return false;
+      }
+    },
+
+    owns(name) {
+      if (server.prefix && name.startsWith(server.prefix)) {
+        return true;
+      }
+      return Boolean(server.pattern && server.pattern.test(formatToolName(name, server.nameFormat)));
+    },
+
+    aliases(name) {
+      const aliases = [...(server.aliases[name] || [])];
+      if (server.aliasWithoutPrefix && server.prefix && name.startsWith(server.prefix)) {
+        aliases.push(name.slice(server.prefix.length));
+      }
+      if (server.nameFormat === 'hyphen') {
+        aliases.push(formatToolName(name, 'underscore'));
+      } else if (server.nameFormat === 'underscore') {
+        aliases.push(formatToolName(name, 'hyphen'));
+      }
+      return [...new Set(aliases)].filter(alias => alias !== name);
+    },
+
+    toolName: name => formatToolName(name, server.nameFormat),
+
+    prepareParams(params) {
+      const prepared = { ...params };
+      for (const [param, envName] of Object.entries(server.envParams)) {
+        if (!env[envName]) {
+          throw new ToolError('CONFIG_MISSING', `${envName} environment variable is required but not set`);
+        }
+        console.log(`✓ Adding ${envName} to ${server.label} request: ${env[envName].substring(0, 8)}...`);
+        prepared[param] = env[envName];
+      }
+      return prepared;
+    },
+
+    normalize(toolName, result, params) {
+      const content = normalizeMcpContent(result);
+      if (content.isError) {
+        // The tool ran and reported a failure; rate limits are only recognizable by their message
+        const message = `${server.label} ${toolName} failed: ${content.text || 'the tool reported an error'}`;
+        throw new ToolError(isRateLimitMessage(content.text) ? 'RATE_LIMITED' : 'TOOL_FAILED', message);
+      }
+
+      const format = toolFormatters[toolName] || formatter;
+      if (!format) {
+        return result;
+      }
+      const formatted = format(toolName, result, params, server.source);
+      // Images and other binary content are passed along next to the formatted data
+      return content.attachments.length > 0 && formatted && typeof formatted === 'object'
+        ? { ...formatted, attachments: content.attachments }
+        : formatted;
+    }
+  };
+}
@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { interpolateEnv, loadUpstreamConfig, createUpstreamDefinition } from './upstream-config.js';
+import { ToolError } from './errors.js';
+import { ValidationError } from './schema-validator.js';
+
+describe('interpolateEnv', () => {
+  test('replaces placeholders, with defaults for unset variables', () => {
+    expect(interpolateEnv('https://api.example.com/mcp?key=${KEY}&region=${REGION:-eu}', { KEY: 'secret' }))
+      .toBe('https://api.example.com/mcp?key=secret&region=eu');
+    expect(interpolateEnv('${MISSING}', {})).toBe('');
+  });
+});
+
+describe('loadUpstreamConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstreams-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function writeConfig(config) {
+    const configPath = path.join(dir, 'mcp-servers.json');
+    fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+    return configPath;
+  }
+
+  test('normalizes the enabled servers and reports missing variables', () => {
+    const configPath = writeConfig({
+      servers: [
+        { source: 'search', url: 'https://search.example.com/${SEARCH_PATH}', requiredEnv: ['SEARCH_KEY'], prefix: 'search_' },
+        { source: 'local', transport: 'stdio', command: 'node', args: ['server.js', '${PORT}'], env: { TOKEN: '${TOKEN}' } },
+        { source: 'off', url: 'https://off.example.com', enabled: false }
+      ]
+    });
+
+    const servers = loadUpstreamConfig(configPath, { SEARCH_PATH: 'mcp', PORT: 9000, TOKEN: 't' });
+
+    expect(servers.map(server => server.source)).toEqual(['search', 'local']);
+    expect(servers[0]).toMatchObject({ transport: 'http', url: 'https://search.example.com/mcp', label: 'search', missingEnv: ['SEARCH_KEY'] });
+    expect(servers[1]).toMatchObject({ transport: 'stdio', command: 'node', args: ['server.js', '9000'], env: { TOKEN: 't' }, missingEnv: [] });
+  });
+
+  test('loads the mcp-servers.json of the repository', () => {
+    const servers = loadUpstreamConfig(path.resolve('mcp-servers.json'), {});
+
+    expect(servers.length).toBeGreaterThan(0);
+    servers.forEach(server => expect(server.source).toBeTruthy());
+  });
+
+  test('has no servers without a configuration file', () => {
+    expect(loadUpstreamConfig(path.join(dir, 'missing.json'), {})).toEqual([]);
+  });
+
+  test.each([
+    ['invalid JSON', '{ servers: ', /Invalid upstream configuration/],
+    ['no servers array', { servers: {} }, /expected a "servers" array/],
+    ['a server that is not an object', { servers: ['search'] }, /Server #1 must be an object/],
+    ['an http server without url', { servers: [{ source: 'a' }] }, /Server #1 requires "source" and "url"/],
+    ['a stdio server without command', { servers: [{ source: 'a', transport: 'stdio' }] }, /requires "source" and "command"/],
+    ['an unknown transport', { servers: [{ source: 'a', transport: 'ws', url: 'ws://x' }] }, /unknown transport "ws"/],
+    ['duplicate sources', { servers: [{ source: 'a', url: 'https://a' }, { source: 'a', url: 'https://b' }] }, /duplicate source "a"/]
+  ])('rejects %s', (description, config, message) => {
+    expect(() => loadUpstreamConfig(writeConfig(config), {})).toThrow(message);
+  });
+});
+
+describe('createUpstreamDefinition', () => {
+  /**
+   * Definition of a server whose variables are missing, so no client is created
+   */
+  function definition(entry, options = {}) {
+    const configPath = path.join(os.tmpdir(), `upstream-${process.pid}-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(configPath, JSON.stringify([{ source: 'ordiscan', url: 'https://ordiscan.example.com', requiredEnv: ['UNSET_KEY'], ...entry }]));
+    try {
+      return createUpstreamDefinition(loadUpstreamConfig(configPath, {})[0], options);
+    } finally {
+      fs.rmSync(configPath);
+    }
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('skips a server whose variables are not set', async () => {
+    const upstream = definition({});
+
+    expect(upstream.client).toBeNull();
+    expect(await upstream.initialize()).toBe(false);
+  });
+
+  test('owns tools by prefix or pattern and lists their aliases', () => {
+    const upstream = definition({ prefix: 'ordiscan_', aliasWithoutPrefix: true, aliases: { ordiscan_rune_market: ['rune-price'] } });
+
+    expect(upstream.owns('ordiscan_rune_market')).toBe(true);
+    expect(upstream.owns('rugcheck')).toBe(false);
+    expect(upstream.aliases('ordiscan_rune_market')).toEqual(['rune-price', 'rune_market']);
+
+    const stocks = definition({ pattern: '^get-stock', nameFormat: 'hyphen' });
+    expect(stocks.owns('get_stock_data')).toBe(true);
+    expect(stocks.toolName('get_stock_data')).toBe('get-stock-data');
+    expect(stocks.aliases('get-stock-data')).toEqual(['get_stock_data']);
+  });
+
+  test('adds the configured variables to the call arguments', () => {
+    const upstream = definition({ envParams: { apiKey: 'ORDISCAN_API_KEY' } }, { env: { ORDISCAN_API_KEY: 'ordiscan-secret' } });
+
+    expect(upstream.prepareParams({ tick: 'ORDI' })).toEqual({ tick: 'ORDI', apiKey: 'ordiscan-secret' });
+    expect(() => definition({ envParams: { apiKey: 'ORDISCAN_API_KEY' } }, { env: {} }).prepareParams({}))
+      .toThrow(expect.objectContaining({ code: 'CONFIG_MISSING' }));
+  });
+
+  test('checks address arguments of a fixed chain', () => {
+    const upstream = definition({ addressParams: { address: 'bitcoin' } });
+
+    expect(upstream.validateParams('ordiscan_address_brc20', { address: 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4' }))
+      .toEqual({ address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4' });
+    expect(() => upstream.validateParams('ordiscan_address_brc20', { address: '0x123' })).toThrow(ValidationError);
+  });
+
+  test('formats results and turns tool errors into ToolErrors', () => {
+    const upstream = definition({ resultFormat: 'json', resultFormats: { ordiscan_raw: 'content' } });
+    const image = { type: 'image', mimeType: 'image/png', data: 'aW1n' };
+
+    expect(upstream.normalize('ordiscan_info', { content: [{ type: 'text', text: '{"ok": true}' }, image] }, {})).toEqual({
+      data: { ok: true },
+      tool: 'ordiscan_info',
+      source: 'ordiscan',
+      attachments: [image]
+    });
+    expect(upstream.normalize('ordiscan_raw', { content: [{ type: 'text', text: 'plain' }] }, {})).toMatchObject({ text: 'plain' });
+
+    const failed = result => () => upstream.normalize('ordiscan_info', { content: [{ type: 'text', text: result }], isError: true }, {});
+    expect(failed('Rune not found')).toThrow(expect.objectContaining({ code: 'TOOL_FAILED', message: 'ordiscan ordiscan_info failed: Rune not found' }));
+    expect(failed('Rate limit exceeded')).toThrow(ToolError);
+    expect(failed('Rate limit exceeded')).toThrow(expect.objectContaining({ code: 'RATE_LIMITED' }));
+  });
+
+  test('rejects unknown result formats', () => {
+    expect(() => definition({ resultFormat: 'xml' })).toThrow('Unknown result format "xml" for ordiscan');
+  });
+});
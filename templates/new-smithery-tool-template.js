@@ -1,157 +1,107 @@
 /**
  * 🔧 New Smithery Tool Template
  * Copy this template and modify it to add any new Smithery tool
+ *
+ * Upstream MCP servers are declared in mcp-servers.json and registered with
+ * the tool registry (src/tools/registry.js) on startup. Both /api/tools/list
+ * and /api/tools/call are generated from the registry, and the CLI resolves
+ * tool names through the aliases the list endpoint advertises, so adding a
+ * Smithery server is a single change to mcp-servers.json.
  */
 
 // ============================================================================
-// STEP 1: Update smithery-client.js
+// STEP 1: Declare the upstream server in mcp-servers.json
 // ============================================================================
-// Add your tool configuration to the TOOL_CONFIGS object:
+// Add an entry to the "servers" array:
 
 /**
- * Example configuration:
- * 
- * const TOOL_CONFIGS = {
- *   'brave-search': 'https://server.smithery.ai/@smithery-ai/brave-search',
- *   'YOUR_TOOL_NAME': 'https://server.smithery.ai/@AUTHOR/TOOL_NAME', // Add this line
- * };
+ * Example server entry:
+ *
+ * {
+ *   "source": "your-tool",                 // Source label shown by /tools in the CLI
+ *   "label": "Your Tool",                  // Used in logs and error messages
+ *   "description": "What the tools do",
+ *   "url": "https://server.smithery.ai/@AUTHOR/TOOL_NAME/mcp?api_key=${YOUR_TOOL_API_KEY}",
+ *   "requiredEnv": ["SMITHERY_API_KEY", "SMITHERY_PROFILE", "YOUR_TOOL_API_KEY"],
+ *
+ *   // Optional: claim tool names before the first successful listing
+ *   "prefix": "your_tool_",                // or "pattern": "^your-tool-"
+ *
+ *   // Optional: alternative names the agent may use
+ *   "aliasWithoutPrefix": true,            // accept search for your_tool_search
+ *   "nameFormat": "hyphen",                // accept get_data for get-data
+ *   "aliases": { "your_tool_search": ["your-search"] },
+ *
+ *   // Optional: arguments filled from the environment on every call
+ *   "envParams": { "apiKey": "YOUR_TOOL_API_KEY" },
+ *
+ *   // Optional: result formatter from src/utils/response-parsers.js
+ *   // (json, search, ordiscan, stock); the raw MCP result is returned otherwise
+ *   "resultFormat": "json",
+ *
+ *   // Optional: local tool to use when the upstream call fails
+ *   "fallbacks": { "your_tool_search": "your-local-tool" }
+ * }
  */
 
 // ============================================================================
-// STEP 2: Add tool execution logic to server.js
+// STEP 2: Write a result formatter (if needed)
 // ============================================================================
-// Add this case to the switch statement in /api/tools/call endpoint:
+// Formatters live in src/utils/response-parsers.js and are selected with
+// "resultFormat" (or per tool with "resultFormats") once added to
+// RESULT_FORMATTERS. Results flagged isError never reach a formatter.
+// Available helpers:
+//   - normalizeMcpContent(mcpResult)                 text, attachments, resources, structured
+//   - getResultText(mcpResult)                       every text block of the result
+//   - parseJsonResult(mcpResult)                     JSON data, or { data: text }
+//   - parseSearchResults(text)                       Title:/Description:/URL: blocks
+//   - formatSearchResult(toolName, mcpResult, params) search-like tools (Brave)
 
 /**
- * Example tool execution case:
- * 
- * case 'YOUR_TOOL_NAME':
- * case 'your_tool_name': // Handle both naming conventions if needed
- *   if (smitheryConnected || await initializeSmithery()) {
- *     console.log(`Executing Smithery YOUR_TOOL_NAME with params:`, params);
- *     try {
- *       const smitheryResult = await smitheryClient.callTool('YOUR_TOOL_NAME', params);
- *       
- *       // 🔍 CUSTOMIZE THIS SECTION based on your tool's response format
- *       let parsedResult = {};
- *       if (smitheryResult.content && smitheryResult.content[0] && smitheryResult.content[0].text) {
- *         const text = smitheryResult.content[0].text;
- *         
- *         // Option A: For simple text responses
- *         parsedResult = {
- *           input: params,
- *           output: text,
- *           source: 'smithery'
- *         };
- *         
- *         // Option B: For structured data (uncomment and modify as needed)
- *         // parsedResult = {
- *         //   data: parseYourToolResponse(text), // Implement this function
- *         //   metadata: {
- *         //     tool: 'YOUR_TOOL_NAME',
- *         //     timestamp: new Date().toISOString(),
- *         //     params: params
- *         //   },
- *         //   source: 'smithery'
- *         // };
- *         
- *         // Option C: For search-like tools (uncomment and modify as needed)
- *         // const results = parseSearchResults(text); // Implement this function
- *         // parsedResult = {
- *         //   query: params.query,
- *         //   total: results.length,
- *         //   results: results,
- *         //   source: 'smithery'
- *         // };
- *       }
- *       
- *       result = parsedResult;
- *     } catch (error) {
- *       console.error('Error in Smithery YOUR_TOOL_NAME:', error);
- *       smitheryConnected = false;
- *       
- *       // Optional: Add local fallback if available
- *       // if (process.env.YOUR_TOOL_LOCAL_API_KEY) {
- *       //   console.log('Falling back to local YOUR_TOOL_NAME...');
- *       //   result = await executeLocalYourTool(params);
- *       // } else {
- *       //   throw new Error(`Smithery YOUR_TOOL_NAME failed: ${error.message}`);
- *       // }
- *       
- *       throw new Error(`Smithery YOUR_TOOL_NAME failed: ${error.message}`);
- *     }
- *   } else {
- *     throw new Error('YOUR_TOOL_NAME not available - no Smithery connection');
- *   }
- *   break;
+ * Example custom formatter:
+ *
+ * export function formatYourToolResult(toolName, mcpResult, params, source) {
+ *   const data = parseJsonResult(mcpResult);
+ *   return {
+ *     data,
+ *     metadata: {
+ *       tool: toolName,
+ *       timestamp: new Date().toISOString(),
+ *       params
+ *     },
+ *     source
+ *   };
+ * }
+ *
+ * export const RESULT_FORMATTERS = {
+ *   // ...
+ *   'your-tool': formatYourToolResult
+ * };
  */
 
 // ============================================================================
-// STEP 3: Create custom parsing functions (if needed)
+// STEP 3: Local tools (no upstream server)
 // ============================================================================
-// Add these functions to src/utils/response-parsers.js or inline:
+// Write a tool class in src/tools/ (name, description, getParameters(),
+// isAvailable(), execute()) and add it to registerLocalTools in
+// src/tools/index.js, or register a plain definition in server.js:
 
 /**
- * Example parsing functions:
- * 
- * function parseYourToolResponse(text) {
- *   // Implement parsing logic based on your tool's output format
- *   // Examples:
- *   
- *   // For JSON-like responses:
- *   try {
- *     return JSON.parse(text);
- *   } catch (e) {
- *     // Handle non-JSON responses
- *     return { raw: text };
- *   }
- *   
- *   // For structured text responses:
- *   const lines = text.split('\n');
- *   const result = {};
- *   
- *   lines.forEach(line => {
- *     if (line.startsWith('Field: ')) {
- *       result.field = line.substring(7).trim();
- *     }
- *     // Add more parsing rules as needed
- *   });
- *   
- *   return result;
- * }
- * 
- * function parseSearchResults(text) {
- *   // For search-like tools, parse results similar to Brave Search
- *   const results = [];
- *   const blocks = text.split('\n\n').filter(block => block.trim());
- *   
- *   for (const block of blocks) {
- *     const lines = block.split('\n');
- *     let title = '', description = '', url = '';
- *     
- *     for (const line of lines) {
- *       if (line.startsWith('Title: ')) {
- *         title = line.substring(7).trim();
- *       } else if (line.startsWith('Description: ')) {
- *         description = line.substring(13).trim()
- *           .replace(/<[^>]*>/g, '') // Remove HTML tags
- *           .replace(/&quot;/g, '"')
- *           .replace(/&#x27;/g, "'")
- *           .replace(/&lt;/g, '<')
- *           .replace(/&gt;/g, '>')
- *           .replace(/&amp;/g, '&');
- *       } else if (line.startsWith('URL: ')) {
- *         url = line.substring(5).trim();
- *       }
- *     }
- *     
- *     if (title && url) {
- *       results.push({ title, description, url });
+ * Example local tool definition:
+ *
+ * registry.register({
+ *   name: 'your-local-tool',
+ *   aliases: ['your_local_tool'],
+ *   description: 'What the tool does',
+ *   parameters: {
+ *     type: 'object',
+ *     required: ['query'],
+ *     properties: {
+ *       query: { type: 'string', description: 'The query' }
  *     }
- *   }
- *   
- *   return results;
- * }
+ *   },
+ *   handler: async (params) => ({ query: params.query, source: 'local' })
+ * });
  */
 
 // ============================================================================
@@ -161,13 +111,13 @@
 
 /**
  * Example test script:
- * 
+ *
  * import axios from 'axios';
- * 
+ *
  * async function testYourTool() {
  *   try {
  *     console.log('Testing YOUR_TOOL_NAME...');
- *     
+ *
  *     const response = await axios.post('http://localhost:8081/api/tools/call', {
  *       name: 'YOUR_TOOL_NAME',
  *       params: {
@@ -177,7 +127,7 @@
  *         // option: 'value'
  *       }
  *     });
- *     
+ *
  *     console.log('✓ YOUR_TOOL_NAME test successful:');
  *     console.log(JSON.stringify(response.data, null, 2));
  *   } catch (error) {
@@ -185,35 +135,20 @@
  *     console.error(error.response?.data || error.message);
  *   }
  * }
- * 
+ *
  * // Run the test
  * testYourTool();
  */
 
-// ============================================================================
-// STEP 5: Update CLI tool mapping (if needed)
-// ============================================================================
-// If your tool has different naming conventions, add to src/cli.js:
-
-/**
- * Example CLI mapping:
- * 
- * const TOOL_NAME_MAPPING = {
- *   'cli-name': 'smithery-name',
- *   'your-cli-name': 'YOUR_TOOL_NAME', // Add this line
- * };
- */
-
 // ============================================================================
 // CHECKLIST
 // ============================================================================
 /**
  * Integration Checklist:
- * □ Added tool configuration to smithery-client.js
- * □ Added tool execution case to server.js
- * □ Implemented custom response parsing (if needed)
+ * □ Declared the upstream in mcp-servers.json (or registered a local tool)
+ * □ Implemented custom result formatting (if needed)
+ * □ Declared aliases for alternative tool names (if needed)
  * □ Created test script
- * □ Updated CLI tool mapping (if needed)
  * □ Tested the integration
  * □ Updated documentation
  */
@@ -222,66 +157,41 @@
 // COMMON PATTERNS
 // ============================================================================
 
-// Pattern 1: Simple text processing tool
+// Pattern 1: Simple text processing tool (raw MCP result)
 const SIMPLE_TEXT_PATTERN = `
-case 'text-processor':
-  if (smitheryConnected || await initializeSmithery()) {
-    try {
-      const smitheryResult = await smitheryClient.callTool('text-processor', params);
-      result = {
-        input: params.text,
-        processed: smitheryResult.content[0].text,
-        source: 'smithery'
-      };
-    } catch (error) {
-      // Error handling...
-    }
-  }
-  break;
+{
+  "source": "text-processor",
+  "label": "Text Processor",
+  "url": "https://server.smithery.ai/@AUTHOR/text-processor",
+  "requiredEnv": ["SMITHERY_API_KEY", "SMITHERY_PROFILE"]
+}
 `;
 
-// Pattern 2: Data analysis tool
+// Pattern 2: Data analysis tool (JSON results)
 const DATA_ANALYSIS_PATTERN = `
-case 'data-analyzer':
-  if (smitheryConnected || await initializeSmithery()) {
-    try {
-      const smitheryResult = await smitheryClient.callTool('data-analyzer', params);
-      const analysis = parseAnalysisResult(smitheryResult.content[0].text);
-      result = {
-        dataset: params.data,
-        analysis: analysis,
-        insights: analysis.insights || [],
-        source: 'smithery'
-      };
-    } catch (error) {
-      // Error handling...
-    }
-  }
-  break;
+{
+  "source": "data-analyzer",
+  "label": "Data Analyzer",
+  "url": "https://server.smithery.ai/@AUTHOR/data-analyzer",
+  "requiredEnv": ["SMITHERY_API_KEY", "SMITHERY_PROFILE"],
+  "resultFormat": "json"
+}
 `;
 
-// Pattern 3: API wrapper tool
+// Pattern 3: API wrapper tool (API key passed as an argument)
 const API_WRAPPER_PATTERN = `
-case 'api-wrapper':
-  if (smitheryConnected || await initializeSmithery()) {
-    try {
-      const smitheryResult = await smitheryClient.callTool('api-wrapper', params);
-      const apiResponse = JSON.parse(smitheryResult.content[0].text);
-      result = {
-        endpoint: params.endpoint,
-        response: apiResponse,
-        status: 'success',
-        source: 'smithery'
-      };
-    } catch (error) {
-      // Error handling...
-    }
-  }
-  break;
+{
+  "source": "api-wrapper",
+  "label": "API Wrapper",
+  "url": "https://server.smithery.ai/@AUTHOR/api-wrapper",
+  "requiredEnv": ["SMITHERY_API_KEY", "SMITHERY_PROFILE", "API_WRAPPER_KEY"],
+  "envParams": { "apiKey": "API_WRAPPER_KEY" },
+  "resultFormat": "json"
+}
 `;
 
 export {
   SIMPLE_TEXT_PATTERN,
   DATA_ANALYSIS_PATTERN,
   API_WRAPPER_PATTERN
-}; 
\ No newline at end of file
+};